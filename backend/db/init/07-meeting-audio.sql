@@ -0,0 +1,5 @@
+-- Recorded meeting audio (opt-in via the recordAudio setting)
+
+-- Path of the WAV file holding the meeting's 16 kHz audio
+ALTER TABLE meetings 
+ADD COLUMN IF NOT EXISTS audio_path TEXT;
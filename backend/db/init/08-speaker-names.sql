@@ -0,0 +1,17 @@
+-- Names assigned to diarized speakers, one participant row per speaker per meeting
+
+-- Diarization speaker this participant was identified as ("0", "1", ...)
+ALTER TABLE meeting_participants 
+ADD COLUMN IF NOT EXISTS speaker_id VARCHAR(50);
+
+ALTER TABLE meeting_participants 
+ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP;
+
+-- A speaker maps to at most one participant in a meeting
+CREATE UNIQUE INDEX IF NOT EXISTS idx_meeting_participants_speaker 
+ON meeting_participants(meeting_id, speaker_id) 
+WHERE speaker_id IS NOT NULL;
+
+-- Name lookups for suggestions in later meetings
+CREATE INDEX IF NOT EXISTS idx_meeting_participants_name 
+ON meeting_participants(LOWER(name));
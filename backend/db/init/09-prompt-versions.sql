@@ -0,0 +1,40 @@
+-- Versioned prompt library. Each LLM feature (insights, term extraction, topics, ...)
+-- keeps its full edit history; at most one version per feature is active. Features
+-- with no active version use the built-in prompt from backend/llm/prompts.js.
+
+CREATE TABLE IF NOT EXISTS prompt_versions (
+    id SERIAL PRIMARY KEY,
+    feature VARCHAR(50) NOT NULL,
+    version INTEGER NOT NULL,
+    system_prompt TEXT,
+    user_prompt TEXT NOT NULL,
+    notes TEXT,
+    is_active BOOLEAN DEFAULT false,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    activated_at TIMESTAMP WITH TIME ZONE,
+    UNIQUE(feature, version)
+);
+
+-- Only one active version per feature
+CREATE UNIQUE INDEX IF NOT EXISTS idx_prompt_versions_active 
+ON prompt_versions(feature) 
+WHERE is_active = true;
+
+-- Carry over a customised talking points prompt from the old single setting
+INSERT INTO prompt_versions (feature, version, user_prompt, notes, is_active, activated_at)
+SELECT 'talkingPoints', 1, value, 'Imported from the talkingPointsPrompt setting', true, CURRENT_TIMESTAMP
+FROM app_settings
+WHERE key = 'talkingPointsPrompt'
+  AND value IS NOT NULL
+  AND value <> 'Based on this meeting context, generate 3-5 intelligent talking points or questions about "{topic}".
+
+CONTEXT:
+{context}
+
+MEETING GLOSSARY:
+{glossary}
+
+Generate talking points that show understanding and move the conversation forward.'
+ON CONFLICT (feature, version) DO NOTHING;
+
+DELETE FROM app_settings WHERE key = 'talkingPointsPrompt';
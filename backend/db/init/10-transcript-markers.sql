@@ -0,0 +1,4 @@
+-- Non-speech markers in a meeting's transcript, such as the point where live
+-- transcription switched to a fallback provider. Spoken transcripts leave it NULL.
+ALTER TABLE transcripts
+ADD COLUMN IF NOT EXISTS marker JSONB;
@@ -0,0 +1,19 @@
+-- Each contextual:insights payload sent during a meeting, kept so the meeting's
+-- intelligence (glossary, topic flow, concept map) can be rebuilt after a server
+-- restart and its history browsed later.
+CREATE TABLE IF NOT EXISTS contextual_insights (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    meeting_id UUID NOT NULL REFERENCES meetings(id) ON DELETE CASCADE,
+    current_topic TEXT,
+    concepts JSONB DEFAULT '[]',
+    contextual_definitions JSONB DEFAULT '{}',
+    suggested_questions JSONB DEFAULT '[]',
+    potential_actions JSONB DEFAULT '[]',
+    acronyms JSONB DEFAULT '{}',
+    needs_clarification JSONB DEFAULT '[]',
+    latency_ms INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_contextual_insights_meeting
+ON contextual_insights(meeting_id, created_at);
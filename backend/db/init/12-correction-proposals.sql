@@ -0,0 +1,10 @@
+-- Near matches of a global correction (phonetic or close spelling) are proposed
+-- rather than applied. Proposals the user turns down are kept here so the same
+-- text isn't proposed for that correction again.
+CREATE TABLE IF NOT EXISTS correction_match_rejections (
+    id SERIAL PRIMARY KEY,
+    correction_id INTEGER NOT NULL REFERENCES global_corrections(id) ON DELETE CASCADE,
+    variant VARCHAR(255) NOT NULL,
+    rejected_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(correction_id, variant)
+);
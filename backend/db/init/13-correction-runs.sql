@@ -0,0 +1,25 @@
+-- Audit trail for applying global corrections to a stored meeting. Each run keeps
+-- every segment it changed with the text, original_text and corrections that
+-- segment had before, so the run can be undone exactly.
+CREATE TABLE IF NOT EXISTS correction_runs (
+    id SERIAL PRIMARY KEY,
+    meeting_id UUID NOT NULL REFERENCES meetings(id) ON DELETE CASCADE,
+    segment_count INTEGER DEFAULT 0,
+    replacement_count INTEGER DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    undone_at TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS correction_run_segments (
+    id SERIAL PRIMARY KEY,
+    run_id INTEGER NOT NULL REFERENCES correction_runs(id) ON DELETE CASCADE,
+    transcript_id UUID NOT NULL REFERENCES transcripts(id) ON DELETE CASCADE,
+    previous_text TEXT NOT NULL,
+    previous_original_text TEXT,
+    previous_corrections JSONB,
+    corrected_text TEXT NOT NULL,
+    replacements JSONB NOT NULL -- [{ correctionId, original, corrected }] in the order applied
+);
+
+CREATE INDEX IF NOT EXISTS idx_correction_runs_meeting ON correction_runs(meeting_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_correction_run_segments_run ON correction_run_segments(run_id);
@@ -0,0 +1,32 @@
+-- Corrections the user made by hand from the transcript, with the line they
+-- corrected. The suggestion miner learns which terms get misheard from these.
+CREATE TABLE IF NOT EXISTS correction_edits (
+    id SERIAL PRIMARY KEY,
+    original_term VARCHAR(255) NOT NULL,
+    corrected_term VARCHAR(255) NOT NULL,
+    meeting_id UUID REFERENCES meetings(id) ON DELETE SET NULL,
+    context TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Corrections proposed by the background miner from low-confidence words,
+-- near-duplicates of glossary terms and earlier edits. Accepted and rejected
+-- suggestions are kept so the same pair isn't suggested again.
+CREATE TABLE IF NOT EXISTS correction_suggestions (
+    id SERIAL PRIMARY KEY,
+    original_term VARCHAR(255) NOT NULL,
+    corrected_term VARCHAR(255) NOT NULL,
+    score FLOAT NOT NULL,
+    occurrences INTEGER DEFAULT 0,
+    avg_confidence FLOAT,
+    reasons JSONB DEFAULT '[]',
+    status VARCHAR(20) DEFAULT 'pending', -- 'pending', 'accepted' or 'rejected'
+    correction_id INTEGER REFERENCES global_corrections(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_correction_suggestions_pair
+ON correction_suggestions(LOWER(original_term), LOWER(corrected_term));
+CREATE INDEX IF NOT EXISTS idx_correction_suggestions_pending
+ON correction_suggestions(score DESC) WHERE status = 'pending';
@@ -0,0 +1,38 @@
+-- Correction scopes: a correction applies to every meeting, to the meetings of
+-- one project or to a single meeting. For the same original term a meeting's
+-- corrections win over its project's, which win over global ones.
+
+-- Meetings can be tagged with the project or workspace they belong to
+ALTER TABLE meetings
+ADD COLUMN IF NOT EXISTS project VARCHAR(255);
+
+CREATE INDEX IF NOT EXISTS idx_meetings_project ON meetings(LOWER(project));
+
+ALTER TABLE global_corrections
+ADD COLUMN IF NOT EXISTS scope VARCHAR(20) NOT NULL DEFAULT 'global';
+
+ALTER TABLE global_corrections
+ADD COLUMN IF NOT EXISTS project VARCHAR(255);
+
+ALTER TABLE global_corrections
+ADD COLUMN IF NOT EXISTS meeting_id UUID REFERENCES meetings(id) ON DELETE CASCADE;
+
+-- Each scope names exactly what it applies to
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.table_constraints
+        WHERE constraint_name = 'ck_global_corrections_scope'
+    ) THEN
+        ALTER TABLE global_corrections
+        ADD CONSTRAINT ck_global_corrections_scope
+        CHECK (
+            (scope = 'global' AND project IS NULL AND meeting_id IS NULL) OR
+            (scope = 'project' AND project IS NOT NULL AND meeting_id IS NULL) OR
+            (scope = 'meeting' AND meeting_id IS NOT NULL AND project IS NULL)
+        );
+    END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_global_corrections_project ON global_corrections(LOWER(project)) WHERE scope = 'project';
+CREATE INDEX IF NOT EXISTS idx_global_corrections_meeting ON global_corrections(meeting_id) WHERE scope = 'meeting';
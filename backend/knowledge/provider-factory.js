@@ -1,58 +1,60 @@
 const axios = require('axios');
+const apiKeys = require('../services/api-keys');
 
 class KnowledgeProviderFactory {
   constructor() {
     this.providers = new Map();
     this.currentProvider = process.env.KNOWLEDGE_PROVIDER || 'tavily';
     this.initializeProviders();
+    apiKeys.on('change', () => this.reloadProviders());
   }
 
   initializeProviders() {
     // Initialize Tavily
-    if (process.env.TAVILY_API_KEY) {
+    if (apiKeys.get('TAVILY_API_KEY')) {
       this.providers.set('tavily', {
         type: 'tavily',
-        apiKey: process.env.TAVILY_API_KEY,
+        apiKey: apiKeys.get('TAVILY_API_KEY'),
         name: 'Tavily',
         description: 'AI-powered search API optimized for LLMs'
       });
     }
 
     // Initialize Exa.ai
-    if (process.env.EXA_API_KEY) {
+    if (apiKeys.get('EXA_API_KEY')) {
       this.providers.set('exa', {
         type: 'exa',
-        apiKey: process.env.EXA_API_KEY,
+        apiKey: apiKeys.get('EXA_API_KEY'),
         name: 'Exa.ai',
         description: 'Neural search engine for finding similar and relevant content'
       });
     }
 
     // Initialize Perplexity
-    if (process.env.PERPLEXITY_API_KEY) {
+    if (apiKeys.get('PERPLEXITY_API_KEY')) {
       this.providers.set('perplexity', {
         type: 'perplexity',
-        apiKey: process.env.PERPLEXITY_API_KEY,
+        apiKey: apiKeys.get('PERPLEXITY_API_KEY'),
         name: 'Perplexity',
         description: 'AI-powered answer engine with real-time web access'
       });
     }
 
     // Initialize SerpAPI (Google Search)
-    if (process.env.SERPAPI_KEY) {
+    if (apiKeys.get('SERPAPI_KEY')) {
       this.providers.set('serpapi', {
         type: 'serpapi',
-        apiKey: process.env.SERPAPI_KEY,
+        apiKey: apiKeys.get('SERPAPI_KEY'),
         name: 'SerpAPI',
         description: 'Google Search results API'
       });
     }
 
     // Initialize Brave Search
-    if (process.env.BRAVE_API_KEY) {
+    if (apiKeys.get('BRAVE_API_KEY')) {
       this.providers.set('brave', {
         type: 'brave',
-        apiKey: process.env.BRAVE_API_KEY,
+        apiKey: apiKeys.get('BRAVE_API_KEY'),
         name: 'Brave Search',
         description: 'Privacy-focused search API'
       });
@@ -63,6 +65,12 @@ class KnowledgeProviderFactory {
     console.log(`[Knowledge Provider] Active provider: ${this.currentProvider}`);
   }
 
+  // Rebuild provider configs after API keys change; searches pick them up immediately
+  reloadProviders() {
+    this.providers.clear();
+    this.initializeProviders();
+  }
+
   async search(query, options = {}) {
     const provider = this.providers.get(this.currentProvider);
     
@@ -321,24 +329,6 @@ class KnowledgeProviderFactory {
     if (settings.knowledgeProvider && this.providers.has(settings.knowledgeProvider)) {
       this.setProvider(settings.knowledgeProvider);
     }
-    
-    // Update API keys if provided
-    if (settings.tavilyApiKey && settings.tavilyApiKey !== '***configured***') {
-      this.updateProviderKey('tavily', settings.tavilyApiKey);
-    }
-    if (settings.exaApiKey && settings.exaApiKey !== '***configured***') {
-      this.updateProviderKey('exa', settings.exaApiKey);
-    }
-    if (settings.perplexityApiKey && settings.perplexityApiKey !== '***configured***') {
-      this.updateProviderKey('perplexity', settings.perplexityApiKey);
-    }
-  }
-
-  updateProviderKey(providerName, apiKey) {
-    if (this.providers.has(providerName)) {
-      this.providers.get(providerName).apiKey = apiKey;
-      console.log(`[Knowledge Provider] Updated API key for ${providerName}`);
-    }
   }
 }
 
@@ -1,9 +1,9 @@
 const axios = require('axios');
 const Redis = require('ioredis');
+const apiKeys = require('../services/api-keys');
 
 class TavilyService {
   constructor() {
-    this.apiKey = process.env.TAVILY_API_KEY;
     this.apiUrl = 'https://api.tavily.com/search';
     
     // Initialize Redis for caching
@@ -113,7 +113,7 @@ class TavilyService {
       this.lastSearchTime = Date.now();
       
       const response = await axios.post(this.apiUrl, {
-        api_key: this.apiKey,
+        api_key: apiKeys.get('TAVILY_API_KEY'), // Read per search so key updates apply immediately
         query: `define "${term}" technical term meaning`,
         search_depth: 'basic',
         max_results: 3,
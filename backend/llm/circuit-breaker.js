@@ -0,0 +1,59 @@
+// Tracks the health of one LLM provider. After `threshold` consecutive failures the
+// circuit opens and the provider is skipped for `cooldownMs`; then a single trial
+// request is let through, and its result closes the circuit or opens it again.
+class CircuitBreaker {
+  constructor(name, { threshold = 3, cooldownMs = 60000 } = {}) {
+    this.name = name;
+    this.threshold = threshold;
+    this.cooldownMs = cooldownMs;
+    this.state = 'closed'; // 'closed', 'open' or 'half-open'
+    this.failures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+  }
+
+  canRequest() {
+    if (this.state === 'closed') {
+      return true;
+    }
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.cooldownMs) {
+      this.state = 'half-open';
+      console.log(`[LLM Provider] Circuit for ${this.name} half-open, trying one request`);
+      return true;
+    }
+    // Open, or half-open with the trial request still in flight
+    return false;
+  }
+
+  recordSuccess() {
+    if (this.state !== 'closed') {
+      console.log(`[LLM Provider] Circuit for ${this.name} closed`);
+    }
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  recordFailure(error) {
+    this.failures++;
+    this.lastError = error.message;
+
+    if (this.state === 'half-open' || this.failures >= this.threshold) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+      console.warn(`[LLM Provider] Circuit for ${this.name} opened after ${this.failures} failures, skipping for ${this.cooldownMs / 1000}s`);
+    }
+  }
+
+  getStatus() {
+    return {
+      provider: this.name,
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      lastError: this.lastError
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
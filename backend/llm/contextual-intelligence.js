@@ -1,12 +1,14 @@
 const LLMProviderFactory = require('./provider-factory');
+const promptRegistry = require('../services/prompt-registry');
+const { completeStructured, createValidationMetrics } = require('./structured-output');
 
 class ContextualIntelligenceService {
   constructor() {
     this.llmProvider = new LLMProviderFactory();
+    this.promptOverrides = {}; // feature -> prompt used instead of the active version
     
     // Per-meeting context management
     this.meetings = new Map(); // Store data per meetingId
-    this.currentMeetingId = null;
     
     // Sliding windows for different purposes
     this.shortTermWindow = 30000; // 30 seconds for immediate context
@@ -14,7 +16,6 @@ class ContextualIntelligenceService {
     this.longTermWindow = 300000; // 5 minutes for broader context
     
     // Processing intervals
-    this.lastProcessing = 0;
     this.minProcessingInterval = 5000; // Process every 5 seconds
     
     // Performance metrics
@@ -23,43 +24,57 @@ class ContextualIntelligenceService {
       totalLatency: 0,
       averageLatency: 0,
       conceptsIdentified: 0,
-      insightsGenerated: 0
+      insightsGenerated: 0,
+      validation: createValidationMetrics() // Insights responses that were valid, repaired or unusable
     };
   }
   
   /**
-   * Set the current active meeting
+   * Create the context for a meeting if it doesn't exist yet
    */
-  setCurrentMeeting(meetingId) {
-    this.currentMeetingId = meetingId;
+  startMeeting(meetingId) {
     if (!this.meetings.has(meetingId)) {
       this.meetings.set(meetingId, {
         conversationContext: [],
         conceptMap: new Map(),
         meetingGlossary: new Map(),
         topicFlow: [],
-        lastProcessing: 0
+        lastProcessing: 0,
+        usage: new Map() // 'provider/model' -> tokens, for whichever provider served each call
       });
     }
   }
   
   /**
-   * Get meeting data for current meeting
+   * Rebuild a meeting's glossary, topic flow and concept map from its stored
+   * insights (oldest first), e.g. when a live meeting resumes after a restart
    */
-  getMeetingData() {
-    if (!this.currentMeetingId || !this.meetings.has(this.currentMeetingId)) {
+  restoreMeeting(meetingId, history) {
+    this.startMeeting(meetingId);
+    history.forEach(insights => this.updateKnowledgeBase(meetingId, insights, insights.timestamp));
+    
+    if (history.length > 0) {
+      console.log(`[Contextual Intelligence] Restored ${history.length} insights for meeting ${meetingId}`);
+    }
+  }
+  
+  /**
+   * Get meeting data for a meeting
+   */
+  getMeetingData(meetingId) {
+    if (!meetingId || !this.meetings.has(meetingId)) {
       return null;
     }
-    return this.meetings.get(this.currentMeetingId);
+    return this.meetings.get(meetingId);
   }
   
   /**
    * Add transcript to context with timestamp
    */
-  addTranscript(text, timestamp = Date.now()) {
-    const meetingData = this.getMeetingData();
+  addTranscript(meetingId, text, timestamp = Date.now()) {
+    const meetingData = this.getMeetingData(meetingId);
     if (!meetingData) {
-      console.warn('[Contextual Intelligence] No active meeting set');
+      console.warn(`[Contextual Intelligence] No context for meeting ${meetingId}`);
       return;
     }
     
@@ -77,8 +92,8 @@ class ContextualIntelligenceService {
   /**
    * Extract rich contextual information from recent conversation
    */
-  async extractContextualInsights() {
-    const meetingData = this.getMeetingData();
+  async extractContextualInsights(meetingId) {
+    const meetingData = this.getMeetingData(meetingId);
     if (!meetingData) {
       return null;
     }
@@ -93,9 +108,9 @@ class ContextualIntelligenceService {
     
     try {
       // Get different context windows
-      const immediateContext = this.getContextWindow(this.shortTermWindow);
-      const currentTopicContext = this.getContextWindow(this.mediumTermWindow);
-      const broaderContext = this.getContextWindow(this.longTermWindow);
+      const immediateContext = this.getContextWindow(meetingId, this.shortTermWindow);
+      const currentTopicContext = this.getContextWindow(meetingId, this.mediumTermWindow);
+      const broaderContext = this.getContextWindow(meetingId, this.longTermWindow);
       
       // Skip if not enough context
       if (immediateContext.length < 20) {
@@ -104,6 +119,7 @@ class ContextualIntelligenceService {
       
       // Extract comprehensive insights
       const insights = await this.processContext(
+        meetingId,
         immediateContext,
         currentTopicContext,
         broaderContext
@@ -114,6 +130,7 @@ class ContextualIntelligenceService {
       
       return {
         ...insights,
+        meetingId,
         latency,
         timestamp: startTime
       };
@@ -127,66 +144,23 @@ class ContextualIntelligenceService {
   /**
    * Process context to extract insights
    */
-  async processContext(immediate, current, broader) {
-    const prompt = `Analyze this meeting conversation and provide contextual intelligence.
-
-IMMEDIATE CONTEXT (last 30 seconds):
-${immediate}
+  async processContext(meetingId, immediate, current, broader) {
+    const prompt = await promptRegistry.render('insights', { immediate, current }, this.promptOverrides.insights);
 
-CURRENT TOPIC (last 2 minutes):
-${current.slice(-500)}
-
-INSTRUCTIONS:
-1. Extract KEY CONCEPTS as complete thoughts (not just keywords)
-2. Identify the CURRENT TOPIC being discussed
-3. Generate CONTEXTUAL DEFINITIONS based on how terms are used in THIS meeting
-4. Suggest CLARIFYING QUESTIONS the listener might want to ask
-5. Identify potential ACTION ITEMS or decisions
-6. Detect any ACRONYMS or technical terms that need explanation
-
-Output as JSON with this structure:
-{
-  "currentTopic": "Brief description of what's being discussed now",
-  "concepts": [
-    {
-      "concept": "Complete concept or idea",
-      "context": "How it relates to the discussion",
-      "importance": "high|medium|low"
-    }
-  ],
-  "contextualDefinitions": {
-    "term": "Meeting-specific definition based on usage"
-  },
-  "suggestedQuestions": [
-    "Relevant question to better understand the topic"
-  ],
-  "potentialActions": [
-    "Detected action item or decision"
-  ],
-  "acronyms": {
-    "ACRONYM": "Likely expansion based on context"
-  },
-  "needsClarification": [
-    "Topics that seem unclear or contradictory"
-  ]
-}`;
-
-    const response = await this.llmProvider.createCompletion(
-      [
-        { role: 'system', content: 'You are a meeting intelligence assistant providing real-time contextual insights.' },
-        { role: 'user', content: prompt }
-      ],
-      {
+    const { data: insights } = await completeStructured({
+      feature: 'insights',
+      schema: promptRegistry.getSchema('insights'),
+      messages: promptRegistry.toMessages(prompt),
+      metrics: this.metrics.validation,
+      complete: (messages) => this.complete(meetingId, messages, {
         temperature: 0.3,
         maxTokens: 500,
         responseFormat: { type: "json_object" }
-      }
-    );
-    
-    const insights = JSON.parse(response.content);
+      })
+    });
     
     // Update internal knowledge base
-    this.updateKnowledgeBase(insights);
+    this.updateKnowledgeBase(meetingId, insights);
     
     return insights;
   }
@@ -194,8 +168,8 @@ Output as JSON with this structure:
   /**
    * Get context window for specified duration
    */
-  getContextWindow(duration) {
-    const meetingData = this.getMeetingData();
+  getContextWindow(meetingId, duration) {
+    const meetingData = this.getMeetingData(meetingId);
     if (!meetingData) {
       return '';
     }
@@ -210,8 +184,8 @@ Output as JSON with this structure:
   /**
    * Update internal knowledge base with new insights
    */
-  updateKnowledgeBase(insights) {
-    const meetingData = this.getMeetingData();
+  updateKnowledgeBase(meetingId, insights, timestamp = Date.now()) {
+    const meetingData = this.getMeetingData(meetingId);
     if (!meetingData) {
       return;
     }
@@ -221,7 +195,7 @@ Output as JSON with this structure:
       Object.entries(insights.contextualDefinitions).forEach(([term, definition]) => {
         meetingData.meetingGlossary.set(term.toLowerCase(), {
           definition,
-          timestamp: Date.now(),
+          timestamp,
           context: insights.currentTopic
         });
       });
@@ -233,7 +207,7 @@ Output as JSON with this structure:
       if (!lastTopic || lastTopic.topic !== insights.currentTopic) {
         meetingData.topicFlow.push({
           topic: insights.currentTopic,
-          timestamp: Date.now()
+          timestamp
         });
       }
     }
@@ -244,7 +218,7 @@ Output as JSON with this structure:
         const key = concept.concept.toLowerCase();
         if (!meetingData.conceptMap.has(key)) {
           meetingData.conceptMap.set(key, {
-            firstMention: Date.now(),
+            firstMention: timestamp,
             mentions: [],
             relatedConcepts: new Set()
           });
@@ -252,7 +226,7 @@ Output as JSON with this structure:
         
         const entry = meetingData.conceptMap.get(key);
         entry.mentions.push({
-          timestamp: Date.now(),
+          timestamp,
           context: concept.context,
           importance: concept.importance
         });
@@ -268,58 +242,101 @@ Output as JSON with this structure:
   }
   
   /**
-   * Generate talking points based on current context
+   * Split a talking points response into individual points
+   */
+  parseTalkingPoints(text) {
+    return text
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => line.replace(/^\d+\.\s*/, ''));
+  }
+  
+  /**
+   * Run a completion for a meeting, streaming it through onDelta(delta, textSoFar)
+   * if given, and record its usage against the provider that served it
+   */
+  async complete(meetingId, messages, options, onDelta = null) {
+    let response;
+    if (onDelta) {
+      let text = '';
+      response = await this.llmProvider.createCompletionStream(messages, options, (delta) => {
+        text += delta;
+        onDelta(delta, text);
+      });
+    } else {
+      response = await this.llmProvider.createCompletion(messages, options);
+    }
+    
+    this.recordUsage(meetingId, response);
+    return response;
+  }
+  
+  recordUsage(meetingId, response) {
+    const meetingData = this.getMeetingData(meetingId);
+    if (!meetingData) {
+      return;
+    }
+    
+    const key = `${response.provider}/${response.model}`;
+    if (!meetingData.usage.has(key)) {
+      meetingData.usage.set(key, {
+        provider: response.provider,
+        model: response.model,
+        inputTokens: 0,
+        outputTokens: 0,
+        callCount: 0
+      });
+    }
+    
+    const entry = meetingData.usage.get(key);
+    entry.inputTokens += response.usage?.prompt_tokens || 0;
+    entry.outputTokens += response.usage?.completion_tokens || 0;
+    entry.callCount++;
+  }
+  
+  /**
+   * LLM usage for a meeting, one entry per provider and model that served it
    */
-  async generateTalkingPoints(topic, customPrompt = null) {
-    const meetingData = this.getMeetingData();
+  getUsageForMeeting(meetingId) {
+    const meetingData = this.getMeetingData(meetingId);
+    return meetingData ? Array.from(meetingData.usage.values()).map(entry => ({ ...entry })) : [];
+  }
+  
+  /**
+   * Generate talking points based on current context. onDelta, if given, receives
+   * { delta, points } as the response streams in.
+   */
+  async generateTalkingPoints(meetingId, topic, onDelta = null) {
+    const meetingData = this.getMeetingData(meetingId);
     if (!meetingData) {
       return ['No meeting context available'];
     }
     
-    const context = this.getContextWindow(this.mediumTermWindow);
+    const context = this.getContextWindow(meetingId, this.mediumTermWindow);
     const glossary = Array.from(meetingData.meetingGlossary.entries())
       .map(([term, data]) => `${term}: ${data.definition}`)
       .join('\n');
     
-    // Use custom prompt if provided, otherwise use default
-    const defaultPrompt = `Based on this meeting context, generate 3-5 intelligent talking points or questions about "{topic}".
-
-CONTEXT:
-{context}
-
-MEETING GLOSSARY:
-{glossary}
+    const prompt = await promptRegistry.render('talkingPoints', { topic, context, glossary }, this.promptOverrides.talkingPoints);
 
-Generate talking points that show understanding and move the conversation forward.`;
-    
-    // Use custom prompt or default, replacing variables
-    const promptTemplate = customPrompt || defaultPrompt;
-    const prompt = promptTemplate
-      .replace('{topic}', topic)
-      .replace('{context}', context)
-      .replace('{glossary}', glossary);
-
-    const response = await this.llmProvider.createCompletion(
-      [
-        { role: 'user', content: prompt }
-      ],
+    const response = await this.complete(
+      meetingId,
+      promptRegistry.toMessages(prompt),
       {
         temperature: 0.5,
         maxTokens: 200
-      }
+      },
+      onDelta && ((delta, text) => onDelta({ delta, points: this.parseTalkingPoints(text) }))
     );
     
-    return response.content
-      .split('\n')
-      .filter(line => line.trim())
-      .map(line => line.replace(/^\d+\.\s*/, ''));
+    return this.parseTalkingPoints(response.content);
   }
   
   /**
    * Get meeting-specific definition for a term
    */
-  getContextualDefinition(term) {
-    const meetingData = this.getMeetingData();
+  getContextualDefinition(meetingId, term) {
+    const meetingData = this.getMeetingData(meetingId);
     if (!meetingData) {
       return null;
     }
@@ -347,28 +364,26 @@ Generate talking points that show understanding and move the conversation forwar
   }
   
   /**
-   * Get rolling summary of recent discussion
+   * Get rolling summary of recent discussion. onDelta, if given, receives
+   * { delta, summary } as the response streams in.
    */
-  async getRollingSummary(duration = 120000) {
-    const context = this.getContextWindow(duration);
+  async getRollingSummary(meetingId, duration = 120000, onDelta = null) {
+    const context = this.getContextWindow(meetingId, duration);
     
     if (context.length < 50) {
       return null;
     }
     
-    const prompt = `Provide a brief 2-3 sentence summary of this meeting segment:
-${context}
-
-Focus on key points and decisions.`;
+    const prompt = await promptRegistry.render('rollingSummary', { context }, this.promptOverrides.rollingSummary);
 
-    const response = await this.llmProvider.createCompletion(
-      [
-        { role: 'user', content: prompt }
-      ],
+    const response = await this.complete(
+      meetingId,
+      promptRegistry.toMessages(prompt),
       {
         temperature: 0.3,
         maxTokens: 100
-      }
+      },
+      onDelta && ((delta, text) => onDelta({ delta, summary: text }))
     );
     
     return response.content;
@@ -397,10 +412,10 @@ Focus on key points and decisions.`;
   }
   
   /**
-   * Get current metrics
+   * Get service metrics, including per-meeting sizes when a meeting is given
    */
-  getMetrics() {
-    const meetingData = this.getMeetingData();
+  getMetrics(meetingId = null) {
+    const meetingData = this.getMeetingData(meetingId);
     const meetingMetrics = meetingData ? {
       glossarySize: meetingData.meetingGlossary.size,
       conceptsTracked: meetingData.conceptMap.size,
@@ -416,23 +431,24 @@ Focus on key points and decisions.`;
     return {
       ...this.metrics,
       ...meetingMetrics,
-      currentMeetingId: this.currentMeetingId
+      meetingId,
+      activeMeetings: this.meetings.size
     };
   }
   
   /**
-   * Get topic flow for the current meeting
+   * Get topic flow for a meeting
    */
-  getTopicFlow() {
-    const meetingData = this.getMeetingData();
+  getTopicFlow(meetingId) {
+    const meetingData = this.getMeetingData(meetingId);
     return meetingData ? meetingData.topicFlow : [];
   }
   
   /**
-   * Get full meeting glossary for current meeting
+   * Get full meeting glossary for a meeting
    */
-  getMeetingGlossary() {
-    const meetingData = this.getMeetingData();
+  getMeetingGlossary(meetingId) {
+    const meetingData = this.getMeetingData(meetingId);
     if (!meetingData) {
       return [];
     }
@@ -444,16 +460,11 @@ Focus on key points and decisions.`;
   }
   
   /**
-   * Reset for new meeting - creates a new meeting context
+   * Reset a meeting - discards its context and starts a fresh one
    */
   reset(meetingId) {
-    if (meetingId) {
-      this.setCurrentMeeting(meetingId);
-    } else if (this.currentMeetingId) {
-      // Clear current meeting data
-      this.meetings.delete(this.currentMeetingId);
-      this.currentMeetingId = null;
-    }
+    this.meetings.delete(meetingId);
+    this.startMeeting(meetingId);
   }
   
   /**
@@ -462,9 +473,6 @@ Focus on key points and decisions.`;
   clearMeeting(meetingId) {
     if (this.meetings.has(meetingId)) {
       this.meetings.delete(meetingId);
-      if (this.currentMeetingId === meetingId) {
-        this.currentMeetingId = null;
-      }
       console.log(`[Contextual Intelligence] Cleared data for meeting ${meetingId}`);
     }
   }
@@ -1,14 +1,26 @@
 const OpenAI = require('openai');
+const apiKeys = require('../services/api-keys');
+const promptRegistry = require('../services/prompt-registry');
+const { completeStructured, createValidationMetrics } = require('./structured-output');
 
 class GPT4oMiniService {
   constructor() {
     this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
+      apiKey: apiKeys.get('OPENAI_API_KEY'),
     });
     
-    this.extractionWindow = [];
+    // Pick up an OpenAI key saved through Settings without a restart
+    apiKeys.on('change', (changed) => {
+      if (changed.includes('OPENAI_API_KEY')) {
+        this.openai = new OpenAI({ apiKey: apiKeys.get('OPENAI_API_KEY') });
+        console.log('[GPT-4o Mini] Reconnected with updated OpenAI API key');
+      }
+    });
+    
+    // Extraction window and usage are tracked per meeting so concurrent
+    // meetings never share transcript text or costs
+    this.meetings = new Map();
     this.windowDuration = 10000; // 10 second window
-    this.lastExtraction = 0; // Start at 0 to allow immediate first extraction
     this.minExtractionInterval = 3000; // Extract every 3 seconds minimum
     
     this.performanceMetrics = {
@@ -16,117 +28,113 @@ class GPT4oMiniService {
       totalLatency: 0,
       errors: 0,
       lastLatency: 0,
-      averageLatency: 0
-    };
-    
-    this.usageTracking = {
-      totalInputTokens: 0,
-      totalOutputTokens: 0,
-      totalCost: 0,
-      callCount: 0
+      averageLatency: 0,
+      validation: createValidationMetrics() // Responses that were valid, repaired or unusable
     };
-    
-    this.systemPrompt = `You are a meeting intelligence assistant that extracts key technical terms, acronyms, and important concepts from meeting transcripts.
-
-Extract ONLY:
-- Technical terms and jargon
-- Acronyms and abbreviations
-- Product names and features
-- Important concepts being discussed
-- Action items or decisions
-
-Output format: JSON object with a "terms" key containing an array of terms.
-Example: {"terms": ["API", "Kubernetes", "deployment pipeline", "Q4 roadmap"]}
-
-Keep extractions concise - maximum 10 terms per response.`;
   }
   
-  addTranscript(text, timestamp = Date.now()) {
-    this.extractionWindow.push({ text, timestamp });
+  getMeetingState(meetingId) {
+    if (!this.meetings.has(meetingId)) {
+      this.meetings.set(meetingId, {
+        extractionWindow: [],
+        lastExtraction: 0, // Start at 0 to allow immediate first extraction
+        usageTracking: {
+          totalInputTokens: 0,
+          totalOutputTokens: 0,
+          totalCost: 0,
+          callCount: 0
+        }
+      });
+    }
+    return this.meetings.get(meetingId);
+  }
+  
+  addTranscript(meetingId, text, timestamp = Date.now()) {
+    const state = this.getMeetingState(meetingId);
+    state.extractionWindow.push({ text, timestamp });
     
     // Remove old transcripts outside window
     const cutoff = timestamp - this.windowDuration;
-    this.extractionWindow = this.extractionWindow.filter(t => t.timestamp > cutoff);
+    state.extractionWindow = state.extractionWindow.filter(t => t.timestamp > cutoff);
   }
   
-  shouldExtract() {
+  shouldExtract(meetingId) {
+    const state = this.getMeetingState(meetingId);
     const now = Date.now();
-    const timeSinceLastExtraction = now - this.lastExtraction;
-    const hasEnoughText = this.extractionWindow.length >= 2; // At least 2 transcript segments
+    const timeSinceLastExtraction = now - state.lastExtraction;
+    const hasEnoughText = state.extractionWindow.length >= 2; // At least 2 transcript segments
     
-    console.log(`[GPT-4o Mini] Check extraction: segments=${this.extractionWindow.length}, timeSince=${timeSinceLastExtraction}ms, minInterval=${this.minExtractionInterval}ms`);
+    console.log(`[GPT-4o Mini] Check extraction (${meetingId}): segments=${state.extractionWindow.length}, timeSince=${timeSinceLastExtraction}ms, minInterval=${this.minExtractionInterval}ms`);
     
     return timeSinceLastExtraction >= this.minExtractionInterval && hasEnoughText;
   }
   
-  async extractTerms() {
-    if (!this.shouldExtract()) {
+  async extractTerms(meetingId) {
+    if (!this.shouldExtract(meetingId)) {
       return null;
     }
     
+    const state = this.getMeetingState(meetingId);
+    state.lastExtraction = Date.now();
+    
+    // Combine recent transcripts
+    const combinedText = state.extractionWindow
+      .map(t => t.text)
+      .join(' ')
+      .slice(-2000); // Limit to last 2000 chars for token efficiency
+    
+    const extraction = await this.extractTermsFromText(meetingId, combinedText);
+    if (extraction) {
+      // Clear processed transcripts
+      state.extractionWindow = [];
+    }
+    return extraction;
+  }
+  
+  // Extract terms from an arbitrary block of text, bypassing the rolling window.
+  // Usage is still attributed to the meeting.
+  async extractTermsFromText(meetingId, text) {
+    const state = this.getMeetingState(meetingId);
     const startTime = Date.now();
-    this.lastExtraction = startTime;
     
     try {
-      // Combine recent transcripts
-      const combinedText = this.extractionWindow
-        .map(t => t.text)
-        .join(' ')
-        .slice(-2000); // Limit to last 2000 chars for token efficiency
-      
-      if (combinedText.trim().length < 50) {
+      if (text.trim().length < 50) {
         return null; // Not enough meaningful text
       }
       
-      const response = await this.openai.chat.completions.create({
-        model: 'gpt-4o-mini',
-        messages: [
-          { role: 'system', content: this.systemPrompt },
-          { role: 'user', content: `Extract key terms from this transcript segment:\n\n${combinedText}` }
-        ],
-        temperature: 0.3,
-        max_tokens: 150,
-        response_format: { type: "json_object" }
+      const prompt = await promptRegistry.render('termExtraction', { transcript: text });
+      let usage = null;
+      const { data } = await completeStructured({
+        feature: 'termExtraction',
+        schema: promptRegistry.getSchema('termExtraction'),
+        messages: promptRegistry.toMessages(prompt),
+        metrics: this.performanceMetrics.validation,
+        complete: async (messages) => {
+          const response = await this.openai.chat.completions.create({
+            model: 'gpt-4o-mini',
+            messages,
+            temperature: 0.3,
+            max_tokens: 150,
+            response_format: { type: "json_object" }
+          });
+          this.trackUsage(state, response.usage);
+          usage = response.usage;
+          return { content: response.choices[0].message.content };
+        }
       });
       
       const latency = Date.now() - startTime;
       this.updateMetrics(latency, false);
       
-      // Track token usage from response
-      if (response.usage) {
-        this.usageTracking.totalInputTokens += response.usage.prompt_tokens || 0;
-        this.usageTracking.totalOutputTokens += response.usage.completion_tokens || 0;
-        this.usageTracking.callCount += 1;
-        
-        // Calculate cost (we'll update with real pricing periodically)
-        const inputCost = (response.usage.prompt_tokens || 0) * (0.15 / 1000000); // $0.15/1M tokens
-        const outputCost = (response.usage.completion_tokens || 0) * (0.60 / 1000000); // $0.60/1M tokens
-        this.usageTracking.totalCost += inputCost + outputCost;
-        
-        console.log(`[GPT-4o Mini] Tokens: ${response.usage.prompt_tokens} in, ${response.usage.completion_tokens} out, Cost: $${(inputCost + outputCost).toFixed(6)}`);
-      }
+      console.log(`[GPT-4o Mini] Extracted ${data.terms.length} terms in ${latency}ms`);
       
-      try {
-        const content = response.choices[0].message.content;
-        const parsed = JSON.parse(content);
-        const terms = Array.isArray(parsed.terms) ? parsed.terms : 
-                     Array.isArray(parsed) ? parsed : [];
-        
-        console.log(`[GPT-4o Mini] Extracted ${terms.length} terms in ${latency}ms`);
-        
-        // Clear processed transcripts
-        this.extractionWindow = [];
-        
-        return {
-          terms,
-          latency,
-          timestamp: startTime,
-          tokenUsage: response.usage
-        };
-      } catch (parseError) {
-        console.error('[GPT-4o Mini] Failed to parse response:', parseError);
-        return null;
-      }
+      return {
+        meetingId,
+        terms: data.terms,
+        latency,
+        timestamp: startTime,
+        tokenUsage: usage
+      };
       
     } catch (error) {
       const latency = Date.now() - startTime;
@@ -136,6 +144,24 @@ Keep extractions concise - maximum 10 terms per response.`;
     }
   }
   
+  // Track token usage from a response, including repair attempts
+  trackUsage(state, usage) {
+    if (!usage) {
+      return;
+    }
+    
+    state.usageTracking.totalInputTokens += usage.prompt_tokens || 0;
+    state.usageTracking.totalOutputTokens += usage.completion_tokens || 0;
+    state.usageTracking.callCount += 1;
+    
+    // Calculate cost (we'll update with real pricing periodically)
+    const inputCost = (usage.prompt_tokens || 0) * (0.15 / 1000000); // $0.15/1M tokens
+    const outputCost = (usage.completion_tokens || 0) * (0.60 / 1000000); // $0.60/1M tokens
+    state.usageTracking.totalCost += inputCost + outputCost;
+    
+    console.log(`[GPT-4o Mini] Tokens: ${usage.prompt_tokens} in, ${usage.completion_tokens} out, Cost: $${(inputCost + outputCost).toFixed(6)}`);
+  }
+  
   updateMetrics(latency, isError) {
     this.performanceMetrics.totalExtractions++;
     this.performanceMetrics.totalLatency += latency;
@@ -153,36 +179,38 @@ Keep extractions concise - maximum 10 terms per response.`;
     }
   }
   
-  getMetrics() {
-    return {
+  getMetrics(meetingId = null) {
+    const metrics = {
       ...this.performanceMetrics,
-      ...this.usageTracking,
-      windowSize: this.extractionWindow.length,
-      lastExtraction: new Date(this.lastExtraction).toISOString()
+      activeMeetings: this.meetings.size
     };
+    
+    if (meetingId && this.meetings.has(meetingId)) {
+      const state = this.meetings.get(meetingId);
+      Object.assign(metrics, state.usageTracking, {
+        windowSize: state.extractionWindow.length,
+        lastExtraction: new Date(state.lastExtraction).toISOString()
+      });
+    }
+    
+    return metrics;
   }
   
-  getUsageForMeeting() {
+  getUsageForMeeting(meetingId) {
+    const { usageTracking } = this.getMeetingState(meetingId);
     return {
       provider: 'openai',
       model: 'gpt-4o-mini',
-      inputTokens: this.usageTracking.totalInputTokens,
-      outputTokens: this.usageTracking.totalOutputTokens,
-      totalCost: this.usageTracking.totalCost,
-      callCount: this.usageTracking.callCount
+      inputTokens: usageTracking.totalInputTokens,
+      outputTokens: usageTracking.totalOutputTokens,
+      totalCost: usageTracking.totalCost,
+      callCount: usageTracking.callCount
     };
   }
   
-  reset() {
-    this.extractionWindow = [];
-    this.lastExtraction = Date.now();
-    // Reset usage tracking for new meeting
-    this.usageTracking = {
-      totalInputTokens: 0,
-      totalOutputTokens: 0,
-      totalCost: 0,
-      callCount: 0
-    };
+  reset(meetingId) {
+    // Drop the extraction window and usage tracking for this meeting only
+    this.meetings.delete(meetingId);
   }
 }
 
@@ -7,6 +7,11 @@ class ModelRegistry {
   }
 
   async getAvailableModels(provider, apiKey) {
+    // Local servers are cheap to ask and their models change as they're pulled
+    if (provider === 'local') {
+      return this.fetchLocalModels();
+    }
+
     // Check cache first
     const cacheKey = `${provider}_models`;
     const cached = this.modelCache.get(cacheKey);
@@ -207,6 +212,37 @@ class ModelRegistry {
     }
   }
 
+  async fetchLocalModels() {
+    if (!process.env.LOCAL_LLM_URL) {
+      return this.getDefaultModels('local');
+    }
+
+    try {
+      const baseURL = process.env.LOCAL_LLM_URL.replace(/\/+$/, '');
+      const response = await axios.get(`${baseURL}/models`, {
+        headers: process.env.LOCAL_LLM_API_KEY ? { 'Authorization': `Bearer ${process.env.LOCAL_LLM_API_KEY}` } : {},
+        timeout: 5000
+      });
+
+      const models = (response.data.data || [])
+        .map(model => ({
+          value: model.id,
+          label: model.id,
+          capabilities: {
+            maxTokens: model.max_model_len || 4096, // vLLM reports its context length
+            vision: false
+          }
+        }))
+        .sort((a, b) => a.value.localeCompare(b.value));
+
+      console.log(`[ModelRegistry] Found ${models.length} models on local server`);
+      return models.length > 0 ? models : this.getDefaultModels('local');
+    } catch (error) {
+      console.error('[ModelRegistry] Local LLM server error:', error.message);
+      return this.getDefaultModels('local');
+    }
+  }
+
   getDefaultModels(provider) {
     const defaults = {
       openai: [
@@ -226,7 +262,10 @@ class ModelRegistry {
         { value: 'gemini-1.5-pro', label: 'Gemini 1.5 Pro', capabilities: { maxTokens: 8192, vision: true } },
         { value: 'gemini-1.5-flash', label: 'Gemini 1.5 Flash (Fast)', capabilities: { maxTokens: 8192, vision: true } },
         { value: 'gemini-pro', label: 'Gemini Pro', capabilities: { maxTokens: 8192, vision: false } }
-      ]
+      ],
+      local: process.env.LOCAL_LLM_MODEL
+        ? [{ value: process.env.LOCAL_LLM_MODEL, label: process.env.LOCAL_LLM_MODEL, capabilities: { maxTokens: 4096, vision: false } }]
+        : []
     };
     
     return defaults[provider] || [];
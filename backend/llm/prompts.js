@@ -0,0 +1,443 @@
+// Built-in prompts for every LLM feature. They are version 0 in the prompt registry:
+// used until a stored version is activated, and always available to revert to.
+//
+// {name} placeholders are filled in when a prompt is rendered. Each feature declares
+// the variables it provides - required ones must appear in the prompt, and maxLength
+// trims long values (keepEnd keeps the most recent text). Options are the completion
+// settings the feature runs with, so previews behave like the real thing. JSON
+// features declare the schema their output is validated against (see
+// structured-output.js); it describes what the code reads, so prompt versions can
+// reword the instructions but must keep the shape.
+
+const stringList = { type: 'array', items: { type: 'string' } };
+const level = { type: 'string', enum: ['high', 'medium', 'low'] };
+const stringMap = { type: 'object', additionalProperties: { type: 'string' } };
+
+// An object with a required list of `itemProperties` objects under `listKey`, plus
+// optional lists of strings
+function listSchema(listKey, itemProperties, requiredItemKey, stringLists = []) {
+  return {
+    type: 'object',
+    required: [listKey],
+    properties: {
+      [listKey]: {
+        type: 'array',
+        items: { type: 'object', required: [requiredItemKey], properties: itemProperties }
+      },
+      ...Object.fromEntries(stringLists.map(key => [key, stringList]))
+    }
+  };
+}
+
+const PROMPT_FEATURES = {
+  insights: {
+    name: 'Contextual insights',
+    description: 'Live concepts, definitions, questions and actions while the meeting runs',
+    variables: {
+      immediate: { description: 'Last 30 seconds of conversation', required: true },
+      current: { description: 'Last 2 minutes of conversation', maxLength: 500, keepEnd: true }
+    },
+    options: { temperature: 0.3, maxTokens: 500, json: true },
+    schema: {
+      type: 'object',
+      required: ['currentTopic', 'concepts'],
+      properties: {
+        currentTopic: { type: 'string' },
+        concepts: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['concept'],
+            properties: { concept: { type: 'string' }, context: { type: 'string' }, importance: level }
+          }
+        },
+        contextualDefinitions: stringMap,
+        suggestedQuestions: stringList,
+        potentialActions: stringList,
+        acronyms: stringMap,
+        needsClarification: stringList
+      }
+    },
+    system: 'You are a meeting intelligence assistant providing real-time contextual insights.',
+    user: `Analyze this meeting conversation and provide contextual intelligence.
+
+IMMEDIATE CONTEXT (last 30 seconds):
+{immediate}
+
+CURRENT TOPIC (last 2 minutes):
+{current}
+
+INSTRUCTIONS:
+1. Extract KEY CONCEPTS as complete thoughts (not just keywords)
+2. Identify the CURRENT TOPIC being discussed
+3. Generate CONTEXTUAL DEFINITIONS based on how terms are used in THIS meeting
+4. Suggest CLARIFYING QUESTIONS the listener might want to ask
+5. Identify potential ACTION ITEMS or decisions
+6. Detect any ACRONYMS or technical terms that need explanation
+
+Output as JSON with this structure:
+{
+  "currentTopic": "Brief description of what's being discussed now",
+  "concepts": [
+    {
+      "concept": "Complete concept or idea",
+      "context": "How it relates to the discussion",
+      "importance": "high|medium|low"
+    }
+  ],
+  "contextualDefinitions": {
+    "term": "Meeting-specific definition based on usage"
+  },
+  "suggestedQuestions": [
+    "Relevant question to better understand the topic"
+  ],
+  "potentialActions": [
+    "Detected action item or decision"
+  ],
+  "acronyms": {
+    "ACRONYM": "Likely expansion based on context"
+  },
+  "needsClarification": [
+    "Topics that seem unclear or contradictory"
+  ]
+}`
+  },
+  termExtraction: {
+    name: 'Term extraction',
+    description: 'Key terms and acronyms pulled from the live transcript for definitions',
+    variables: {
+      transcript: { description: 'Recent transcript text', required: true }
+    },
+    options: { temperature: 0.3, maxTokens: 150, json: true },
+    schema: { type: 'object', required: ['terms'], properties: { terms: stringList } },
+    system: `You are a meeting intelligence assistant that extracts key technical terms, acronyms, and important concepts from meeting transcripts.
+
+Extract ONLY:
+- Technical terms and jargon
+- Acronyms and abbreviations
+- Product names and features
+- Important concepts being discussed
+- Action items or decisions
+
+Output format: JSON object with a "terms" key containing an array of terms.
+Example: {"terms": ["API", "Kubernetes", "deployment pipeline", "Q4 roadmap"]}
+
+Keep extractions concise - maximum 10 terms per response.`,
+    user: `Extract key terms from this transcript segment:
+
+{transcript}`
+  },
+  talkingPoints: {
+    name: 'Talking points',
+    description: 'Talking points and questions about a topic, on request',
+    variables: {
+      topic: { description: 'Topic the talking points are about', required: true },
+      context: { description: 'Last 2 minutes of conversation' },
+      glossary: { description: 'Meeting glossary, one term: definition per line' }
+    },
+    options: { temperature: 0.5, maxTokens: 200 },
+    system: null,
+    user: `Based on this meeting context, generate 3-5 intelligent talking points or questions about "{topic}".
+
+CONTEXT:
+{context}
+
+MEETING GLOSSARY:
+{glossary}
+
+Generate talking points that show understanding and move the conversation forward.`
+  },
+  rollingSummary: {
+    name: 'Rolling summary',
+    description: 'Short summary of the last few minutes, on request',
+    variables: {
+      context: { description: 'Recent conversation', required: true }
+    },
+    options: { temperature: 0.3, maxTokens: 100 },
+    system: null,
+    user: `Provide a brief 2-3 sentence summary of this meeting segment:
+{context}
+
+Focus on key points and decisions.`
+  },
+  topics: {
+    name: 'Topics',
+    description: 'Main discussion topics and themes for the meeting report',
+    variables: {
+      transcript: { description: 'Full meeting transcript', required: true, maxLength: 6000 }
+    },
+    options: { temperature: 0.2, maxTokens: 800, json: true },
+    schema: listSchema('mainTopics', {
+      topic: { type: 'string' },
+      description: { type: 'string' },
+      importance: level,
+      timeSpent: { type: 'string' }
+    }, 'topic', ['themeClusters', 'underlyingConcerns']),
+    system: `You are a topic identification expert. Extract the main discussion topics from this meeting transcript.
+
+Focus on:
+1. Primary subjects discussed at length
+2. Key themes and concepts
+3. Problem areas or challenges mentioned
+4. Solutions or approaches discussed
+
+Output as JSON only:
+{
+  "mainTopics": [
+    {
+      "topic": "Topic name",
+      "description": "Brief description",
+      "importance": "high|medium|low",
+      "timeSpent": "estimated discussion duration"
+    }
+  ],
+  "themeClusters": ["theme1", "theme2"],
+  "underlyingConcerns": ["concern1", "concern2"]
+}`,
+    user: `Meeting transcript to analyze:
+
+{transcript}
+
+Extract the main topics discussed in this meeting.`
+  },
+  decisions: {
+    name: 'Decisions',
+    description: 'Decisions, consensus and pending decisions for the meeting report',
+    variables: {
+      transcript: { description: 'Full meeting transcript', required: true }
+    },
+    options: { temperature: 0.2, maxTokens: 800, json: true },
+    schema: listSchema('decisions', {
+      decision: { type: 'string' },
+      context: { type: 'string' },
+      impact: { type: 'string' },
+      confidence: level
+    }, 'decision', ['consensus', 'pendingDecisions']),
+    system: `You are a decision tracking expert. Identify all decisions made during this meeting.
+
+Focus on:
+1. Explicit decisions ("we decided to...", "let's go with...")
+2. Implicit agreements and consensus
+3. Policy changes or new directions
+4. Resource allocations or assignments
+
+Output as JSON only:
+{
+  "decisions": [
+    {
+      "decision": "What was decided",
+      "context": "Why this decision was made",
+      "impact": "Expected impact or consequence",
+      "confidence": "high|medium|low"
+    }
+  ],
+  "consensus": ["Items where group agreed"],
+  "pendingDecisions": ["Items needing future decision"]
+}`,
+    user: `Meeting transcript to analyze for decisions:
+
+{transcript}
+
+Extract all decisions made during this meeting.`
+  },
+  actionItems: {
+    name: 'Action items',
+    description: 'Action items, follow-ups and dependencies for the meeting report',
+    variables: {
+      transcript: { description: 'Full meeting transcript', required: true }
+    },
+    options: { temperature: 0.2, maxTokens: 800, json: true },
+    schema: listSchema('actionItems', {
+      action: { type: 'string' },
+      owner: { type: ['string', 'null'] },
+      deadline: { type: ['string', 'null'] },
+      priority: level
+    }, 'action', ['followUps', 'dependencies']),
+    system: `You are an action item tracking expert. Identify all action items and next steps from this meeting.
+
+Focus on:
+1. Explicit action items ("John will...", "we need to...")
+2. Implicit tasks and follow-ups
+3. Deadlines and timelines
+4. Responsibilities and ownership
+
+Output as JSON only:
+{
+  "actionItems": [
+    {
+      "action": "What needs to be done",
+      "owner": "Who is responsible (if mentioned)",
+      "deadline": "When it's due (if mentioned)",
+      "priority": "high|medium|low"
+    }
+  ],
+  "followUps": ["Items needing follow-up"],
+  "dependencies": ["Items that depend on other actions"]
+}`,
+    user: `Meeting transcript to analyze for action items:
+
+{transcript}
+
+Extract all action items and next steps from this meeting.`
+  },
+  questions: {
+    name: 'Questions',
+    description: 'Questions raised and answered for the meeting report',
+    variables: {
+      transcript: { description: 'Full meeting transcript', required: true, maxLength: 5000 }
+    },
+    options: { temperature: 0.2, maxTokens: 800, json: true },
+    schema: listSchema('questionsAnswered', {
+      question: { type: 'string' },
+      answer: { type: 'string' },
+      asker: { type: ['string', 'null'] }
+    }, 'question', ['openQuestions', 'clarifications']),
+    system: `You are a Q&A tracking expert. Identify questions raised and answered during this meeting.
+
+Focus on:
+1. Direct questions asked by participants
+2. Questions answered or addressed
+3. Open questions needing follow-up
+4. Clarifications requested
+
+Output as JSON only:
+{
+  "questionsAnswered": [
+    {
+      "question": "What was asked",
+      "answer": "How it was answered",
+      "asker": "Who asked (if clear)"
+    }
+  ],
+  "openQuestions": ["Questions that remain unanswered"],
+  "clarifications": ["Items needing clarification"]
+}`,
+    user: `Meeting transcript to analyze for questions and answers:
+
+{transcript}
+
+Extract questions raised and answered in this meeting.`
+  },
+  announcements: {
+    name: 'Announcements',
+    description: 'Announcements and updates for the meeting report',
+    variables: {
+      transcript: { description: 'Full meeting transcript', required: true, maxLength: 5000 }
+    },
+    options: { temperature: 0.2, maxTokens: 800, json: true },
+    schema: listSchema('announcements', {
+      announcement: { type: 'string' },
+      category: { type: 'string', enum: ['news', 'policy', 'status', 'notification'] },
+      importance: level
+    }, 'announcement', ['updates', 'changes']),
+    system: `You are an announcement tracking expert. Identify announcements and updates shared during this meeting.
+
+Focus on:
+1. News and updates shared
+2. Policy or process changes
+3. Important notifications
+4. Status updates on projects
+
+Output as JSON only:
+{
+  "announcements": [
+    {
+      "announcement": "What was announced",
+      "category": "news|policy|status|notification",
+      "importance": "high|medium|low"
+    }
+  ],
+  "updates": ["Project or status updates"],
+  "changes": ["Policy or process changes"]
+}`,
+    user: `Meeting transcript to analyze for announcements:
+
+{transcript}
+
+Extract announcements and updates from this meeting.`
+  },
+  technicalConcepts: {
+    name: 'Technical concepts',
+    description: 'Technical concepts and explanations for the meeting report',
+    variables: {
+      terms: { description: 'Most frequent extracted terms, comma separated' },
+      transcript: { description: 'Full meeting transcript', required: true, maxLength: 5000 }
+    },
+    options: { temperature: 0.2, maxTokens: 800, json: true },
+    schema: listSchema('technicalConcepts', {
+      concept: { type: 'string' },
+      explanation: { type: 'string' },
+      complexity: level,
+      relevance: { type: 'string', enum: ['central', 'supporting', 'mentioned'] }
+    }, 'concept', ['technicalSolutions', 'systemsDiscussed']),
+    system: `You are a technical concept expert. Identify and explain technical concepts discussed in this meeting.
+
+Focus on:
+1. Technical terms and their usage context
+2. Complex concepts that were explained
+3. Technical solutions or approaches
+4. System or process descriptions
+
+Output as JSON only:
+{
+  "technicalConcepts": [
+    {
+      "concept": "Technical term or concept",
+      "explanation": "How it was explained or used",
+      "complexity": "high|medium|low",
+      "relevance": "central|supporting|mentioned"
+    }
+  ],
+  "technicalSolutions": ["Solutions discussed"],
+  "systemsDiscussed": ["Systems or processes mentioned"]
+}`,
+    user: `Meeting transcript to analyze for technical concepts:
+
+Key terms identified: {terms}
+
+{transcript}
+
+Extract technical concepts and their explanations from this meeting.`
+  },
+  timeline: {
+    name: 'Timeline',
+    description: 'Deadlines, milestones and time references for the meeting report',
+    variables: {
+      transcript: { description: 'Full meeting transcript', required: true, maxLength: 4000 }
+    },
+    options: { temperature: 0.2, maxTokens: 800, json: true },
+    schema: listSchema('deadlines', {
+      item: { type: 'string' },
+      date: { type: ['string', 'null'] },
+      urgency: level
+    }, 'item', ['milestones', 'timeReferences', 'chronology']),
+    system: `You are a timeline expert. Identify time-related elements and create a chronological understanding of this meeting.
+
+Focus on:
+1. Deadlines and due dates mentioned
+2. Project timelines and milestones
+3. Historical references
+4. Future planning elements
+
+Output as JSON only:
+{
+  "deadlines": [
+    {
+      "item": "What has a deadline",
+      "date": "When it's due (if specified)",
+      "urgency": "high|medium|low"
+    }
+  ],
+  "milestones": ["Project milestones mentioned"],
+  "timeReferences": ["Past, present, future references"],
+  "chronology": ["Sequence of events discussed"]
+}`,
+    user: `Meeting transcript to analyze for timeline elements:
+
+{transcript}
+
+Extract timeline and temporal elements from this meeting.`
+  }
+};
+
+module.exports = { PROMPT_FEATURES };
@@ -1,27 +1,78 @@
 const OpenAI = require('openai');
 const { GoogleGenerativeAI } = require('@google/generative-ai');
+const apiKeys = require('../services/api-keys');
+const CircuitBreaker = require('./circuit-breaker');
+
+const MAX_RETRIES = 2;
+const RETRY_BASE_DELAY_MS = 500;
+const MAX_RETRY_DELAY_MS = 10000;
+
+// Failures to reach a provider at all: dropped or refused connections, DNS
+// lookups and timeouts, as raised by Node, fetch (undici) and the SDKs
+const NETWORK_ERROR_CODES = new Set([
+  'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE',
+  'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT', 'UND_ERR_BODY_TIMEOUT'
+]);
+const NETWORK_ERROR_NAMES = new Set(['APIConnectionError', 'APIConnectionTimeoutError', 'TimeoutError']);
+
+// The fallback chain and provider health are shared by every factory in the process:
+// a provider that is down or rate-limited is down for every service using it
+let fallbackProviders = parseProviderList(process.env.LLM_FALLBACK_PROVIDERS);
+const circuitBreakers = new Map();
+
+function parseProviderList(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return [...new Set(list.map(name => String(name).trim()).filter(Boolean))];
+}
+
+// @google/generative-ai wraps every failed fetch (DNS, reset, timeout) in a bare
+// GoogleGenerativeAIError with no status, code or cause. Its subclasses are HTTP
+// errors, bad input and bad responses.
+function isGeminiFetchFailure(error) {
+  return error.constructor?.name === 'GoogleGenerativeAIError' && /Error fetching from/.test(error.message);
+}
+
+function getCircuitBreaker(name) {
+  if (!circuitBreakers.has(name)) {
+    circuitBreakers.set(name, new CircuitBreaker(name));
+  }
+  return circuitBreakers.get(name);
+}
 
 class LLMProviderFactory {
   constructor() {
     this.providers = new Map();
     this.currentProvider = null;
     this.currentModel = null;
+    this.noJsonModeModels = new Set(); // Local models that rejected response_format
+    this.noStreamUsageModels = new Set(); // Local models that rejected stream_options
     this.settings = {
       llmProvider: process.env.LLM_PROVIDER || 'openai',
       llmModel: process.env.LLM_MODEL || 'gpt-4o-mini',
-      openaiApiKey: process.env.OPENAI_API_KEY,
-      anthropicApiKey: process.env.ANTHROPIC_API_KEY,
-      geminiApiKey: process.env.GEMINI_API_KEY
+      openaiApiKey: apiKeys.get('OPENAI_API_KEY'),
+      anthropicApiKey: apiKeys.get('ANTHROPIC_API_KEY'),
+      geminiApiKey: apiKeys.get('GEMINI_API_KEY')
     };
     
     this.initializeProviders();
+    this.onKeysChanged = () => this.reloadProviders();
+    apiKeys.on('change', this.onKeysChanged);
+  }
+
+  // Stop following key changes; for short-lived factories
+  dispose() {
+    apiKeys.off('change', this.onKeysChanged);
   }
 
   initializeProviders() {
+    this.providers.clear();
+
+    // Retries are handled by runWithFailover, so the SDKs' own are turned off
+
     // Initialize OpenAI if API key is available
     if (this.settings.openaiApiKey) {
       this.providers.set('openai', {
-        client: new OpenAI({ apiKey: this.settings.openaiApiKey }),
+        client: new OpenAI({ apiKey: this.settings.openaiApiKey, maxRetries: 0 }),
         type: 'openai'
       });
     }
@@ -31,7 +82,7 @@ class LLMProviderFactory {
       try {
         const Anthropic = require('@anthropic-ai/sdk');
         this.providers.set('anthropic', {
-          client: new Anthropic({ apiKey: this.settings.anthropicApiKey }),
+          client: new Anthropic({ apiKey: this.settings.anthropicApiKey, maxRetries: 0 }),
           type: 'anthropic'
         });
       } catch (e) {
@@ -39,6 +90,18 @@ class LLMProviderFactory {
       }
     }
 
+    // Initialize a local/self-hosted OpenAI-compatible server if one is configured
+    if (process.env.LOCAL_LLM_URL) {
+      this.providers.set('local', {
+        client: new OpenAI({
+          apiKey: process.env.LOCAL_LLM_API_KEY || 'not-needed', // Most local servers don't check it
+          baseURL: process.env.LOCAL_LLM_URL.replace(/\/+$/, ''),
+          maxRetries: 0
+        }),
+        type: 'local'
+      });
+    }
+
     // Initialize Google Gemini if API key is available
     if (this.settings.geminiApiKey) {
       try {
@@ -55,6 +118,14 @@ class LLMProviderFactory {
     this.setProvider(this.settings.llmProvider, this.settings.llmModel);
   }
 
+  // Rebuild clients with the latest API keys, keeping the selected provider and model
+  reloadProviders() {
+    this.settings.openaiApiKey = apiKeys.get('OPENAI_API_KEY');
+    this.settings.anthropicApiKey = apiKeys.get('ANTHROPIC_API_KEY');
+    this.settings.geminiApiKey = apiKeys.get('GEMINI_API_KEY');
+    this.initializeProviders();
+  }
+
   updateSettings(newSettings) {
     let needsReinit = false;
 
@@ -108,40 +179,150 @@ class LLMProviderFactory {
     const defaults = {
       openai: 'gpt-4o-mini',
       anthropic: 'claude-3-5-sonnet-20241022',
-      gemini: 'gemini-1.5-flash'
+      gemini: 'gemini-1.5-flash',
+      local: process.env.LOCAL_LLM_MODEL || 'llama3.1'
     };
     return defaults[provider] || 'gpt-4o-mini';
   }
 
-  async createCompletion(messages, options = {}) {
-    const provider = this.providers.get(this.currentProvider);
-    if (!provider) {
+  /**
+   * Providers to try in order: the selected provider and model, then the configured
+   * fallbacks (with their default models) that have clients
+   */
+  getProviderChain() {
+    const chain = [{ name: this.currentProvider, model: this.currentModel }];
+    fallbackProviders
+      .filter(name => name !== this.currentProvider && this.providers.has(name))
+      .forEach(name => chain.push({ name, model: this.getDefaultModel(name) }));
+    return chain.filter(({ name }) => this.providers.has(name));
+  }
+
+  /**
+   * Run a request against each provider in the chain until one succeeds, retrying
+   * transient errors with backoff and skipping providers whose circuit is open.
+   * canContinue() returning false stops retries and failover (e.g. once a stream
+   * has started). The response records which provider and model served it.
+   */
+  async runWithFailover(request, canContinue = () => true) {
+    const chain = this.getProviderChain();
+    if (chain.length === 0) {
       throw new Error(`Provider ${this.currentProvider} not initialized`);
     }
 
-    try {
+    let lastError = null;
+    for (const { name, model } of chain) {
+      const breaker = getCircuitBreaker(name);
+      if (!breaker.canRequest()) {
+        console.warn(`[LLM Provider] Skipping ${name} - circuit open`);
+        continue;
+      }
+
+      try {
+        const response = await this.withRetries(name, () => request(this.providers.get(name), model), canContinue);
+        breaker.recordSuccess();
+        if (name !== this.currentProvider) {
+          console.warn(`[LLM Provider] Request served by fallback provider ${name} (${model})`);
+        }
+        // Attributed to the configured model name, which is what pricing is keyed by
+        return { ...response, provider: name, model };
+      } catch (error) {
+        lastError = error;
+        console.error(`[LLM Provider] Error with ${name}:`, error.message);
+        // Anything that isn't a provider response or a network failure is a bug on
+        // our side, e.g. building the request or reading the response. Another
+        // provider won't fix it and this one isn't to blame.
+        if (!error.status && !this.isNetworkError(error)) {
+          throw error;
+        }
+        if (this.isProviderFailure(error)) {
+          breaker.recordFailure(error);
+        } else {
+          // The request itself was rejected; the provider is still healthy
+          breaker.recordSuccess();
+        }
+        if (!canContinue()) {
+          throw error;
+        }
+      }
+    }
+
+    throw lastError || new Error('No LLM provider available - every provider circuit is open');
+  }
+
+  async withRetries(name, attempt, canContinue) {
+    for (let retry = 0; ; retry++) {
+      try {
+        return await attempt();
+      } catch (error) {
+        if (retry >= MAX_RETRIES || !this.isRetryable(error) || !canContinue()) {
+          throw error;
+        }
+
+        const delay = this.getRetryDelay(error, retry);
+        console.warn(`[LLM Provider] ${name} request failed (${error.status || error.code || error.message}), retrying in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  // Rate limits, timeouts, server errors and dropped connections are worth retrying
+  isRetryable(error) {
+    if (!error.status) {
+      return this.isNetworkError(error);
+    }
+    return error.status === 408 || error.status === 409 || error.status === 429 || error.status >= 500;
+  }
+
+  // fetch wraps the socket error as the cause of a generic TypeError, so look down the chain
+  isNetworkError(error) {
+    for (let cause = error, depth = 0; cause && depth < 5; cause = cause.cause, depth++) {
+      if (NETWORK_ERROR_CODES.has(cause.code) || NETWORK_ERROR_NAMES.has(cause.name) ||
+          NETWORK_ERROR_NAMES.has(cause.constructor && cause.constructor.name) ||
+          isGeminiFetchFailure(cause)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // Errors that say the provider is unhealthy or unusable, as opposed to a bad request
+  isProviderFailure(error) {
+    return this.isRetryable(error) || error.status === 401 || error.status === 403;
+  }
+
+  getRetryDelay(error, retry) {
+    // Honour the provider's Retry-After when it gives one
+    const retryAfter = parseFloat(error.headers?.['retry-after']);
+    if (!isNaN(retryAfter)) {
+      return Math.min(retryAfter * 1000, MAX_RETRY_DELAY_MS);
+    }
+    return Math.min(RETRY_BASE_DELAY_MS * 2 ** retry + Math.random() * RETRY_BASE_DELAY_MS, MAX_RETRY_DELAY_MS);
+  }
+
+  async createCompletion(messages, options = {}) {
+    return this.runWithFailover((provider, model) => {
       switch (provider.type) {
         case 'openai':
-          return await this.createOpenAICompletion(provider.client, messages, options);
+          return this.createOpenAICompletion(provider.client, model, messages, options);
         
         case 'anthropic':
-          return await this.createAnthropicCompletion(provider.client, messages, options);
+          return this.createAnthropicCompletion(provider.client, model, messages, options);
         
         case 'gemini':
-          return await this.createGeminiCompletion(provider.client, messages, options);
+          return this.createGeminiCompletion(provider.client, model, messages, options);
+        
+        case 'local':
+          return this.createLocalCompletion(provider.client, model, messages, options);
         
         default:
           throw new Error(`Unknown provider type: ${provider.type}`);
       }
-    } catch (error) {
-      console.error(`[LLM Provider] Error with ${this.currentProvider}:`, error.message);
-      throw error;
-    }
+    });
   }
 
-  async createOpenAICompletion(client, messages, options) {
+  async createOpenAICompletion(client, model, messages, options) {
     const response = await client.chat.completions.create({
-      model: this.currentModel,
+      model,
       messages: messages,
       temperature: options.temperature || 0.3,
       max_tokens: options.maxTokens || 500,
@@ -155,38 +336,13 @@ class LLMProviderFactory {
     };
   }
 
-  async createAnthropicCompletion(client, messages, options) {
-    // Convert OpenAI format to Anthropic format
-    const systemMessage = messages.find(m => m.role === 'system');
-    const userMessages = messages.filter(m => m.role !== 'system');
-    
-    // Anthropic expects alternating user/assistant messages
-    const anthropicMessages = userMessages.map(msg => ({
-      role: msg.role === 'user' ? 'user' : 'assistant',
-      content: msg.content
-    }));
-
-    const response = await client.messages.create({
-      model: this.currentModel,
-      messages: anthropicMessages,
-      system: systemMessage ? systemMessage.content : undefined,
-      temperature: options.temperature || 0.3,
-      max_tokens: options.maxTokens || 500
-    });
+  async createAnthropicCompletion(client, model, messages, options) {
+    const response = await client.messages.create(this.toAnthropicRequest(model, messages, options));
 
     // Parse JSON if response format is JSON
     let content = response.content[0].text;
     if (options.responseFormat && options.responseFormat.type === 'json_object') {
-      try {
-        // Ensure the response is valid JSON
-        JSON.parse(content);
-      } catch (e) {
-        // If not valid JSON, try to extract JSON from the response
-        const jsonMatch = content.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-          content = jsonMatch[0];
-        }
-      }
+      content = this.extractJson(content);
     }
 
     return {
@@ -200,11 +356,105 @@ class LLMProviderFactory {
     };
   }
 
-  async createGeminiCompletion(client, messages, options) {
+  async createGeminiCompletion(client, model, messages, options) {
     // Get the appropriate model
-    const model = client.getGenerativeModel({ model: this.currentModel });
+    const generativeModel = client.getGenerativeModel({ model });
+
+    const result = await generativeModel.generateContent(this.toGeminiRequest(messages, options));
+
+    const response = await result.response;
+    let content = response.text();
+
+    // Parse JSON if response format is JSON
+    if (options.responseFormat && options.responseFormat.type === 'json_object') {
+      content = this.extractJson(content);
+    }
+
+    return {
+      content: content,
+      usage: {
+        prompt_tokens: response.usageMetadata?.promptTokenCount || 0,
+        completion_tokens: response.usageMetadata?.candidatesTokenCount || 0,
+        total_tokens: response.usageMetadata?.totalTokenCount || 0
+      },
+      model
+    };
+  }
+
+  /**
+   * OpenAI-compatible servers differ in response_format support. If the model rejects
+   * it, ask for JSON in the prompt instead and stop sending it to that model.
+   */
+  async createLocalCompletion(client, model, messages, options) {
+    const wantsJson = options.responseFormat && options.responseFormat.type === 'json_object';
+
+    if (!wantsJson || !this.noJsonModeModels.has(model)) {
+      try {
+        const response = await this.createOpenAICompletion(client, model, messages, options);
+        // Servers that ignore response_format often wrap JSON in prose or code fences
+        return wantsJson ? { ...response, content: this.extractJson(response.content) } : response;
+      } catch (error) {
+        if (!wantsJson || !this.isUnsupportedJsonMode(error)) {
+          throw error;
+        }
+        console.warn(`[LLM Provider] ${model} rejected response_format, asking for JSON in the prompt instead`);
+        this.noJsonModeModels.add(model);
+      }
+    }
+
+    const response = await this.createOpenAICompletion(client, model, this.withJsonInstruction(messages), {
+      ...options,
+      responseFormat: undefined
+    });
+    return { ...response, content: this.extractJson(response.content) };
+  }
+
+  isUnsupportedJsonMode(error) {
+    return error.status === 400 || error.status === 422 || /response_format|json/i.test(error.message || '');
+  }
+
+  withJsonInstruction(messages) {
+    const instruction = 'Respond with valid JSON only, with no other text.';
+    const system = messages.find(m => m.role === 'system');
+    if (system) {
+      return messages.map(m => m === system ? { ...m, content: `${m.content}\n\n${instruction}` } : m);
+    }
+    return [{ role: 'system', content: instruction }, ...messages];
+  }
+
+  // Ensure a JSON response is valid JSON, extracting the object from any surrounding text
+  extractJson(content) {
+    try {
+      JSON.parse(content);
+      return content;
+    } catch {
+      const jsonMatch = content.match(/\{[\s\S]*\}/);
+      return jsonMatch ? jsonMatch[0] : content;
+    }
+  }
+
+  // Convert OpenAI format to Anthropic format
+  toAnthropicRequest(model, messages, options) {
+    const systemMessage = messages.find(m => m.role === 'system');
+    const userMessages = messages.filter(m => m.role !== 'system');
     
-    // Convert OpenAI format to Gemini format
+    // Anthropic expects alternating user/assistant messages
+    const anthropicMessages = userMessages.map(msg => ({
+      role: msg.role === 'user' ? 'user' : 'assistant',
+      content: msg.content
+    }));
+
+    return {
+      model,
+      messages: anthropicMessages,
+      system: systemMessage ? systemMessage.content : undefined,
+      temperature: options.temperature || 0.3,
+      max_tokens: options.maxTokens || 500
+    };
+  }
+
+  // Convert OpenAI format to Gemini format
+  toGeminiRequest(messages, options) {
     const systemMessage = messages.find(m => m.role === 'system');
     const userMessages = messages.filter(m => m.role !== 'system');
     
@@ -227,7 +477,7 @@ class LLMProviderFactory {
       prompt += '\nPlease respond with valid JSON only.';
     }
 
-    const result = await model.generateContent({
+    return {
       contents: [{ role: 'user', parts: [{ text: prompt }] }],
       generationConfig: {
         temperature: options.temperature || 0.3,
@@ -235,33 +485,173 @@ class LLMProviderFactory {
         topP: 0.8,
         topK: 40
       }
+    };
+  }
+
+  /**
+   * Like createCompletion, but calls onDelta with each piece of text as it arrives.
+   * Resolves to the same { content, usage, model } once the response is complete.
+   */
+  async createCompletionStream(messages, options = {}, onDelta = () => {}) {
+    // Once text has reached the caller, retrying or failing over would repeat it
+    let started = false;
+    const forward = (delta) => {
+      started = true;
+      onDelta(delta);
+    };
+
+    return this.runWithFailover((provider, model) => {
+      switch (provider.type) {
+        case 'openai':
+          return this.streamOpenAICompletion(provider.client, model, messages, options, forward);
+        
+        case 'local':
+          return this.streamLocalCompletion(provider.client, model, messages, options, forward);
+        
+        case 'anthropic':
+          return this.streamAnthropicCompletion(provider.client, model, messages, options, forward);
+        
+        case 'gemini':
+          return this.streamGeminiCompletion(provider.client, model, messages, options, forward);
+        
+        default:
+          throw new Error(`Unknown provider type: ${provider.type}`);
+      }
+    }, () => !started);
+  }
+
+  async streamOpenAICompletion(client, model, messages, options, onDelta) {
+    const stream = await client.chat.completions.create({
+      model,
+      messages: messages,
+      temperature: options.temperature || 0.3,
+      max_tokens: options.maxTokens || 500,
+      ...(options.responseFormat && { response_format: options.responseFormat }),
+      stream: true,
+      ...(options.includeUsage !== false && { stream_options: { include_usage: true } })
     });
 
-    const response = await result.response;
-    let content = response.text();
+    let content = '';
+    let usage = null;
+    let servedModel = model;
+    for await (const chunk of stream) {
+      const delta = chunk.choices[0]?.delta?.content;
+      if (delta) {
+        content += delta;
+        onDelta(delta);
+      }
+      // Usage arrives on a final chunk with no choices
+      if (chunk.usage) {
+        usage = chunk.usage;
+      }
+      servedModel = chunk.model || servedModel;
+    }
 
-    // Parse JSON if response format is JSON
-    if (options.responseFormat && options.responseFormat.type === 'json_object') {
+    return { content, usage, model: servedModel };
+  }
+
+  /**
+   * Streaming counterpart of createLocalCompletion. Many llama.cpp and Ollama builds
+   * also reject stream_options, so stop asking those models for usage as well.
+   */
+  async streamLocalCompletion(client, model, messages, options, onDelta) {
+    const wantsJson = options.responseFormat && options.responseFormat.type === 'json_object';
+    let started = false;
+    const forward = (delta) => {
+      started = true;
+      onDelta(delta);
+    };
+
+    for (;;) {
+      const jsonMode = wantsJson && !this.noJsonModeModels.has(model);
+      const includeUsage = !this.noStreamUsageModels.has(model);
       try {
-        // Ensure the response is valid JSON
-        JSON.parse(content);
-      } catch (e) {
-        // If not valid JSON, try to extract JSON from the response
-        const jsonMatch = content.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-          content = jsonMatch[0];
+        const response = await this.streamOpenAICompletion(
+          client,
+          model,
+          wantsJson && !jsonMode ? this.withJsonInstruction(messages) : messages,
+          { ...options, responseFormat: wantsJson && !jsonMode ? undefined : options.responseFormat, includeUsage },
+          forward
+        );
+        return wantsJson ? { ...response, content: this.extractJson(response.content) } : response;
+      } catch (error) {
+        if (started) {
+          throw error;
+        }
+        if (includeUsage && this.isUnsupportedStreamUsage(error, jsonMode)) {
+          console.warn(`[LLM Provider] ${model} rejected stream_options, streaming without usage instead`);
+          this.noStreamUsageModels.add(model);
+        } else if (jsonMode && this.isUnsupportedJsonMode(error)) {
+          console.warn(`[LLM Provider] ${model} rejected response_format, asking for JSON in the prompt instead`);
+          this.noJsonModeModels.add(model);
+        } else {
+          throw error;
         }
       }
     }
+  }
+
+  // A bare 400 is blamed on stream_options only once response_format is ruled out
+  isUnsupportedStreamUsage(error, jsonMode) {
+    return /stream_options|include_usage/i.test(error.message || '') ||
+      (!jsonMode && (error.status === 400 || error.status === 422));
+  }
+
+  async streamAnthropicCompletion(client, model, messages, options, onDelta) {
+    const stream = await client.messages.create({
+      ...this.toAnthropicRequest(model, messages, options),
+      stream: true
+    });
+
+    let content = '';
+    let inputTokens = 0;
+    let outputTokens = 0;
+    let servedModel = model;
+    for await (const event of stream) {
+      if (event.type === 'message_start') {
+        inputTokens = event.message.usage?.input_tokens || 0;
+        servedModel = event.message.model || servedModel;
+      } else if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+        content += event.delta.text;
+        onDelta(event.delta.text);
+      } else if (event.type === 'message_delta') {
+        outputTokens = event.usage?.output_tokens || outputTokens;
+      }
+    }
 
     return {
-      content: content,
+      content,
+      usage: {
+        prompt_tokens: inputTokens,
+        completion_tokens: outputTokens,
+        total_tokens: inputTokens + outputTokens
+      },
+      model: servedModel
+    };
+  }
+
+  async streamGeminiCompletion(client, model, messages, options, onDelta) {
+    const generativeModel = client.getGenerativeModel({ model });
+    const result = await generativeModel.generateContentStream(this.toGeminiRequest(messages, options));
+
+    let content = '';
+    for await (const chunk of result.stream) {
+      const delta = chunk.text();
+      if (delta) {
+        content += delta;
+        onDelta(delta);
+      }
+    }
+
+    const response = await result.response;
+    return {
+      content,
       usage: {
         prompt_tokens: response.usageMetadata?.promptTokenCount || 0,
         completion_tokens: response.usageMetadata?.candidatesTokenCount || 0,
         total_tokens: response.usageMetadata?.totalTokenCount || 0
       },
-      model: this.currentModel
+      model
     };
   }
 
@@ -279,6 +669,20 @@ class LLMProviderFactory {
   getAvailableProviders() {
     return Array.from(this.providers.keys());
   }
+
+  // Providers to fall back to, in order, when the selected one fails
+  static setFallbackProviders(providers) {
+    fallbackProviders = parseProviderList(providers);
+    console.log(`[LLM Provider] Fallback chain: ${fallbackProviders.length > 0 ? fallbackProviders.join(' → ') : 'none'}`);
+  }
+
+  static getFallbackProviders() {
+    return [...fallbackProviders];
+  }
+
+  static getCircuitStatus() {
+    return Array.from(circuitBreakers.values()).map(breaker => breaker.getStatus());
+  }
 }
 
 module.exports = LLMProviderFactory;
\ No newline at end of file
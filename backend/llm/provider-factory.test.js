@@ -0,0 +1,208 @@
+const OpenAI = require('openai');
+const Anthropic = require('@anthropic-ai/sdk');
+const {
+    GoogleGenerativeAIError,
+    GoogleGenerativeAIFetchError,
+    GoogleGenerativeAIRequestInputError,
+    GoogleGenerativeAIResponseError
+} = require('@google/generative-ai');
+
+// fetch (undici) reports a dropped socket as a TypeError with the socket error as its cause
+function fetchFailure(code) {
+    return new TypeError('fetch failed', { cause: Object.assign(new Error(`connect ${code}`), { code }) });
+}
+
+// The shape each SDK gives the same kind of failure
+const errors = {
+    openaiConnection: () => new OpenAI.APIConnectionError({ cause: fetchFailure('ECONNRESET') }),
+    openaiTimeout: () => new OpenAI.APIConnectionTimeoutError(),
+    openaiRateLimit: () => OpenAI.APIError.generate(429, { error: { message: 'Rate limit reached' } }, undefined, {}),
+    openaiAuth: () => OpenAI.APIError.generate(401, { error: { message: 'Incorrect API key' } }, undefined, {}),
+    openaiBadRequest: () => OpenAI.APIError.generate(400, { error: { message: 'Invalid model' } }, undefined, {}),
+    anthropicConnection: () => new Anthropic.APIConnectionError({}),
+    anthropicOverloaded: () => Anthropic.APIError.generate(529, { error: { message: 'Overloaded' } }, undefined, {}),
+    geminiUnreachable: () => new GoogleGenerativeAIError('Error fetching from https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent: fetch failed'),
+    geminiUnavailable: () => new GoogleGenerativeAIFetchError('Error fetching from https://generativelanguage.googleapis.com: [503 Service Unavailable]', 503, 'Service Unavailable'),
+    geminiBadRequest: () => new GoogleGenerativeAIFetchError('Error fetching from https://generativelanguage.googleapis.com: [400 Bad Request]', 400, 'Bad Request'),
+    geminiBadInput: () => new GoogleGenerativeAIRequestInputError('Request timeout must be a positive number'),
+    geminiBlocked: () => new GoogleGenerativeAIResponseError('Candidate was blocked due to SAFETY'),
+    geminiInvalidContent: () => new GoogleGenerativeAIError('Each Content should have at least one part'),
+    socketReset: () => fetchFailure('ECONNRESET'),
+    dnsFailure: () => fetchFailure('ENOTFOUND'),
+    bug: () => new TypeError("Cannot read properties of undefined (reading 'content')")
+};
+
+describe('LLMProviderFactory', () => {
+    const env = { ...process.env };
+    let LLMProviderFactory;
+    let factory;
+
+    // A factory with every cloud provider configured, calling request() instead of the SDKs
+    function createFactory(provider, fallbacks) {
+        process.env.LLM_PROVIDER = provider;
+        LLMProviderFactory.setFallbackProviders(fallbacks);
+        factory = new LLMProviderFactory();
+        jest.spyOn(factory, 'getRetryDelay').mockReturnValue(0);
+        return factory;
+    }
+
+    // A request that fails on the providers in `failures` with their error, in turn
+    function requestFailing(failures) {
+        return jest.fn(async (provider, model) => {
+            const failure = failures[provider.type];
+            if (failure) {
+                throw failure();
+            }
+            return { content: `from ${provider.type}`, model };
+        });
+    }
+
+    beforeEach(() => {
+        process.env.OPENAI_API_KEY = 'sk-test';
+        process.env.ANTHROPIC_API_KEY = 'sk-ant-test';
+        process.env.GEMINI_API_KEY = 'gemini-test';
+        delete process.env.LOCAL_LLM_URL;
+        delete process.env.LLM_MODEL;
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        // Circuit breakers are shared by the module, so start each test with fresh ones
+        jest.isolateModules(() => {
+            LLMProviderFactory = require('./provider-factory');
+        });
+    });
+
+    afterEach(() => {
+        factory?.dispose();
+        factory = null;
+        process.env = { ...env };
+        jest.restoreAllMocks();
+    });
+
+    describe('error classification', () => {
+        test.each([
+            // error, network, retryable, provider failure
+            ['openaiConnection', true, true, true],
+            ['openaiTimeout', true, true, true],
+            ['openaiRateLimit', false, true, true],
+            ['openaiAuth', false, false, true],
+            ['openaiBadRequest', false, false, false],
+            ['anthropicConnection', true, true, true],
+            ['anthropicOverloaded', false, true, true],
+            ['geminiUnreachable', true, true, true],
+            ['geminiUnavailable', false, true, true],
+            ['geminiBadRequest', false, false, false],
+            ['geminiBadInput', false, false, false],
+            ['geminiBlocked', false, false, false],
+            ['geminiInvalidContent', false, false, false],
+            ['socketReset', true, true, true],
+            ['dnsFailure', true, true, true],
+            ['bug', false, false, false]
+        ])('%s: network %s, retryable %s, provider failure %s', (name, network, retryable, providerFailure) => {
+            createFactory('openai', []);
+            const error = errors[name]();
+
+            expect(factory.isNetworkError(error)).toBe(network);
+            expect(factory.isRetryable(error)).toBe(retryable);
+            expect(factory.isProviderFailure(error)).toBe(providerFailure);
+        });
+    });
+
+    describe('runWithFailover', () => {
+        test('uses the selected provider and model when it succeeds', async () => {
+            createFactory('openai', ['anthropic', 'gemini']);
+            const request = requestFailing({});
+
+            const response = await factory.runWithFailover(request);
+
+            expect(response).toEqual({ content: 'from openai', provider: 'openai', model: 'gpt-4o-mini' });
+            expect(request).toHaveBeenCalledTimes(1);
+        });
+
+        test('retries a network failure, then moves down the chain in order', async () => {
+            createFactory('openai', ['anthropic', 'gemini']);
+            const request = requestFailing({ openai: errors.openaiConnection, anthropic: errors.anthropicOverloaded });
+
+            const response = await factory.runWithFailover(request);
+
+            expect(request.mock.calls.map(([provider]) => provider.type)).toEqual([
+                'openai', 'openai', 'openai',
+                'anthropic', 'anthropic', 'anthropic',
+                'gemini'
+            ]);
+            expect(response).toMatchObject({ content: 'from gemini', provider: 'gemini', model: 'gemini-1.5-flash' });
+        });
+
+        test('fails over when Gemini cannot be reached', async () => {
+            createFactory('gemini', ['openai']);
+            const request = requestFailing({ gemini: errors.geminiUnreachable });
+
+            const response = await factory.runWithFailover(request);
+
+            expect(request.mock.calls.map(([provider]) => provider.type)).toEqual(['gemini', 'gemini', 'gemini', 'openai']);
+            expect(response).toMatchObject({ provider: 'openai' });
+            expect(LLMProviderFactory.getCircuitStatus()).toContainEqual(expect.objectContaining({ provider: 'gemini', failures: 1 }));
+        });
+
+        test('fails over without retrying a rejected key', async () => {
+            createFactory('openai', ['anthropic']);
+            const request = requestFailing({ openai: errors.openaiAuth });
+
+            const response = await factory.runWithFailover(request);
+
+            expect(request.mock.calls.map(([provider]) => provider.type)).toEqual(['openai', 'anthropic']);
+            expect(response).toMatchObject({ provider: 'anthropic' });
+        });
+
+        test('does not count a rejected request against the provider', async () => {
+            createFactory('openai', ['anthropic']);
+            const request = requestFailing({ openai: errors.openaiBadRequest });
+
+            await factory.runWithFailover(request);
+
+            expect(request.mock.calls.map(([provider]) => provider.type)).toEqual(['openai', 'anthropic']);
+            expect(LLMProviderFactory.getCircuitStatus()).toContainEqual(expect.objectContaining({ provider: 'openai', state: 'closed', failures: 0 }));
+        });
+
+        test('rethrows errors of its own without retrying or failing over', async () => {
+            createFactory('openai', ['anthropic', 'gemini']);
+            const request = requestFailing({ openai: errors.bug });
+
+            await expect(factory.runWithFailover(request)).rejects.toThrow(TypeError);
+            expect(request).toHaveBeenCalledTimes(1);
+            expect(LLMProviderFactory.getCircuitStatus()).toContainEqual(expect.objectContaining({ provider: 'openai', failures: 0 }));
+        });
+
+        test('skips a provider once its circuit opens', async () => {
+            createFactory('openai', ['anthropic']);
+            const request = requestFailing({ openai: errors.socketReset });
+
+            for (let i = 0; i < 3; i++) {
+                await factory.runWithFailover(request);
+            }
+            request.mockClear();
+            const response = await factory.runWithFailover(request);
+
+            expect(request.mock.calls.map(([provider]) => provider.type)).toEqual(['anthropic']);
+            expect(response).toMatchObject({ provider: 'anthropic' });
+            expect(LLMProviderFactory.getCircuitStatus()).toContainEqual(expect.objectContaining({ provider: 'openai', state: 'open' }));
+        });
+
+        test('throws the last error when every provider fails', async () => {
+            createFactory('openai', ['anthropic']);
+            const request = requestFailing({ openai: errors.openaiRateLimit, anthropic: errors.anthropicConnection });
+
+            await expect(factory.runWithFailover(request)).rejects.toBeInstanceOf(Anthropic.APIConnectionError);
+            expect(request).toHaveBeenCalledTimes(6);
+        });
+
+        test('stops retrying and failing over once canContinue says so', async () => {
+            createFactory('openai', ['anthropic']);
+            const request = requestFailing({ openai: errors.openaiConnection });
+
+            await expect(factory.runWithFailover(request, () => false)).rejects.toBeInstanceOf(OpenAI.APIConnectionError);
+            expect(request).toHaveBeenCalledTimes(1);
+        });
+    });
+});
@@ -0,0 +1,169 @@
+// JSON output from LLM calls, checked against the schema its feature declares in
+// prompts.js. A response that doesn't parse or match gets one repair round: the
+// model is shown its output and the problems and asked for corrected JSON.
+//
+// Schemas use the JSON Schema keywords the prompts need: type (one or a list),
+// properties, required, items, enum and additionalProperties (a schema for map
+// values). Anything else is ignored.
+
+const MAX_REPORTED_ERRORS = 10;
+
+class StructuredOutputError extends Error {
+  constructor(feature, errors, content) {
+    super(`${feature} response failed validation: ${errors.slice(0, 3).join('; ')}`);
+    this.name = 'StructuredOutputError';
+    this.feature = feature;
+    this.errors = errors;
+    this.content = content;
+  }
+}
+
+/**
+ * Parse model output as JSON, tolerating code fences and prose around the object
+ */
+function parseJSON(content) {
+  if (!content || !content.trim()) {
+    throw new SyntaxError('Empty response');
+  }
+
+  const cleaned = content.replace(/^```(?:json|JSON)?\s*\n?/gm, '').replace(/\n?```\s*$/gm, '').trim();
+  try {
+    return JSON.parse(cleaned);
+  } catch (error) {
+    // Fall back to the outermost object or array in the text
+    const match = cleaned.match(/\{[\s\S]*\}|\[[\s\S]*\]/);
+    if (!match) {
+      throw error;
+    }
+    return JSON.parse(match[0]);
+  }
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Check a value against a schema. Returns a list of errors, empty if it matches.
+ */
+function validateSchema(value, schema, path = '$') {
+  const errors = [];
+  if (!schema) {
+    return errors;
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const actual = typeOf(value);
+    if (!types.includes(actual) && !(actual === 'integer' && types.includes('number'))) {
+      errors.push(`${path} should be ${types.join(' or ')}, got ${actual}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} should be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}`);
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, `${path}[${index}]`)));
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key} is required`);
+      }
+    }
+    for (const [key, item] of Object.entries(value)) {
+      const propertySchema = schema.properties && schema.properties[key];
+      if (propertySchema) {
+        errors.push(...validateSchema(item, propertySchema, `${path}.${key}`));
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(item, schema.additionalProperties, `${path}.${key}`));
+      }
+    }
+  }
+
+  return errors;
+}
+
+// Parse and validate in one step; errors are reported rather than thrown
+function check(content, schema) {
+  try {
+    const data = parseJSON(content);
+    return { data, errors: validateSchema(data, schema) };
+  } catch (error) {
+    return { data: null, errors: [`Invalid JSON: ${error.message}`] };
+  }
+}
+
+function buildRepairMessages(messages, content, errors, schema) {
+  return [
+    ...messages,
+    { role: 'assistant', content: content || '' },
+    {
+      role: 'user',
+      content: `Your response could not be used:
+${errors.slice(0, MAX_REPORTED_ERRORS).map(error => `- ${error}`).join('\n')}
+
+Reply with the corrected JSON only, no other text. It must match this JSON schema:
+${JSON.stringify(schema)}`
+    }
+  ];
+}
+
+/**
+ * Run a completion and return its JSON output checked against the schema, with
+ * one repair round if needed. complete(messages) makes the LLM call (and records
+ * its usage) and resolves to a response with `content`. Throws
+ * StructuredOutputError if the repaired output still doesn't match.
+ */
+async function completeStructured({ feature, schema, messages, complete, metrics = null }) {
+  const first = await complete(messages);
+  let result = check(first.content, schema);
+  if (result.errors.length === 0) {
+    recordValidation(metrics, feature, 'valid');
+    return { data: result.data, response: first, repaired: false };
+  }
+
+  console.warn(`[Structured Output] ${feature} response invalid, asking for a repair: ${result.errors.slice(0, 3).join('; ')}`);
+  const repair = await complete(buildRepairMessages(messages, first.content, result.errors, schema));
+  result = check(repair.content, schema);
+  if (result.errors.length === 0) {
+    recordValidation(metrics, feature, 'repaired');
+    return { data: result.data, response: repair, repaired: true };
+  }
+
+  recordValidation(metrics, feature, 'failed');
+  throw new StructuredOutputError(feature, result.errors, repair.content);
+}
+
+/**
+ * Counters for a service's validated LLM responses, overall and per feature
+ */
+function createValidationMetrics() {
+  return { valid: 0, repaired: 0, failed: 0, byFeature: {} };
+}
+
+function recordValidation(metrics, feature, outcome) {
+  if (!metrics) {
+    return;
+  }
+  metrics[outcome]++;
+  if (!metrics.byFeature[feature]) {
+    metrics.byFeature[feature] = { valid: 0, repaired: 0, failed: 0 };
+  }
+  metrics.byFeature[feature][outcome]++;
+}
+
+module.exports = {
+  StructuredOutputError,
+  parseJSON,
+  validateSchema,
+  completeStructured,
+  createValidationMetrics
+};
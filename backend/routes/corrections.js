@@ -12,7 +12,15 @@ router.get('/', async (req, res) => {
     }
 });
 
-// Add a new correction
+// Scope validation errors from addCorrection
+const SCOPE_ERRORS = [
+    'Invalid correction scope',
+    'Project is required for project corrections',
+    'Meeting is required for meeting corrections'
+];
+
+// Add a new correction. options.scope is 'global' (default), 'project' with
+// options.project or 'meeting' with options.meetingId.
 router.post('/', async (req, res) => {
     try {
         const { original, corrected, options = {} } = req.body;
@@ -21,7 +29,8 @@ router.post('/', async (req, res) => {
             return res.status(400).json({ error: 'Original and corrected terms are required' });
         }
 
-        if (original === corrected) {
+        // A scoped correction to the same term keeps a global correction from applying
+        if (original === corrected && (options.scope || 'global') === 'global') {
             return res.status(400).json({ error: 'Original and corrected terms cannot be the same' });
         }
 
@@ -32,6 +41,9 @@ router.post('/', async (req, res) => {
         if (error.message === 'Correction already exists') {
             return res.status(409).json({ error: error.message });
         }
+        if (SCOPE_ERRORS.includes(error.message)) {
+            return res.status(400).json({ error: error.message });
+        }
         res.status(500).json({ error: 'Failed to add correction' });
     }
 });
@@ -85,16 +97,118 @@ router.get('/suggestions/:term', async (req, res) => {
     }
 });
 
+// Approve a proposed near match: it's added as a correction of its own
+router.post('/proposals/approve', async (req, res) => {
+    try {
+        const { correctionId, original } = req.body;
+        
+        if (!correctionId || !original) {
+            return res.status(400).json({ error: 'Correction id and original text are required' });
+        }
+
+        const correction = await req.correctionService.approveProposal(parseInt(correctionId), original);
+        res.status(201).json(correction);
+    } catch (error) {
+        console.error('Error approving correction proposal:', error);
+        if (error.message === 'Correction not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        if (error.message === 'Correction already exists') {
+            return res.status(409).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Failed to approve proposal' });
+    }
+});
+
+// Reject a proposed near match so it isn't proposed again
+router.post('/proposals/reject', async (req, res) => {
+    try {
+        const { correctionId, original } = req.body;
+        
+        if (!correctionId || !original) {
+            return res.status(400).json({ error: 'Correction id and original text are required' });
+        }
+
+        const correction = await req.correctionService.rejectProposal(parseInt(correctionId), original);
+        res.json({ message: 'Proposal rejected', correction });
+    } catch (error) {
+        console.error('Error rejecting correction proposal:', error);
+        if (error.message === 'Correction not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Failed to reject proposal' });
+    }
+});
+
+// Suggested corrections mined from stored meetings, best first
+router.get('/suggested', async (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit) || 50;
+        const suggestions = await req.correctionSuggestions.getSuggestions(limit);
+        res.json({ suggestions, lastRun: req.correctionSuggestions.lastRun });
+    } catch (error) {
+        console.error('Error getting suggested corrections:', error);
+        res.status(500).json({ error: 'Failed to get suggested corrections' });
+    }
+});
+
+// Mine for suggestions now instead of waiting for the next background run
+router.post('/suggested/refresh', async (req, res) => {
+    try {
+        const run = await req.correctionSuggestions.mine();
+        if (!run) {
+            return res.status(409).json({ error: 'Suggestions are already being mined' });
+        }
+        const suggestions = await req.correctionSuggestions.getSuggestions();
+        res.json({ suggestions, lastRun: run });
+    } catch (error) {
+        console.error('Error mining suggested corrections:', error);
+        res.status(500).json({ error: 'Failed to mine suggested corrections' });
+    }
+});
+
+// Accept a suggestion as a global correction
+router.post('/suggested/:id/accept', async (req, res) => {
+    try {
+        const { category } = req.body;
+        const correction = await req.correctionSuggestions.acceptSuggestion(parseInt(req.params.id), { category });
+        res.status(201).json(correction);
+    } catch (error) {
+        console.error('Error accepting suggested correction:', error);
+        if (error.message === 'Suggestion not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        if (error.message === 'Correction already exists') {
+            return res.status(409).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Failed to accept suggestion' });
+    }
+});
+
+// Reject a suggestion so it isn't suggested again
+router.post('/suggested/:id/reject', async (req, res) => {
+    try {
+        const suggestion = await req.correctionSuggestions.rejectSuggestion(parseInt(req.params.id));
+        res.json({ message: 'Suggestion rejected', suggestion });
+    } catch (error) {
+        console.error('Error rejecting suggested correction:', error);
+        if (error.message === 'Suggestion not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Failed to reject suggestion' });
+    }
+});
+
 // Apply corrections to text (for testing/preview)
 router.post('/apply', async (req, res) => {
     try {
-        const { text, meetingId } = req.body;
+        const { text, meetingId, project } = req.body;
         
         if (!text) {
             return res.status(400).json({ error: 'Text is required' });
         }
 
-        const result = req.correctionService.applyCorrections(text, meetingId);
+        const result = req.correctionService.applyCorrections(text, meetingId, { proposals: true, project });
         res.json(result);
     } catch (error) {
         console.error('Error applying corrections:', error);
@@ -113,60 +227,69 @@ router.get('/stats', async (req, res) => {
     }
 });
 
-// Apply corrections retroactively to a meeting
-router.post('/apply-to-meeting/:meetingId', async (req, res) => {
+// Shape a run's segments for a response
+function describeSegments(segments) {
+    return segments.map(({ transcript, correctedText, replacements }) => ({
+        transcriptId: transcript.id,
+        originalText: transcript.text,
+        correctedText,
+        corrections: replacements
+    }));
+}
+
+// Preview what applying corrections retroactively would change, without saving
+router.post('/apply-to-meeting/:meetingId/preview', async (req, res) => {
     try {
-        const meetingId = parseInt(req.params.meetingId);
+        const { meetingId } = req.params;
+        const segments = await req.correctionService.previewMeetingCorrections(meetingId);
         
-        // Get all transcripts for the meeting
-        const transcriptsQuery = `
-            SELECT id, text FROM transcripts 
-            WHERE meeting_id = $1 
-            ORDER BY timestamp ASC
-        `;
-        const transcripts = await req.db.query(transcriptsQuery, [meetingId]);
-        
-        let totalCorrections = 0;
-        const updates = [];
-        
-        // Apply corrections to each transcript
-        for (const transcript of transcripts.rows) {
-            const result = req.correctionService.applyCorrections(transcript.text, meetingId);
-            
-            if (result.hasChanges) {
-                // Update the transcript in the database
-                await req.db.query(
-                    'UPDATE transcripts SET text = $1 WHERE id = $2',
-                    [result.text, transcript.id]
-                );
-                
-                updates.push({
-                    transcriptId: transcript.id,
-                    originalText: transcript.text,
-                    correctedText: result.text,
-                    corrections: result.corrections
-                });
-                
-                totalCorrections += result.corrections.length;
-            }
-        }
+        res.json({
+            meetingId,
+            totalCorrections: segments.reduce((sum, segment) => sum + segment.replacements.length, 0),
+            updatedTranscripts: segments.length,
+            updates: describeSegments(segments)
+        });
+    } catch (error) {
+        console.error('Error previewing corrections for meeting:', error);
+        res.status(500).json({ error: 'Failed to preview corrections for meeting' });
+    }
+});
+
+// List the correction runs applied to a meeting, newest first
+router.get('/apply-to-meeting/:meetingId/runs', async (req, res) => {
+    try {
+        const runs = await req.correctionService.getMeetingCorrectionRuns(req.params.meetingId);
+        res.json(runs);
+    } catch (error) {
+        console.error('Error getting correction runs:', error);
+        res.status(500).json({ error: 'Failed to get correction runs' });
+    }
+});
+
+// Apply corrections retroactively to a meeting, keeping what's needed to undo it
+router.post('/apply-to-meeting/:meetingId', async (req, res) => {
+    try {
+        const { meetingId } = req.params;
+        const { run, segments } = await req.correctionService.applyToMeeting(meetingId);
+        const totalCorrections = run ? run.replacement_count : 0;
         
         // Re-extract terms with corrected transcripts if there were changes
-        if (updates.length > 0) {
-            // Trigger term re-extraction for this meeting
+        if (run) {
             req.io.emit('corrections:meeting-updated', {
                 meetingId,
+                runId: run.id,
                 totalCorrections,
-                updatedTranscripts: updates.length
+                updatedTranscripts: segments.length
             });
         }
         
         res.json({
             success: true,
             meetingId,
+            runId: run ? run.id : null,
             totalCorrections,
-            updatedTranscripts: updates.length,
-            updates
+            updatedTranscripts: segments.length,
+            updates: describeSegments(segments)
         });
     } catch (error) {
         console.error('Error applying corrections to meeting:', error);
@@ -174,4 +297,36 @@ router.post('/apply-to-meeting/:meetingId', async (req, res) => {
     }
 });
 
+// Undo the latest correction run on a meeting, restoring each segment's prior text
+router.post('/apply-to-meeting/:meetingId/undo', async (req, res) => {
+    try {
+        const { meetingId } = req.params;
+        const runId = req.body.runId !== undefined ? parseInt(req.body.runId) : null;
+        const { run, segments } = await req.correctionService.undoMeetingCorrections(meetingId, runId);
+        
+        req.io.emit('corrections:meeting-updated', {
+            meetingId,
+            runId: run.id,
+            undone: true,
+            updatedTranscripts: segments.length
+        });
+        
+        res.json({
+            success: true,
+            meetingId,
+            runId: run.id,
+            restoredTranscripts: segments.length
+        });
+    } catch (error) {
+        console.error('Error undoing corrections for meeting:', error);
+        if (error.message === 'No correction runs to undo' || error.message === 'Correction run not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        if (error.message === 'Undo later correction runs first') {
+            return res.status(409).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Failed to undo corrections for meeting' });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
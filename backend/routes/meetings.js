@@ -1,7 +1,13 @@
 const express = require('express');
 const router = express.Router();
 
-module.exports = (meetingService, storageService, reportService) => {
+// Imported recordings arrive as the raw request body
+const rawAudio = express.raw({
+  type: ['audio/*', 'video/*', 'application/octet-stream'],
+  limit: '500mb'
+});
+
+module.exports = (meetingService, storageService, reportService, meetingImportService, audioRecorder) => {
   // Create new meeting
   router.post('/', async (req, res) => {
     try {
@@ -13,6 +19,45 @@ module.exports = (meetingService, storageService, reportService) => {
     }
   });
 
+  // Import a pre-recorded meeting: transcribe the file and store it as a completed meeting
+  router.post('/import', rawAudio, async (req, res) => {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: 'Audio file is required' });
+    }
+
+    const { title, description, project, provider, language, filename, sampleRate, channels } = req.query;
+    const mimeType = (req.get('Content-Type') || '').split(';')[0];
+
+    try {
+      const result = await meetingImportService.importRecording(req.body, {
+        title,
+        description,
+        project,
+        provider,
+        language,
+        filename,
+        mimeType,
+        sampleRate,
+        channels,
+        // Headerless PCM has to be described by the caller
+        raw: ['audio/l16', 'audio/pcm'].includes(mimeType) || sampleRate !== undefined
+      });
+
+      if (req.app.get('io')) {
+        req.app.get('io').emit('meeting:created', result.meeting);
+        req.app.get('io').emit('meeting:completed', result.meeting);
+      }
+
+      res.status(201).json(result);
+    } catch (error) {
+      console.error('Error importing meeting:', error);
+      if (error.message.includes('not configured') || error.message.includes('WAV file')) {
+        return res.status(400).json({ error: error.message });
+      }
+      res.status(500).json({ error: 'Failed to import meeting' });
+    }
+  });
+
   // Get active meeting
   router.get('/active', async (req, res) => {
     try {
@@ -90,6 +135,35 @@ module.exports = (meetingService, storageService, reportService) => {
     }
   });
 
+  // Set the project a meeting belongs to; its project corrections apply from then on
+  router.put('/:id/project', async (req, res) => {
+    try {
+      const { project } = req.body;
+      if (project !== null && typeof project !== 'string') {
+        return res.status(400).json({ error: 'Project must be a string or null' });
+      }
+      
+      const meeting = await meetingService.updateMeetingProject(req.params.id, (project && project.trim()) || null);
+      if (!meeting) {
+        return res.status(404).json({ error: 'Meeting not found' });
+      }
+      
+      // A live meeting's transcripts switch to the new project's corrections
+      if (meeting.status === 'active') {
+        req.correctionService.setMeetingProject(meeting.id, meeting.project);
+      }
+      
+      if (req.app.get('io')) {
+        req.app.get('io').emit('meeting:updated', { meetingId: req.params.id, project: meeting.project });
+      }
+      
+      res.json(meeting);
+    } catch (error) {
+      console.error('Error updating meeting project:', error);
+      res.status(500).json({ error: 'Failed to update meeting project' });
+    }
+  });
+
   // End meeting
   router.put('/:id/end', async (req, res) => {
     try {
@@ -117,7 +191,10 @@ module.exports = (meetingService, storageService, reportService) => {
       }
       
       // Now delete the meeting and all associated data
-      await meetingService.deleteMeeting(req.params.id);
+      const deleted = await meetingService.deleteMeeting(req.params.id);
+      if (deleted.audio_path) {
+        await audioRecorder.deleteRecording(req.params.id, deleted.audio_path);
+      }
       
       // Emit event to notify frontend that meeting was deleted
       if (req.app.get('io')) {
@@ -147,6 +224,90 @@ module.exports = (meetingService, storageService, reportService) => {
     }
   });
 
+  // Get meeting speakers with their assigned names and suggestions from earlier meetings
+  router.get('/:id/speakers', async (req, res) => {
+    try {
+      const speakers = await meetingService.getSpeakers(req.params.id);
+      res.json(speakers);
+    } catch (error) {
+      console.error('Error getting speakers:', error);
+      res.status(500).json({ error: 'Failed to get speakers' });
+    }
+  });
+
+  // Name a speaker (an empty name clears it)
+  router.put('/:id/speakers/:speakerId', async (req, res) => {
+    try {
+      const { name, email, role } = req.body || {};
+      if (name !== undefined && name !== null && typeof name !== 'string') {
+        return res.status(400).json({ error: 'Name must be a string' });
+      }
+      if (name && name.trim().length > 100) {
+        return res.status(400).json({ error: 'Name must be 100 characters or fewer' });
+      }
+
+      const meeting = await meetingService.getMeeting(req.params.id);
+      if (!meeting) {
+        return res.status(404).json({ error: 'Meeting not found' });
+      }
+
+      const participant = await meetingService.setSpeakerName(req.params.id, req.params.speakerId, { name, email, role });
+
+      // Let open transcripts and reports relabel the speaker
+      if (req.app.get('io')) {
+        req.app.get('io').emit('speaker:updated', {
+          meetingId: req.params.id,
+          speakerId: req.params.speakerId,
+          name: participant ? participant.name : null
+        });
+      }
+
+      res.json({
+        meetingId: req.params.id,
+        speakerId: req.params.speakerId,
+        name: participant ? participant.name : null,
+        email: participant ? participant.email : null,
+        role: participant ? participant.role : null
+      });
+    } catch (error) {
+      console.error('Error naming speaker:', error);
+      res.status(500).json({ error: 'Failed to name speaker' });
+    }
+  });
+
+  // Stream the recorded meeting audio (supports Range requests for seeking)
+  router.get('/:id/audio', async (req, res) => {
+    try {
+      const meeting = await meetingService.getMeeting(req.params.id);
+      if (!meeting) {
+        return res.status(404).json({ error: 'Meeting not found' });
+      }
+      if (!meeting.audio_path) {
+        return res.status(404).json({ error: 'No audio recorded for this meeting' });
+      }
+
+      res.sendFile(meeting.audio_path, {
+        acceptRanges: true,
+        headers: { 'Content-Type': 'audio/wav' }
+      }, (error) => {
+        if (error && !res.headersSent) {
+          res.type('json');
+          if (error.code === 'ENOENT') {
+            return res.status(404).json({ error: 'Audio file not found' });
+          }
+          if (error.status === 416) {
+            return res.status(416).json({ error: 'Requested range not satisfiable' });
+          }
+          console.error('Error streaming meeting audio:', error);
+          res.status(500).json({ error: 'Failed to stream audio' });
+        }
+      });
+    } catch (error) {
+      console.error('Error getting meeting audio:', error);
+      res.status(500).json({ error: 'Failed to get meeting audio' });
+    }
+  });
+
   // Get meeting terms
   router.get('/:id/terms', async (req, res) => {
     try {
@@ -158,6 +319,26 @@ module.exports = (meetingService, storageService, reportService) => {
     }
   });
 
+  // Get the contextual insights sent during the meeting, oldest first
+  router.get('/:id/insights', async (req, res) => {
+    try {
+      const meeting = await meetingService.getMeeting(req.params.id);
+      if (!meeting) {
+        return res.status(404).json({ error: 'Meeting not found' });
+      }
+
+      const { limit, offset = 0 } = req.query;
+      const insights = await storageService.getContextualInsights(req.params.id, {
+        limit: limit ? parseInt(limit) : null,
+        offset: parseInt(offset)
+      });
+      res.json(insights);
+    } catch (error) {
+      console.error('Error getting insights:', error);
+      res.status(500).json({ error: 'Failed to get insights' });
+    }
+  });
+
   // Export meeting
   router.get('/:id/export', async (req, res) => {
     try {
@@ -232,13 +413,26 @@ function convertToCSV(data) {
     data.meeting.termCount
   ].join(','));
   
+  lines.push('');
+  lines.push('Participants');
+  lines.push('Speaker,Name,Email,Role');
+  (data.participants || []).forEach(p => {
+    lines.push([
+      p.speakerId,
+      `"${(p.name || '').replace(/"/g, '""')}"`,
+      `"${(p.email || '').replace(/"/g, '""')}"`,
+      `"${(p.role || '').replace(/"/g, '""')}"`
+    ].join(','));
+  });
+  
   lines.push('');
   lines.push('Transcripts');
   lines.push('Timestamp,Speaker,Text,Confidence');
   data.transcripts.forEach(t => {
+    const speaker = t.speakerName || (t.speaker !== null && t.speaker !== undefined ? `Speaker ${t.speaker}` : '');
     lines.push([
       t.timestamp,
-      t.speaker || '',
+      `"${speaker.replace(/"/g, '""')}"`,
       `"${t.text.replace(/"/g, '""')}"`,
       t.confidence
     ].join(','));
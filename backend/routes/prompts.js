@@ -0,0 +1,139 @@
+const express = require('express');
+const router = express.Router();
+
+module.exports = (promptRegistry, storageService, meetingService, promptEvaluation) => {
+  // Reject unknown features up front
+  router.param('feature', (req, res, next, feature) => {
+    if (!promptRegistry.getFeature(feature)) {
+      return res.status(404).json({ error: `Unknown prompt feature: ${feature}` });
+    }
+    next();
+  });
+
+  // List prompt features with their variables and active version
+  router.get('/', async (req, res) => {
+    try {
+      const features = await promptRegistry.getFeatures();
+      res.json({ features });
+    } catch (error) {
+      console.error('Error listing prompts:', error);
+      res.status(500).json({ error: 'Failed to list prompts' });
+    }
+  });
+
+  // Compare two configurations (model and prompt versions or drafts) over stored meetings
+  router.post('/evaluate', async (req, res) => {
+    try {
+      const errors = await promptEvaluation.validate(req.body);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid evaluation', errors });
+      }
+
+      const evaluation = await promptEvaluation.evaluate(req.body);
+      res.json(evaluation);
+    } catch (error) {
+      console.error('Error evaluating prompts:', error);
+      res.status(500).json({ error: 'Failed to evaluate prompts' });
+    }
+  });
+
+  // Version history for a feature
+  router.get('/:feature', async (req, res) => {
+    try {
+      const versions = await promptRegistry.getVersions(req.params.feature);
+      res.json({ feature: req.params.feature, versions });
+    } catch (error) {
+      console.error('Error getting prompt versions:', error);
+      res.status(500).json({ error: 'Failed to get prompt versions' });
+    }
+  });
+
+  // Check a draft's {variable} placeholders without saving it
+  router.post('/:feature/validate', (req, res) => {
+    const { systemPrompt = null, userPrompt } = req.body;
+    res.json(promptRegistry.validate(req.params.feature, { systemPrompt, userPrompt }));
+  });
+
+  // Save a draft as a new version
+  router.post('/:feature/versions', async (req, res) => {
+    const { systemPrompt = null, userPrompt, notes = null, activate = false } = req.body;
+
+    const validation = promptRegistry.validate(req.params.feature, { systemPrompt, userPrompt });
+    if (!validation.valid) {
+      return res.status(400).json({ error: 'Invalid prompt', errors: validation.errors });
+    }
+
+    try {
+      const version = await promptRegistry.createVersion(req.params.feature, {
+        systemPrompt,
+        userPrompt,
+        notes,
+        activate: activate === true
+      });
+      res.status(201).json({ feature: req.params.feature, version, active: activate === true });
+    } catch (error) {
+      console.error('Error saving prompt version:', error);
+      res.status(500).json({ error: 'Failed to save prompt version' });
+    }
+  });
+
+  // Activate a version; 0 reverts to the built-in prompt
+  router.put('/:feature/active', async (req, res) => {
+    const version = parseInt(req.body.version);
+    if (isNaN(version) || version < 0) {
+      return res.status(400).json({ error: 'Version must be a non-negative integer' });
+    }
+
+    try {
+      const activated = await promptRegistry.activateVersion(req.params.feature, version);
+      if (!activated) {
+        return res.status(404).json({ error: 'Prompt version not found' });
+      }
+      res.json({ feature: req.params.feature, activeVersion: version });
+    } catch (error) {
+      console.error('Error activating prompt version:', error);
+      res.status(500).json({ error: 'Failed to activate prompt version' });
+    }
+  });
+
+  // Run a draft (or the active prompt) against a stored meeting
+  router.post('/:feature/preview', async (req, res) => {
+    const { systemPrompt = null, userPrompt, meetingId, variables = {} } = req.body;
+
+    if (!meetingId) {
+      return res.status(400).json({ error: 'meetingId is required' });
+    }
+    if (userPrompt !== undefined) {
+      const validation = promptRegistry.validate(req.params.feature, { systemPrompt, userPrompt });
+      if (!validation.valid) {
+        return res.status(400).json({ error: 'Invalid prompt', errors: validation.errors });
+      }
+    }
+
+    try {
+      const meeting = await meetingService.getMeeting(meetingId);
+      if (!meeting) {
+        return res.status(404).json({ error: 'Meeting not found' });
+      }
+
+      const transcripts = await storageService.getTranscripts(meetingId, { finalOnly: true, limit: null });
+      if (transcripts.length === 0) {
+        return res.status(400).json({ error: 'Meeting has no transcript to preview against' });
+      }
+      const terms = await storageService.getExtractedTerms(meetingId);
+
+      const preview = await promptRegistry.preview(
+        req.params.feature,
+        userPrompt !== undefined ? { systemPrompt, userPrompt } : {},
+        { transcripts, terms },
+        variables
+      );
+      res.json(preview);
+    } catch (error) {
+      console.error('Error previewing prompt:', error);
+      res.status(500).json({ error: 'Failed to preview prompt' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,64 @@
+const express = require('express');
+const router = express.Router();
+
+// Recordings arrive as the raw request body (WAV or headerless 16-bit / 32-bit float PCM)
+const rawAudio = express.raw({
+  type: ['audio/*', 'application/octet-stream'],
+  limit: '500mb'
+});
+
+module.exports = (replayService, startMeeting) => {
+  // Upload a recording and replay it as a new live meeting
+  router.post('/', rawAudio, async (req, res) => {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: 'Audio file is required' });
+    }
+
+    const { title, description, project, speed, sampleRate, channels, format, autoEnd } = req.query;
+
+    let audio;
+    try {
+      audio = replayService.decodeAudio(req.body, { sampleRate, channels, format });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    try {
+      const meeting = await startMeeting({
+        title: title || `Replay ${new Date().toLocaleString()}`,
+        description,
+        project
+      });
+
+      const replay = await replayService.start(meeting.id, audio, {
+        speed,
+        autoEnd: autoEnd !== 'false'
+      });
+
+      res.status(201).json({ meeting, replay });
+    } catch (error) {
+      console.error('Error starting replay:', error);
+      res.status(500).json({ error: 'Failed to start replay' });
+    }
+  });
+
+  // Get replay progress for a meeting
+  router.get('/:meetingId', (req, res) => {
+    const replay = replayService.getStatus(req.params.meetingId);
+    if (!replay) {
+      return res.status(404).json({ error: 'No replay running for this meeting' });
+    }
+    res.json(replay);
+  });
+
+  // Stop a running replay (the meeting stays open)
+  router.delete('/:meetingId', (req, res) => {
+    const replay = replayService.stop(req.params.meetingId);
+    if (!replay) {
+      return res.status(404).json({ error: 'No replay running for this meeting' });
+    }
+    res.json(replay);
+  });
+
+  return router;
+};
@@ -9,15 +9,26 @@ const TranscriptionProviderFactory = require('./transcription/provider-factory')
 const { AudioProcessor } = require('./utils/audio');
 const GPT4oMiniService = require('./llm/gpt4omini');
 const ContextualIntelligenceService = require('./llm/contextual-intelligence');
+const LLMProviderFactory = require('./llm/provider-factory');
 const KnowledgeProviderFactory = require('./knowledge/provider-factory');
 const PostgresService = require('./db/postgres');
 const MeetingService = require('./services/meeting');
 const StorageService = require('./services/storage');
 const ReportService = require('./services/report');
 const GlobalCorrectionService = require('./services/global-corrections');
+const CorrectionSuggestionService = require('./services/correction-suggestions');
 const SettingsService = require('./services/settings');
+const apiKeys = require('./services/api-keys');
+const { API_KEY_SETTINGS } = apiKeys;
+const ReplayService = require('./services/replay');
+const MeetingImportService = require('./services/meeting-import');
+const AudioRecorderService = require('./services/audio-recorder');
 const meetingRoutes = require('./routes/meetings');
 const correctionsRoutes = require('./routes/corrections');
+const replayRoutes = require('./routes/replay');
+const promptRoutes = require('./routes/prompts');
+const promptRegistry = require('./services/prompt-registry');
+const PromptEvaluationService = require('./services/prompt-evaluation');
 const ModelRegistry = require('./llm/model-registry');
 
 const app = express();
@@ -50,32 +61,75 @@ const meetingService = new MeetingService(db);
 const storageService = new StorageService(db);
 const reportService = new ReportService(db, storageService, contextualIntelligence);
 const correctionService = new GlobalCorrectionService(db);
-const settingsService = new SettingsService(db);
+const correctionSuggestions = new CorrectionSuggestionService(db, correctionService);
+const settingsService = new SettingsService(db, { secretKeys: Object.keys(API_KEY_SETTINGS) });
 const modelRegistry = new ModelRegistry();
+const replayService = new ReplayService(transcriptionService);
+const audioRecorder = new AudioRecorderService(db);
+const promptEvaluation = new PromptEvaluationService(storageService, contextualIntelligence);
+const meetingImportService = new MeetingImportService(db, meetingService, storageService, transcriptionService, gpt4oMiniService);
 const audioProcessors = new Map(); // One processor per client
 
-// Current active meeting
-let activeMeetingId = null;
+// Corrected terms go to transcription providers as custom vocabulary, so known
+// mistranscriptions are avoided rather than fixed afterwards. Live meetings get
+// the terms in their own scope.
+function refreshTranscriptionVocabulary() {
+  transcriptionService.setVocabulary(correctionService.getVocabulary()).catch(err => {
+    console.error('[Corrections] Failed to update transcription vocabulary:', err);
+  });
+  for (const meetingId of meetingSessions.keys()) {
+    transcriptionService.setSessionVocabulary(meetingId, correctionService.getVocabulary(meetingId));
+  }
+}
+correctionService.on('corrections:loaded', refreshTranscriptionVocabulary);
+correctionService.on('correction:added', refreshTranscriptionVocabulary);
+correctionService.on('correction:removed', refreshTranscriptionVocabulary);
+correctionService.on('meeting:project-changed', refreshTranscriptionVocabulary);
+
+// Clients hear about corrections that apply to them: meeting corrections only go
+// to the meeting's room
+function broadcastCorrection(event, correction) {
+  (correction.scope === 'meeting' ? io.to(correction.meeting_id) : io).emit(event, correction);
+}
+correctionService.on('correction:added', correction => broadcastCorrection('corrections:added', correction));
+correctionService.on('correction:removed', correction => broadcastCorrection('corrections:removed', correction));
+
+// Live meetings keyed by meeting id. Each session owns its own transcription
+// connection, and clients join the meeting's Socket.IO room to receive updates.
+const meetingSessions = new Map();
 
 // Load settings from database on startup
-settingsService.loadSettingsToCache().then(() => {
+settingsService.loadSettingsToCache().then(async () => {
   console.log('[Settings] Settings loaded from database');
+  // Move secrets saved under a previous master key (or before encryption) onto the current one
+  if (settingsService.canStoreSecrets()) {
+    await settingsService.reencryptSecrets().catch(err => {
+      console.error('[Settings] Failed to re-encrypt secret settings:', err);
+    });
+  }
+  // A fallback chain saved through Settings overrides LLM_FALLBACK_PROVIDERS
+  const fallbackProviders = await settingsService.getSettingValue('llmFallbackProviders');
+  if (Array.isArray(fallbackProviders)) {
+    LLMProviderFactory.setFallbackProviders(fallbackProviders);
+  }
+  const transcriptionFallbacks = await settingsService.getSettingValue('transcriptionFallbackProviders');
+  if (Array.isArray(transcriptionFallbacks)) {
+    transcriptionService.setFallbackProviders(transcriptionFallbacks);
+  }
+  // Keys saved through Settings override .env; factories rebuild their clients
+  return apiKeys.load(settingsService);
 }).catch(err => {
   console.error('[Settings] Failed to load settings:', err);
 });
 
 // Listen for meeting deletion events from routes
 io.on('meeting:deleted', (data) => {
-  // Always clear intelligence data for the deleted meeting, regardless of whether it's active
-  contextualIntelligence.clearMeeting(data.meetingId);
-  
-  if (data.meetingId === activeMeetingId) {
-    console.log(`[Server] Active meeting ${activeMeetingId} was deleted, clearing active state`);
-    activeMeetingId = null;
-    // Clear intelligence data for active meeting
-    gpt4oMiniService.reset();
-    console.log(`[Server] Cleared intelligence data for deleted active meeting`);
+  if (meetingSessions.has(data.meetingId)) {
+    console.log(`[Server] Live meeting ${data.meetingId} was deleted, closing its session`);
   }
+  // Always clear intelligence data for the deleted meeting, regardless of whether it's live
+  stopMeetingSession(data.meetingId);
+  correctionService.clearMeeting(data.meetingId, true);
 });
 
 // Middleware to make services available in routes
@@ -83,30 +137,243 @@ app.use((req, res, next) => {
   req.db = db;
   req.io = io;
   req.correctionService = correctionService;
+  req.correctionSuggestions = correctionSuggestions;
   next();
 });
 
 // API Routes - must be after service initialization
-app.use('/api/meetings', meetingRoutes(meetingService, storageService, reportService));
+app.use('/api/meetings', meetingRoutes(meetingService, storageService, reportService, meetingImportService, audioRecorder));
 app.use('/api/corrections', correctionsRoutes);
+app.use('/api/replay', replayRoutes(replayService, startMeeting));
+app.use('/api/prompts', promptRoutes(promptRegistry, storageService, meetingService, promptEvaluation));
+
+// Open a session for a live meeting with its own transcription connection
+function startMeetingSession(meetingId) {
+  if (meetingSessions.has(meetingId)) {
+    return meetingSessions.get(meetingId);
+  }
+  
+  const session = { meetingId, startedAt: Date.now() };
+  meetingSessions.set(meetingId, session);
+  
+  contextualIntelligence.startMeeting(meetingId);
+  gpt4oMiniService.reset(meetingId);
+  
+  // Pick up where the meeting left off if it already has insights, e.g. after a restart.
+  // Transcripts wait for this so new insights always follow the restored history.
+  session.restored = storageService.getContextualInsights(meetingId)
+    .then(history => contextualIntelligence.restoreMeeting(meetingId, history))
+    .catch(err => {
+      console.error(`[Meeting] Failed to restore insights for meeting ${meetingId}:`, err);
+    });
+  
+  // Corrections for the meeting's project apply alongside global and meeting ones,
+  // and shape the vocabulary the transcription connection opens with
+  correctionService.loadMeetingProject(meetingId)
+    .catch(err => {
+      console.error(`[Meeting] Failed to load project of meeting ${meetingId}:`, err);
+    })
+    .then(() => {
+      // The meeting may have ended while its project loaded
+      if (meetingSessions.get(meetingId) !== session) {
+        if (!meetingSessions.has(meetingId)) {
+          correctionService.clearMeeting(meetingId);
+        }
+        return;
+      }
+      return transcriptionService.openSession(meetingId, correctionService.getVocabulary(meetingId));
+    })
+    .catch(err => {
+      console.error(`[Meeting] Failed to connect transcription for meeting ${meetingId}:`, err);
+    });
+  
+  // Keep the meeting audio on disk if recording is enabled
+  settingsService.getBooleanSetting('recordAudio', process.env.RECORD_AUDIO === 'true')
+    .then(enabled => enabled && audioRecorder.start(meetingId))
+    .catch(err => {
+      console.error(`[Meeting] Failed to start audio recording for meeting ${meetingId}:`, err);
+    });
+  
+  console.log(`[Meeting] Opened session for meeting ${meetingId} (${meetingSessions.size} live)`);
+  return session;
+}
+
+// Close a meeting's transcription connection and drop its intelligence state
+function stopMeetingSession(meetingId) {
+  replayService.stop(meetingId);
+  
+  if (meetingSessions.has(meetingId)) {
+    transcriptionService.closeSession(meetingId);
+    meetingSessions.delete(meetingId);
+    console.log(`[Meeting] Closed session for meeting ${meetingId} (${meetingSessions.size} live)`);
+  }
+  
+  audioRecorder.stop(meetingId).catch(err => {
+    console.error(`[Meeting] Failed to finish audio recording for meeting ${meetingId}:`, err);
+  });
+  
+  contextualIntelligence.clearMeeting(meetingId);
+  gpt4oMiniService.reset(meetingId);
+  correctionService.clearMeeting(meetingId);
+}
 
-// Connect to transcription service on server start
-transcriptionService.connect().catch(err => {
-  console.error('Failed to initialize transcription service:', err);
+// Transcription event handlers - every event is tagged with its meeting id
+transcriptionService.on('transcript', (transcript) => handleTranscript(transcript.meetingId, transcript));
+
+transcriptionService.on('error', ({ meetingId, error }) => {
+  console.error(`Transcription service error for meeting ${meetingId}:`, error);
+  io.to(meetingId).emit('transcription:error', { 
+    message: 'Transcription service error', 
+    timestamp: Date.now() 
+  });
 });
 
-// Transcription event handlers
-transcriptionService.on('transcript', async (transcript) => {
-  // Only process transcripts if there's an active meeting
-  if (!activeMeetingId) {
-    console.warn('Received transcript but no active meeting - ignoring');
-    return;
+// A meeting's provider gave up reconnecting and its audio moved to the next one
+transcriptionService.on('providerSwitched', async ({ meetingId, from, to, fromName, toName, reason, meetingTime }) => {
+  const text = `Transcription switched from ${fromName} to ${toName} (${reason})`;
+  const timestamp = new Date();
+  
+  try {
+    await meetingService.saveTranscriptMarker(meetingId, {
+      text,
+      marker: { type: 'provider-switch', from, to, reason, meetingTime },
+      timestamp
+    });
+  } catch (error) {
+    console.error('Error saving provider switch marker:', error);
+  }
+  
+  io.to(meetingId).emit('transcription:provider-switched', {
+    meetingId,
+    from,
+    to,
+    fromName,
+    toName,
+    reason,
+    meetingTime,
+    text,
+    timestamp: timestamp.getTime()
+  });
+});
+
+transcriptionService.on('speechStarted', ({ meetingId }) => {
+  io.to(meetingId).emit('speech:started', { timestamp: Date.now() });
+});
+
+transcriptionService.on('utteranceEnd', ({ meetingId, data }) => {
+  io.to(meetingId).emit('utterance:end', { timestamp: Date.now(), data });
+});
+
+// Speaker diarization event handlers
+transcriptionService.on('speakerChange', (data) => {
+  console.log(`[Speaker] Speaker change detected: ${data.changes.length} changes`);
+  
+  // Emit speaker change events to clients in the meeting
+  io.to(data.meetingId).emit('speaker:change', {
+    meetingId: data.meetingId,
+    changes: data.changes,
+    timestamp: data.timestamp,
+    isFinal: data.isFinal
+  });
+});
+
+// Create a meeting and open its live session (shared by meeting:start and replays)
+async function startMeeting(data) {
+  const meeting = await meetingService.createMeeting(data);
+  startMeetingSession(meeting.id);
+  
+  // Let every client refresh its meeting list
+  io.emit('meeting:created', meeting);
+  console.log(`[Meeting] Started new meeting: ${meeting.id}`);
+  return meeting;
+}
+
+// Store costs, complete the meeting and close its session. Returns null if it had already ended.
+async function endMeeting(meetingId) {
+  // Check if meeting is already completed
+  const currentMeeting = await meetingService.getMeeting(meetingId);
+  if (currentMeeting && currentMeeting.status === 'completed') {
+    console.log(`[Meeting] Meeting ${meetingId} is already completed, skipping end process`);
+    return null;
   }
   
-  // Apply global corrections to the transcript
+  // Collect usage data before closing the session
+  const transcriptionUsage = {
+    ...transcriptionService.getActiveProvider(meetingId).getUsageForMeeting(),
+    // Audio the VAD kept from the provider and so never billed
+    silenceSecondsSkipped: transcriptionService.getMetrics(meetingId).silenceSecondsSkipped || 0
+  };
+  console.log(`[Meeting] Transcription usage data:`, transcriptionUsage);
+  
+  const usageData = {
+    // Contextual intelligence usage is split by the provider that served each call
+    llm: [gpt4oMiniService.getUsageForMeeting(meetingId), ...contextualIntelligence.getUsageForMeeting(meetingId)],
+    transcription: [transcriptionUsage],
+    knowledge: [] // Knowledge provider usage tracking not yet implemented
+  };
+  
+  // Store usage data in database
+  try {
+    await meetingService.storeMeetingCosts(meetingId, usageData);
+    console.log(`[Meeting] Stored cost data for meeting ${meetingId}`);
+  } catch (error) {
+    console.error('[Meeting] Error storing cost data:', error);
+  }
+  
+  const meeting = await meetingService.endMeeting(meetingId);
+  console.log(`[Meeting] Emitting meeting:ended event for meeting:`, meeting);
+  io.to(meetingId).emit('meeting:ended', meeting);
+  // Let every client refresh its meeting list
+  io.emit('meeting:completed', meeting);
+  console.log(`[Meeting] Ended meeting: ${meetingId}`);
+  storageService.clearSequenceCache(meeting.id);
+  // Close the transcription connection and intelligence state for this meeting
+  stopMeetingSession(meetingId);
+  console.log(`[Meeting] Closed session after ending meeting`);
+  return meeting;
+}
+
+// Replay progress goes to clients watching the meeting
+replayService.on('progress', (status) => {
+  io.to(status.meetingId).emit('replay:progress', status);
+});
+
+replayService.on('audio', (meetingId, audioData) => {
+  audioRecorder.write(meetingId, audioData);
+});
+
+replayService.on('finished', ({ autoEnd, ...status }) => {
+  io.to(status.meetingId).emit('replay:finished', status);
+  
+  // Give the provider a moment to return the last transcripts before ending
+  if (autoEnd && status.status === 'completed') {
+    setTimeout(() => {
+      endMeeting(status.meetingId).catch(error => {
+        console.error(`[Replay] Error ending replayed meeting ${status.meetingId}:`, error);
+      });
+    }, 5000);
+  }
+});
+
+// Send a client's buffered audio to a meeting. Silence held back by the VAD
+// comes before the remaining buffered audio.
+function flushAudio(processor, meetingId) {
+  const skippedBytes = processor.flushVad();
+  const remaining = processor.flush();
+  if (meetingId && meetingSessions.has(meetingId)) {
+    transcriptionService.skipAudio(meetingId, skippedBytes);
+    if (remaining && remaining.length > 0) {
+      transcriptionService.sendAudio(meetingId, remaining);
+    }
+  }
+}
+
+async function handleTranscript(meetingId, transcript) {
+  // Apply the corrections in scope for this meeting: its own, its project's and global ones
   let correctedTranscript = { ...transcript };
   if (transcript.text && transcript.text.trim()) {
-    const correctionResult = correctionService.applyCorrections(transcript.text, activeMeetingId);
+    // Near matches wait for approval; interim results change too often to bother
+    const correctionResult = correctionService.applyCorrections(transcript.text, meetingId, { proposals: transcript.isFinal });
     
     if (correctionResult.hasChanges) {
       correctedTranscript.text = correctionResult.text;
@@ -114,23 +381,38 @@ transcriptionService.on('transcript', async (transcript) => {
       console.log(`[Corrections] Applied ${correctionResult.corrections.length} corrections to transcript`);
       
       // Emit correction event to clients
-      io.emit('corrections:applied', {
+      io.to(meetingId).emit('corrections:applied', {
         original: transcript.text,
         corrected: correctionResult.text,
         corrections: correctionResult.corrections,
         timestamp: Date.now()
       });
     }
+    
+    if (correctionResult.proposals.length > 0) {
+      correctedTranscript.proposals = correctionResult.proposals;
+      console.log(`[Corrections] Proposed ${correctionResult.proposals.length} corrections for approval`);
+    }
+  }
+  
+  // Label the primary speaker with the name assigned to them, if any
+  if (correctedTranscript.speakers && correctedTranscript.speakers.length > 0) {
+    try {
+      const speakerNames = await meetingService.getSpeakerNames(meetingId);
+      correctedTranscript.speakerName = speakerNames[correctedTranscript.speakers[0]] || null;
+    } catch (error) {
+      console.error('Error looking up speaker names:', error);
+    }
   }
   
-  // Broadcast corrected transcript to all connected clients
-  io.emit('transcript:update', correctedTranscript);
+  // Send corrected transcript to clients in this meeting
+  io.to(meetingId).emit('transcript:update', correctedTranscript);
   
   // Save corrected transcript to database with speaker information
   if (correctedTranscript.text && correctedTranscript.text.trim()) {
     try {
       // Use the enhanced meeting service to process transcript with speaker data
-      const result = await meetingService.processTranscriptWithSpeakers(activeMeetingId, {
+      const result = await meetingService.processTranscriptWithSpeakers(meetingId, {
         text: correctedTranscript.text,
         isFinal: correctedTranscript.isFinal,
         confidence: correctedTranscript.confidence,
@@ -147,7 +429,7 @@ transcriptionService.on('transcript', async (transcript) => {
     } catch (error) {
       console.error('Error saving transcript with speaker data:', error);
       // Fallback to basic storage
-      await storageService.saveTranscript(activeMeetingId, {
+      await storageService.saveTranscript(meetingId, {
         text: correctedTranscript.text,
         isFinal: correctedTranscript.isFinal,
         confidence: correctedTranscript.confidence,
@@ -158,25 +440,42 @@ transcriptionService.on('transcript', async (transcript) => {
     }
   }
   
+  // Transcripts that arrive after the meeting's session closed (e.g. a local
+  // engine's last utterance) are kept but not analyzed
+  const session = meetingSessions.get(meetingId);
+  if (!session) {
+    return;
+  }
+  await session.restored;
+  if (meetingSessions.get(meetingId) !== session) {
+    return;
+  }
+  
   // Add corrected transcript to both intelligence services
   if (correctedTranscript.text && correctedTranscript.text.trim()) {
     console.log(`[Intelligence] Processing corrected transcript: "${correctedTranscript.text.substring(0, 50)}..."`);
     
     // Add to contextual intelligence for richer insights (use corrected text)
-    contextualIntelligence.addTranscript(correctedTranscript.text);
+    contextualIntelligence.addTranscript(meetingId, correctedTranscript.text);
     
     // Extract contextual insights
-    const insights = await contextualIntelligence.extractContextualInsights();
+    const insights = await contextualIntelligence.extractContextualInsights(meetingId);
     if (insights) {
-      io.emit('contextual:insights', insights);
+      io.to(meetingId).emit('contextual:insights', insights);
       console.log(`[Contextual] Extracted insights - Topic: ${insights.currentTopic}`);
       
-      // Save insights to database if meeting is active
-      if (activeMeetingId && insights.concepts) {
+      try {
+        await storageService.saveContextualInsights(meetingId, insights);
+      } catch (error) {
+        console.error('Error saving insights history:', error);
+      }
+      
+      // Save insights to database
+      if (insights.concepts) {
         try {
           // Save concepts as enriched terms
           const conceptTerms = insights.concepts.map(c => c.concept);
-          await storageService.saveExtractedTerms(activeMeetingId, conceptTerms);
+          await storageService.saveExtractedTerms(meetingId, conceptTerms);
           
           // Save contextual definitions
           if (insights.contextualDefinitions) {
@@ -195,19 +494,17 @@ transcriptionService.on('transcript', async (transcript) => {
     }
     
     // Also use original term extraction for backwards compatibility
-    gpt4oMiniService.addTranscript(transcript.text);
-    const extraction = await gpt4oMiniService.extractTerms();
+    gpt4oMiniService.addTranscript(meetingId, transcript.text);
+    const extraction = await gpt4oMiniService.extractTerms(meetingId);
     if (extraction) {
-      io.emit('terms:extracted', extraction);
+      io.to(meetingId).emit('terms:extracted', extraction);
       console.log(`[Terms] Extracted: ${extraction.terms.join(', ')}`);
       
-      // Save extracted terms to database if meeting is active
-      if (activeMeetingId) {
-        try {
-          await storageService.saveExtractedTerms(activeMeetingId, extraction.terms);
-        } catch (error) {
-          console.error('Error saving extracted terms:', error);
-        }
+      // Save extracted terms to database
+      try {
+        await storageService.saveExtractedTerms(meetingId, extraction.terms);
+      } catch (error) {
+        console.error('Error saving extracted terms:', error);
       }
       
       // Fetch web definitions for terms not in context AND with frequency >= 3
@@ -215,29 +512,27 @@ transcriptionService.on('transcript', async (transcript) => {
       
       for (const term of extraction.terms) {
         // Skip if already has contextual definition
-        if (contextualIntelligence.getContextualDefinition(term)) {
+        if (contextualIntelligence.getContextualDefinition(meetingId, term)) {
           continue;
         }
         
         // Check frequency in database (only fetch definitions for terms with 3+ mentions)
-        if (activeMeetingId) {
-          try {
-            const frequencyResult = await db.query(
-              'SELECT frequency FROM extracted_terms WHERE meeting_id = $1 AND term = $2',
-              [activeMeetingId, term]
-            );
-            
-            const frequency = frequencyResult.rows.length > 0 ? frequencyResult.rows[0].frequency : 1;
-            
-            if (frequency >= 3) {
-              termsNeedingDefinitions.push(term);
-              console.log(`[Knowledge] Term "${term}" has ${frequency} mentions - queuing for definition`);
-            } else {
-              console.log(`[Knowledge] Term "${term}" has ${frequency} mentions - skipping definition (needs 3+)`);
-            }
-          } catch (error) {
-            console.error(`Error checking frequency for term "${term}":`, error);
+        try {
+          const frequencyResult = await db.query(
+            'SELECT frequency FROM extracted_terms WHERE meeting_id = $1 AND term = $2',
+            [meetingId, term]
+          );
+          
+          const frequency = frequencyResult.rows.length > 0 ? frequencyResult.rows[0].frequency : 1;
+          
+          if (frequency >= 3) {
+            termsNeedingDefinitions.push(term);
+            console.log(`[Knowledge] Term "${term}" has ${frequency} mentions - queuing for definition`);
+          } else {
+            console.log(`[Knowledge] Term "${term}" has ${frequency} mentions - skipping definition (needs 3+)`);
           }
+        } catch (error) {
+          console.error(`Error checking frequency for term "${term}":`, error);
         }
       }
       
@@ -245,7 +540,7 @@ transcriptionService.on('transcript', async (transcript) => {
         console.log(`[Knowledge] Fetching definitions for ${termsNeedingDefinitions.length} high-frequency terms: ${termsNeedingDefinitions.join(', ')}`);
         const definitions = await knowledgeService.searchTermDefinitions(termsNeedingDefinitions);
         if (definitions.length > 0) {
-          io.emit('definitions:updated', definitions);
+          io.to(meetingId).emit('definitions:updated', definitions);
           console.log(`[Knowledge] Found ${definitions.length} web definitions`);
           
           // Save definitions to database
@@ -264,38 +559,7 @@ transcriptionService.on('transcript', async (transcript) => {
       }
     }
   }
-});
-
-transcriptionService.on('error', (error) => {
-  console.error('Deepgram service error:', error);
-  io.emit('transcription:error', { 
-    message: 'Transcription service error', 
-    timestamp: Date.now() 
-  });
-});
-
-transcriptionService.on('speechStarted', () => {
-  io.emit('speech:started', { timestamp: Date.now() });
-});
-
-transcriptionService.on('utteranceEnd', (data) => {
-  io.emit('utterance:end', { timestamp: Date.now(), data });
-});
-
-// Speaker diarization event handlers
-transcriptionService.on('speakerChange', (data) => {
-  if (!activeMeetingId) return;
-  
-  console.log(`[Speaker] Speaker change detected: ${data.changes.length} changes`);
-  
-  // Emit speaker change events to clients
-  io.emit('speaker:change', {
-    meetingId: activeMeetingId,
-    changes: data.changes,
-    timestamp: data.timestamp,
-    isFinal: data.isFinal
-  });
-});
+}
 
 io.on('connection', (socket) => {
   console.log('Client connected:', socket.id);
@@ -303,10 +567,15 @@ io.on('connection', (socket) => {
   // Create audio processor for this client
   audioProcessors.set(socket.id, new AudioProcessor());
   
+  // Meeting this client has joined (its Socket.IO room)
+  socket.data.meetingId = null;
+  // Meeting this client's audio processor was last fed for, which its buffered tail belongs to
+  socket.data.audioMeetingId = null;
+  
   // Send connection status and metrics
   socket.emit('service:status', {
     deepgram: transcriptionService.isConnected,
-    activeMeetingId,
+    liveMeetings: meetingSessions.size,
     metrics: {
       deepgram: transcriptionService.getMetrics(),
       gpt4oMini: gpt4oMiniService.getMetrics(),
@@ -314,69 +583,44 @@ io.on('connection', (socket) => {
     }
   });
   
+  // Move this client into a meeting's room, leaving any previous one
+  const joinMeeting = (meetingId) => {
+    if (socket.data.meetingId && socket.data.meetingId !== meetingId) {
+      socket.leave(socket.data.meetingId);
+      // Drop audio buffered for the previous meeting
+      const processor = audioProcessors.get(socket.id);
+      if (processor) {
+        processor.flushVad();
+        processor.flush();
+      }
+    }
+    socket.join(meetingId);
+    socket.data.meetingId = meetingId;
+  };
+  
   // Meeting management events
   socket.on('meeting:start', async (data) => {
     try {
-      const meeting = await meetingService.createMeeting(data);
-      activeMeetingId = meeting.id;
-      
-      // Set meeting context for contextual intelligence
-      contextualIntelligence.setCurrentMeeting(meeting.id);
-      gpt4oMiniService.reset();
-      
-      io.emit('meeting:started', meeting);
-      console.log(`[Meeting] Started new meeting: ${meeting.id}`);
+      const meeting = await startMeeting(data);
+      joinMeeting(meeting.id);
+      io.to(meeting.id).emit('meeting:started', meeting);
     } catch (error) {
       console.error('Error starting meeting:', error);
       socket.emit('meeting:error', { message: 'Failed to start meeting' });
     }
   });
   
-  socket.on('meeting:end', async () => {
-    if (activeMeetingId) {
+  socket.on('meeting:end', async (requestedMeetingId) => {
+    const meetingId = requestedMeetingId || socket.data.meetingId;
+    if (meetingId) {
       try {
-        // Check if meeting is already completed
-        const currentMeeting = await meetingService.getMeeting(activeMeetingId);
-        if (currentMeeting && currentMeeting.status === 'completed') {
-          console.log(`[Meeting] Meeting ${activeMeetingId} is already completed, skipping end process`);
+        const meeting = await endMeeting(meetingId);
+        if (!meeting) {
           socket.emit('meeting:already-ended', { 
             message: 'This meeting has already been ended',
-            meetingId: activeMeetingId 
+            meetingId 
           });
-          return;
-        }
-        
-        // Collect usage data before resetting services
-        const transcriptionUsage = transcriptionService.getActiveProvider().getUsageForMeeting();
-        console.log(`[Meeting] Transcription usage data:`, transcriptionUsage);
-        
-        const usageData = {
-          llm: [gpt4oMiniService.getUsageForMeeting()],
-          transcription: [transcriptionUsage],
-          knowledge: [] // Knowledge provider usage tracking not yet implemented
-        };
-        
-        // Store usage data in database
-        try {
-          await meetingService.storeMeetingCosts(activeMeetingId, usageData);
-          console.log(`[Meeting] Stored cost data for meeting ${activeMeetingId}`);
-        } catch (error) {
-          console.error('[Meeting] Error storing cost data:', error);
         }
-        
-        const meeting = await meetingService.endMeeting(activeMeetingId);
-        console.log(`[Meeting] Emitting meeting:ended event for meeting:`, meeting);
-        io.emit('meeting:ended', meeting);
-        console.log(`[Meeting] Ended meeting: ${activeMeetingId}`);
-        activeMeetingId = null;
-        storageService.clearSequenceCache(meeting.id);
-        // Reset intelligence services when meeting ends
-        contextualIntelligence.reset();
-        gpt4oMiniService.reset();
-        // Reset usage tracking on services
-        transcriptionService.getActiveProvider().resetMetrics();
-        // Knowledge provider usage tracking not yet implemented
-        console.log(`[Meeting] Reset intelligence services after ending meeting`);
       } catch (error) {
         console.error('Error ending meeting:', error);
         socket.emit('meeting:error', { message: 'Failed to end meeting' });
@@ -385,19 +629,29 @@ io.on('connection', (socket) => {
   });
   
   socket.on('meeting:getActive', async () => {
-    socket.emit('meeting:active', activeMeetingId ? 
-      await meetingService.getMeeting(activeMeetingId) : null);
+    const meetingId = socket.data.meetingId;
+    socket.emit('meeting:active', meetingId && meetingSessions.has(meetingId) ? 
+      await meetingService.getMeeting(meetingId) : null);
   });
   
-  // Handle switching meeting context (for viewing historical meetings)
-  socket.on('meeting:setContext', (meetingId) => {
+  // Handle switching meeting context (viewing a historical meeting or joining a live one)
+  socket.on('meeting:setContext', async (meetingId) => {
     if (meetingId) {
-      // Set this as the active meeting for operations like ending
-      activeMeetingId = meetingId;
-      // Reset services before switching context
-      gpt4oMiniService.reset();
-      contextualIntelligence.setCurrentMeeting(meetingId);
-      console.log(`[Meeting] Switched context to meeting: ${meetingId}`);
+      joinMeeting(meetingId);
+      
+      // Reopen the session for a meeting that is still active, e.g. after a server restart
+      if (!meetingSessions.has(meetingId)) {
+        try {
+          const meeting = await meetingService.getMeeting(meetingId);
+          if (meeting && meeting.status === 'active') {
+            startMeetingSession(meetingId);
+          }
+        } catch (error) {
+          console.error('Error resuming meeting session:', error);
+        }
+      }
+      
+      console.log(`[Meeting] Client ${socket.id} switched context to meeting: ${meetingId}`);
       // Emit event to clear current intelligence data on frontend
       socket.emit('intelligence:reset');
     }
@@ -405,22 +659,37 @@ io.on('connection', (socket) => {
   
   // Handle clearing transcript and intelligence data
   socket.on('transcript:clear', () => {
-    console.log('[Meeting] Clearing transcript and intelligence data');
-    // Reset intelligence services but keep meeting context
-    gpt4oMiniService.reset();
-    if (activeMeetingId) {
-      // Clear the meeting data but keep the meeting ID active
-      contextualIntelligence.reset(activeMeetingId);
+    const meetingId = socket.data.meetingId;
+    console.log(`[Meeting] Clearing transcript and intelligence data for meeting ${meetingId}`);
+    if (meetingId) {
+      // Clear the meeting data but keep the meeting live
+      gpt4oMiniService.reset(meetingId);
+      contextualIntelligence.reset(meetingId);
+      // Notify everyone in the meeting to clear intelligence displays
+      io.to(meetingId).emit('intelligence:reset');
+    } else {
+      socket.emit('intelligence:reset');
     }
-    // Notify frontend to clear intelligence displays
-    socket.emit('intelligence:reset');
   });
   
   let audioChunkCount = 0;
   socket.on('audio:chunk', async (data) => {
     try {
-      // Require active meeting for audio processing
-      if (!activeMeetingId) {
+      // Audio goes to the meeting named in the payload (e.g. the audio bridge),
+      // otherwise to the meeting this client has joined. A named meeting must be
+      // one whose room this client is in.
+      const meetingId = (data && data.meetingId) || socket.data.meetingId;
+      if (meetingId && meetingId !== socket.data.meetingId && !socket.rooms.has(meetingId)) {
+        socket.emit('audio:error', {
+          message: 'Join the meeting before sending it audio.',
+          code: 'NOT_IN_MEETING',
+          timestamp: Date.now()
+        });
+        return;
+      }
+      
+      // Require a live meeting for audio processing
+      if (!meetingId || !meetingSessions.has(meetingId)) {
         socket.emit('audio:error', {
           message: 'No active meeting. Please start a meeting before recording.',
           code: 'NO_ACTIVE_MEETING',
@@ -437,6 +706,12 @@ io.on('connection', (socket) => {
       
       audioChunkCount++;
       
+      // Audio still buffered for another meeting is finished there first
+      if (socket.data.audioMeetingId && socket.data.audioMeetingId !== meetingId) {
+        flushAudio(processor, socket.data.audioMeetingId);
+      }
+      socket.data.audioMeetingId = meetingId;
+      
       let audioBuffer;
       
       // Handle different audio data formats
@@ -447,6 +722,9 @@ io.on('connection', (socket) => {
         // Object with audio property
         if (typeof data.audio === 'string') {
           audioBuffer = processor.base64ToBuffer(data.audio);
+        } else if (Array.isArray(data.audio) && data.format === 'float32') {
+          // Float samples straight from the Web Audio API
+          audioBuffer = Float32Array.from(data.audio);
         } else if (Array.isArray(data.audio)) {
           // Convert array of Int16 values to Buffer
           const int16Array = new Int16Array(data.audio);
@@ -459,25 +737,36 @@ io.on('connection', (socket) => {
         audioBuffer = Buffer.from(data);
       }
       
+      // Process audio (convert format if needed)
+      const processedAudio = processor.processAudioChunk(audioBuffer, {
+        inputSampleRate: data.sampleRate || 48000,
+        inputChannels: data.channels || 1,
+        inputFormat: data.format || (audioBuffer instanceof Float32Array ? 'float32' : 'int16')
+      });
+      
       // Log audio stats every 10 chunks
       if (audioChunkCount % 10 === 0) {
-        const audioLevel = processor.calculateAudioLevel(audioBuffer);
+        const audioLevel = processor.calculateAudioLevel(processedAudio);
         console.log(`Received ${audioChunkCount} chunks | Audio level: ${(audioLevel * 100).toFixed(3)}% | Buffer size: ${audioBuffer.length}`);
       }
       
-      // Process audio (convert format if needed)
-      const processedAudio = processor.processAudioChunk(audioBuffer, {
-        inputSampleRate: data.sampleRate || 48000,
-        inputChannels: data.channels || 1
-      });
+      audioRecorder.write(meetingId, processedAudio);
       
-      // Buffer and send to Deepgram
+      // Buffer, drop sustained silence and send to Deepgram
       const bufferedData = processor.bufferChunk(processedAudio);
-      if (bufferedData) {
-        const audioLevel = processor.calculateAudioLevel(bufferedData);
-        console.log(`Sending to Deepgram - Audio level: ${(audioLevel * 100).toFixed(3)}% | Size: ${bufferedData.length} bytes`);
+      const { audio: voicedData, skippedBytes } = bufferedData
+        ? processor.applyVad(bufferedData)
+        : { audio: null, skippedBytes: 0 };
+      
+      if (skippedBytes > 0) {
+        transcriptionService.skipAudio(meetingId, skippedBytes);
+      }
+      
+      if (voicedData) {
+        const audioLevel = processor.calculateAudioLevel(voicedData);
+        console.log(`Sending to Deepgram - Audio level: ${(audioLevel * 100).toFixed(3)}% | Size: ${voicedData.length} bytes`);
         
-        const sent = transcriptionService.sendAudio(bufferedData);
+        const sent = transcriptionService.sendAudio(meetingId, voicedData);
         if (!sent) {
           socket.emit('transcription:warning', {
             message: 'Audio buffered, waiting for connection',
@@ -497,20 +786,19 @@ io.on('connection', (socket) => {
   socket.on('audio:stop', () => {
     const processor = audioProcessors.get(socket.id);
     if (processor) {
-      // Flush any remaining buffered audio
-      const remaining = processor.flush();
-      if (remaining && remaining.length > 0) {
-        transcriptionService.sendAudio(remaining);
-      }
+      // The tail belongs to the meeting the audio was going to, which may not be the joined one
+      flushAudio(processor, socket.data.audioMeetingId || socket.data.meetingId);
+      socket.data.audioMeetingId = null;
     }
     console.log('Audio streaming stopped for client:', socket.id);
   });
   
   socket.on('metrics:request', () => {
+    const meetingId = socket.data.meetingId;
     socket.emit('metrics:response', {
-      deepgram: transcriptionService.getMetrics(),
-      gpt4oMini: gpt4oMiniService.getMetrics(),
-      contextual: contextualIntelligence.getMetrics(),
+      deepgram: transcriptionService.getMetrics(meetingId),
+      gpt4oMini: gpt4oMiniService.getMetrics(meetingId),
+      contextual: contextualIntelligence.getMetrics(meetingId),
       knowledge: knowledgeService.getCurrentProvider()
     });
   });
@@ -518,11 +806,19 @@ io.on('connection', (socket) => {
   // Interactive intelligence features
   socket.on('intelligence:talking-points', async (topic) => {
     try {
-      // Get custom prompt from database
-      const customPrompt = await settingsService.getSettingValue('talkingPointsPrompt');
+      // Uses the active talkingPoints prompt from the prompt library. Points are
+      // streamed as they're generated, then sent complete in the response event.
       const talkingPoints = await contextualIntelligence.generateTalkingPoints(
-        topic, 
-        customPrompt
+        socket.data.meetingId,
+        topic,
+        ({ delta, points }) => {
+          socket.emit('intelligence:talking-points-delta', {
+            topic,
+            delta,
+            points,
+            timestamp: Date.now()
+          });
+        }
       );
       socket.emit('intelligence:talking-points-response', {
         topic,
@@ -540,7 +836,18 @@ io.on('connection', (socket) => {
   
   socket.on('intelligence:rolling-summary', async (duration) => {
     try {
-      const summary = await contextualIntelligence.getRollingSummary(duration);
+      const summary = await contextualIntelligence.getRollingSummary(
+        socket.data.meetingId,
+        duration,
+        ({ delta, summary: partial }) => {
+          socket.emit('intelligence:summary-delta', {
+            delta,
+            summary: partial,
+            duration,
+            timestamp: Date.now()
+          });
+        }
+      );
       socket.emit('intelligence:summary-response', {
         summary,
         duration,
@@ -556,7 +863,7 @@ io.on('connection', (socket) => {
   });
   
   socket.on('intelligence:get-glossary', () => {
-    const glossary = contextualIntelligence.getMeetingGlossary();
+    const glossary = contextualIntelligence.getMeetingGlossary(socket.data.meetingId);
     socket.emit('intelligence:glossary-response', {
       glossary,
       timestamp: Date.now()
@@ -564,7 +871,7 @@ io.on('connection', (socket) => {
   });
   
   socket.on('intelligence:get-topic-flow', () => {
-    const topicFlow = contextualIntelligence.getTopicFlow();
+    const topicFlow = contextualIntelligence.getTopicFlow(socket.data.meetingId);
     socket.emit('intelligence:topic-flow-response', {
       topics: topicFlow,
       timestamp: Date.now()
@@ -586,25 +893,28 @@ io.on('connection', (socket) => {
       
       const providerStatus = {
         llm: {
-          openai: isValidKey(process.env.OPENAI_API_KEY),
-          anthropic: isValidKey(process.env.ANTHROPIC_API_KEY),
-          gemini: isValidKey(process.env.GEMINI_API_KEY)
+          openai: isValidKey(apiKeys.get('OPENAI_API_KEY')),
+          anthropic: isValidKey(apiKeys.get('ANTHROPIC_API_KEY')),
+          gemini: isValidKey(apiKeys.get('GEMINI_API_KEY')),
+          local: !!process.env.LOCAL_LLM_URL // No key needed
         },
+        llmCircuits: LLMProviderFactory.getCircuitStatus(),
         transcription: {
-          deepgram: isValidKey(process.env.DEEPGRAM_API_KEY),
-          assemblyai: isValidKey(process.env.ASSEMBLYAI_API_KEY),
-          whisper: isValidKey(process.env.OPENAI_API_KEY), // Uses OpenAI key
-          google: isValidKey(process.env.GOOGLE_SPEECH_API_KEY),
-          azure: isValidKey(process.env.AZURE_SPEECH_KEY) && isValidKey(process.env.AZURE_SPEECH_REGION),
-          revai: isValidKey(process.env.REVAI_API_KEY),
-          speechmatics: isValidKey(process.env.SPEECHMATICS_API_KEY)
+          deepgram: isValidKey(apiKeys.get('DEEPGRAM_API_KEY')),
+          assemblyai: isValidKey(apiKeys.get('ASSEMBLYAI_API_KEY')),
+          whisper: isValidKey(apiKeys.get('OPENAI_API_KEY')), // Uses OpenAI key
+          google: isValidKey(apiKeys.get('GOOGLE_SPEECH_API_KEY')),
+          azure: isValidKey(apiKeys.get('AZURE_SPEECH_KEY')) && isValidKey(apiKeys.get('AZURE_SPEECH_REGION')),
+          revai: isValidKey(apiKeys.get('REVAI_API_KEY')),
+          speechmatics: isValidKey(apiKeys.get('SPEECHMATICS_API_KEY')),
+          local: !!(process.env.LOCAL_TRANSCRIPTION_URL || process.env.LOCAL_TRANSCRIPTION_BINARY) // No key needed
         },
         knowledge: {
-          tavily: isValidKey(process.env.TAVILY_API_KEY),
-          exa: isValidKey(process.env.EXA_API_KEY),
-          perplexity: isValidKey(process.env.PERPLEXITY_API_KEY),
-          serpapi: isValidKey(process.env.SERPAPI_KEY),
-          brave: isValidKey(process.env.BRAVE_API_KEY)
+          tavily: isValidKey(apiKeys.get('TAVILY_API_KEY')),
+          exa: isValidKey(apiKeys.get('EXA_API_KEY')),
+          perplexity: isValidKey(apiKeys.get('PERPLEXITY_API_KEY')),
+          serpapi: isValidKey(apiKeys.get('SERPAPI_KEY')),
+          brave: isValidKey(apiKeys.get('BRAVE_API_KEY'))
         }
       };
       
@@ -621,16 +931,18 @@ io.on('connection', (socket) => {
       // Load settings from database
       const dbSettings = await settingsService.getAllSettings();
       
-      // Merge with environment variables for API keys (don't expose actual keys)
+      // API keys are only reported as configured, never sent to the client
       const settings = {
-        deepgramApiKey: process.env.DEEPGRAM_API_KEY ? '***configured***' : '',
-        openaiApiKey: process.env.OPENAI_API_KEY ? '***configured***' : '',
-        anthropicApiKey: process.env.ANTHROPIC_API_KEY ? '***configured***' : '',
-        geminiApiKey: process.env.GEMINI_API_KEY ? '***configured***' : '',
-        tavilyApiKey: process.env.TAVILY_API_KEY ? '***configured***' : '',
+        ...apiKeys.getPlaceholders(),
         llmProvider: dbSettings.llmProvider || process.env.LLM_PROVIDER || 'openai',
         llmModel: dbSettings.llmModel || process.env.LLM_MODEL || 'gpt-4o-mini',
+        llmFallbackProviders: Array.isArray(dbSettings.llmFallbackProviders)
+          ? dbSettings.llmFallbackProviders
+          : LLMProviderFactory.getFallbackProviders(),
         transcriptionProvider: dbSettings.transcriptionProvider || 'deepgram',
+        transcriptionFallbackProviders: Array.isArray(dbSettings.transcriptionFallbackProviders)
+          ? dbSettings.transcriptionFallbackProviders
+          : transcriptionService.getFallbackProviders(),
         knowledgeProvider: dbSettings.knowledgeProvider || 'tavily',
         maxContextLength: parseInt(dbSettings.maxContextLength) || parseInt(process.env.MAX_CONTEXT_LENGTH) || 8000,
         enableNotifications: dbSettings.enableNotifications === 'true' || dbSettings.enableNotifications === true,
@@ -639,15 +951,9 @@ io.on('connection', (socket) => {
         enableContextualIntelligence: dbSettings.enableContextualIntelligence === 'true' || dbSettings.enableContextualIntelligence === true,
         enableKnowledgeRetrieval: dbSettings.enableKnowledgeRetrieval === 'true' || dbSettings.enableKnowledgeRetrieval === true,
         cacheExpiryHours: parseInt(dbSettings.cacheExpiryHours) || parseInt(process.env.CACHE_EXPIRY_HOURS) || 24,
-        talkingPointsPrompt: dbSettings.talkingPointsPrompt || `Based on this meeting context, generate 3-5 intelligent talking points or questions about "{topic}".
-
-CONTEXT:
-{context}
-
-MEETING GLOSSARY:
-{glossary}
-
-Generate talking points that show understanding and move the conversation forward.`
+        recordAudio: dbSettings.recordAudio !== undefined
+          ? dbSettings.recordAudio === 'true' || dbSettings.recordAudio === true
+          : process.env.RECORD_AUDIO === 'true'
       };
 
       socket.emit('settings:response', {
@@ -671,13 +977,13 @@ Generate talking points that show understanding and move the conversation forwar
       // Get the appropriate API key for the provider
       switch (provider) {
         case 'openai':
-          apiKey = process.env.OPENAI_API_KEY;
+          apiKey = apiKeys.get('OPENAI_API_KEY');
           break;
         case 'anthropic':
-          apiKey = process.env.ANTHROPIC_API_KEY;
+          apiKey = apiKeys.get('ANTHROPIC_API_KEY');
           break;
         case 'gemini':
-          apiKey = process.env.GEMINI_API_KEY;
+          apiKey = apiKeys.get('GEMINI_API_KEY');
           break;
       }
       
@@ -700,46 +1006,24 @@ Generate talking points that show understanding and move the conversation forwar
 
   socket.on('settings:save', async (newSettings) => {
     try {
+      const redacted = Object.fromEntries(
+        Object.keys(API_KEY_SETTINGS).map(field => [field, newSettings[field] ? '[REDACTED]' : 'empty'])
+      );
       console.log('[Settings] Received settings update:', {
         ...newSettings,
-        deepgramApiKey: newSettings.deepgramApiKey ? '[REDACTED]' : 'empty',
-        openaiApiKey: newSettings.openaiApiKey ? '[REDACTED]' : 'empty',
-        anthropicApiKey: newSettings.anthropicApiKey ? '[REDACTED]' : 'empty',
-        geminiApiKey: newSettings.geminiApiKey ? '[REDACTED]' : 'empty',
-        tavilyApiKey: newSettings.tavilyApiKey ? '[REDACTED]' : 'empty',
-        talkingPointsPrompt: newSettings.talkingPointsPrompt ? 'custom prompt set' : 'default'
+        ...redacted
       });
 
-      // In a production environment, you would save these to a secure configuration store
-      // For now, we'll just acknowledge receipt and provide guidance
-      
-      let requiresRestart = false;
       const warnings = [];
 
-      // Check if API keys have changed (would require service restart)
-      if (newSettings.deepgramApiKey && newSettings.deepgramApiKey !== '***configured***' && newSettings.deepgramApiKey !== process.env.DEEPGRAM_API_KEY) {
-        warnings.push('Deepgram API key update requires service restart');
-        requiresRestart = true;
+      // New API keys are stored encrypted and every provider client is rebuilt in
+      // place, reconnecting live transcription without ending the meeting
+      const keyUpdate = await apiKeys.update(newSettings);
+      if (keyUpdate.changed.length > 0) {
+        warnings.push(`API keys updated for ${keyUpdate.changed.join(', ')}`);
       }
-      
-      if (newSettings.openaiApiKey && newSettings.openaiApiKey !== '***configured***' && newSettings.openaiApiKey !== process.env.OPENAI_API_KEY) {
-        warnings.push('OpenAI API key update requires service restart');
-        requiresRestart = true;
-      }
-      
-      if (newSettings.anthropicApiKey && newSettings.anthropicApiKey !== '***configured***' && newSettings.anthropicApiKey !== process.env.ANTHROPIC_API_KEY) {
-        warnings.push('Anthropic API key update requires service restart');
-        requiresRestart = true;
-      }
-      
-      if (newSettings.geminiApiKey && newSettings.geminiApiKey !== '***configured***' && newSettings.geminiApiKey !== process.env.GEMINI_API_KEY) {
-        warnings.push('Gemini API key update requires service restart');
-        requiresRestart = true;
-      }
-      
-      if (newSettings.tavilyApiKey && newSettings.tavilyApiKey !== '***configured***' && newSettings.tavilyApiKey !== process.env.TAVILY_API_KEY) {
-        warnings.push('Tavily API key update requires service restart');
-        requiresRestart = true;
+      if (keyUpdate.unsaved.length > 0) {
+        warnings.push('API keys could not be stored and will be lost on restart - set SETTINGS_ENCRYPTION_KEY to keep them');
       }
 
       // Check if LLM provider or model has changed
@@ -753,6 +1037,10 @@ Generate talking points that show understanding and move the conversation forwar
         process.env.LLM_MODEL = newSettings.llmModel;
       }
 
+      if (Array.isArray(newSettings.llmFallbackProviders)) {
+        LLMProviderFactory.setFallbackProviders(newSettings.llmFallbackProviders);
+      }
+
       // Apply runtime settings that don't require restart
       if (newSettings.maxContextLength && contextualIntelligence.setMaxContextLength) {
         contextualIntelligence.setMaxContextLength(newSettings.maxContextLength);
@@ -765,15 +1053,15 @@ Generate talking points that show understanding and move the conversation forwar
       if (newSettings.transcriptionProvider) {
         const switched = transcriptionService.setProvider(newSettings.transcriptionProvider);
         if (switched) {
+          // Live meetings are reconnected with the new provider by the factory
           warnings.push(`Transcription provider switched to ${newSettings.transcriptionProvider}`);
-          // Reconnect with new provider
-          transcriptionService.disconnect();
-          transcriptionService.connect().catch(err => {
-            console.error('Failed to connect to new transcription provider:', err);
-          });
         }
       }
       
+      if (Array.isArray(newSettings.transcriptionFallbackProviders)) {
+        transcriptionService.setFallbackProviders(newSettings.transcriptionFallbackProviders);
+      }
+      
       // Update knowledge provider
       if (newSettings.knowledgeProvider) {
         const switched = knowledgeService.setProvider(newSettings.knowledgeProvider);
@@ -782,14 +1070,13 @@ Generate talking points that show understanding and move the conversation forwar
         }
       }
       
-      // Update provider API keys if needed
-      knowledgeService.updateSettings(newSettings);
-      
       // Save settings to database
       const settingsToSave = {
         llmProvider: newSettings.llmProvider,
         llmModel: newSettings.llmModel,
+        llmFallbackProviders: Array.isArray(newSettings.llmFallbackProviders) ? newSettings.llmFallbackProviders : undefined,
         transcriptionProvider: newSettings.transcriptionProvider,
+        transcriptionFallbackProviders: Array.isArray(newSettings.transcriptionFallbackProviders) ? newSettings.transcriptionFallbackProviders : undefined,
         knowledgeProvider: newSettings.knowledgeProvider,
         maxContextLength: newSettings.maxContextLength,
         enableNotifications: newSettings.enableNotifications,
@@ -798,7 +1085,7 @@ Generate talking points that show understanding and move the conversation forwar
         enableContextualIntelligence: newSettings.enableContextualIntelligence,
         enableKnowledgeRetrieval: newSettings.enableKnowledgeRetrieval,
         cacheExpiryHours: newSettings.cacheExpiryHours,
-        talkingPointsPrompt: newSettings.talkingPointsPrompt
+        recordAudio: newSettings.recordAudio
       };
       
       // Filter out undefined values
@@ -822,7 +1109,7 @@ Generate talking points that show understanding and move the conversation forwar
         message: warnings.length > 0 
           ? `Settings saved. Note: ${warnings.join(', ')}`
           : 'Settings saved successfully',
-        requiresRestart,
+        requiresRestart: false,
         warnings
       });
 
@@ -838,11 +1125,22 @@ Generate talking points that show understanding and move the conversation forwar
   // Global correction events
   socket.on('corrections:add', async (data) => {
     try {
-      const { original, corrected, options = {} } = data;
-      const correction = await correctionService.addCorrection(original, corrected, options);
+      const { original, corrected, options = {}, context = null } = data;
+      // Project and meeting corrections made during a meeting default to that meeting
+      const meetingId = socket.data.meetingId;
+      const correction = await correctionService.addCorrection(original, corrected, {
+        ...options,
+        project: options.project || (meetingId && correctionService.getMeetingProject(meetingId)),
+        meetingId: options.meetingId || meetingId
+      });
       
-      // Broadcast new correction to all clients
-      io.emit('corrections:added', correction);
+      // The suggestion miner learns what gets misheard from corrections made in the transcript
+      if (context) {
+        correctionSuggestions.recordEdit(original, corrected, {
+          meetingId: meetingId || null,
+          context: context.text || null
+        });
+      }
       
       socket.emit('corrections:add-response', {
         success: true,
@@ -861,9 +1159,6 @@ Generate talking points that show understanding and move the conversation forwar
     try {
       const correction = await correctionService.removeCorrection(correctionId);
       
-      // Broadcast correction removal to all clients
-      io.emit('corrections:removed', correction);
-      
       socket.emit('corrections:remove-response', {
         success: true,
         correction
@@ -877,6 +1172,43 @@ Generate talking points that show understanding and move the conversation forwar
     }
   });
 
+  // Near matches proposed alongside a transcript
+  socket.on('corrections:approve-proposal', async (data) => {
+    try {
+      const { correctionId, original } = data;
+      const correction = await correctionService.approveProposal(correctionId, original);
+      
+      socket.emit('corrections:approve-proposal-response', {
+        success: true,
+        correction
+      });
+    } catch (error) {
+      console.error('Error approving correction proposal via WebSocket:', error);
+      socket.emit('corrections:approve-proposal-response', {
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  socket.on('corrections:reject-proposal', async (data) => {
+    try {
+      const { correctionId, original } = data;
+      const correction = await correctionService.rejectProposal(correctionId, original);
+      
+      socket.emit('corrections:reject-proposal-response', {
+        success: true,
+        correction
+      });
+    } catch (error) {
+      console.error('Error rejecting correction proposal via WebSocket:', error);
+      socket.emit('corrections:reject-proposal-response', {
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
   socket.on('corrections:get-suggestions', (term) => {
     try {
       const suggestions = correctionService.findSuggestions(term);
@@ -982,4 +1314,6 @@ Generate talking points that show understanding and move the conversation forwar
 const PORT = process.env.PORT || 9000;
 server.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+  // Look for suggested corrections in stored meetings in the background
+  correctionSuggestions.start();
 });
@@ -0,0 +1,111 @@
+const { EventEmitter } = require('events');
+const { SECRET_PLACEHOLDER } = require('./settings');
+
+// Settings field -> environment variable for every provider credential
+const API_KEY_SETTINGS = {
+  deepgramApiKey: 'DEEPGRAM_API_KEY',
+  assemblyaiApiKey: 'ASSEMBLYAI_API_KEY',
+  googleSpeechApiKey: 'GOOGLE_SPEECH_API_KEY',
+  azureSpeechKey: 'AZURE_SPEECH_KEY',
+  azureSpeechRegion: 'AZURE_SPEECH_REGION',
+  revaiApiKey: 'REVAI_API_KEY',
+  speechmaticsApiKey: 'SPEECHMATICS_API_KEY',
+  openaiApiKey: 'OPENAI_API_KEY',
+  anthropicApiKey: 'ANTHROPIC_API_KEY',
+  geminiApiKey: 'GEMINI_API_KEY',
+  tavilyApiKey: 'TAVILY_API_KEY',
+  exaApiKey: 'EXA_API_KEY',
+  perplexityApiKey: 'PERPLEXITY_API_KEY',
+  serpapiKey: 'SERPAPI_KEY',
+  braveApiKey: 'BRAVE_API_KEY'
+};
+
+// Single source of API keys for every provider factory. Keys saved through Settings
+// are secret settings, stored encrypted by SettingsService, and take precedence over
+// the environment. Factories listen for 'change' and rebuild their clients in place.
+class ApiKeyService extends EventEmitter {
+  constructor() {
+    super();
+    this.settingsService = null;
+    this.keys = new Map(); // env name -> key saved through Settings
+    this.setMaxListeners(50); // Every factory and LLM service subscribes
+  }
+
+  get(envName) {
+    return this.keys.get(envName) || process.env[envName];
+  }
+
+  isConfigured(envName) {
+    return !!this.get(envName);
+  }
+
+  // Placeholder values for the Settings form; real keys never leave the server
+  getPlaceholders() {
+    return Object.fromEntries(
+      Object.entries(API_KEY_SETTINGS).map(([field, envName]) => [
+        field,
+        this.isConfigured(envName) ? SECRET_PLACEHOLDER : ''
+      ])
+    );
+  }
+
+  // Read stored keys on startup
+  async load(settingsService) {
+    this.settingsService = settingsService;
+    const loaded = [];
+
+    for (const [field, envName] of Object.entries(API_KEY_SETTINGS)) {
+      try {
+        const stored = await settingsService.getSecret(field);
+        if (stored) {
+          this.keys.set(envName, stored);
+          loaded.push(envName);
+        }
+      } catch (error) {
+        console.error(`[API Keys] Could not decrypt stored ${field} - check SETTINGS_ENCRYPTION_KEY:`, error.message);
+      }
+    }
+
+    console.log(`[API Keys] Loaded ${loaded.length} stored API keys`);
+    if (loaded.length > 0) {
+      this.emit('change', loaded);
+    }
+    return loaded;
+  }
+
+  // Apply keys from a Settings save. Returns the fields that changed and any that
+  // could only be applied to the running process because they couldn't be stored.
+  async update(settings) {
+    const changed = [];
+    const unsaved = [];
+    const canEncrypt = !!this.settingsService && this.settingsService.canStoreSecrets();
+
+    for (const [field, envName] of Object.entries(API_KEY_SETTINGS)) {
+      const value = typeof settings[field] === 'string' ? settings[field].trim() : '';
+      if (!value || value === SECRET_PLACEHOLDER || value === this.get(envName)) {
+        continue;
+      }
+
+      this.keys.set(envName, value);
+      changed.push(field);
+
+      const saved = canEncrypt && await this.settingsService.setSetting(field, value);
+      if (!saved) {
+        unsaved.push(field);
+      }
+    }
+
+    if (unsaved.length > 0) {
+      console.warn(`[API Keys] ${unsaved.join(', ')} applied but not stored${canEncrypt ? '' : ' - set SETTINGS_ENCRYPTION_KEY to keep keys across restarts'}`);
+    }
+    if (changed.length > 0) {
+      console.log(`[API Keys] Updated ${changed.join(', ')}`);
+      this.emit('change', changed.map(field => API_KEY_SETTINGS[field]));
+    }
+
+    return { changed, unsaved };
+  }
+}
+
+module.exports = new ApiKeyService();
+module.exports.API_KEY_SETTINGS = API_KEY_SETTINGS;
@@ -0,0 +1,158 @@
+const fs = require('fs');
+const path = require('path');
+const wav = require('wav');
+const { parseWav, SAMPLE_RATE, CHANNELS } = require('../utils/audio');
+
+// Writes the processed 16 kHz PCM of each meeting to a WAV file so it can be
+// played back later. Recording is opt-in via the recordAudio setting.
+class AudioRecorderService {
+  constructor(db, storageDir = process.env.AUDIO_STORAGE_DIR || path.join(__dirname, '..', 'recordings')) {
+    this.db = db;
+    this.storageDir = path.resolve(storageDir);
+    this.recordings = new Map(); // meetingId -> recording state
+  }
+
+  getRecordingPath(meetingId) {
+    return path.join(this.storageDir, `${meetingId}.wav`);
+  }
+
+  isRecording(meetingId) {
+    return this.recordings.has(meetingId);
+  }
+
+  async start(meetingId) {
+    if (this.recordings.has(meetingId)) {
+      return this.recordings.get(meetingId).path;
+    }
+
+    const filePath = this.getRecordingPath(meetingId);
+    const recording = {
+      meetingId,
+      path: filePath,
+      writer: null,
+      pending: [], // Chunks that arrive while the file is being opened
+      bytesWritten: 0,
+      stopped: false,
+      startedAt: Date.now()
+    };
+    this.recordings.set(meetingId, recording);
+
+    try {
+      await fs.promises.mkdir(this.storageDir, { recursive: true });
+
+      // A meeting resumed after a restart keeps its earlier audio
+      const previousAudio = await this.readPreviousAudio(filePath);
+      if (recording.stopped) {
+        return null; // Meeting ended while the file was being opened
+      }
+
+      recording.writer = new wav.FileWriter(filePath, {
+        sampleRate: SAMPLE_RATE,
+        channels: CHANNELS,
+        bitDepth: 16
+      });
+      recording.writer.on('error', error => {
+        console.error(`[Audio Recorder] Error writing audio for meeting ${meetingId}:`, error);
+      });
+
+      if (previousAudio) {
+        recording.writer.write(previousAudio);
+        recording.bytesWritten += previousAudio.length;
+      }
+      for (const chunk of recording.pending) {
+        recording.writer.write(chunk);
+        recording.bytesWritten += chunk.length;
+      }
+      recording.pending = [];
+
+      await this.db.query('UPDATE meetings SET audio_path = $2 WHERE id = $1', [meetingId, filePath]);
+      console.log(`[Audio Recorder] Recording meeting ${meetingId} to ${filePath}`);
+      return filePath;
+    } catch (error) {
+      this.recordings.delete(meetingId);
+      if (recording.writer) {
+        recording.writer.end();
+      }
+      console.error(`[Audio Recorder] Failed to start recording for meeting ${meetingId}:`, error);
+      throw error;
+    }
+  }
+
+  async readPreviousAudio(filePath) {
+    let fileData;
+    try {
+      fileData = await fs.promises.readFile(filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    try {
+      // Files left by a crash still carry the streaming placeholder size, which parseWav tolerates
+      const { sampleRate, channels, bitDepth, data } = parseWav(fileData);
+      if (sampleRate !== SAMPLE_RATE || channels !== CHANNELS || bitDepth !== 16) {
+        console.warn(`[Audio Recorder] Discarding existing ${filePath}: unexpected format ${sampleRate}Hz/${channels}ch/${bitDepth}-bit`);
+        return null;
+      }
+      return data;
+    } catch (error) {
+      console.warn(`[Audio Recorder] Discarding unreadable recording ${filePath}:`, error.message);
+      return null;
+    }
+  }
+
+  // Append processed 16 kHz mono PCM for a meeting; ignored if it isn't being recorded
+  write(meetingId, pcmData) {
+    const recording = this.recordings.get(meetingId);
+    if (!recording || !pcmData || pcmData.length === 0) {
+      return false;
+    }
+
+    if (!recording.writer) {
+      recording.pending.push(Buffer.from(pcmData));
+      return true;
+    }
+
+    recording.writer.write(pcmData);
+    recording.bytesWritten += pcmData.length;
+    return true;
+  }
+
+  // Finish the file; resolves once the WAV header has been rewritten with the real length
+  async stop(meetingId) {
+    const recording = this.recordings.get(meetingId);
+    if (!recording) {
+      return null;
+    }
+    this.recordings.delete(meetingId);
+    recording.stopped = true;
+
+    if (!recording.writer) {
+      return null; // Never got going
+    }
+
+    await new Promise(resolve => {
+      recording.writer.once('done', resolve);
+      recording.writer.once('error', resolve);
+      recording.writer.end();
+    });
+
+    const durationSeconds = recording.bytesWritten / (SAMPLE_RATE * CHANNELS * 2);
+    console.log(`[Audio Recorder] Saved ${durationSeconds.toFixed(1)}s of audio for meeting ${meetingId}`);
+    return { path: recording.path, durationSeconds };
+  }
+
+  async deleteRecording(meetingId, filePath = this.getRecordingPath(meetingId)) {
+    await this.stop(meetingId);
+    try {
+      await fs.promises.unlink(filePath);
+      console.log(`[Audio Recorder] Deleted recording for meeting ${meetingId}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`[Audio Recorder] Failed to delete recording for meeting ${meetingId}:`, error);
+      }
+    }
+  }
+}
+
+module.exports = AudioRecorderService;
@@ -0,0 +1,297 @@
+const { EventEmitter } = require('events');
+const { phoneticKey } = require('../utils/phonetics');
+
+// How closely a transcribed word has to match a known term to be suggested
+const MATCH_THRESHOLD = 0.75;
+// Edit budget for the search itself, loose enough that words which sound like a
+// term but are spelled quite differently ("clod" for "Claude") still reach the
+// threshold check
+const SEARCH_THRESHOLD = 0.5;
+// Average word confidence below which the provider was unsure about a word
+const LOW_CONFIDENCE = 0.75;
+// Words seen this often are worth suggesting even with high confidence
+const MIN_REPEATED_OCCURRENCES = 3;
+const MIN_WORD_LENGTH = 4;
+const LOOKBACK_DAYS = 90;
+const MAX_WORDS = 5000;
+
+// Mines suggested global corrections in the background. Transcribed words are
+// compared with the terms the meetings are known to use - glossary terms,
+// corrected terms and the user's own edits - and close matches that were
+// low-confidence, repeated or look like an earlier edit are ranked for review.
+class CorrectionSuggestionService extends EventEmitter {
+  constructor(db, correctionService) {
+    super();
+    this.db = db;
+    this.correctionService = correctionService;
+    this.timer = null;
+    this.isMining = false;
+    this.lastRun = null;
+  }
+
+  // Mine now and then every intervalMs; the timer doesn't keep the process alive
+  start(intervalMs = (parseInt(process.env.CORRECTION_MINING_INTERVAL_MINUTES) || 60) * 60000) {
+    this.stop();
+    this.timer = setInterval(() => this.runSafely(), intervalMs);
+    this.timer.unref();
+    this.runSafely();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  runSafely() {
+    this.mine().catch(error => {
+      console.error('[Correction Suggestions] Mining failed:', error);
+    });
+  }
+
+  // Record a correction the user made from the transcript
+  async recordEdit(original, corrected, { meetingId = null, context = null } = {}) {
+    try {
+      await this.db.query(`
+        INSERT INTO correction_edits (original_term, corrected_term, meeting_id, context)
+        VALUES ($1, $2, $3, $4)
+      `, [original, corrected, meetingId, context]);
+    } catch (error) {
+      console.error('[Correction Suggestions] Error recording edit:', error);
+    }
+  }
+
+  async mine() {
+    if (this.isMining) {
+      return null;
+    }
+    this.isMining = true;
+    const startTime = Date.now();
+
+    try {
+      const [targets, words, existing] = await Promise.all([
+        this.getKnownTerms(),
+        this.getTranscribedWords(),
+        this.getCorrectedOriginals()
+      ]);
+
+      const suggestions = [];
+      for (const word of words) {
+        if (word.word.length < MIN_WORD_LENGTH || targets.has(word.word) || existing.has(word.word)) {
+          continue;
+        }
+
+        const suggestion = this.rankWord(word, targets);
+        if (suggestion) {
+          suggestions.push(suggestion);
+        }
+      }
+
+      for (const suggestion of suggestions) {
+        await this.saveSuggestion(suggestion);
+      }
+
+      this.lastRun = {
+        at: new Date().toISOString(),
+        wordsChecked: words.length,
+        knownTerms: targets.size,
+        suggestions: suggestions.length,
+        durationMs: Date.now() - startTime
+      };
+      console.log(`[Correction Suggestions] Checked ${words.length} words against ${targets.size} known terms, ${suggestions.length} suggestions`);
+      this.emit('mined', this.lastRun);
+      return this.lastRun;
+    } finally {
+      this.isMining = false;
+    }
+  }
+
+  // Best known term a transcribed word could be a mistranscription of, with its
+  // score, or null if nothing matches closely enough or the evidence is too thin
+  rankWord(word, targets) {
+    const wordKey = phoneticKey(word.word);
+    let best = null;
+    for (const target of targets.values()) {
+      // Compare with the term itself and with what it has been misheard as before
+      for (const original of [target.term, ...target.misheardAs]) {
+        const match = this.correctionService.matchTerm(word.word, {
+          original_term: original,
+          confidence_threshold: SEARCH_THRESHOLD
+        }, wordKey);
+        if (match && match.confidence >= MATCH_THRESHOLD && (!best || match.confidence > best.match.confidence)) {
+          best = { target, match };
+        }
+      }
+    }
+    if (!best) {
+      return null;
+    }
+
+    const lowConfidence = word.avgConfidence !== null && word.avgConfidence < LOW_CONFIDENCE;
+    const fromEdit = best.target.sources.has('edit');
+    if (!lowConfidence && !fromEdit && word.occurrences < MIN_REPEATED_OCCURRENCES) {
+      return null;
+    }
+
+    // Closeness of the match, scaled up for words seen more often (full weight at
+    // 100 occurrences) and for each independent signal behind it
+    const frequency = Math.min(1, Math.log10(1 + word.occurrences) / 2);
+    const score = best.match.confidence * (0.5 + 0.5 * frequency) * (lowConfidence ? 1.25 : 1) * (fromEdit ? 1.25 : 1);
+
+    return {
+      original: word.word,
+      corrected: best.target.term,
+      score: Math.round(score * 1000) / 1000,
+      occurrences: word.occurrences,
+      avgConfidence: word.avgConfidence,
+      reasons: [
+        best.match.matchType,
+        ...(lowConfidence ? ['low_confidence'] : []),
+        ...Array.from(best.target.sources)
+      ]
+    };
+  }
+
+  // Terms the meetings are known to use, keyed by lower case: glossary terms
+  // mentioned more than once, corrected terms and terms the user corrected to
+  async getKnownTerms() {
+    const [glossary, corrections, edits] = await Promise.all([
+      this.db.query(`
+        SELECT term FROM extracted_terms
+        GROUP BY term
+        HAVING SUM(frequency) > 1
+      `),
+      this.db.query('SELECT original_term, corrected_term FROM global_corrections WHERE is_active = true'),
+      this.db.query('SELECT original_term, corrected_term FROM correction_edits')
+    ]);
+
+    const targets = new Map();
+    const addTarget = (term, source, misheardAs = null) => {
+      // Transcribed words are compared one at a time
+      if (!term || /\s/.test(term.trim())) {
+        return;
+      }
+      const key = term.trim().toLowerCase();
+      if (!targets.has(key)) {
+        targets.set(key, { term: term.trim(), sources: new Set(), misheardAs: [] });
+      }
+      const target = targets.get(key);
+      target.sources.add(source);
+      if (misheardAs && misheardAs.toLowerCase() !== key && !target.misheardAs.includes(misheardAs)) {
+        target.misheardAs.push(misheardAs);
+      }
+    };
+
+    glossary.rows.forEach(row => addTarget(row.term, 'glossary'));
+    corrections.rows.forEach(row => addTarget(row.corrected_term, 'correction', row.original_term));
+    edits.rows.forEach(row => addTarget(row.corrected_term, 'edit', row.original_term));
+    return targets;
+  }
+
+  // Distinct words from recent meetings with how often they were heard and how
+  // sure the provider was about them
+  async getTranscribedWords() {
+    const result = await this.db.query(`
+      SELECT LOWER(word) AS word, COUNT(*) AS occurrences, AVG(confidence) AS avg_confidence
+      FROM speaker_words
+      WHERE created_at > NOW() - ($1 || ' days')::INTERVAL
+      GROUP BY LOWER(word)
+      HAVING COUNT(*) > 1
+      ORDER BY occurrences DESC
+      LIMIT $2
+    `, [LOOKBACK_DAYS, MAX_WORDS]);
+
+    return result.rows.map(row => ({
+      word: row.word.replace(/[^\w'-]/g, ''),
+      occurrences: parseInt(row.occurrences),
+      avgConfidence: row.avg_confidence === null ? null : parseFloat(row.avg_confidence)
+    }));
+  }
+
+  // Words that already have a correction don't need suggesting
+  async getCorrectedOriginals() {
+    const result = await this.db.query('SELECT LOWER(original_term) AS term FROM global_corrections WHERE is_active = true');
+    return new Set(result.rows.map(row => row.term));
+  }
+
+  // Insert or refresh a pending suggestion; reviewed pairs are left alone
+  async saveSuggestion(suggestion) {
+    await this.db.query(`
+      INSERT INTO correction_suggestions (original_term, corrected_term, score, occurrences, avg_confidence, reasons)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (LOWER(original_term), LOWER(corrected_term))
+      DO UPDATE SET
+        score = EXCLUDED.score,
+        occurrences = EXCLUDED.occurrences,
+        avg_confidence = EXCLUDED.avg_confidence,
+        reasons = EXCLUDED.reasons,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE correction_suggestions.status = 'pending'
+    `, [
+      suggestion.original,
+      suggestion.corrected,
+      suggestion.score,
+      suggestion.occurrences,
+      suggestion.avgConfidence,
+      JSON.stringify(suggestion.reasons)
+    ]);
+  }
+
+  // Pending suggestions, best first
+  async getSuggestions(limit = 50) {
+    try {
+      const result = await this.db.query(`
+        SELECT * FROM correction_suggestions
+        WHERE status = 'pending'
+        ORDER BY score DESC, occurrences DESC
+        LIMIT $1
+      `, [limit]);
+      return result.rows;
+    } catch (error) {
+      console.error('[Correction Suggestions] Error getting suggestions:', error);
+      throw error;
+    }
+  }
+
+  // Accept a suggestion: it becomes a global correction
+  async acceptSuggestion(suggestionId, options = {}) {
+    const suggestion = await this.getPendingSuggestion(suggestionId);
+    const correction = await this.correctionService.addCorrection(
+      suggestion.original_term,
+      suggestion.corrected_term,
+      { category: options.category || 'general', autoApply: true }
+    );
+
+    await this.db.query(`
+      UPDATE correction_suggestions
+      SET status = 'accepted', correction_id = $2, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [suggestionId, correction.id]);
+    return correction;
+  }
+
+  async rejectSuggestion(suggestionId) {
+    const suggestion = await this.getPendingSuggestion(suggestionId);
+    await this.db.query(`
+      UPDATE correction_suggestions
+      SET status = 'rejected', updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [suggestionId]);
+    console.log(`[Correction Suggestions] Rejected "${suggestion.original_term}" → "${suggestion.corrected_term}"`);
+    return suggestion;
+  }
+
+  async getPendingSuggestion(suggestionId) {
+    const result = await this.db.query(
+      `SELECT * FROM correction_suggestions WHERE id = $1 AND status = 'pending'`,
+      [suggestionId]
+    );
+    if (result.rows.length === 0) {
+      throw new Error('Suggestion not found');
+    }
+    return result.rows[0];
+  }
+}
+
+module.exports = CorrectionSuggestionService;
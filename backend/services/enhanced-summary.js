@@ -1,10 +1,13 @@
 const LLMProviderFactory = require('../llm/provider-factory');
+const promptRegistry = require('./prompt-registry');
+const { parseJSON, completeStructured, createValidationMetrics } = require('../llm/structured-output');
 
 class EnhancedSummaryService {
   constructor(storageService, contextualIntelligence) {
     this.storageService = storageService;
     this.contextualIntelligence = contextualIntelligence;
     this.llmProvider = new LLMProviderFactory();
+    this.promptOverrides = {}; // feature -> prompt used instead of the active version
     
     // Configuration options
     this.config = {
@@ -26,9 +29,13 @@ class EnhancedSummaryService {
         contextual: { calls: 0, inputTokens: 0, outputTokens: 0 },
         synthesis: { calls: 0, inputTokens: 0, outputTokens: 0 },
         quality: { calls: 0, inputTokens: 0, outputTokens: 0 }
-      }
+      },
+      byModel: {} // 'provider/model' -> usage, for whichever provider served each call
     };
     
+    // Schema validation outcomes for the current summary's extractions
+    this.validationMetrics = createValidationMetrics();
+    
     // Processing state
     this.processingState = {
       meetingId: null,
@@ -38,27 +45,13 @@ class EnhancedSummaryService {
     };
   }
   /**
-   * Clean JSON response from LLM by removing markdown code blocks
+   * Parse a JSON response from the LLM, tolerating markdown code blocks and
+   * text around the JSON
    * @param {string} content - Raw response content from LLM
    * @returns {any} Parsed JSON object
    */
   cleanAndParseJSON(content) {
-    if (!content) {
-      throw new Error('Empty content');
-    }
-    
-    // Remove markdown code blocks
-    let cleaned = content;
-    
-    // Remove ```json or ```JSON blocks
-    cleaned = cleaned.replace(/^```(?:json|JSON)?\s*\n?/gm, '');
-    cleaned = cleaned.replace(/\n?```\s*$/gm, '');
-    
-    // Trim whitespace
-    cleaned = cleaned.trim();
-    
-    // Parse the cleaned JSON
-    return JSON.parse(cleaned);
+    return parseJSON(content);
   }
   
   /**
@@ -73,6 +66,7 @@ class EnhancedSummaryService {
       startTime: Date.now(),
       errors: []
     };
+    this.validationMetrics = createValidationMetrics();
     
     try {
       // Gather all available data sources
@@ -116,6 +110,7 @@ class EnhancedSummaryService {
           processingTime: totalTime,
           stagesCompleted: Array.from(this.processingState.stages.keys()),
           usageTracking: this.usageTracking,
+          validation: this.validationMetrics,
           enhancementLevel: 'full',
           version: '1.0'
         },
@@ -161,10 +156,9 @@ class EnhancedSummaryService {
     let contextualData = null;
     try {
       if (this.contextualIntelligence) {
-        this.contextualIntelligence.setCurrentMeeting(meetingId);
         contextualData = {
-          topicFlow: this.contextualIntelligence.getTopicFlow(),
-          glossary: this.contextualIntelligence.getMeetingGlossary()
+          topicFlow: this.contextualIntelligence.getTopicFlow(meetingId),
+          glossary: this.contextualIntelligence.getMeetingGlossary(meetingId)
         };
       }
     } catch (error) {
@@ -193,11 +187,22 @@ class EnhancedSummaryService {
   /**
    * Track LLM usage for cost calculation
    */
-  trackUsage(stage, inputTokens = 0, outputTokens = 0) {
+  trackUsage(stage, inputTokens = 0, outputTokens = 0, response = null) {
     this.usageTracking.totalCalls += 1;
     this.usageTracking.totalInputTokens += inputTokens;
     this.usageTracking.totalOutputTokens += outputTokens;
     
+    // Attribute to the provider that actually served the call, which may be a fallback
+    const provider = response?.provider || this.llmProvider.currentProvider;
+    const model = response?.model || this.llmProvider.currentModel;
+    const key = `${provider}/${model}`;
+    if (!this.usageTracking.byModel[key]) {
+      this.usageTracking.byModel[key] = { provider, model, calls: 0, inputTokens: 0, outputTokens: 0 };
+    }
+    this.usageTracking.byModel[key].calls += 1;
+    this.usageTracking.byModel[key].inputTokens += inputTokens;
+    this.usageTracking.byModel[key].outputTokens += outputTokens;
+    
     if (this.usageTracking.stageBreakdown[stage]) {
       this.usageTracking.stageBreakdown[stage].calls += 1;
       this.usageTracking.stageBreakdown[stage].inputTokens += inputTokens;
@@ -228,7 +233,8 @@ class EnhancedSummaryService {
       totalCalls: this.usageTracking.totalCalls,
       totalInputTokens: this.usageTracking.totalInputTokens,
       totalOutputTokens: this.usageTracking.totalOutputTokens,
-      stageBreakdown: this.usageTracking.stageBreakdown
+      stageBreakdown: this.usageTracking.stageBreakdown,
+      byModel: this.usageTracking.byModel
     };
   }
   
@@ -246,7 +252,8 @@ class EnhancedSummaryService {
         contextual: { calls: 0, inputTokens: 0, outputTokens: 0 },
         synthesis: { calls: 0, inputTokens: 0, outputTokens: 0 },
         quality: { calls: 0, inputTokens: 0, outputTokens: 0 }
-      }
+      },
+      byModel: {} // 'provider/model' -> usage, for whichever provider served each call
     };
   }
   
@@ -306,7 +313,7 @@ Analyze this segment's structural role in the meeting.`;
         );
         
         // Track usage (approximate token counts)
-        this.trackUsage('structure', userPrompt.length / 4, response.content.length / 4);
+        this.trackUsage('structure', userPrompt.length / 4, response.content.length / 4, response);
         
         try {
           const analysis = this.cleanAndParseJSON(response.content);
@@ -551,267 +558,84 @@ Analyze this segment's structural role in the meeting.`;
     }
   }
   
+  /**
+   * Run a report feature's prompt and return its JSON output, validated against the
+   * feature's schema with one repair round. Throws if it still doesn't match, so the
+   * extraction is reported as failed rather than coming back empty.
+   */
+  async completeFeatureJSON(feature, prompt) {
+    const { data } = await completeStructured({
+      feature,
+      schema: promptRegistry.getSchema(feature),
+      messages: promptRegistry.toMessages(prompt),
+      metrics: this.validationMetrics,
+      complete: async (messages) => {
+        const response = await this.llmProvider.createCompletion(messages, {
+          temperature: this.config.temperature,
+          maxTokens: this.config.maxTokensPerStage,
+          responseFormat: { type: 'json_object' }
+        });
+        const inputLength = messages.reduce((sum, message) => sum + message.content.length, 0);
+        this.trackUsage('extraction', inputLength / 4, response.content.length / 4, response);
+        return response;
+      }
+    });
+    return data;
+  }
+  
   /**
    * Extract main discussion topics
    */
   async extractTopics(meetingData) {
-    const systemPrompt = `You are a topic identification expert. Extract the main discussion topics from this meeting transcript.
-
-Focus on:
-1. Primary subjects discussed at length
-2. Key themes and concepts
-3. Problem areas or challenges mentioned
-4. Solutions or approaches discussed
+    const prompt = await promptRegistry.render('topics', {
+      transcript: meetingData.fullTranscript
+    }, this.promptOverrides.topics);
 
-Output as JSON only:
-{
-  "mainTopics": [
-    {
-      "topic": "Topic name",
-      "description": "Brief description",
-      "importance": "high|medium|low",
-      "timeSpent": "estimated discussion duration"
-    }
-  ],
-  "themeClusters": ["theme1", "theme2"],
-  "underlyingConcerns": ["concern1", "concern2"]
-}`;
-
-    const userPrompt = `Meeting transcript to analyze:
-
-${meetingData.fullTranscript.substring(0, 6000)}
-
-Extract the main topics discussed in this meeting.`;
-
-    const response = await this.llmProvider.createCompletion(
-      [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: userPrompt }
-      ],
-      {
-        temperature: this.config.temperature,
-        maxTokens: this.config.maxTokensPerStage
-      }
-    );
-    
-    this.trackUsage('extraction', userPrompt.length / 4, response.content.length / 4);
-    
-    try {
-      return this.cleanAndParseJSON(response.content);
-    } catch (parseError) {
-      console.warn('[Enhanced Summary] Could not parse topics extraction:', parseError.message);
-      return { mainTopics: [], themeClusters: [], underlyingConcerns: [] };
-    }
+    return this.completeFeatureJSON('topics', prompt);
   }
   
   /**
    * Extract decisions made during the meeting
    */
   async extractDecisions(meetingData) {
-    const systemPrompt = `You are a decision tracking expert. Identify all decisions made during this meeting.
-
-Focus on:
-1. Explicit decisions ("we decided to...", "let's go with...")
-2. Implicit agreements and consensus
-3. Policy changes or new directions
-4. Resource allocations or assignments
-
-Output as JSON only:
-{
-  "decisions": [
-    {
-      "decision": "What was decided",
-      "context": "Why this decision was made",
-      "impact": "Expected impact or consequence",
-      "confidence": "high|medium|low"
-    }
-  ],
-  "consensus": ["Items where group agreed"],
-  "pendingDecisions": ["Items needing future decision"]
-}`;
-
-    const userPrompt = `Meeting transcript to analyze for decisions:
+    const prompt = await promptRegistry.render('decisions', {
+      transcript: meetingData.fullTranscript
+    }, this.promptOverrides.decisions);
 
-${meetingData.fullTranscript}
-
-Extract all decisions made during this meeting.`;
-
-    const response = await this.llmProvider.createCompletion(
-      [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: userPrompt }
-      ],
-      {
-        temperature: this.config.temperature,
-        maxTokens: this.config.maxTokensPerStage
-      }
-    );
-    
-    this.trackUsage('extraction', userPrompt.length / 4, response.content.length / 4);
-    
-    try {
-      return this.cleanAndParseJSON(response.content);
-    } catch (parseError) {
-      console.warn('[Enhanced Summary] Could not parse decisions extraction:', parseError.message);
-      return { decisions: [], consensus: [], pendingDecisions: [] };
-    }
+    return this.completeFeatureJSON('decisions', prompt);
   }
   
   /**
    * Extract action items and next steps
    */
   async extractActionItems(meetingData) {
-    const systemPrompt = `You are an action item tracking expert. Identify all action items and next steps from this meeting.
-
-Focus on:
-1. Explicit action items ("John will...", "we need to...")
-2. Implicit tasks and follow-ups
-3. Deadlines and timelines
-4. Responsibilities and ownership
+    const prompt = await promptRegistry.render('actionItems', {
+      transcript: meetingData.fullTranscript
+    }, this.promptOverrides.actionItems);
 
-Output as JSON only:
-{
-  "actionItems": [
-    {
-      "action": "What needs to be done",
-      "owner": "Who is responsible (if mentioned)",
-      "deadline": "When it's due (if mentioned)",
-      "priority": "high|medium|low"
-    }
-  ],
-  "followUps": ["Items needing follow-up"],
-  "dependencies": ["Items that depend on other actions"]
-}`;
-
-    const userPrompt = `Meeting transcript to analyze for action items:
-
-${meetingData.fullTranscript}
-
-Extract all action items and next steps from this meeting.`;
-
-    const response = await this.llmProvider.createCompletion(
-      [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: userPrompt }
-      ],
-      {
-        temperature: this.config.temperature,
-        maxTokens: this.config.maxTokensPerStage
-      }
-    );
-    
-    this.trackUsage('extraction', userPrompt.length / 4, response.content.length / 4);
-    
-    try {
-      return this.cleanAndParseJSON(response.content);
-    } catch (parseError) {
-      console.warn('[Enhanced Summary] Could not parse action items extraction:', parseError.message);
-      return { actionItems: [], followUps: [], dependencies: [] };
-    }
+    return this.completeFeatureJSON('actionItems', prompt);
   }
   
   /**
    * Extract questions raised and answered
    */
   async extractQuestions(meetingData) {
-    const systemPrompt = `You are a Q&A tracking expert. Identify questions raised and answered during this meeting.
-
-Focus on:
-1. Direct questions asked by participants
-2. Questions answered or addressed
-3. Open questions needing follow-up
-4. Clarifications requested
-
-Output as JSON only:
-{
-  "questionsAnswered": [
-    {
-      "question": "What was asked",
-      "answer": "How it was answered",
-      "asker": "Who asked (if clear)"
-    }
-  ],
-  "openQuestions": ["Questions that remain unanswered"],
-  "clarifications": ["Items needing clarification"]
-}`;
-
-    const userPrompt = `Meeting transcript to analyze for questions and answers:
-
-${meetingData.fullTranscript.substring(0, 5000)}
+    const prompt = await promptRegistry.render('questions', {
+      transcript: meetingData.fullTranscript
+    }, this.promptOverrides.questions);
 
-Extract questions raised and answered in this meeting.`;
-
-    const response = await this.llmProvider.createCompletion(
-      [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: userPrompt }
-      ],
-      {
-        temperature: this.config.temperature,
-        maxTokens: this.config.maxTokensPerStage
-      }
-    );
-    
-    this.trackUsage('extraction', userPrompt.length / 4, response.content.length / 4);
-    
-    try {
-      return this.cleanAndParseJSON(response.content);
-    } catch (parseError) {
-      console.warn('[Enhanced Summary] Could not parse questions extraction:', parseError.message);
-      return { questionsAnswered: [], openQuestions: [], clarifications: [] };
-    }
+    return this.completeFeatureJSON('questions', prompt);
   }
   
   /**
    * Extract announcements and updates
    */
   async extractAnnouncements(meetingData) {
-    const systemPrompt = `You are an announcement tracking expert. Identify announcements and updates shared during this meeting.
+    const prompt = await promptRegistry.render('announcements', {
+      transcript: meetingData.fullTranscript
+    }, this.promptOverrides.announcements);
 
-Focus on:
-1. News and updates shared
-2. Policy or process changes
-3. Important notifications
-4. Status updates on projects
-
-Output as JSON only:
-{
-  "announcements": [
-    {
-      "announcement": "What was announced",
-      "category": "news|policy|status|notification",
-      "importance": "high|medium|low"
-    }
-  ],
-  "updates": ["Project or status updates"],
-  "changes": ["Policy or process changes"]
-}`;
-
-    const userPrompt = `Meeting transcript to analyze for announcements:
-
-${meetingData.fullTranscript.substring(0, 5000)}
-
-Extract announcements and updates from this meeting.`;
-
-    const response = await this.llmProvider.createCompletion(
-      [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: userPrompt }
-      ],
-      {
-        temperature: this.config.temperature,
-        maxTokens: this.config.maxTokensPerStage
-      }
-    );
-    
-    this.trackUsage('extraction', userPrompt.length / 4, response.content.length / 4);
-    
-    try {
-      return this.cleanAndParseJSON(response.content);
-    } catch (parseError) {
-      console.warn('[Enhanced Summary] Could not parse announcements extraction:', parseError.message);
-      return { announcements: [], updates: [], changes: [] };
-    }
+    return this.completeFeatureJSON('announcements', prompt);
   }
   
   /**
@@ -824,108 +648,23 @@ Extract announcements and updates from this meeting.`;
       .map(t => t.term)
       .join(', ');
     
-    const systemPrompt = `You are a technical concept expert. Identify and explain technical concepts discussed in this meeting.
-
-Focus on:
-1. Technical terms and their usage context
-2. Complex concepts that were explained
-3. Technical solutions or approaches
-4. System or process descriptions
-
-Output as JSON only:
-{
-  "technicalConcepts": [
-    {
-      "concept": "Technical term or concept",
-      "explanation": "How it was explained or used",
-      "complexity": "high|medium|low",
-      "relevance": "central|supporting|mentioned"
-    }
-  ],
-  "technicalSolutions": ["Solutions discussed"],
-  "systemsDiscussed": ["Systems or processes mentioned"]
-}`;
+    const prompt = await promptRegistry.render('technicalConcepts', {
+      transcript: meetingData.fullTranscript,
+      terms: topTerms
+    }, this.promptOverrides.technicalConcepts);
 
-    const userPrompt = `Meeting transcript to analyze for technical concepts:
-
-Key terms identified: ${topTerms}
-
-${meetingData.fullTranscript.substring(0, 5000)}
-
-Extract technical concepts and their explanations from this meeting.`;
-
-    const response = await this.llmProvider.createCompletion(
-      [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: userPrompt }
-      ],
-      {
-        temperature: this.config.temperature,
-        maxTokens: this.config.maxTokensPerStage
-      }
-    );
-    
-    this.trackUsage('extraction', userPrompt.length / 4, response.content.length / 4);
-    
-    try {
-      return this.cleanAndParseJSON(response.content);
-    } catch (parseError) {
-      console.warn('[Enhanced Summary] Could not parse technical concepts extraction:', parseError.message);
-      return { technicalConcepts: [], technicalSolutions: [], systemsDiscussed: [] };
-    }
+    return this.completeFeatureJSON('technicalConcepts', prompt);
   }
   
   /**
    * Extract timeline and temporal elements
    */
   async extractTimeline(meetingData) {
-    const systemPrompt = `You are a timeline expert. Identify time-related elements and create a chronological understanding of this meeting.
+    const prompt = await promptRegistry.render('timeline', {
+      transcript: meetingData.fullTranscript
+    }, this.promptOverrides.timeline);
 
-Focus on:
-1. Deadlines and due dates mentioned
-2. Project timelines and milestones
-3. Historical references
-4. Future planning elements
-
-Output as JSON only:
-{
-  "deadlines": [
-    {
-      "item": "What has a deadline",
-      "date": "When it's due (if specified)",
-      "urgency": "high|medium|low"
-    }
-  ],
-  "milestones": ["Project milestones mentioned"],
-  "timeReferences": ["Past, present, future references"],
-  "chronology": ["Sequence of events discussed"]
-}`;
-
-    const userPrompt = `Meeting transcript to analyze for timeline elements:
-
-${meetingData.fullTranscript.substring(0, 4000)}
-
-Extract timeline and temporal elements from this meeting.`;
-
-    const response = await this.llmProvider.createCompletion(
-      [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: userPrompt }
-      ],
-      {
-        temperature: this.config.temperature,
-        maxTokens: this.config.maxTokensPerStage
-      }
-    );
-    
-    this.trackUsage('extraction', userPrompt.length / 4, response.content.length / 4);
-    
-    try {
-      return this.cleanAndParseJSON(response.content);
-    } catch (parseError) {
-      console.warn('[Enhanced Summary] Could not parse timeline extraction:', parseError.message);
-      return { deadlines: [], milestones: [], timeReferences: [], chronology: [] };
-    }
+    return this.completeFeatureJSON('timeline', prompt);
   }
   
   /**
@@ -1074,7 +813,7 @@ Enhance the topic extraction using the contextual topic flow data.`;
       }
     );
     
-    this.trackUsage('contextual', userPrompt.length / 4, response.content.length / 4);
+    this.trackUsage('contextual', userPrompt.length / 4, response.content.length / 4, response);
     
     try {
       const enhancement = this.cleanAndParseJSON(response.content);
@@ -1146,7 +885,7 @@ Enhance the technical concept extraction using the contextual glossary data.`;
       }
     );
     
-    this.trackUsage('contextual', userPrompt.length / 4, response.content.length / 4);
+    this.trackUsage('contextual', userPrompt.length / 4, response.content.length / 4, response);
     
     try {
       const enhancement = this.cleanAndParseJSON(response.content);
@@ -1205,7 +944,7 @@ Create a contextual narrative that ties all these elements together.`;
       }
     );
     
-    this.trackUsage('contextual', userPrompt.length / 4, response.content.length / 4);
+    this.trackUsage('contextual', userPrompt.length / 4, response.content.length / 4, response);
     
     try {
       const narrative = this.cleanAndParseJSON(response.content);
@@ -1360,7 +1099,7 @@ Generate a professional executive summary of this meeting.`;
       }
     );
     
-    this.trackUsage('synthesis', userPrompt.length / 4, response.content.length / 4);
+    this.trackUsage('synthesis', userPrompt.length / 4, response.content.length / 4, response);
     
     return response.content;
   }
@@ -1448,7 +1187,7 @@ Generate strategic insights and recommendations based on this meeting analysis.`
       }
     );
     
-    this.trackUsage('synthesis', userPrompt.length / 4, response.content.length / 4);
+    this.trackUsage('synthesis', userPrompt.length / 4, response.content.length / 4, response);
     
     try {
       return this.cleanAndParseJSON(response.content);
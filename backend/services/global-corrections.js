@@ -1,11 +1,22 @@
 const { EventEmitter } = require('events');
+const { phoneticKey } = require('../utils/phonetics');
+
+// Terms shorter than this only match exactly; short words sound alike too easily
+const MIN_FUZZY_LENGTH = 4;
+const DEFAULT_CONFIDENCE_THRESHOLD = 0.8;
+// A correction applies to every meeting, to one project's meetings or to one meeting
+const CORRECTION_SCOPES = ['global', 'project', 'meeting'];
 
 class GlobalCorrectionService extends EventEmitter {
     constructor(db) {
         super();
         this.db = db;
-        this.corrections = new Map(); // Cache for performance
-        this.phoneticsCache = new Map();
+        this.corrections = new Map(); // Cache for performance: global corrections by original term
+        this.projectCorrections = new Map(); // lower-case project -> its corrections by original term
+        this.meetingCorrections = new Map(); // meeting id -> its corrections by original term
+        this.meetingProjects = new Map(); // live meeting id -> the project it belongs to
+        this.phoneticsCache = new Map(); // original term -> phonetic key
+        this.rejectedMatches = new Map(); // correction id -> near matches the user turned down
         this.loadCorrections();
     }
 
@@ -20,25 +31,146 @@ class GlobalCorrectionService extends EventEmitter {
             
             // Build correction cache
             this.corrections.clear();
-            result.rows.forEach(correction => {
-                this.corrections.set(correction.original_term.toLowerCase(), correction);
-            });
+            this.projectCorrections.clear();
+            this.meetingCorrections.clear();
+            this.phoneticsCache.clear();
+            result.rows.forEach(correction => this.cacheCorrection(correction));
+            
+            const rejected = await this.db.query('SELECT correction_id, variant FROM correction_match_rejections');
+            this.rejectedMatches.clear();
+            rejected.rows.forEach(row => this.addRejectedMatch(row.correction_id, row.variant));
             
-            console.log(`[Corrections] Loaded ${this.corrections.size} global corrections`);
+            console.log(`[Corrections] Loaded ${result.rows.length} corrections (${this.corrections.size} global)`);
+            this.emit('corrections:loaded');
         } catch (error) {
             console.error('Error loading corrections:', error);
         }
     }
 
-    // Apply corrections to a text string
-    applyCorrections(text, meetingId = null) {
+    cacheCorrection(correction) {
+        const key = correction.original_term.toLowerCase();
+        this.getScopeCache(correction, true).set(key, correction);
+        this.phoneticsCache.set(key, phoneticKey(correction.original_term).replace(/ /g, ''));
+    }
+
+    uncacheCorrection(correction) {
+        const cache = this.getScopeCache(correction);
+        const key = correction.original_term.toLowerCase();
+        if (cache && cache.get(key) && cache.get(key).id === correction.id) {
+            cache.delete(key);
+        }
+    }
+
+    // The cache a correction belongs in, keyed by original term. Project and
+    // meeting caches are created on demand.
+    getScopeCache(correction, create = false) {
+        let caches;
+        let key;
+        if (correction.scope === 'project') {
+            caches = this.projectCorrections;
+            key = correction.project.toLowerCase();
+        } else if (correction.scope === 'meeting') {
+            caches = this.meetingCorrections;
+            key = correction.meeting_id;
+        } else {
+            return this.corrections;
+        }
+        
+        if (!caches.has(key) && create) {
+            caches.set(key, new Map());
+        }
+        return caches.get(key);
+    }
+
+    // Corrections in scope for a meeting by original term: global ones, overridden
+    // by the project's, overridden by the meeting's own. Live meetings' projects
+    // are known from setMeetingProject; pass project for any other meeting.
+    getCorrectionsForMeeting(meetingId = null, project = this.meetingProjects.get(meetingId)) {
+        const layers = [
+            project ? this.projectCorrections.get(project.toLowerCase()) : null,
+            meetingId ? this.meetingCorrections.get(meetingId) : null
+        ].filter(Boolean);
+        if (layers.length === 0) {
+            return this.corrections;
+        }
+        
+        const scoped = new Map(this.corrections);
+        layers.forEach(layer => layer.forEach((correction, key) => scoped.set(key, correction)));
+        return scoped;
+    }
+
+    // Remember which project a live meeting belongs to, or forget it with null
+    setMeetingProject(meetingId, project) {
+        const previous = this.getMeetingProject(meetingId);
+        if (project) {
+            this.meetingProjects.set(meetingId, project);
+        } else {
+            this.meetingProjects.delete(meetingId);
+        }
+        
+        if ((previous || '').toLowerCase() !== (project || '').toLowerCase()) {
+            this.emit('meeting:project-changed', { meetingId, project: project || null });
+        }
+    }
+
+    getMeetingProject(meetingId) {
+        return this.meetingProjects.get(meetingId) || null;
+    }
+
+    async loadMeetingProject(meetingId) {
+        const result = await this.db.query('SELECT project FROM meetings WHERE id = $1', [meetingId]);
+        const project = result.rows.length > 0 ? result.rows[0].project : null;
+        this.setMeetingProject(meetingId, project);
+        return project;
+    }
+
+    // Drop a meeting's project and, once the meeting is gone, its corrections
+    clearMeeting(meetingId, deleted = false) {
+        this.meetingProjects.delete(meetingId);
+        if (deleted) {
+            this.meetingCorrections.delete(meetingId);
+        }
+    }
+
+    addRejectedMatch(correctionId, variant) {
+        if (!this.rejectedMatches.has(correctionId)) {
+            this.rejectedMatches.set(correctionId, new Set());
+        }
+        this.rejectedMatches.get(correctionId).add(variant.toLowerCase());
+    }
+
+    // Apply the corrections in scope for a meeting to a text string. Exact matches of
+    // auto-apply corrections are replaced. With options.proposals, near matches (and
+    // exact matches of the rest) come back as proposals; finding them compares every
+    // word with every correction, so it's only worth doing for final transcripts.
+    applyCorrections(text, meetingId = null, options = {}) {
         if (!text || typeof text !== 'string') return text;
         
+        const { proposals = false, project = this.meetingProjects.get(meetingId) } = options;
+        const corrections = this.getCorrectionsForMeeting(meetingId, project);
+        const result = this.correctText(text, corrections);
+        
+        // Update usage statistics
+        result.corrections.forEach(correction => this.updateUsageStats(correction.id, meetingId));
+        
+        return {
+            text: result.text,
+            corrections: result.corrections,
+            proposals: proposals ? this.findProposals(result.text, corrections) : [],
+            hasChanges: result.corrections.length > 0
+        };
+    }
+
+    // Replace exact matches of auto-apply corrections without recording any usage.
+    // `corrections` lists each correction that matched; `replacements` lists each
+    // occurrence that actually changed the text, in the order applied.
+    correctText(text, corrections = this.corrections) {
         let correctedText = text;
-        const appliedCorrections = [];
+        const matched = [];
+        const replacements = [];
         
         // Apply corrections in order of usage count (most used first)
-        for (const [originalTerm, correction] of this.corrections) {
+        for (const correction of corrections.values()) {
             if (!correction.auto_apply) continue;
             
             const flags = correction.case_sensitive ? 'g' : 'gi';
@@ -46,31 +178,318 @@ class GlobalCorrectionService extends EventEmitter {
                 ? new RegExp(`\\b${this.escapeRegExp(correction.original_term)}\\b`, flags)
                 : new RegExp(this.escapeRegExp(correction.original_term), flags);
             
-            if (pattern.test(correctedText)) {
-                correctedText = correctedText.replace(pattern, correction.corrected_term);
-                appliedCorrections.push({
+            let found = false;
+            correctedText = correctedText.replace(pattern, (match) => {
+                found = true;
+                if (match !== correction.corrected_term) {
+                    replacements.push({
+                        correctionId: correction.id,
+                        original: match,
+                        corrected: correction.corrected_term
+                    });
+                }
+                return correction.corrected_term;
+            });
+            
+            if (found) {
+                matched.push({
                     id: correction.id,
                     original: correction.original_term,
                     corrected: correction.corrected_term,
                     category: correction.category
                 });
+            }
+        }
+        
+        return { text: correctedText, corrections: matched, replacements };
+    }
+
+    // Segments of a stored meeting that the corrections in its scope would change,
+    // with the replacements that would be made in each. Nothing is written.
+    async previewMeetingCorrections(meetingId, db = this.db, lock = false) {
+        const meeting = await db.query('SELECT project FROM meetings WHERE id = $1', [meetingId]);
+        const corrections = this.getCorrectionsForMeeting(meetingId, meeting.rows.length > 0 ? meeting.rows[0].project : null);
+        
+        const result = await db.query(`
+            SELECT id, text, original_text, corrections FROM transcripts 
+            WHERE meeting_id = $1 AND marker IS NULL
+            ORDER BY sequence_number ASC${lock ? ' FOR UPDATE' : ''}
+        `, [meetingId]);
+        
+        const segments = [];
+        for (const transcript of result.rows) {
+            const corrected = this.correctText(transcript.text, corrections);
+            if (corrected.replacements.length > 0) {
+                segments.push({
+                    transcript,
+                    correctedText: corrected.text,
+                    replacements: corrected.replacements
+                });
+            }
+        }
+        return segments;
+    }
+
+    // Apply the current corrections to a stored meeting as one run. Each changed
+    // segment keeps its first transcribed text in original_text and gains the run's
+    // replacements in corrections; the run records what it replaced so it can be undone.
+    async applyToMeeting(meetingId) {
+        const applied = await this.db.transaction(async (client) => {
+            const segments = await this.previewMeetingCorrections(meetingId, client, true);
+            if (segments.length === 0) {
+                return { run: null, segments };
+            }
+            
+            const replacementCount = segments.reduce((sum, segment) => sum + segment.replacements.length, 0);
+            const runResult = await client.query(`
+                INSERT INTO correction_runs (meeting_id, segment_count, replacement_count)
+                VALUES ($1, $2, $3)
+                RETURNING *
+            `, [meetingId, segments.length, replacementCount]);
+            const run = runResult.rows[0];
+            
+            for (const { transcript, correctedText, replacements } of segments) {
+                await client.query(`
+                    INSERT INTO correction_run_segments (
+                        run_id, transcript_id, previous_text, previous_original_text,
+                        previous_corrections, corrected_text, replacements
+                    ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+                `, [
+                    run.id, transcript.id, transcript.text, transcript.original_text,
+                    transcript.corrections ? JSON.stringify(transcript.corrections) : null,
+                    correctedText, JSON.stringify(replacements)
+                ]);
                 
-                // Update usage statistics
-                this.updateUsageStats(correction.id, meetingId);
+                const recorded = replacements.map(replacement => ({ ...replacement, runId: run.id }));
+                await client.query(`
+                    UPDATE transcripts 
+                    SET text = $1,
+                        original_text = COALESCE(original_text, $2),
+                        corrections = COALESCE(corrections, '[]'::jsonb) || $3::jsonb
+                    WHERE id = $4
+                `, [correctedText, transcript.text, JSON.stringify(recorded), transcript.id]);
+            }
+            
+            return { run, segments };
+        });
+        
+        // Count each correction once per segment it changed
+        applied.segments.forEach(segment => {
+            new Set(segment.replacements.map(r => r.correctionId))
+                .forEach(correctionId => this.updateUsageStats(correctionId, meetingId));
+        });
+        
+        if (applied.run) {
+            console.log(`[Corrections] Run ${applied.run.id}: ${applied.run.replacement_count} replacements in ${applied.run.segment_count} segments of meeting ${meetingId}`);
+        }
+        return applied;
+    }
+
+    // Undo a meeting's latest correction run (or the given one, if it is the latest),
+    // restoring each segment it changed to exactly what it was before
+    async undoMeetingCorrections(meetingId, runId = null) {
+        return this.db.transaction(async (client) => {
+            const runs = await client.query(`
+                SELECT * FROM correction_runs 
+                WHERE meeting_id = $1 AND undone_at IS NULL
+                ORDER BY id DESC
+                FOR UPDATE
+            `, [meetingId]);
+            
+            if (runs.rows.length === 0) {
+                throw new Error('No correction runs to undo');
+            }
+            
+            const run = runId ? runs.rows.find(r => r.id === runId) : runs.rows[0];
+            if (!run) {
+                throw new Error('Correction run not found');
+            }
+            // Later runs were applied on top of this one's text
+            if (run.id !== runs.rows[0].id) {
+                throw new Error('Undo later correction runs first');
+            }
+            
+            const segments = await client.query(
+                'SELECT * FROM correction_run_segments WHERE run_id = $1 ORDER BY id ASC',
+                [run.id]
+            );
+            for (const segment of segments.rows) {
+                await client.query(`
+                    UPDATE transcripts 
+                    SET text = $1, original_text = $2, corrections = $3
+                    WHERE id = $4
+                `, [
+                    segment.previous_text,
+                    segment.previous_original_text,
+                    segment.previous_corrections ? JSON.stringify(segment.previous_corrections) : null,
+                    segment.transcript_id
+                ]);
+            }
+            
+            const undone = await client.query(
+                'UPDATE correction_runs SET undone_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *',
+                [run.id]
+            );
+            
+            console.log(`[Corrections] Undid run ${run.id}, restored ${segments.rows.length} segments of meeting ${meetingId}`);
+            return { run: undone.rows[0], segments: segments.rows };
+        });
+    }
+
+    // Correction runs applied to a meeting, newest first
+    async getMeetingCorrectionRuns(meetingId) {
+        try {
+            const result = await this.db.query(`
+                SELECT * FROM correction_runs 
+                WHERE meeting_id = $1 
+                ORDER BY id DESC
+            `, [meetingId]);
+            return result.rows;
+        } catch (error) {
+            console.error('Error getting correction runs:', error);
+            throw error;
+        }
+    }
+
+    // Words and phrases in the text that look or sound like a correction's original
+    // term closely enough to meet its confidence_threshold. These are only
+    // proposed: approving one adds it as a correction of its own.
+    findProposals(text, corrections = this.corrections) {
+        if (!text || typeof text !== 'string') return [];
+        
+        const words = [...text.matchAll(/[\w']+/g)];
+        const proposals = [];
+        const seen = new Set();
+        
+        for (const [originalTerm, correction] of corrections) {
+            const size = originalTerm.split(/\s+/).length;
+            const rejected = this.rejectedMatches.get(correction.id);
+            
+            for (let i = 0; i + size <= words.length; i++) {
+                const last = words[i + size - 1];
+                const candidate = text.slice(words[i].index, last.index + last[0].length);
+                const candidateLower = candidate.toLowerCase();
+                const key = `${correction.id}:${candidateLower}`;
+                
+                if (seen.has(key) || (rejected && rejected.has(candidateLower))) continue;
+                if (candidateLower === correction.corrected_term.toLowerCase()) continue;
+                // Exact matches of auto-apply corrections were already replaced
+                if (candidateLower === originalTerm && correction.auto_apply) continue;
+                
+                const match = this.matchTerm(candidate, correction);
+                if (match && match.confidence >= this.getThreshold(correction)) {
+                    seen.add(key);
+                    proposals.push({
+                        correctionId: correction.id,
+                        original: candidate,
+                        corrected: correction.corrected_term,
+                        category: correction.category,
+                        ...match
+                    });
+                }
             }
         }
         
+        return proposals.sort((a, b) => b.confidence - a.confidence);
+    }
+
+    // Score how likely a term is a mistranscription of a correction's original term.
+    // It may differ by as many edits as the threshold leaves room for; sounding the
+    // same only raises the confidence, since plenty of ordinary words share a key
+    // ("cloud" and "Clawd"). Pass termKey when scoring one term against many corrections.
+    matchTerm(term, correction, termKey = null) {
+        const termLower = term.toLowerCase();
+        const originalLower = correction.original_term.toLowerCase();
+        
+        if (termLower === originalLower) {
+            return { matchType: 'exact', confidence: 1.0 };
+        }
+        if (originalLower.length < MIN_FUZZY_LENGTH || termLower.length < MIN_FUZZY_LENGTH - 1) {
+            return null;
+        }
+        
+        const originalKey = this.phoneticsCache.get(originalLower) || phoneticKey(correction.original_term).replace(/ /g, '');
+        const phonetic = (termKey || phoneticKey(term).replace(/ /g, '')) === originalKey;
+        const longest = Math.max(termLower.length, originalLower.length);
+        const maxEdits = Math.max(1, Math.floor(longest * (1 - this.getThreshold(correction)) + 1e-9));
+        
+        const distance = this.levenshteinDistance(termLower, originalLower, maxEdits);
+        if (distance > maxEdits) {
+            return null;
+        }
+        
+        const similarity = (longest - distance) / longest;
+        const confidence = phonetic ? (1 + similarity) / 2 : similarity;
         return {
-            text: correctedText,
-            corrections: appliedCorrections,
-            hasChanges: appliedCorrections.length > 0
+            matchType: phonetic ? 'phonetic' : 'fuzzy',
+            confidence: Math.round(confidence * 100) / 100
         };
     }
 
-    // Add a new global correction
+    getThreshold(correction) {
+        const threshold = parseFloat(correction.confidence_threshold);
+        return isNaN(threshold) ? DEFAULT_CONFIDENCE_THRESHOLD : threshold;
+    }
+
+    // Accept a proposal: its text becomes a correction to the same term
+    async approveProposal(correctionId, original) {
+        const correction = this.getCachedCorrection(correctionId);
+        if (!correction) {
+            throw new Error('Correction not found');
+        }
+        
+        return this.addCorrection(original, correction.corrected_term, {
+            scope: correction.scope,
+            project: correction.project,
+            meetingId: correction.meeting_id,
+            category: correction.category,
+            confidenceThreshold: correction.confidence_threshold,
+            autoApply: true,
+            caseSensitive: correction.case_sensitive,
+            wholeWordOnly: correction.whole_word_only
+        });
+    }
+
+    // Turn down a proposal so the same text isn't proposed for this correction again
+    async rejectProposal(correctionId, original) {
+        const correction = this.getCachedCorrection(correctionId);
+        if (!correction) {
+            throw new Error('Correction not found');
+        }
+        
+        try {
+            await this.db.query(`
+                INSERT INTO correction_match_rejections (correction_id, variant)
+                VALUES ($1, $2)
+                ON CONFLICT (correction_id, variant) DO NOTHING
+            `, [correction.id, original.toLowerCase()]);
+            
+            this.addRejectedMatch(correction.id, original);
+            console.log(`[Corrections] Rejected proposal: "${original}" → "${correction.corrected_term}"`);
+            return correction;
+        } catch (error) {
+            console.error('Error rejecting proposal:', error);
+            throw error;
+        }
+    }
+
+    getCachedCorrection(correctionId) {
+        const caches = [this.corrections, ...this.projectCorrections.values(), ...this.meetingCorrections.values()];
+        for (const cache of caches) {
+            for (const correction of cache.values()) {
+                if (correction.id === correctionId) {
+                    return correction;
+                }
+            }
+        }
+        return null;
+    }
+
+    // Add a new correction, for every meeting unless a project or meeting scope is given
     async addCorrection(original, corrected, options = {}) {
         try {
             const {
+                scope = 'global',
                 category = 'general',
                 confidenceThreshold = 0.8,
                 autoApply = true,
@@ -78,15 +497,30 @@ class GlobalCorrectionService extends EventEmitter {
                 wholeWordOnly = true,
                 createdByUserId = null
             } = options;
+            const project = scope === 'project' && options.project ? options.project.trim() : null;
+            const meetingId = scope === 'meeting' ? options.meetingId || null : null;
+
+            if (!CORRECTION_SCOPES.includes(scope)) {
+                throw new Error('Invalid correction scope');
+            }
+            if (scope === 'project' && !project) {
+                throw new Error('Project is required for project corrections');
+            }
+            if (scope === 'meeting' && !meetingId) {
+                throw new Error('Meeting is required for meeting corrections');
+            }
 
-            // Check if correction already exists
+            // Check if correction already exists in the same scope
             const existingQuery = `
                 SELECT id FROM global_corrections 
                 WHERE LOWER(original_term) = LOWER($1) 
                 AND LOWER(corrected_term) = LOWER($2)
+                AND scope = $3
+                AND LOWER(project) IS NOT DISTINCT FROM LOWER($4)
+                AND meeting_id IS NOT DISTINCT FROM $5
                 AND is_active = true
             `;
-            const existing = await this.db.query(existingQuery, [original, corrected]);
+            const existing = await this.db.query(existingQuery, [original, corrected, scope, project, meetingId]);
             
             if (existing.rows.length > 0) {
                 throw new Error('Correction already exists');
@@ -95,25 +529,27 @@ class GlobalCorrectionService extends EventEmitter {
             const insertQuery = `
                 INSERT INTO global_corrections (
                     original_term, corrected_term, category, confidence_threshold,
-                    auto_apply, case_sensitive, whole_word_only, created_by_user_id
-                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                    auto_apply, case_sensitive, whole_word_only, created_by_user_id,
+                    scope, project, meeting_id
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
                 RETURNING *
             `;
             
             const result = await this.db.query(insertQuery, [
                 original, corrected, category, confidenceThreshold,
-                autoApply, caseSensitive, wholeWordOnly, createdByUserId
+                autoApply, caseSensitive, wholeWordOnly, createdByUserId,
+                scope, project, meetingId
             ]);
 
             const newCorrection = result.rows[0];
             
             // Update cache
-            this.corrections.set(original.toLowerCase(), newCorrection);
+            this.cacheCorrection(newCorrection);
             
             // Emit event for real-time updates
             this.emit('correction:added', newCorrection);
             
-            console.log(`[Corrections] Added: "${original}" → "${corrected}"`);
+            console.log(`[Corrections] Added${scope === 'global' ? '' : ` for ${scope} ${project || meetingId}`}: "${original}" → "${corrected}"`);
             return newCorrection;
         } catch (error) {
             console.error('Error adding correction:', error);
@@ -139,7 +575,7 @@ class GlobalCorrectionService extends EventEmitter {
             const correction = result.rows[0];
             
             // Remove from cache
-            this.corrections.delete(correction.original_term.toLowerCase());
+            this.uncacheCorrection(correction);
             
             // Emit event for real-time updates
             this.emit('correction:removed', correction);
@@ -152,15 +588,40 @@ class GlobalCorrectionService extends EventEmitter {
         }
     }
 
-    // Get all corrections
+    // Corrected terms for transcription providers to listen for in a meeting (or
+    // in any meeting, without one), most used first. Corrections to the same term
+    // are merged: their usage adds up and their original terms say what the term
+    // tends to be misheard as.
+    getVocabulary(meetingId = null, limit = 100) {
+        const terms = new Map();
+        for (const correction of this.getCorrectionsForMeeting(meetingId).values()) {
+            const key = correction.corrected_term.toLowerCase();
+            if (!terms.has(key)) {
+                terms.set(key, { term: correction.corrected_term, usageCount: 0, soundsLike: [] });
+            }
+            
+            const entry = terms.get(key);
+            entry.usageCount += correction.usage_count || 0;
+            if (correction.original_term.toLowerCase() !== key) {
+                entry.soundsLike.push(correction.original_term);
+            }
+        }
+        
+        return Array.from(terms.values())
+            .sort((a, b) => b.usageCount - a.usageCount || a.term.localeCompare(b.term))
+            .slice(0, limit);
+    }
+
+    // Get all corrections, with the title of the meeting that meeting corrections belong to
     async getAllCorrections() {
         try {
             const query = `
-                SELECT *, 
-                       (SELECT COUNT(*) FROM correction_applications WHERE correction_id = global_corrections.id) as total_applications
-                FROM global_corrections 
-                WHERE is_active = true 
-                ORDER BY usage_count DESC, original_term ASC
+                SELECT gc.*, m.title as meeting_title,
+                       (SELECT COUNT(*) FROM correction_applications WHERE correction_id = gc.id) as total_applications
+                FROM global_corrections gc
+                LEFT JOIN meetings m ON m.id = gc.meeting_id
+                WHERE gc.is_active = true 
+                ORDER BY gc.usage_count DESC, gc.original_term ASC
             `;
             const result = await this.db.query(query);
             return result.rows;
@@ -170,7 +631,7 @@ class GlobalCorrectionService extends EventEmitter {
         }
     }
 
-    // Find suggestions for a term using phonetic matching
+    // Find suggestions for a term: exact, partial, phonetic and close spelling matches
     findSuggestions(term, limit = 5) {
         const suggestions = [];
         const termLower = term.toLowerCase();
@@ -187,18 +648,30 @@ class GlobalCorrectionService extends EventEmitter {
             });
         }
         
-        // Partial matches
+        // Partial and near matches
         for (const [originalTerm, correction] of this.corrections) {
+            if (suggestions.some(s => s.original === correction.original_term)) continue;
+            
             if (originalTerm.includes(termLower) || termLower.includes(originalTerm)) {
-                if (!suggestions.some(s => s.original === correction.original_term)) {
-                    suggestions.push({
-                        type: 'partial',
-                        original: correction.original_term,
-                        corrected: correction.corrected_term,
-                        confidence: this.calculateSimilarity(term, correction.original_term),
-                        category: correction.category
-                    });
-                }
+                suggestions.push({
+                    type: 'partial',
+                    original: correction.original_term,
+                    corrected: correction.corrected_term,
+                    confidence: this.calculateSimilarity(term, correction.original_term),
+                    category: correction.category
+                });
+                continue;
+            }
+            
+            const match = this.matchTerm(term, correction);
+            if (match && match.confidence >= this.getThreshold(correction)) {
+                suggestions.push({
+                    type: match.matchType,
+                    original: correction.original_term,
+                    corrected: correction.corrected_term,
+                    confidence: match.confidence,
+                    category: correction.category
+                });
             }
         }
         
@@ -219,8 +692,11 @@ class GlobalCorrectionService extends EventEmitter {
         return (longer.length - distance) / longer.length;
     }
 
-    // Levenshtein distance algorithm
-    levenshteinDistance(str1, str2) {
+    // Levenshtein distance algorithm. With maxDistance, gives up as soon as the
+    // distance must exceed it and returns maxDistance + 1.
+    levenshteinDistance(str1, str2, maxDistance = Infinity) {
+        if (Math.abs(str1.length - str2.length) > maxDistance) return maxDistance + 1;
+        
         const matrix = Array(str2.length + 1).fill().map(() => Array(str1.length + 1).fill(0));
         
         for (let i = 0; i <= str1.length; i++) matrix[0][i] = i;
@@ -235,6 +711,7 @@ class GlobalCorrectionService extends EventEmitter {
                     matrix[j - 1][i - 1] + cost // substitution
                 );
             }
+            if (Math.min(...matrix[j]) > maxDistance) return maxDistance + 1;
         }
         
         return matrix[str2.length][str1.length];
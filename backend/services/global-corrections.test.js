@@ -0,0 +1,105 @@
+const GlobalCorrectionService = require('./global-corrections');
+
+function correction(overrides) {
+    return {
+        id: 1,
+        original_term: 'Clawd',
+        corrected_term: 'Claude',
+        category: 'product',
+        confidence_threshold: 0.8,
+        auto_apply: true,
+        case_sensitive: false,
+        whole_word_only: true,
+        scope: 'global',
+        usage_count: 0,
+        ...overrides
+    };
+}
+
+// Just enough of the database for the service to load its corrections
+function createService(corrections) {
+    const db = {
+        query: jest.fn(async sql => {
+            if (sql.includes('FROM global_corrections')) {
+                return { rows: corrections };
+            }
+            return { rows: [] };
+        })
+    };
+    const service = new GlobalCorrectionService(db);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    return service.loadCorrections().then(() => service);
+}
+
+describe('GlobalCorrectionService.findProposals', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    test('proposes a spelling that sounds the same and is within the edit budget', async () => {
+        const service = await createService([correction()]);
+
+        expect(service.findProposals('Ask Claud about it')).toEqual([
+            expect.objectContaining({ original: 'Claud', corrected: 'Claude', matchType: 'phonetic', confidence: 0.9 })
+        ]);
+    });
+
+    test.each(['Clod', 'cloud'])('does not propose %s, which sounds the same but is two edits away', async word => {
+        const service = await createService([correction()]);
+
+        expect(service.findProposals(`It runs in the ${word}`)).toEqual([]);
+    });
+
+    test('proposes them once the threshold leaves room for two edits', async () => {
+        const service = await createService([correction({ confidence_threshold: 0.6 })]);
+
+        expect(service.findProposals('Clod and cloud').map(p => p.original)).toEqual(['Clod', 'cloud']);
+    });
+
+    test('skips exact matches of auto-apply corrections and the corrected term itself', async () => {
+        const service = await createService([correction()]);
+
+        expect(service.findProposals('Clawd is Claude')).toEqual([]);
+    });
+
+    test('skips variants the user rejected', async () => {
+        const service = await createService([correction()]);
+        service.addRejectedMatch(1, 'claud');
+
+        expect(service.findProposals('Claud')).toEqual([]);
+    });
+});
+
+describe('GlobalCorrectionService.applyCorrections', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    test('only looks for proposals when asked', async () => {
+        const service = await createService([correction()]);
+        jest.spyOn(service, 'updateUsageStats').mockResolvedValue();
+
+        expect(service.applyCorrections('Clawd met Claud').proposals).toEqual([]);
+        expect(service.applyCorrections('Clawd met Claud', null, { proposals: true })).toMatchObject({
+            text: 'Claude met Claud',
+            proposals: [expect.objectContaining({ original: 'Claud' })]
+        });
+    });
+});
+
+describe('GlobalCorrectionService.getVocabulary', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    test('includes the project and meeting corrections in scope for a meeting', async () => {
+        const service = await createService([
+            correction({ usage_count: 3 }),
+            correction({ id: 2, original_term: 'Sirena', corrected_term: 'Sirena', scope: 'project', project: 'Acme' }),
+            correction({ id: 3, original_term: 'post grass', corrected_term: 'Postgres', scope: 'meeting', meeting_id: 'm1' })
+        ]);
+        service.setMeetingProject('m1', 'Acme');
+
+        expect(service.getVocabulary().map(entry => entry.term)).toEqual(['Claude']);
+        expect(service.getVocabulary('m1')).toEqual([
+            { term: 'Claude', usageCount: 3, soundsLike: ['Clawd'] },
+            { term: 'Postgres', usageCount: 0, soundsLike: ['post grass'] },
+            { term: 'Sirena', usageCount: 0, soundsLike: [] }
+        ]);
+        expect(service.getVocabulary('m2').map(entry => entry.term)).toEqual(['Claude']);
+    });
+});
@@ -0,0 +1,254 @@
+const { parseWav, pcmToWav } = require('../utils/audio');
+
+// Models billed for file transcription, keyed by provider type
+const TRANSCRIPTION_MODELS = {
+  deepgram: 'nova-2',
+  assemblyai: 'standard',
+  whisper: 'whisper-1',
+  local: 'local'
+};
+
+// Turns a pre-recorded file into a completed meeting using the REST
+// transcribeFile path, so imports show up in reports like live meetings.
+class MeetingImportService {
+  constructor(db, meetingService, storageService, transcriptionService, gpt4oMiniService) {
+    this.db = db;
+    this.meetingService = meetingService;
+    this.storageService = storageService;
+    this.transcriptionService = transcriptionService;
+    this.gpt4oMiniService = gpt4oMiniService;
+    this.maxTurnSeconds = 30; // Split long monologues into several transcripts
+    this.maxPauseSeconds = 2; // A pause this long starts a new transcript
+    this.termChunkSize = 2000; // Same text budget as live term extraction
+  }
+
+  // Work out what to send to the provider and how long the recording is
+  prepareAudio(fileBuffer, options = {}) {
+    const isWav = fileBuffer.length >= 12 && fileBuffer.toString('ascii', 0, 4) === 'RIFF';
+
+    if (isWav) {
+      const wav = parseWav(fileBuffer);
+      const bytesPerSecond = wav.sampleRate * wav.channels * (wav.bitDepth / 8);
+      return {
+        audio: fileBuffer,
+        mimeType: 'audio/wav',
+        durationSeconds: wav.data.length / bytesPerSecond
+      };
+    }
+
+    if (options.raw) {
+      // Headerless 16-bit PCM - wrap it so every provider can read it
+      const sampleRate = parseInt(options.sampleRate) || 16000;
+      const channels = parseInt(options.channels) || 1;
+      return {
+        audio: pcmToWav(fileBuffer, { sampleRate, channels }),
+        mimeType: 'audio/wav',
+        durationSeconds: fileBuffer.length / (sampleRate * channels * 2)
+      };
+    }
+
+    // Compressed formats (mp3, m4a, webm...) go to the provider untouched;
+    // the duration comes from the transcript timings instead
+    return {
+      audio: fileBuffer,
+      mimeType: options.mimeType || 'application/octet-stream',
+      durationSeconds: null
+    };
+  }
+
+  async importRecording(fileBuffer, options = {}) {
+    const provider = this.transcriptionService.providers.get(options.provider || this.transcriptionService.currentProvider);
+    if (!provider) {
+      throw new Error(`Provider ${options.provider || this.transcriptionService.currentProvider} not configured`);
+    }
+
+    const prepared = this.prepareAudio(fileBuffer, options);
+    const startTime = Date.now();
+
+    // Transcribe before creating anything so a failed upload leaves no meeting behind
+    const result = await this.transcriptionService.transcribeFile(prepared.audio, {
+      provider: options.provider,
+      language: options.language,
+      mimeType: prepared.mimeType,
+      filename: options.filename
+    });
+
+    const words = this.normalizeWords(result);
+    const durationSeconds = prepared.durationSeconds
+      || result.duration
+      || (words.length > 0 ? words[words.length - 1].end : 0);
+
+    console.log(`[Import] Transcribed ${durationSeconds.toFixed(1)}s of audio with ${provider.type} in ${Date.now() - startTime}ms (${words.length} words)`);
+
+    const meeting = await this.meetingService.createMeeting({
+      title: options.title || `Imported ${new Date().toLocaleString()}`,
+      description: options.description,
+      project: options.project
+    });
+
+    try {
+      // Backdate the start so the duration matches the recording
+      await this.db.query(
+        `UPDATE meetings SET start_time = CURRENT_TIMESTAMP - ($2 * INTERVAL '1 second') WHERE id = $1`,
+        [meeting.id, durationSeconds]
+      );
+      const startedAt = Date.now() - durationSeconds * 1000;
+
+      const transcripts = this.buildTranscripts(words, result);
+      for (const transcript of transcripts) {
+        await this.meetingService.processTranscriptWithSpeakers(meeting.id, {
+          ...transcript,
+          isFinal: true,
+          timestamp: new Date(startedAt + transcript.startTime * 1000)
+        });
+      }
+
+      const terms = await this.extractTerms(meeting.id, transcripts.map(t => t.text).join(' '));
+
+      await this.meetingService.storeMeetingCosts(meeting.id, {
+        llm: [this.gpt4oMiniService.getUsageForMeeting(meeting.id)],
+        transcription: [{
+          provider: provider.type,
+          model: TRANSCRIPTION_MODELS[provider.type],
+          durationSeconds
+        }],
+        knowledge: []
+      });
+
+      const completed = await this.meetingService.endMeeting(meeting.id);
+      this.storageService.clearSequenceCache(meeting.id);
+      this.gpt4oMiniService.reset(meeting.id);
+
+      console.log(`[Import] Imported meeting ${meeting.id}: ${transcripts.length} transcripts, ${terms.length} terms`);
+      return {
+        meeting: completed,
+        provider: provider.type,
+        durationSeconds,
+        transcriptCount: transcripts.length,
+        wordCount: words.length,
+        terms
+      };
+    } catch (error) {
+      // Don't leave a half-imported meeting in the list
+      console.error(`[Import] Failed to store imported meeting ${meeting.id}:`, error);
+      this.storageService.clearSequenceCache(meeting.id);
+      this.gpt4oMiniService.reset(meeting.id);
+      await this.meetingService.deleteMeeting(meeting.id).catch(err => {
+        console.error(`[Import] Failed to clean up meeting ${meeting.id}:`, err);
+      });
+      throw error;
+    }
+  }
+
+  // Bring every provider's word list into the Deepgram shape used by the live pipeline
+  normalizeWords(result) {
+    if (!Array.isArray(result.words)) {
+      return [];
+    }
+
+    // AssemblyAI reports milliseconds and lettered speakers ("A", "B", ...)
+    const inMilliseconds = result.provider === 'assemblyai';
+
+    return result.words.map(word => {
+      let speaker = word.speaker;
+      if (typeof speaker === 'string' && /^[A-Z]$/.test(speaker)) {
+        speaker = speaker.charCodeAt(0) - 65;
+      }
+
+      return {
+        word: word.punctuated_word || word.word || word.text || '',
+        start: inMilliseconds ? word.start / 1000 : word.start,
+        end: inMilliseconds ? word.end / 1000 : word.end,
+        confidence: word.confidence !== undefined ? word.confidence : result.confidence,
+        speaker: speaker !== undefined && speaker !== null ? speaker : 0,
+        speaker_confidence: word.speaker_confidence
+      };
+    }).filter(word => word.word.trim() !== '');
+  }
+
+  // Group words into transcripts at speaker turns and long pauses
+  buildTranscripts(words, result) {
+    if (words.length === 0) {
+      // No timings available (e.g. plain-text responses) - store the text as one transcript
+      return result.text && result.text.trim()
+        ? [{ text: result.text.trim(), confidence: result.confidence, startTime: 0, words: [], speakers: [], speakerSegments: [], speakerChanges: [] }]
+        : [];
+    }
+
+    const transcripts = [];
+    let current = null;
+    let lastSpeaker = null;
+
+    const finish = () => {
+      if (!current) return;
+      const segmentWords = current.words;
+      const endTime = segmentWords[segmentWords.length - 1].end;
+      const text = segmentWords.map(w => w.word).join(' ');
+      const confidence = segmentWords.reduce((sum, w) => sum + (w.confidence || 0), 0) / segmentWords.length;
+
+      transcripts.push({
+        text,
+        confidence,
+        startTime: current.startTime,
+        words: segmentWords,
+        speakers: [current.speaker],
+        speakerSegments: [{
+          speaker: current.speaker,
+          startTime: current.startTime,
+          endTime,
+          text,
+          words: segmentWords,
+          confidence
+        }],
+        speakerChanges: current.change ? [current.change] : []
+      });
+      current = null;
+    };
+
+    for (const word of words) {
+      const previous = current && current.words[current.words.length - 1];
+      const split = !current
+        || word.speaker !== current.speaker
+        || word.start - previous.end >= this.maxPauseSeconds
+        || word.end - current.startTime >= this.maxTurnSeconds;
+
+      if (split) {
+        finish();
+        current = {
+          speaker: word.speaker,
+          startTime: word.start,
+          words: [],
+          change: word.speaker !== lastSpeaker
+            ? { fromSpeaker: lastSpeaker, toSpeaker: word.speaker, timestamp: word.start }
+            : null
+        };
+        lastSpeaker = word.speaker;
+      }
+      current.words.push(word);
+    }
+    finish();
+
+    return transcripts;
+  }
+
+  async extractTerms(meetingId, text) {
+    const terms = [];
+
+    for (let offset = 0; offset < text.length; offset += this.termChunkSize) {
+      const extraction = await this.gpt4oMiniService.extractTermsFromText(
+        meetingId,
+        text.slice(offset, offset + this.termChunkSize)
+      );
+
+      if (extraction && extraction.terms.length > 0) {
+        // Repeats across chunks bump the term frequency, as in live meetings
+        await this.storageService.saveExtractedTerms(meetingId, extraction.terms);
+        terms.push(...extraction.terms);
+      }
+    }
+
+    return [...new Set(terms)];
+  }
+}
+
+module.exports = MeetingImportService;
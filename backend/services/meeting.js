@@ -7,15 +7,19 @@ class MeetingService {
   }
 
   async createMeeting(data) {
-    const { title, description } = data;
+    const { title, description, project } = data;
     const query = `
-      INSERT INTO meetings (title, description, status)
-      VALUES ($1, $2, 'active')
+      INSERT INTO meetings (title, description, project, status)
+      VALUES ($1, $2, $3, 'active')
       RETURNING *
     `;
     
     try {
-      const result = await this.db.query(query, [title || `Meeting ${new Date().toLocaleDateString()}`, description]);
+      const result = await this.db.query(query, [
+        title || `Meeting ${new Date().toLocaleDateString()}`,
+        description,
+        (project && project.trim()) || null
+      ]);
       const meeting = result.rows[0];
       console.log(`[Meeting Service] Created new meeting: ${meeting.id}`);
       return meeting;
@@ -72,8 +76,8 @@ class MeetingService {
         await speakerTimelineService.processSpeakerSegments(meetingId, speakerSegments);
       }
       
-      // Process word-level speaker data if available
-      if (words && words.length > 0) {
+      // Process word-level speaker data if available (interim results get superseded)
+      if (isFinal && words && words.length > 0) {
         await speakerTimelineService.processWordsWithSpeakers(meetingId, words, transcriptId);
       }
       
@@ -122,6 +126,24 @@ class MeetingService {
     }
   }
 
+  // Record a non-speech event (e.g. a transcription provider switch) at this point
+  // in the transcript
+  async saveTranscriptMarker(meetingId, { text, marker, timestamp }) {
+    const query = `
+      INSERT INTO transcripts (meeting_id, text, is_final, marker, timestamp, sequence_number)
+      VALUES ($1, $2, true, $3, $4, COALESCE((SELECT MAX(sequence_number) FROM transcripts WHERE meeting_id = $1), 0) + 1)
+      RETURNING *
+    `;
+    
+    try {
+      const result = await this.db.query(query, [meetingId, text, JSON.stringify(marker), timestamp || new Date()]);
+      return result.rows[0];
+    } catch (error) {
+      console.error('[Meeting Service] Error saving transcript marker:', error);
+      throw error;
+    }
+  }
+
   async getSpeakerTimelineData(meetingId, options = {}) {
     try {
       return await speakerTimelineService.getTimelineData(meetingId, options);
@@ -149,6 +171,35 @@ class MeetingService {
     }
   }
 
+  async getSpeakers(meetingId) {
+    try {
+      return await speakerTimelineService.getSpeakers(meetingId);
+    } catch (error) {
+      console.error('[Meeting Service] Error getting meeting speakers:', error);
+      throw error;
+    }
+  }
+
+  async getSpeakerNames(meetingId) {
+    try {
+      return await speakerTimelineService.getSpeakerNames(meetingId);
+    } catch (error) {
+      console.error('[Meeting Service] Error getting speaker names:', error);
+      throw error;
+    }
+  }
+
+  async setSpeakerName(meetingId, speakerId, details) {
+    try {
+      const participant = await speakerTimelineService.setSpeakerName(meetingId, speakerId, details);
+      console.log(`[Meeting Service] ${participant ? `Named speaker ${speakerId} "${participant.name}"` : `Cleared name of speaker ${speakerId}`} in meeting ${meetingId}`);
+      return participant;
+    } catch (error) {
+      console.error('[Meeting Service] Error setting speaker name:', error);
+      throw error;
+    }
+  }
+
   async getMeeting(meetingId) {
     const query = `
       SELECT m.*, mm.duration_seconds, mm.word_count, mm.term_count, mm.summary
@@ -241,6 +292,7 @@ class MeetingService {
     // Lightweight query for sidebar - no expensive JOINs with transcript/term tables
     let query = `
       SELECT m.id, m.title, m.description, m.start_time, m.end_time, m.status, m.created_at,
+             m.audio_path IS NOT NULL AS has_audio,
              mm.duration_seconds, mm.word_count, mm.term_count
       FROM meetings m
       LEFT JOIN meeting_metadata mm ON m.id = mm.meeting_id
@@ -338,6 +390,29 @@ class MeetingService {
     }
   }
 
+  // Tag a meeting with the project its scoped corrections come from, or clear it with null
+  async updateMeetingProject(meetingId, project) {
+    const query = `
+      UPDATE meetings 
+      SET project = $1, updated_at = NOW()
+      WHERE id = $2
+      RETURNING *
+    `;
+    
+    try {
+      const result = await this.db.query(query, [project, meetingId]);
+      if (result.rows.length === 0) {
+        return null;
+      }
+      
+      console.log(`[MeetingService] Set meeting ${meetingId} project to: ${project || '(none)'}`);
+      return result.rows[0];
+    } catch (error) {
+      console.error('[MeetingService] Error updating meeting project:', error);
+      throw error;
+    }
+  }
+
   async getActiveMeeting() {
     const query = `
       SELECT * FROM meetings 
@@ -372,7 +447,7 @@ class MeetingService {
       
       // Get word count from transcripts
       const transcriptResult = await this.db.query(
-        'SELECT SUM(array_length(string_to_array(text, \' \'), 1)) as word_count FROM transcripts WHERE meeting_id = $1',
+        'SELECT SUM(array_length(string_to_array(text, \' \'), 1)) as word_count FROM transcripts WHERE meeting_id = $1 AND marker IS NULL',
         [meetingId]
       );
       
@@ -537,20 +612,22 @@ class MeetingService {
         }
       }
       
-      // Calculate enhanced summary costs
+      // Calculate enhanced summary costs, priced per provider that served the calls
       const enhancedSummaryUsageData = {
-        llm: [{
-          provider: 'openai', // Assuming enhanced summary uses OpenAI
-          model: 'gpt-4o-mini',
-          inputTokens: enhancedSummaryUsage.totalInputTokens,
-          outputTokens: enhancedSummaryUsage.totalOutputTokens,
-          calls: enhancedSummaryUsage.totalCalls,
-          type: 'enhanced-summary',
-          breakdown: enhancedSummaryUsage.stageBreakdown
-        }],
+        llm: Object.values(enhancedSummaryUsage.byModel || {}).map(usage => ({
+          provider: usage.provider,
+          model: usage.model,
+          inputTokens: usage.inputTokens,
+          outputTokens: usage.outputTokens,
+          calls: usage.calls,
+          type: 'enhanced-summary'
+        })),
         transcription: [],
         knowledge: []
       };
+      if (enhancedSummaryUsageData.llm.length > 0) {
+        enhancedSummaryUsageData.llm[0].breakdown = enhancedSummaryUsage.stageBreakdown;
+      }
       
       const enhancedCosts = await calculator.calculateMeetingCostWithCurrentPricing(enhancedSummaryUsageData);
       
@@ -0,0 +1,358 @@
+const EnhancedSummaryService = require('./enhanced-summary');
+const ContextualIntelligenceService = require('../llm/contextual-intelligence');
+const promptRegistry = require('./prompt-registry');
+
+// Prompt features each target renders; configs can only override these
+const TARGET_FEATURES = {
+  summary: ['topics', 'decisions', 'actionItems', 'questions', 'announcements', 'technicalConcepts', 'timeline'],
+  insights: ['insights']
+};
+
+const MAX_MEETINGS = 20;
+const DEFAULT_INSIGHT_SAMPLES = 5;
+const MAX_INSIGHT_SAMPLES = 20;
+
+// Same windows and minimum context ContextualIntelligenceService uses for live meetings
+const IMMEDIATE_WINDOW_MS = 30000;
+const CURRENT_WINDOW_MS = 120000;
+const BROADER_WINDOW_MS = 300000;
+const MIN_IMMEDIATE_LENGTH = 20;
+
+// The report's quality-check heuristics; neither uses instance state
+const { checkTermCoverage, detectPotentialHallucination } = EnhancedSummaryService.prototype;
+
+/**
+ * Re-runs enhanced summaries or contextual insights over stored meetings with two
+ * configurations (LLM provider/model and prompt versions or drafts) and compares
+ * usage, latency, output and quality heuristics side by side.
+ */
+class PromptEvaluationService {
+  constructor(storageService, contextualIntelligence = null) {
+    this.storageService = storageService;
+    this.contextualIntelligence = contextualIntelligence; // Source of the current LLM settings
+  }
+
+  /**
+   * Check an evaluation request. Returns a list of errors, empty if it can run.
+   */
+  async validate(spec = {}) {
+    const errors = [];
+    const { target, meetingIds, samples } = spec;
+
+    if (!TARGET_FEATURES[target]) {
+      errors.push(`Target must be one of: ${Object.keys(TARGET_FEATURES).join(', ')}`);
+    }
+    if (!Array.isArray(meetingIds) || meetingIds.length === 0) {
+      errors.push('meetingIds must be a non-empty array');
+    } else if (meetingIds.length > MAX_MEETINGS) {
+      errors.push(`At most ${MAX_MEETINGS} meetings can be evaluated at once`);
+    }
+    if (samples !== undefined && (!Number.isInteger(samples) || samples < 1 || samples > MAX_INSIGHT_SAMPLES)) {
+      errors.push(`samples must be an integer from 1 to ${MAX_INSIGHT_SAMPLES}`);
+    }
+
+    for (const key of ['a', 'b']) {
+      const config = spec[key];
+      if (!config || typeof config !== 'object') {
+        errors.push(`Configuration ${key} is required`);
+        continue;
+      }
+
+      for (const [feature, prompt] of Object.entries(config.prompts || {})) {
+        if (TARGET_FEATURES[target] && !TARGET_FEATURES[target].includes(feature)) {
+          errors.push(`Configuration ${key}: ${feature} is not used by ${target}`);
+        } else if (Number.isInteger(prompt) && prompt >= 0) {
+          if (!await promptRegistry.getVersion(feature, prompt)) {
+            errors.push(`Configuration ${key}: ${feature} v${prompt} not found`);
+          }
+        } else if (prompt && typeof prompt === 'object') {
+          const validation = promptRegistry.validate(feature, prompt);
+          errors.push(...validation.errors.map(error => `Configuration ${key}: ${feature}: ${error}`));
+        } else {
+          errors.push(`Configuration ${key}: ${feature} must be a version number or { systemPrompt, userPrompt }`);
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Fill in the current LLM settings and look up prompt versions
+   */
+  async resolveConfig(config, defaultLabel) {
+    const current = this.contextualIntelligence ? this.contextualIntelligence.getLLMProvider() : {};
+    const prompts = {};
+
+    for (const [feature, prompt] of Object.entries(config.prompts || {})) {
+      prompts[feature] = typeof prompt === 'object'
+        ? { feature, version: null, system: prompt.systemPrompt || null, user: prompt.userPrompt }
+        : await promptRegistry.getVersion(feature, prompt);
+    }
+
+    return {
+      label: config.label || defaultLabel,
+      llmProvider: config.llmProvider || current.provider || undefined,
+      llmModel: config.llmModel || current.model || undefined,
+      prompts
+    };
+  }
+
+  describeConfig(config) {
+    return {
+      label: config.label,
+      llmProvider: config.llmProvider || null,
+      llmModel: config.llmModel || null,
+      prompts: Object.fromEntries(
+        Object.entries(config.prompts).map(([feature, prompt]) => [feature, prompt.version === null ? 'draft' : prompt.version])
+      )
+    };
+  }
+
+  /**
+   * Run both configurations over each meeting
+   */
+  async evaluate(spec) {
+    const errors = await this.validate(spec);
+    if (errors.length > 0) {
+      throw new Error(`Invalid evaluation: ${errors.join('; ')}`);
+    }
+
+    const { target, meetingIds } = spec;
+    const configs = {
+      a: await this.resolveConfig(spec.a, 'A'),
+      b: await this.resolveConfig(spec.b, 'B')
+    };
+    const startedAt = new Date();
+
+    console.log(`[Prompt Evaluation] Evaluating ${target} over ${meetingIds.length} meetings: ${configs.a.label} vs ${configs.b.label}`);
+
+    const meetings = [];
+    for (const meetingId of meetingIds) {
+      const transcripts = await this.storageService.getTranscripts(meetingId, { finalOnly: true, limit: null });
+      if (transcripts.length === 0) {
+        meetings.push({ meetingId, skipped: 'No transcript' });
+        continue;
+      }
+      const terms = await this.storageService.getExtractedTerms(meetingId);
+      const samples = target === 'insights'
+        ? this.buildInsightSamples(transcripts, spec.samples || DEFAULT_INSIGHT_SAMPLES)
+        : null;
+
+      const runs = {};
+      for (const key of ['a', 'b']) {
+        runs[key] = target === 'summary'
+          ? await this.runSummary(meetingId, configs[key])
+          : await this.runInsights(meetingId, configs[key], samples);
+        runs[key].scores = this.score(runs[key].output, terms);
+      }
+
+      const diff = diffLines(runs.a.output, runs.b.output);
+      meetings.push({
+        meetingId,
+        a: runs.a,
+        b: runs.b,
+        diff,
+        changed: diff.some(line => line.type !== 'same')
+      });
+    }
+
+    console.log(`[Prompt Evaluation] Completed in ${Date.now() - startedAt.getTime()}ms`);
+
+    return {
+      target,
+      startedAt,
+      completedAt: new Date(),
+      configs: { a: this.describeConfig(configs.a), b: this.describeConfig(configs.b) },
+      meetings,
+      totals: {
+        a: this.summarize(meetings, 'a'),
+        b: this.summarize(meetings, 'b'),
+        changed: meetings.filter(m => m.changed).length
+      }
+    };
+  }
+
+  /**
+   * Services with their own LLM client and prompt overrides, so runs don't touch
+   * the live services or each other's usage tracking
+   */
+  createServices(config) {
+    const llmSettings = { llmProvider: config.llmProvider, llmModel: config.llmModel };
+
+    const contextual = new ContextualIntelligenceService();
+    contextual.promptOverrides = config.prompts;
+    contextual.llmProvider.updateSettings(llmSettings);
+
+    const summary = new EnhancedSummaryService(this.storageService, contextual);
+    summary.promptOverrides = config.prompts;
+    summary.llmProvider.updateSettings(llmSettings);
+
+    return {
+      contextual,
+      summary,
+      dispose: () => {
+        contextual.llmProvider.dispose();
+        summary.llmProvider.dispose();
+      }
+    };
+  }
+
+  async runSummary(meetingId, config) {
+    const { summary, dispose } = this.createServices(config);
+
+    try {
+      const startTime = Date.now();
+      const result = await summary.generateEnhancedSummary(meetingId);
+      const usage = summary.getUsageForMeeting();
+
+      return {
+        model: summary.llmProvider.getActiveProvider(),
+        output: result.summary,
+        error: result.metadata.enhancementLevel === 'failed' ? result.metadata.error : null,
+        latency: Date.now() - startTime,
+        usage: {
+          calls: usage.totalCalls,
+          inputTokens: Math.round(usage.totalInputTokens),
+          outputTokens: Math.round(usage.totalOutputTokens),
+          stageBreakdown: usage.stageBreakdown,
+          byModel: Object.values(usage.byModel)
+        },
+        validation: summary.validationMetrics
+      };
+    } finally {
+      dispose();
+    }
+  }
+
+  async runInsights(meetingId, config, samples) {
+    const { contextual, dispose } = this.createServices(config);
+    contextual.startMeeting(meetingId);
+
+    try {
+      const results = [];
+      const startTime = Date.now();
+
+      for (const sample of samples) {
+        const sampleStart = Date.now();
+        try {
+          const insights = await contextual.processContext(meetingId, sample.immediate, sample.current, sample.broader);
+          results.push({ at: sample.at, insights, latency: Date.now() - sampleStart });
+        } catch (error) {
+          results.push({ at: sample.at, error: error.message, latency: Date.now() - sampleStart });
+        }
+      }
+
+      const failed = results.filter(r => r.error);
+      const byModel = contextual.getUsageForMeeting(meetingId);
+      return {
+        model: contextual.getLLMProvider(),
+        output: JSON.stringify(results.map(r => r.insights || { error: r.error }), null, 2),
+        samples: results,
+        error: failed.length > 0 ? `${failed.length} of ${results.length} samples failed: ${failed[0].error}` : null,
+        latency: Date.now() - startTime,
+        usage: {
+          calls: byModel.reduce((sum, entry) => sum + entry.callCount, 0),
+          inputTokens: byModel.reduce((sum, entry) => sum + entry.inputTokens, 0),
+          outputTokens: byModel.reduce((sum, entry) => sum + entry.outputTokens, 0),
+          byModel
+        },
+        validation: contextual.metrics.validation
+      };
+    } finally {
+      dispose();
+    }
+  }
+
+  /**
+   * Points spread evenly through a stored meeting, each with the context windows
+   * processContext would have seen live at that moment
+   */
+  buildInsightSamples(transcripts, count) {
+    const times = transcripts.map(t => new Date(t.timestamp).getTime());
+    const textBetween = (start, end) => transcripts
+      .filter((t, i) => times[i] > start && times[i] <= end)
+      .map(t => t.text)
+      .join(' ');
+
+    const ends = new Set();
+    for (let n = 1; n <= count; n++) {
+      ends.add(times[Math.max(0, Math.ceil(transcripts.length * n / count) - 1)]);
+    }
+
+    return [...ends]
+      .map(end => ({
+        at: new Date(end).toISOString(),
+        immediate: textBetween(end - IMMEDIATE_WINDOW_MS, end),
+        current: textBetween(end - CURRENT_WINDOW_MS, end),
+        broader: textBetween(end - BROADER_WINDOW_MS, end)
+      }))
+      .filter(sample => sample.immediate.length >= MIN_IMMEDIATE_LENGTH);
+  }
+
+  score(output, terms) {
+    const text = output || '';
+    return {
+      termCoverage: checkTermCoverage([...terms], text),
+      potentialHallucination: detectPotentialHallucination(text, terms)
+    };
+  }
+
+  summarize(meetings, key) {
+    const runs = meetings.filter(m => !m.skipped).map(m => m[key]);
+    const latency = runs.reduce((sum, run) => sum + run.latency, 0);
+
+    return {
+      meetings: runs.length,
+      errors: runs.filter(run => run.error).length,
+      latency,
+      averageLatency: runs.length > 0 ? Math.round(latency / runs.length) : 0,
+      usage: {
+        calls: runs.reduce((sum, run) => sum + run.usage.calls, 0),
+        inputTokens: runs.reduce((sum, run) => sum + run.usage.inputTokens, 0),
+        outputTokens: runs.reduce((sum, run) => sum + run.usage.outputTokens, 0)
+      },
+      termCoverage: runs.filter(run => run.scores.termCoverage).length,
+      potentialHallucination: runs.filter(run => run.scores.potentialHallucination).length
+    };
+  }
+}
+
+/**
+ * Line diff of two outputs (longest common subsequence)
+ */
+function diffLines(before, after) {
+  const a = (before || '').split('\n');
+  const b = (after || '').split('\n');
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const diff = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      diff.push({ type: 'same', text: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      diff.push({ type: 'removed', text: a[i++] });
+    } else {
+      diff.push({ type: 'added', text: b[j++] });
+    }
+  }
+  while (i < a.length) diff.push({ type: 'removed', text: a[i++] });
+  while (j < b.length) diff.push({ type: 'added', text: b[j++] });
+
+  return diff;
+}
+
+module.exports = PromptEvaluationService;
@@ -0,0 +1,410 @@
+const db = require('../db/postgres');
+const LLMProviderFactory = require('../llm/provider-factory');
+const { PROMPT_FEATURES } = require('../llm/prompts');
+const { parseJSON, validateSchema } = require('../llm/structured-output');
+
+const VARIABLE_PATTERN = /\{([a-zA-Z][a-zA-Z0-9_]*)\}/g;
+const MAX_PROMPT_LENGTH = 20000;
+
+// Same windows ContextualIntelligenceService uses for live meetings
+const IMMEDIATE_WINDOW_MS = 30000;
+const CURRENT_WINDOW_MS = 120000;
+
+class PromptRegistryService {
+  constructor() {
+    this.activePrompts = null; // feature -> active stored version, loaded on first use
+    this.llmProvider = null;
+  }
+
+  getFeature(feature) {
+    return PROMPT_FEATURES[feature] || null;
+  }
+
+  // JSON schema a feature's output is validated against, or null for plain text
+  getSchema(feature) {
+    const definition = this.getFeature(feature);
+    return definition && definition.schema ? definition.schema : null;
+  }
+
+  getBuiltInPrompt(feature) {
+    const definition = this.getFeature(feature);
+    return {
+      feature,
+      version: 0,
+      system: definition.system,
+      user: definition.user
+    };
+  }
+
+  /**
+   * Check a prompt's {variable} placeholders against what the feature provides
+   */
+  validate(feature, { systemPrompt = null, userPrompt } = {}) {
+    const definition = this.getFeature(feature);
+    if (!definition) {
+      return { valid: false, errors: [`Unknown prompt feature: ${feature}`], variables: [] };
+    }
+
+    const errors = [];
+    if (typeof userPrompt !== 'string' || !userPrompt.trim()) {
+      errors.push('Prompt text is required');
+    }
+    if (systemPrompt !== null && typeof systemPrompt !== 'string') {
+      errors.push('System prompt must be a string');
+    }
+    if (errors.length > 0) {
+      return { valid: false, errors, variables: [] };
+    }
+
+    const text = `${systemPrompt || ''}\n${userPrompt}`;
+    if (text.length > MAX_PROMPT_LENGTH) {
+      errors.push(`Prompts must be ${MAX_PROMPT_LENGTH} characters or fewer`);
+    }
+
+    const used = [...new Set(Array.from(text.matchAll(VARIABLE_PATTERN), match => match[1]))];
+    const available = Object.keys(definition.variables);
+
+    for (const name of used) {
+      if (!available.includes(name)) {
+        errors.push(`Unknown variable {${name}} - available: ${available.map(v => `{${v}}`).join(', ')}`);
+      }
+    }
+    for (const [name, variable] of Object.entries(definition.variables)) {
+      if (variable.required && !used.includes(name)) {
+        errors.push(`Missing required variable {${name}}`);
+      }
+    }
+
+    return { valid: errors.length === 0, errors, variables: used };
+  }
+
+  async loadActivePrompts() {
+    const activePrompts = new Map();
+
+    try {
+      const result = await db.query(
+        'SELECT feature, version, system_prompt, user_prompt FROM prompt_versions WHERE is_active = true'
+      );
+      result.rows.forEach(row => {
+        activePrompts.set(row.feature, {
+          feature: row.feature,
+          version: row.version,
+          system: row.system_prompt,
+          user: row.user_prompt
+        });
+      });
+    } catch (error) {
+      // Live features keep working on the built-in prompts
+      console.error('[Prompt Registry] Failed to load active prompts, using built-in prompts:', error.message);
+      return activePrompts;
+    }
+
+    this.activePrompts = activePrompts;
+    return activePrompts;
+  }
+
+  async getActivePrompt(feature) {
+    if (!this.getFeature(feature)) {
+      throw new Error(`Unknown prompt feature: ${feature}`);
+    }
+
+    const activePrompts = this.activePrompts || await this.loadActivePrompts();
+    return activePrompts.get(feature) || this.getBuiltInPrompt(feature);
+  }
+
+  /**
+   * A specific version of a feature's prompt; 0 is the built-in prompt.
+   * Returns null if the version doesn't exist.
+   */
+  async getVersion(feature, version) {
+    if (version === 0) {
+      return this.getBuiltInPrompt(feature);
+    }
+
+    const result = await db.query(
+      'SELECT version, system_prompt, user_prompt FROM prompt_versions WHERE feature = $1 AND version = $2',
+      [feature, version]
+    );
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const row = result.rows[0];
+    return { feature, version: row.version, system: row.system_prompt, user: row.user_prompt };
+  }
+
+  formatValue(variable, value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (variable.maxLength && text.length > variable.maxLength) {
+      text = variable.keepEnd ? text.slice(-variable.maxLength) : text.substring(0, variable.maxLength);
+    }
+    return text;
+  }
+
+  fill(template, definition, values) {
+    if (!template) {
+      return null;
+    }
+    return template.replace(VARIABLE_PATTERN, (match, name) => {
+      const variable = definition.variables[name];
+      return variable ? this.formatValue(variable, values[name]) : match;
+    });
+  }
+
+  /**
+   * Fill in the active prompt for a feature (or the given prompt) with variable values
+   */
+  async render(feature, values = {}, prompt = null) {
+    const definition = this.getFeature(feature);
+    const template = prompt || await this.getActivePrompt(feature);
+
+    return {
+      feature,
+      version: template.version,
+      system: this.fill(template.system, definition, values),
+      user: this.fill(template.user, definition, values)
+    };
+  }
+
+  toMessages(prompt) {
+    const messages = [];
+    if (prompt.system) {
+      messages.push({ role: 'system', content: prompt.system });
+    }
+    messages.push({ role: 'user', content: prompt.user });
+    return messages;
+  }
+
+  /**
+   * List features with their variables and active version
+   */
+  async getFeatures() {
+    const result = await db.query(
+      `SELECT feature, COUNT(*) AS version_count, MAX(version) FILTER (WHERE is_active) AS active_version
+       FROM prompt_versions
+       GROUP BY feature`
+    );
+    const stats = new Map(result.rows.map(row => [row.feature, row]));
+
+    return Object.entries(PROMPT_FEATURES).map(([id, definition]) => {
+      const row = stats.get(id);
+      return {
+        id,
+        name: definition.name,
+        description: definition.description,
+        variables: Object.entries(definition.variables).map(([name, variable]) => ({
+          name,
+          description: variable.description,
+          required: !!variable.required
+        })),
+        activeVersion: row && row.active_version !== null ? row.active_version : 0,
+        versionCount: row ? parseInt(row.version_count) : 0
+      };
+    });
+  }
+
+  /**
+   * Version history for a feature, newest first, ending with the built-in prompt
+   */
+  async getVersions(feature) {
+    const result = await db.query(
+      `SELECT version, system_prompt, user_prompt, notes, is_active, created_at, activated_at
+       FROM prompt_versions
+       WHERE feature = $1
+       ORDER BY version DESC`,
+      [feature]
+    );
+
+    const versions = result.rows.map(row => ({
+      version: row.version,
+      systemPrompt: row.system_prompt,
+      userPrompt: row.user_prompt,
+      notes: row.notes,
+      isActive: row.is_active,
+      builtIn: false,
+      createdAt: row.created_at,
+      activatedAt: row.activated_at
+    }));
+
+    const builtIn = this.getBuiltInPrompt(feature);
+    versions.push({
+      version: 0,
+      systemPrompt: builtIn.system,
+      userPrompt: builtIn.user,
+      notes: 'Built-in prompt',
+      isActive: !versions.some(v => v.isActive),
+      builtIn: true,
+      createdAt: null,
+      activatedAt: null
+    });
+
+    return versions;
+  }
+
+  /**
+   * Save a new version of a feature's prompt, optionally making it active
+   */
+  async createVersion(feature, { systemPrompt = null, userPrompt, notes = null, activate = false }) {
+    const validation = this.validate(feature, { systemPrompt, userPrompt });
+    if (!validation.valid) {
+      throw new Error(`Invalid prompt: ${validation.errors.join('; ')}`);
+    }
+
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+
+      if (activate) {
+        await client.query(
+          'UPDATE prompt_versions SET is_active = false WHERE feature = $1 AND is_active = true',
+          [feature]
+        );
+      }
+
+      const result = await client.query(
+        `INSERT INTO prompt_versions (feature, version, system_prompt, user_prompt, notes, is_active, activated_at)
+         SELECT $1, COALESCE(MAX(version), 0) + 1, $2, $3, $4, $5, CASE WHEN $5 THEN CURRENT_TIMESTAMP END
+         FROM prompt_versions WHERE feature = $1
+         RETURNING version`,
+        [feature, systemPrompt || null, userPrompt, notes, activate]
+      );
+
+      await client.query('COMMIT');
+      this.activePrompts = null;
+
+      const version = result.rows[0].version;
+      console.log(`[Prompt Registry] Saved ${feature} prompt v${version}${activate ? ' (active)' : ''}`);
+      return version;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('[Prompt Registry] Error saving prompt version:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Make a stored version active; version 0 reverts to the built-in prompt.
+   * Returns false if the version doesn't exist.
+   */
+  async activateVersion(feature, version) {
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+
+      if (version !== 0) {
+        const exists = await client.query(
+          'SELECT 1 FROM prompt_versions WHERE feature = $1 AND version = $2',
+          [feature, version]
+        );
+        if (exists.rows.length === 0) {
+          await client.query('ROLLBACK');
+          return false;
+        }
+      }
+
+      await client.query(
+        'UPDATE prompt_versions SET is_active = false WHERE feature = $1 AND is_active = true',
+        [feature]
+      );
+      if (version !== 0) {
+        await client.query(
+          'UPDATE prompt_versions SET is_active = true, activated_at = CURRENT_TIMESTAMP WHERE feature = $1 AND version = $2',
+          [feature, version]
+        );
+      }
+
+      await client.query('COMMIT');
+      this.activePrompts = null;
+
+      console.log(`[Prompt Registry] Activated ${feature} prompt v${version}`);
+      return true;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('[Prompt Registry] Error activating prompt version:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Variable values drawn from a stored meeting, approximating what each feature
+   * sees when it runs live or while building the report
+   */
+  buildMeetingVariables({ transcripts, terms }) {
+    const textSince = (cutoff) => transcripts
+      .filter(t => new Date(t.timestamp).getTime() >= cutoff)
+      .map(t => t.text)
+      .join(' ');
+
+    const end = transcripts.length > 0 ? new Date(transcripts[transcripts.length - 1].timestamp).getTime() : 0;
+    const topTerms = [...terms].sort((a, b) => b.frequency - a.frequency).slice(0, 15);
+
+    return {
+      transcript: transcripts.map(t => t.text).join(' ').trim(),
+      immediate: textSince(end - IMMEDIATE_WINDOW_MS),
+      current: textSince(end - CURRENT_WINDOW_MS),
+      context: textSince(end - CURRENT_WINDOW_MS),
+      glossary: terms
+        .filter(t => t.definition)
+        .map(t => `${t.term}: ${t.definition}`)
+        .join('\n'),
+      terms: topTerms.map(t => t.term).join(', '),
+      topic: topTerms.length > 0 ? topTerms[0].term : 'the current discussion'
+    };
+  }
+
+  getLLMProvider() {
+    if (!this.llmProvider) {
+      this.llmProvider = new LLMProviderFactory();
+    }
+    return this.llmProvider;
+  }
+
+  /**
+   * Run a draft (or the active prompt) against a stored meeting without activating it
+   */
+  async preview(feature, { systemPrompt, userPrompt } = {}, meetingData, overrides = {}) {
+    const definition = this.getFeature(feature);
+    const draft = userPrompt !== undefined
+      ? { version: null, system: systemPrompt || null, user: userPrompt }
+      : await this.getActivePrompt(feature);
+
+    const values = { ...this.buildMeetingVariables(meetingData), ...overrides };
+    const prompt = await this.render(feature, values, draft);
+
+    const startTime = Date.now();
+    const response = await this.getLLMProvider().createCompletion(this.toMessages(prompt), {
+      temperature: definition.options.temperature,
+      maxTokens: definition.options.maxTokens,
+      ...(definition.options.json ? { responseFormat: { type: 'json_object' } } : {})
+    });
+
+    // Invalid output is shown rather than repaired; it's worth seeing in a preview
+    let parsed = null;
+    let validationErrors = [];
+    if (definition.options.json) {
+      try {
+        parsed = parseJSON(response.content);
+        validationErrors = validateSchema(parsed, definition.schema);
+      } catch (error) {
+        validationErrors = [`Invalid JSON: ${error.message}`];
+      }
+    }
+
+    return {
+      feature,
+      version: draft.version,
+      prompt: { system: prompt.system, user: prompt.user },
+      output: response.content,
+      parsed,
+      validationErrors,
+      usage: response.usage || null,
+      latency: Date.now() - startTime
+    };
+  }
+}
+
+module.exports = new PromptRegistryService();
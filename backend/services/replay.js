@@ -0,0 +1,199 @@
+const { EventEmitter } = require('events');
+const { AudioProcessor, parseWav } = require('../utils/audio');
+
+// Streams a recorded file through the live pipeline as if it were being captured,
+// so old recordings can be demoed, regression-tested or reprocessed.
+class ReplayService extends EventEmitter {
+  constructor(transcriptionService) {
+    super();
+    this.transcriptionService = transcriptionService;
+    this.replays = new Map(); // meetingId -> replay state
+    this.chunkMs = 100; // Same pacing as a browser capturing 100ms frames
+    this.minSpeed = 0.25;
+    this.maxSpeed = 20;
+    this.connectTimeout = 10000;
+  }
+
+  // Decode an uploaded WAV or raw 16-bit PCM file into samples plus their format
+  decodeAudio(fileBuffer, options = {}) {
+    const isWav = fileBuffer.length >= 12 && fileBuffer.toString('ascii', 0, 4) === 'RIFF';
+
+    if (!isWav) {
+      // Raw PCM carries no header, so the caller has to describe it
+      const sampleRate = parseInt(options.sampleRate) || 16000;
+      const channels = parseInt(options.channels) || 1;
+      const format = options.format === 'float32' ? 'float32' : 'int16';
+      return { sampleRate, channels, format, data: fileBuffer };
+    }
+
+    const wav = parseWav(fileBuffer);
+    let format;
+
+    if (wav.audioFormat === 3 && wav.bitDepth === 32) {
+      format = 'float32'; // Decoded by the AudioProcessor chunk by chunk
+    } else if (wav.audioFormat === 1 && wav.bitDepth === 16) {
+      format = 'int16';
+    } else {
+      throw new Error(`Unsupported WAV encoding (format ${wav.audioFormat}, ${wav.bitDepth}-bit). Use 16-bit PCM or 32-bit float.`);
+    }
+
+    if (wav.channels < 1) {
+      throw new Error(`Unsupported channel count: ${wav.channels}`);
+    }
+
+    return { sampleRate: wav.sampleRate, channels: wav.channels, format, data: wav.data };
+  }
+
+  // Bytes per sample frame (all channels) of decoded audio
+  getFrameBytes(audio) {
+    return audio.channels * (audio.format === 'float32' ? 4 : 2);
+  }
+
+  async start(meetingId, audio, options = {}) {
+    if (this.replays.has(meetingId)) {
+      throw new Error('Replay already running for this meeting');
+    }
+
+    const speed = Math.min(this.maxSpeed, Math.max(this.minSpeed, parseFloat(options.speed) || 1));
+    const frameBytes = this.getFrameBytes(audio);
+    const framesPerChunk = Math.round(audio.sampleRate * this.chunkMs / 1000);
+
+    const replay = {
+      meetingId,
+      audio,
+      speed,
+      autoEnd: options.autoEnd !== false,
+      bytesPerChunk: framesPerChunk * frameBytes,
+      durationSeconds: audio.data.length / (audio.sampleRate * frameBytes),
+      position: 0,
+      chunksSent: 0,
+      processor: new AudioProcessor(),
+      timer: null,
+      status: 'connecting',
+      startedAt: Date.now()
+    };
+    this.replays.set(meetingId, replay);
+
+    // Audio sent before the provider is ready would be dropped
+    await this.waitForConnection(meetingId);
+    if (replay.status !== 'connecting') {
+      return this.getStatus(meetingId); // Stopped while waiting
+    }
+
+    replay.status = 'running';
+    console.log(`[Replay] Replaying ${replay.durationSeconds.toFixed(1)}s of audio into meeting ${meetingId} at ${speed}x`);
+    this.scheduleNextChunk(replay);
+    return this.getStatus(meetingId);
+  }
+
+  async waitForConnection(meetingId) {
+    const deadline = Date.now() + this.connectTimeout;
+
+    while (Date.now() < deadline) {
+      const session = this.transcriptionService.getSession(meetingId);
+      if (session && session.isConnected) {
+        return true;
+      }
+      await new Promise(resolve => setTimeout(resolve, 250));
+    }
+
+    console.warn(`[Replay] Transcription for meeting ${meetingId} not connected after ${this.connectTimeout}ms - replaying anyway`);
+    return false;
+  }
+
+  scheduleNextChunk(replay) {
+    replay.timer = setTimeout(() => this.sendNextChunk(replay), this.chunkMs / replay.speed);
+  }
+
+  sendNextChunk(replay) {
+    const { audio, processor } = replay;
+
+    try {
+      const chunk = audio.data.subarray(replay.position, replay.position + replay.bytesPerChunk);
+      replay.position += chunk.length;
+
+      // Same path as live audio:chunk events
+      const processedAudio = processor.processAudioChunk(chunk, {
+        inputSampleRate: audio.sampleRate,
+        inputChannels: audio.channels,
+        inputFormat: audio.format
+      });
+
+      // Lets the meeting audio be recorded like a live capture
+      this.emit('audio', replay.meetingId, processedAudio);
+
+      const bufferedData = processor.bufferChunk(processedAudio);
+      if (bufferedData) {
+        const { audio: voicedData, skippedBytes } = processor.applyVad(bufferedData);
+        this.transcriptionService.skipAudio(replay.meetingId, skippedBytes);
+        if (voicedData) {
+          this.transcriptionService.sendAudio(replay.meetingId, voicedData);
+        }
+      }
+      replay.chunksSent++;
+
+      // Report progress once per second of audio
+      if (replay.chunksSent % Math.round(1000 / this.chunkMs) === 0) {
+        this.emit('progress', this.getStatus(replay.meetingId));
+      }
+
+      if (replay.position >= audio.data.length) {
+        this.finish(replay, 'completed');
+      } else {
+        this.scheduleNextChunk(replay);
+      }
+    } catch (error) {
+      console.error(`[Replay] Error replaying audio for meeting ${replay.meetingId}:`, error);
+      this.finish(replay, 'failed');
+    }
+  }
+
+  finish(replay, status) {
+    clearTimeout(replay.timer);
+    replay.timer = null;
+    replay.status = status;
+
+    const skippedBytes = replay.processor.flushVad();
+    const remaining = replay.processor.flush();
+    if (status === 'completed') {
+      this.transcriptionService.skipAudio(replay.meetingId, skippedBytes);
+      if (remaining.length > 0) {
+        this.transcriptionService.sendAudio(replay.meetingId, remaining);
+      }
+    }
+
+    const result = this.getStatus(replay.meetingId);
+    this.replays.delete(replay.meetingId);
+
+    console.log(`[Replay] Replay for meeting ${replay.meetingId} ${status} after ${((Date.now() - replay.startedAt) / 1000).toFixed(1)}s`);
+    this.emit('finished', { ...result, autoEnd: replay.autoEnd });
+    return result;
+  }
+
+  stop(meetingId) {
+    const replay = this.replays.get(meetingId);
+    if (!replay) {
+      return null;
+    }
+    return this.finish(replay, 'stopped');
+  }
+
+  getStatus(meetingId) {
+    const replay = this.replays.get(meetingId);
+    if (!replay) {
+      return null;
+    }
+
+    const positionSeconds = replay.position / (replay.audio.sampleRate * this.getFrameBytes(replay.audio));
+    return {
+      meetingId,
+      status: replay.status,
+      speed: replay.speed,
+      positionSeconds,
+      durationSeconds: replay.durationSeconds,
+      progress: replay.durationSeconds > 0 ? positionSeconds / replay.durationSeconds : 1
+    };
+  }
+}
+
+module.exports = ReplayService;
@@ -1,5 +1,6 @@
 const LLMProviderFactory = require('../llm/provider-factory');
 const EnhancedSummaryService = require('./enhanced-summary');
+const speakerTimelineService = require('./speaker-timeline');
 
 class ReportService {
   constructor(db, storageService, contextualIntelligence = null) {
@@ -55,6 +56,9 @@ class ReportService {
       // Get extracted terms with definitions
       const terms = await this.storageService.getExtractedTerms(meetingId);
       
+      // Word timings let the report play back the meeting audio in sync
+      const words = await this.storageService.getTranscriptWords(meetingId);
+      
       // Combine transcripts into full text
       const fullTranscript = transcripts
         .map(t => t.text)
@@ -70,6 +74,9 @@ class ReportService {
       // Get cost data
       const costData = await this.getCostData(meetingId);
       
+      // Get per-speaker talk time with assigned names
+      const speakers = await this.getSpeakerData(meetingId);
+      
       // Build complete report
       const report = {
         meeting: {
@@ -79,7 +86,8 @@ class ReportService {
           startTime: meeting.start_time,
           endTime: meeting.end_time,
           duration: this.formatDuration(meeting.duration_seconds),
-          status: meeting.status
+          status: meeting.status,
+          hasAudio: !!meeting.audio_path
         },
         statistics: {
           wordCount: meeting.word_count || this.countWords(fullTranscript),
@@ -88,9 +96,10 @@ class ReportService {
           totalDefinitions: terms.filter(t => t.definition).length
         },
         costs: costData,
+        speakers,
         summary: summary,
         keyTerms: this.formatKeyTerms(terms),
-        fullTranscript: this.formatTranscript(transcripts),
+        fullTranscript: this.formatTranscript(transcripts, words),
         generatedAt: new Date()
       };
       
@@ -114,12 +123,18 @@ class ReportService {
       // Get extracted terms with definitions
       const terms = await this.storageService.getExtractedTerms(meetingId);
       
+      // Word timings let the report play back the meeting audio in sync
+      const words = await this.storageService.getTranscriptWords(meetingId);
+      
       // Combine transcripts into full text for word count (if not cached)
       const fullTranscript = transcripts.map(t => t.text).join(' ').trim();
       
       // Get cost data
       const costData = await this.getCostData(meetingId);
       
+      // Get per-speaker talk time with assigned names
+      const speakers = await this.getSpeakerData(meetingId);
+      
       // Build report using cached summary
       const report = {
         meeting: {
@@ -128,7 +143,8 @@ class ReportService {
           startTime: meeting.start_time,
           endTime: meeting.end_time,
           duration: this.formatDuration(meeting.duration_seconds),
-          status: meeting.status
+          status: meeting.status,
+          hasAudio: !!meeting.audio_path
         },
         statistics: {
           wordCount: meeting.word_count || this.countWords(fullTranscript),
@@ -137,9 +153,10 @@ class ReportService {
           totalDefinitions: terms.filter(t => t.definition).length
         },
         costs: costData,
+        speakers,
         summary: meeting.summary, // Use cached summary
         keyTerms: this.formatKeyTerms(terms),
-        fullTranscript: this.formatTranscript(transcripts),
+        fullTranscript: this.formatTranscript(transcripts, words),
         generatedAt: meeting.updated_at || new Date(), // Use original generation time
         cached: true // Flag to indicate this was cached
       };
@@ -190,6 +207,8 @@ class ReportService {
         transcription: parseFloat(costRow.transcription_cost) || 0,
         knowledge: parseFloat(costRow.knowledge_cost) || 0,
         total: parseFloat(costRow.total_cost) || 0,
+        silenceSecondsSkipped: (usageData.transcription || [])
+          .reduce((sum, usage) => sum + (usage.silenceSecondsSkipped || 0), 0),
         breakdown: {
           llm: usageData.llm || [],
           transcription: usageData.transcription || [],
@@ -211,6 +230,22 @@ class ReportService {
     }
   }
 
+  async getSpeakerData(meetingId) {
+    try {
+      const analytics = await speakerTimelineService.getSpeakingTimeAnalytics(meetingId);
+      return analytics.speakers.map(speaker => ({
+        speakerId: speaker.speaker_id,
+        name: speaker.speaker_name,
+        speakingTime: parseFloat(speaker.total_speaking_time) || 0,
+        speakingPercentage: parseFloat(speaker.speaking_percentage) || 0,
+        wordCount: speaker.word_count
+      }));
+    } catch (error) {
+      console.error('[Report Service] Error retrieving speaker data:', error);
+      return [];
+    }
+  }
+
   async generateSummary(transcript, terms, meetingId = null) {
     if (!transcript || transcript.length < 50) {
       return 'Meeting too short to generate meaningful summary.';
@@ -328,11 +363,30 @@ Please provide a professional summary of this meeting.`;
       }));
   }
 
-  formatTranscript(transcripts) {
+  formatTranscript(transcripts, words = []) {
+    const wordsByTranscript = new Map();
+    for (const word of words) {
+      if (!wordsByTranscript.has(word.transcript_id)) {
+        wordsByTranscript.set(word.transcript_id, []);
+      }
+      wordsByTranscript.get(word.transcript_id).push({
+        word: word.word,
+        start: parseFloat(word.start_time),
+        end: parseFloat(word.end_time),
+        speakerId: word.speaker_id
+      });
+    }
+    
     return transcripts.map(t => ({
+      id: t.id,
       text: t.text,
       timestamp: t.timestamp,
-      confidence: t.confidence
+      confidence: t.confidence,
+      speakerId: t.speaker_id,
+      speakerName: t.speaker_name || null,
+      startTime: t.start_time !== null ? parseFloat(t.start_time) : null,
+      endTime: t.end_time !== null ? parseFloat(t.end_time) : null,
+      words: wordsByTranscript.get(t.id) || []
     }));
   }
 
@@ -447,6 +501,11 @@ Please provide a professional summary of this meeting.`;
       font-size: 12px;
       margin-right: 10px;
     }
+    .speaker {
+      font-weight: bold;
+      color: #2c3e50;
+      margin-right: 5px;
+    }
     .costs {
       background: #fff3cd;
       border: 1px solid #ffeaa7;
@@ -524,6 +583,18 @@ Please provide a professional summary of this meeting.`;
     </div>
   </div>
 
+  ${report.speakers && report.speakers.length > 0 ? `
+  <div class="section">
+    <h2>🗣️ Speakers</h2>
+    ${report.speakers.map(speaker => `
+      <div class="cost-item">
+        <span>${speaker.name || `Speaker ${speaker.speakerId}`}</span>
+        <span>${this.formatDuration(Math.round(speaker.speakingTime))} (${speaker.speakingPercentage}%)</span>
+      </div>
+    `).join('')}
+  </div>
+  ` : ''}
+
   <div class="section">
     <h2>📋 Executive Summary</h2>
     <div style="white-space: pre-line;">${report.summary}</div>
@@ -544,6 +615,7 @@ Please provide a professional summary of this meeting.`;
     ${report.fullTranscript.map(segment => `
       <div class="transcript-segment">
         <span class="timestamp">${new Date(segment.timestamp).toLocaleTimeString()}</span>
+        ${segment.speakerName ? `<span class="speaker">${segment.speakerName}:</span>` : ''}
         ${segment.text}
       </div>
     `).join('')}
@@ -1,13 +1,81 @@
+const { encrypt, decrypt, isEncrypted, getMasterKey } = require('../utils/secrets');
+
+const SECRET_PLACEHOLDER = '***configured***';
+
 class SettingsService {
-  constructor(db) {
+  /**
+   * @param {object} db
+   * @param {object} [options]
+   * @param {string[]} [options.secretKeys] - Keys stored encrypted and never returned in plain text
+   */
+  constructor(db, options = {}) {
     this.db = db;
-    this.cache = new Map();
+    this.cache = new Map(); // Holds values as stored, so secrets stay encrypted in memory too
+    this.secretKeys = new Set(options.secretKeys || []);
+  }
+  
+  /**
+   * Mark keys as secret
+   */
+  markSecret(...keys) {
+    keys.forEach(key => this.secretKeys.add(key));
+  }
+  
+  isSecret(key) {
+    return this.secretKeys.has(key);
   }
   
   /**
-   * Get a setting value by key
+   * Whether a master key is configured to encrypt secrets with
+   */
+  canStoreSecrets() {
+    return !!getMasterKey();
+  }
+  
+  /**
+   * Convert a value to its stored form, encrypting secrets
+   */
+  toStoredValue(key, value) {
+    const stringValue = typeof value === 'string' ? value : JSON.stringify(value);
+    return this.isSecret(key) ? encrypt(stringValue) : stringValue;
+  }
+  
+  /**
+   * Mask a stored value for anything that may reach the client
+   */
+  toPublicValue(key, storedValue) {
+    if (this.isSecret(key)) {
+      return storedValue ? SECRET_PLACEHOLDER : '';
+    }
+    return storedValue;
+  }
+  
+  /**
+   * Get a setting value by key. Secrets come back as the placeholder - use getSecret.
    */
   async getSetting(key) {
+    const value = await this.getStoredValue(key);
+    return value === null ? null : this.toPublicValue(key, value);
+  }
+  
+  /**
+   * Get the decrypted value of a secret setting for server-side use
+   */
+  async getSecret(key) {
+    const value = await this.getStoredValue(key);
+    if (!value) {
+      return null;
+    }
+    
+    // Rows written before the key was marked secret are still plain text
+    // until reencryptSecrets runs
+    return isEncrypted(value) ? decrypt(value) : value;
+  }
+  
+  /**
+   * Get a setting exactly as stored
+   */
+  async getStoredValue(key) {
     // Check cache first
     if (this.cache.has(key)) {
       return this.cache.get(key);
@@ -37,8 +105,8 @@ class SettingsService {
    */
   async setSetting(key, value) {
     try {
-      // Convert value to string if it's not already
-      const stringValue = typeof value === 'string' ? value : JSON.stringify(value);
+      // Convert value to string if it's not already; secrets are encrypted
+      const stringValue = this.toStoredValue(key, value);
       
       await this.db.query(
         `INSERT INTO app_settings (key, value) 
@@ -69,6 +137,11 @@ class SettingsService {
       
       const settings = {};
       result.rows.forEach(row => {
+        if (this.isSecret(row.key)) {
+          settings[row.key] = this.toPublicValue(row.key, row.value);
+          return;
+        }
+        
         // Try to parse JSON values, otherwise return as string
         try {
           settings[row.key] = JSON.parse(row.value);
@@ -95,11 +168,11 @@ class SettingsService {
       
       for (const [key, value] of Object.entries(settings)) {
         // Skip certain keys that shouldn't be stored
-        if (key.includes('ApiKey') && value === '***configured***') {
+        if ((key.includes('ApiKey') || this.isSecret(key)) && value === SECRET_PLACEHOLDER) {
           continue;
         }
         
-        const stringValue = typeof value === 'string' ? value : JSON.stringify(value);
+        const stringValue = this.toStoredValue(key, value);
         
         await client.query(
           `INSERT INTO app_settings (key, value) 
@@ -129,12 +202,14 @@ class SettingsService {
    */
   async loadSettingsToCache() {
     try {
-      const settings = await this.getAllSettings();
+      // Raw rows, since getAllSettings masks secrets
+      const result = await this.db.query(
+        'SELECT key, value FROM app_settings'
+      );
       
-      for (const [key, value] of Object.entries(settings)) {
-        const stringValue = typeof value === 'string' ? value : JSON.stringify(value);
-        this.cache.set(key, stringValue);
-      }
+      result.rows.forEach(row => {
+        this.cache.set(row.key, row.value);
+      });
       
       console.log(`[Settings] Loaded ${this.cache.size} settings from database`);
       return true;
@@ -144,6 +219,76 @@ class SettingsService {
     }
   }
   
+  /**
+   * Re-encrypt secret rows under the current SETTINGS_ENCRYPTION_KEY. Covers rows
+   * still encrypted with a key from SETTINGS_ENCRYPTION_KEY_PREVIOUS and plain-text
+   * rows saved before the key was marked secret. Rows already on the current key
+   * are left alone, so this is cheap to run on every startup.
+   */
+  async reencryptSecrets() {
+    const currentKey = getMasterKey();
+    if (!currentKey) {
+      throw new Error('SETTINGS_ENCRYPTION_KEY is not set');
+    }
+    
+    const summary = { reencrypted: [], failed: [] };
+    const client = await this.db.getClient();
+    
+    try {
+      await client.query('BEGIN');
+      
+      const result = await client.query('SELECT key, value FROM app_settings FOR UPDATE');
+      for (const row of result.rows) {
+        if (!row.value || (!this.isSecret(row.key) && !isEncrypted(row.value))) {
+          continue;
+        }
+        
+        let plaintext;
+        if (isEncrypted(row.value)) {
+          try {
+            decrypt(row.value, [currentKey]);
+            continue; // Already on the current key
+          } catch {
+            // Encrypted with a previous key
+          }
+          
+          try {
+            plaintext = decrypt(row.value);
+          } catch {
+            summary.failed.push(row.key);
+            continue;
+          }
+        } else {
+          plaintext = row.value;
+        }
+        
+        const stringValue = encrypt(plaintext, currentKey);
+        await client.query(
+          'UPDATE app_settings SET value = $2, updated_at = CURRENT_TIMESTAMP WHERE key = $1',
+          [row.key, stringValue]
+        );
+        this.cache.set(row.key, stringValue);
+        summary.reencrypted.push(row.key);
+      }
+      
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Error re-encrypting secret settings:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+    
+    if (summary.reencrypted.length > 0) {
+      console.log(`[Settings] Re-encrypted ${summary.reencrypted.length} secret settings with the current key`);
+    }
+    if (summary.failed.length > 0) {
+      console.error(`[Settings] Could not decrypt ${summary.failed.join(', ')} - add the key they were saved with to SETTINGS_ENCRYPTION_KEY_PREVIOUS`);
+    }
+    return summary;
+  }
+  
   /**
    * Get setting with type conversion
    */
@@ -191,4 +336,5 @@ class SettingsService {
   }
 }
 
-module.exports = SettingsService;
\ No newline at end of file
+module.exports = SettingsService;
+module.exports.SECRET_PLACEHOLDER = SECRET_PLACEHOLDER;
\ No newline at end of file
@@ -0,0 +1,86 @@
+const SettingsService = require('./settings');
+const { encrypt, decrypt, getMasterKey } = require('../utils/secrets');
+
+const CURRENT = 'current passphrase';
+const PREVIOUS = 'previous passphrase';
+
+// An app_settings table the service reads and updates through a transaction client
+function createService(rows) {
+    const table = new Map(rows.map(row => [row.key, row.value]));
+    const client = {
+        query: jest.fn(async (sql, params) => {
+            if (sql.startsWith('SELECT')) {
+                return { rows: Array.from(table, ([key, value]) => ({ key, value })) };
+            }
+            if (sql.startsWith('UPDATE')) {
+                table.set(params[0], params[1]);
+            }
+            return { rows: [] };
+        }),
+        release: jest.fn()
+    };
+    const db = { getClient: jest.fn(async () => client) };
+    const service = new SettingsService(db, { secretKeys: ['OPENAI_API_KEY', 'ANTHROPIC_API_KEY', 'GEMINI_API_KEY'] });
+    return { service, table, client };
+}
+
+describe('SettingsService.reencryptSecrets', () => {
+    const env = { ...process.env };
+
+    beforeEach(() => {
+        process.env.SETTINGS_ENCRYPTION_KEY = CURRENT;
+        process.env.SETTINGS_ENCRYPTION_KEY_PREVIOUS = PREVIOUS;
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        process.env = { ...env };
+        jest.restoreAllMocks();
+    });
+
+    test('encrypts plain-text secrets and moves previous-key secrets to the current key', async () => {
+        const current = encrypt('sk-current');
+        const { service, table, client } = createService([
+            { key: 'OPENAI_API_KEY', value: 'sk-plain' },
+            { key: 'ANTHROPIC_API_KEY', value: encrypt('sk-previous', getMasterKey(PREVIOUS)) },
+            { key: 'GEMINI_API_KEY', value: current },
+            { key: 'llmProvider', value: 'openai' }
+        ]);
+
+        const summary = await service.reencryptSecrets();
+
+        expect(summary).toEqual({ reencrypted: ['OPENAI_API_KEY', 'ANTHROPIC_API_KEY'], failed: [] });
+        expect(decrypt(table.get('OPENAI_API_KEY'), [getMasterKey()])).toBe('sk-plain');
+        expect(decrypt(table.get('ANTHROPIC_API_KEY'), [getMasterKey()])).toBe('sk-previous');
+        expect(table.get('GEMINI_API_KEY')).toBe(current);
+        expect(table.get('llmProvider')).toBe('openai');
+        expect(client.query).toHaveBeenLastCalledWith('COMMIT');
+        expect(client.release).toHaveBeenCalled();
+    });
+
+    test('reports secrets that no configured key can decrypt and leaves them as they are', async () => {
+        const unreadable = encrypt('sk-lost', getMasterKey('forgotten passphrase'));
+        const { service, table } = createService([{ key: 'OPENAI_API_KEY', value: unreadable }]);
+
+        const summary = await service.reencryptSecrets();
+
+        expect(summary).toEqual({ reencrypted: [], failed: ['OPENAI_API_KEY'] });
+        expect(table.get('OPENAI_API_KEY')).toBe(unreadable);
+    });
+
+    test('serves the re-encrypted value from the cache', async () => {
+        const { service } = createService([{ key: 'OPENAI_API_KEY', value: 'sk-plain' }]);
+
+        await service.reencryptSecrets();
+
+        expect(await service.getSecret('OPENAI_API_KEY')).toBe('sk-plain');
+    });
+
+    test('requires a current key', async () => {
+        delete process.env.SETTINGS_ENCRYPTION_KEY;
+        const { service } = createService([]);
+
+        await expect(service.reencryptSecrets()).rejects.toThrow('SETTINGS_ENCRYPTION_KEY is not set');
+    });
+});
@@ -4,6 +4,7 @@ class SpeakerTimelineService {
     constructor() {
         this.activeSpeakers = new Map(); // Track active speakers per meeting
         this.speakerStats = new Map(); // Track statistics per meeting
+        this.speakerNames = new Map(); // Cache of assigned speaker names per meeting
     }
 
     /**
@@ -99,25 +100,38 @@ class SpeakerTimelineService {
         try {
             await client.query('BEGIN');
             
-            for (let i = 0; i < words.length; i++) {
-                const word = words[i];
-                
-                // Update transcript with speaker information
+            for (const word of words) {
+                // Keep word timings for playback and click-to-seek
                 await client.query(`
-                    UPDATE transcripts 
-                    SET speaker_id = $1, speaker_confidence = $2, start_time = $3, end_time = $4, word_index = $5
-                    WHERE id = $6 AND text LIKE $7
+                    INSERT INTO speaker_words 
+                    (meeting_id, transcript_id, speaker_id, word, start_time, end_time, confidence)
+                    VALUES ($1, $2, $3, $4, $5, $6, $7)
                 `, [
-                    word.speaker,
-                    word.speaker_confidence || null,
+                    meetingId,
+                    transcriptId,
+                    word.speaker !== undefined ? word.speaker : 0,
+                    word.punctuated_word || word.word,
                     word.start,
                     word.end,
-                    i,
-                    transcriptId,
-                    `%${word.word}%`
+                    word.confidence
                 ]);
             }
             
+            // The transcript spans its first to last word
+            const firstWord = words[0];
+            const lastWord = words[words.length - 1];
+            await client.query(`
+                UPDATE transcripts 
+                SET speaker_id = $1, speaker_confidence = $2, start_time = $3, end_time = $4
+                WHERE id = $5
+            `, [
+                firstWord.speaker !== undefined ? firstWord.speaker : null,
+                firstWord.speaker_confidence || null,
+                firstWord.start,
+                lastWord.end,
+                transcriptId
+            ]);
+            
             await client.query('COMMIT');
             
         } catch (error) {
@@ -182,15 +196,18 @@ class SpeakerTimelineService {
             // Get speaker segments with optional downsampling
             const segmentsQuery = `
                 SELECT 
-                    speaker_id,
-                    start_time,
-                    end_time,
-                    text,
-                    confidence,
-                    (end_time - start_time) as duration
-                FROM speaker_segments 
-                WHERE meeting_id = $1
-                ORDER BY start_time
+                    ss.speaker_id,
+                    mp.name as speaker_name,
+                    ss.start_time,
+                    ss.end_time,
+                    ss.text,
+                    ss.confidence,
+                    (ss.end_time - ss.start_time) as duration
+                FROM speaker_segments ss
+                LEFT JOIN meeting_participants mp 
+                    ON mp.meeting_id = ss.meeting_id AND mp.speaker_id = ss.speaker_id
+                WHERE ss.meeting_id = $1
+                ORDER BY ss.start_time
                 LIMIT $2
             `;
             
@@ -198,9 +215,12 @@ class SpeakerTimelineService {
             
             // Get speaker statistics
             const statsQuery = `
-                SELECT * FROM speaker_stats 
-                WHERE meeting_id = $1
-                ORDER BY total_speaking_time DESC
+                SELECT st.*, mp.name as speaker_name
+                FROM speaker_stats st
+                LEFT JOIN meeting_participants mp 
+                    ON mp.meeting_id = st.meeting_id AND mp.speaker_id = st.speaker_id
+                WHERE st.meeting_id = $1
+                ORDER BY st.total_speaking_time DESC
             `;
             
             const statsResult = await client.query(statsQuery, [meetingId]);
@@ -260,18 +280,21 @@ class SpeakerTimelineService {
         try {
             const query = `
                 SELECT 
-                    speaker_id,
-                    total_speaking_time,
-                    word_count,
-                    segment_count,
-                    first_speech_time,
-                    last_speech_time,
-                    ROUND((total_speaking_time / NULLIF(
+                    st.speaker_id,
+                    mp.name as speaker_name,
+                    st.total_speaking_time,
+                    st.word_count,
+                    st.segment_count,
+                    st.first_speech_time,
+                    st.last_speech_time,
+                    ROUND((st.total_speaking_time / NULLIF(
                         (SELECT SUM(total_speaking_time) FROM speaker_stats WHERE meeting_id = $1), 0
                     ) * 100)::numeric, 2) as speaking_percentage
-                FROM speaker_stats 
-                WHERE meeting_id = $1
-                ORDER BY total_speaking_time DESC
+                FROM speaker_stats st
+                LEFT JOIN meeting_participants mp 
+                    ON mp.meeting_id = st.meeting_id AND mp.speaker_id = st.speaker_id
+                WHERE st.meeting_id = $1
+                ORDER BY st.total_speaking_time DESC
             `;
             
             const result = await client.query(query, [meetingId]);
@@ -280,7 +303,8 @@ class SpeakerTimelineService {
                 speakers: result.rows,
                 totalSpeakers: result.rows.length,
                 totalSpeakingTime: result.rows.reduce((sum, s) => sum + parseFloat(s.total_speaking_time), 0),
-                mostActiveSpeaker: result.rows[0]?.speaker_id || null
+                mostActiveSpeaker: result.rows[0]?.speaker_id || null,
+                mostActiveSpeakerName: result.rows[0]?.speaker_name || null
             };
             
         } catch (error) {
@@ -336,6 +360,170 @@ class SpeakerTimelineService {
         }
     }
 
+    /**
+     * Get the names assigned to a meeting's speakers, keyed by speaker ID
+     */
+    async getSpeakerNames(meetingId) {
+        if (this.speakerNames.has(meetingId)) {
+            return this.speakerNames.get(meetingId);
+        }
+
+        try {
+            const result = await db.query(`
+                SELECT speaker_id, name 
+                FROM meeting_participants 
+                WHERE meeting_id = $1 AND speaker_id IS NOT NULL AND name IS NOT NULL
+            `, [meetingId]);
+
+            const names = {};
+            result.rows.forEach(row => {
+                names[row.speaker_id] = row.name;
+            });
+
+            this.speakerNames.set(meetingId, names);
+            return names;
+
+        } catch (error) {
+            console.error('Error getting speaker names:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Assign a person to a speaker in a meeting; an empty name removes the assignment
+     */
+    async setSpeakerName(meetingId, speakerId, details = {}) {
+        const name = (details.name || '').trim();
+
+        try {
+            let participant = null;
+
+            if (name) {
+                const result = await db.query(`
+                    INSERT INTO meeting_participants (meeting_id, speaker_id, name, email, role)
+                    VALUES ($1, $2, $3, $4, $5)
+                    ON CONFLICT (meeting_id, speaker_id) WHERE speaker_id IS NOT NULL
+                    DO UPDATE SET
+                        name = $3,
+                        email = $4,
+                        role = $5,
+                        updated_at = CURRENT_TIMESTAMP
+                    RETURNING *
+                `, [meetingId, String(speakerId), name, details.email || null, details.role || null]);
+                participant = result.rows[0];
+            } else {
+                await db.query(
+                    'DELETE FROM meeting_participants WHERE meeting_id = $1 AND speaker_id = $2',
+                    [meetingId, String(speakerId)]
+                );
+            }
+
+            this.speakerNames.delete(meetingId);
+            return participant;
+
+        } catch (error) {
+            console.error('Error setting speaker name:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * List a meeting's speakers with their assigned names and suggested names.
+     * Suggestions come from earlier meetings, ranked by how many of this
+     * meeting's named participants they met with, then by how often they were
+     * the same diarization speaker, then by how many meetings they joined.
+     */
+    async getSpeakers(meetingId, options = {}) {
+        const { maxSuggestions = 3 } = options;
+
+        try {
+            const analytics = await this.getSpeakingTimeAnalytics(meetingId);
+
+            const participantsResult = await db.query(`
+                SELECT speaker_id, name, email, role 
+                FROM meeting_participants 
+                WHERE meeting_id = $1 AND speaker_id IS NOT NULL
+            `, [meetingId]);
+            const participants = new Map(participantsResult.rows.map(row => [row.speaker_id, row]));
+
+            const historyResult = await db.query(`
+                WITH current_names AS (
+                    SELECT LOWER(name) as name 
+                    FROM meeting_participants 
+                    WHERE meeting_id = $1 AND name IS NOT NULL
+                ),
+                related_meetings AS (
+                    SELECT mp.meeting_id, COUNT(*) as shared
+                    FROM meeting_participants mp
+                    JOIN current_names cn ON LOWER(mp.name) = cn.name
+                    WHERE mp.meeting_id <> $1
+                    GROUP BY mp.meeting_id
+                )
+                SELECT 
+                    mp.name,
+                    mp.speaker_id,
+                    COUNT(DISTINCT mp.meeting_id) as meeting_count,
+                    COALESCE(SUM(rm.shared), 0) as shared_participants,
+                    MAX(mp.updated_at) as last_seen
+                FROM meeting_participants mp
+                LEFT JOIN related_meetings rm ON rm.meeting_id = mp.meeting_id
+                WHERE mp.meeting_id <> $1
+                AND mp.name IS NOT NULL
+                AND LOWER(mp.name) NOT IN (SELECT name FROM current_names)
+                GROUP BY mp.name, mp.speaker_id
+                ORDER BY shared_participants DESC, meeting_count DESC, last_seen DESC
+                LIMIT 500
+            `, [meetingId]);
+
+            // Fold the per-speaker-slot rows into one entry per person
+            const people = new Map();
+            for (const row of historyResult.rows) {
+                const key = row.name.toLowerCase();
+                if (!people.has(key)) {
+                    people.set(key, { name: row.name, shared: 0, meetings: 0, speakerIds: new Map() });
+                }
+                const person = people.get(key);
+                person.shared += parseInt(row.shared_participants);
+                person.meetings += parseInt(row.meeting_count);
+                if (row.speaker_id !== null) {
+                    person.speakerIds.set(row.speaker_id, parseInt(row.meeting_count));
+                }
+            }
+
+            const rank = (speakerId) => Array.from(people.values())
+                .sort((a, b) =>
+                    (b.shared - a.shared) ||
+                    ((b.speakerIds.get(speakerId) || 0) - (a.speakerIds.get(speakerId) || 0)) ||
+                    (b.meetings - a.meetings)
+                )
+                .map(person => person.name);
+
+            const speakers = analytics.speakers.map(speaker => {
+                const participant = participants.get(speaker.speaker_id);
+                return {
+                    speakerId: speaker.speaker_id,
+                    name: participant ? participant.name : null,
+                    email: participant ? participant.email : null,
+                    role: participant ? participant.role : null,
+                    totalSpeakingTime: parseFloat(speaker.total_speaking_time) || 0,
+                    wordCount: speaker.word_count,
+                    segmentCount: speaker.segment_count,
+                    speakingPercentage: parseFloat(speaker.speaking_percentage) || 0,
+                    suggestions: participant ? [] : rank(speaker.speaker_id).slice(0, maxSuggestions)
+                };
+            });
+
+            return {
+                speakers,
+                knownNames: rank(null)
+            };
+
+        } catch (error) {
+            console.error('Error getting meeting speakers:', error);
+            throw error;
+        }
+    }
+
     /**
      * Clean up data for completed meeting
      */
@@ -343,6 +531,7 @@ class SpeakerTimelineService {
         // Remove from active tracking
         this.activeSpeakers.delete(meetingId);
         this.speakerStats.delete(meetingId);
+        this.speakerNames.delete(meetingId);
         
         console.log(`Speaker timeline finalized for meeting ${meetingId}`);
     }
@@ -113,18 +113,23 @@ class StorageService {
   async getTranscripts(meetingId, options = {}) {
     const { limit = 100, offset = 0, finalOnly = false } = options;
     
+    // Named speakers come from the meeting's participants
     let query = `
-      SELECT * FROM transcripts 
-      WHERE meeting_id = $1
+      SELECT t.*, mp.name AS speaker_name
+      FROM transcripts t
+      LEFT JOIN meeting_participants mp
+        ON mp.meeting_id = t.meeting_id AND mp.speaker_id = COALESCE(t.speaker_id, t.speaker)
+      WHERE t.meeting_id = $1
     `;
     
     const params = [meetingId];
     
+    // Final text is what gets summarised and exported, so it leaves out markers
     if (finalOnly) {
-      query += ' AND is_final = true';
+      query += ' AND t.is_final = true AND t.marker IS NULL';
     }
     
-    query += ' ORDER BY sequence_number ASC';
+    query += ' ORDER BY t.sequence_number ASC';
     
     if (limit) {
       params.push(limit);
@@ -145,6 +150,25 @@ class StorageService {
     }
   }
 
+  async getTranscriptWords(meetingId) {
+    // Word timings of final transcripts, for audio playback
+    const query = `
+      SELECT sw.transcript_id, sw.word, sw.start_time, sw.end_time, sw.speaker_id, sw.confidence
+      FROM speaker_words sw
+      JOIN transcripts t ON t.id = sw.transcript_id
+      WHERE sw.meeting_id = $1 AND t.is_final = true
+      ORDER BY sw.start_time ASC
+    `;
+    
+    try {
+      const result = await this.db.query(query, [meetingId]);
+      return result.rows;
+    } catch (error) {
+      console.error('[Storage Service] Error getting transcript words:', error);
+      throw error;
+    }
+  }
+
   async getExtractedTerms(meetingId) {
     const query = `
       SELECT et.*, td.definition, td.sources
@@ -178,6 +202,78 @@ class StorageService {
     }
   }
 
+  async saveContextualInsights(meetingId, insights) {
+    const query = `
+      INSERT INTO contextual_insights (
+        meeting_id, current_topic, concepts, contextual_definitions, suggested_questions,
+        potential_actions, acronyms, needs_clarification, latency_ms, created_at
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      RETURNING *
+    `;
+
+    try {
+      const result = await this.db.query(query, [
+        meetingId,
+        insights.currentTopic || null,
+        JSON.stringify(insights.concepts || []),
+        JSON.stringify(insights.contextualDefinitions || {}),
+        JSON.stringify(insights.suggestedQuestions || []),
+        JSON.stringify(insights.potentialActions || []),
+        JSON.stringify(insights.acronyms || {}),
+        JSON.stringify(insights.needsClarification || []),
+        insights.latency || null,
+        insights.timestamp ? new Date(insights.timestamp) : new Date()
+      ]);
+      return result.rows[0];
+    } catch (error) {
+      console.error('[Storage Service] Error saving contextual insights:', error);
+      throw error;
+    }
+  }
+
+  // Stored insights in the shape they were emitted in, oldest first
+  async getContextualInsights(meetingId, options = {}) {
+    const { limit = null, offset = 0 } = options;
+
+    let query = `
+      SELECT * FROM contextual_insights
+      WHERE meeting_id = $1
+      ORDER BY created_at ASC
+    `;
+    const params = [meetingId];
+
+    if (limit) {
+      params.push(limit);
+      query += ` LIMIT $${params.length}`;
+    }
+
+    if (offset) {
+      params.push(offset);
+      query += ` OFFSET $${params.length}`;
+    }
+
+    try {
+      const result = await this.db.query(query, params);
+      return result.rows.map(row => ({
+        id: row.id,
+        meetingId: row.meeting_id,
+        currentTopic: row.current_topic,
+        concepts: row.concepts || [],
+        contextualDefinitions: row.contextual_definitions || {},
+        suggestedQuestions: row.suggested_questions || [],
+        potentialActions: row.potential_actions || [],
+        acronyms: row.acronyms || {},
+        needsClarification: row.needs_clarification || [],
+        latency: row.latency_ms,
+        timestamp: new Date(row.created_at).getTime()
+      }));
+    } catch (error) {
+      console.error('[Storage Service] Error getting contextual insights:', error);
+      throw error;
+    }
+  }
+
   async exportMeeting(meetingId) {
     try {
       // Get meeting details
@@ -202,6 +298,12 @@ class StorageService {
       // Get extracted terms with definitions
       const terms = await this.getExtractedTerms(meetingId);
       
+      // Get the people assigned to diarized speakers
+      const participantsResult = await this.db.query(
+        'SELECT speaker_id, name, email, role FROM meeting_participants WHERE meeting_id = $1 AND speaker_id IS NOT NULL ORDER BY speaker_id',
+        [meetingId]
+      );
+      
       // Build export object
       const exportData = {
         meeting: {
@@ -215,11 +317,18 @@ class StorageService {
           termCount: meeting.term_count,
           keyTopics: meeting.key_topics
         },
+        participants: participantsResult.rows.map(p => ({
+          speakerId: p.speaker_id,
+          name: p.name,
+          email: p.email,
+          role: p.role
+        })),
         transcripts: transcripts.map(t => ({
           text: t.text,
           confidence: t.confidence,
           timestamp: t.timestamp,
-          speaker: t.speaker
+          speaker: t.speaker_id !== null ? t.speaker_id : t.speaker,
+          speakerName: t.speaker_name
         })),
         terms: terms.map(t => ({
           term: t.term,
@@ -2,15 +2,18 @@ const { createClient, LiveTranscriptionEvents } = require('@deepgram/sdk');
 const EventEmitter = require('events');
 
 class DeepgramService extends EventEmitter {
-    constructor(apiKey) {
+    constructor(apiKey, options = {}) {
         super();
         this.apiKey = apiKey;
+        this.keywords = options.keywords || []; // 'term:intensifier' boosts
         this.deepgram = createClient(apiKey);
         this.connection = null;
         this.isConnected = false;
         this.reconnectAttempts = 0;
         this.maxReconnectAttempts = 5;
         this.reconnectDelay = 1000;
+        this.reconnectTimer = null;
+        this.isClosing = false; // Set by disconnect() so a deliberate close doesn't reconnect
         this.startTime = null;
         this.lastSpeaker = null;
         this.currentSegment = null;
@@ -28,6 +31,7 @@ class DeepgramService extends EventEmitter {
     }
 
     async connect() {
+        this.isClosing = false;
         try {
             console.log('Connecting to Deepgram Nova-2...');
             
@@ -43,7 +47,8 @@ class DeepgramService extends EventEmitter {
                 diarize: true,
                 encoding: 'linear16',
                 sample_rate: 16000,
-                channels: 1
+                channels: 1,
+                ...(this.keywords.length > 0 && { keywords: this.keywords })
             });
 
             this.setupEventHandlers();
@@ -164,6 +169,10 @@ class DeepgramService extends EventEmitter {
     }
 
     async handleReconnect() {
+        if (this.isClosing || this.reconnectTimer) {
+            return;
+        }
+
         if (this.reconnectAttempts >= this.maxReconnectAttempts) {
             console.error('Max reconnection attempts reached');
             this.emit('maxReconnectAttemptsReached');
@@ -175,7 +184,8 @@ class DeepgramService extends EventEmitter {
         
         console.log(`Reconnecting to Deepgram in ${delay}ms (attempt ${this.reconnectAttempts}/${this.maxReconnectAttempts})`);
         
-        setTimeout(() => {
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
             this.connect();
         }, delay);
     }
@@ -214,6 +224,13 @@ class DeepgramService extends EventEmitter {
     }
 
     disconnect() {
+        this.isClosing = true;
+
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+
         if (this.keepAliveInterval) {
             clearInterval(this.keepAliveInterval);
             this.keepAliveInterval = null;
@@ -0,0 +1,446 @@
+const { execFile } = require('child_process');
+const fs = require('fs').promises;
+const { constants: fsConstants } = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const EventEmitter = require('events');
+const { AudioProcessor, pcmToWav, SAMPLE_RATE } = require('../utils/audio');
+
+const BYTES_PER_SECOND = SAMPLE_RATE * 2; // 16-bit mono
+
+/**
+ * Offline transcription using a locally installed speech engine.
+ *
+ * Works in one of two modes:
+ * - endpoint: POSTs WAV audio to a local HTTP server (e.g. whisper.cpp `server`)
+ * - binary: runs a local executable (e.g. whisper.cpp `whisper-cli`) on a temp WAV file
+ *
+ * Local engines are batch-only, so incoming audio is split into utterances with
+ * an energy-based VAD and each utterance is transcribed once it ends. Events match
+ * DeepgramService so the rest of the pipeline doesn't need to know the difference.
+ */
+class LocalTranscriptionService extends EventEmitter {
+    constructor(config = {}) {
+        super();
+        this.endpoint = config.endpoint || null;
+        this.binary = config.binary || null;
+        this.model = config.model || null;
+        this.args = config.args || null;
+        this.language = config.language || 'en';
+        this.timeout = config.timeout || 60000;
+
+        this.isConnected = false;
+        this.audioProcessor = new AudioProcessor();
+
+        // Utterance segmentation
+        this.speechThreshold = config.speechThreshold || 0.01;
+        this.utteranceEndMs = config.utteranceEndMs || 1000; // Same as Deepgram's utterance_end_ms
+        this.maxUtteranceSeconds = config.maxUtteranceSeconds || 15;
+        this.utteranceBuffer = [];
+        this.utteranceBytes = 0;
+        this.utteranceStartOffset = 0;
+        this.inSpeech = false;
+        this.silenceMs = 0;
+
+        // Transcriptions run one at a time so results arrive in order
+        this.queue = Promise.resolve();
+        this.lastSpeaker = null;
+
+        this.metrics = {
+            totalLatency: 0,
+            transcriptionCount: 0,
+            avgLatency: 0,
+            errors: 0
+        };
+        this.usageTracking = {
+            totalAudioSeconds: 0,
+            totalCost: 0,
+            sessionStartTime: null,
+            lastAudioTime: null
+        };
+    }
+
+    get mode() {
+        return this.endpoint ? 'endpoint' : 'binary';
+    }
+
+    async connect() {
+        try {
+            if (this.endpoint) {
+                // Any HTTP response means the server is up
+                await axios.get(new URL(this.endpoint).origin, {
+                    timeout: 5000,
+                    validateStatus: () => true
+                });
+            } else if (this.binary) {
+                await fs.access(this.binary, fsConstants.X_OK);
+            } else {
+                throw new Error('No local transcription endpoint or binary configured');
+            }
+
+            this.isConnected = true;
+            console.log(`[Local Transcription] Ready (${this.mode}: ${this.endpoint || this.binary})`);
+            this.emit('connected');
+        } catch (error) {
+            this.isConnected = false;
+            console.error('[Local Transcription] Engine not available:', error.message);
+            this.emit('error', error);
+            // Let the session move on to a fallback provider
+            throw error;
+        }
+    }
+
+    sendAudio(audioData) {
+        if (!this.isConnected) {
+            console.warn('Cannot send audio: local transcription engine not available');
+            return false;
+        }
+
+        if (!this.usageTracking.sessionStartTime) {
+            this.usageTracking.sessionStartTime = Date.now();
+        }
+        this.usageTracking.lastAudioTime = Date.now();
+
+        const chunkSeconds = audioData.length / BYTES_PER_SECOND;
+        const streamOffset = this.usageTracking.totalAudioSeconds;
+        this.usageTracking.totalAudioSeconds += chunkSeconds;
+
+        const isSpeech = this.audioProcessor.detectSpeech(audioData, this.speechThreshold);
+
+        if (isSpeech) {
+            if (!this.inSpeech) {
+                this.inSpeech = true;
+                if (this.utteranceBytes === 0) {
+                    this.utteranceStartOffset = streamOffset;
+                }
+                this.emit('speechStarted');
+            }
+            this.silenceMs = 0;
+        } else if (this.inSpeech) {
+            this.silenceMs += chunkSeconds * 1000;
+        }
+
+        // Keep trailing silence inside the utterance so words aren't clipped
+        if (this.inSpeech) {
+            this.utteranceBuffer.push(audioData);
+            this.utteranceBytes += audioData.length;
+        }
+
+        const utteranceSeconds = this.utteranceBytes / BYTES_PER_SECOND;
+        if (this.inSpeech && this.silenceMs >= this.utteranceEndMs) {
+            this.flushUtterance(true);
+        } else if (utteranceSeconds >= this.maxUtteranceSeconds) {
+            // Long monologue - transcribe what we have and keep listening
+            this.flushUtterance(false);
+        }
+
+        return true;
+    }
+
+    flushUtterance(utteranceEnded) {
+        if (this.utteranceBytes === 0) {
+            return;
+        }
+
+        const pcm = Buffer.concat(this.utteranceBuffer);
+        const startOffset = this.utteranceStartOffset;
+
+        this.utteranceBuffer = [];
+        this.utteranceBytes = 0;
+        this.utteranceStartOffset = this.usageTracking.totalAudioSeconds;
+        if (utteranceEnded) {
+            this.inSpeech = false;
+            this.silenceMs = 0;
+        }
+
+        this.queue = this.queue
+            .then(() => this.processUtterance(pcm, startOffset))
+            .then(() => {
+                if (utteranceEnded) {
+                    this.emit('utteranceEnd', { last_word_end: startOffset + pcm.length / BYTES_PER_SECOND });
+                }
+            });
+    }
+
+    async processUtterance(pcm, startOffset) {
+        const startTime = Date.now();
+
+        try {
+            const result = await this.transcribeWav(pcmToWav(pcm));
+            const latency = Date.now() - startTime;
+
+            this.metrics.totalLatency += latency;
+            this.metrics.transcriptionCount++;
+            this.metrics.avgLatency = this.metrics.totalLatency / this.metrics.transcriptionCount;
+
+            if (!result.text || result.text.trim() === '') {
+                return;
+            }
+
+            // Shift word times from utterance-relative to stream-relative
+            const words = result.words.map(word => ({
+                ...word,
+                start: word.start + startOffset,
+                end: word.end + startOffset
+            }));
+            const speakerData = this.processSpeakerData(words);
+
+            const transcript = {
+                text: result.text,
+                isFinal: true,
+                confidence: result.confidence,
+                timestamp: Date.now(),
+                latency,
+                words,
+                speakers: speakerData.speakers,
+                speakerSegments: speakerData.segments,
+                speakerChanges: speakerData.changes
+            };
+
+            console.log(`[Local Transcription] Transcript (${latency}ms) [${speakerData.speakers.length} speakers]: ${result.text}`);
+            this.emit('transcript', transcript);
+
+            if (speakerData.changes.length > 0) {
+                this.emit('speakerChange', {
+                    changes: speakerData.changes,
+                    timestamp: Date.now(),
+                    isFinal: true
+                });
+            }
+        } catch (error) {
+            this.metrics.errors++;
+            console.error('[Local Transcription] Transcription failed:', error.message);
+            this.emit('error', error);
+        }
+    }
+
+    /**
+     * Transcribe a complete WAV file with the configured engine
+     * @param {Buffer} wavData - WAV file contents
+     * @returns {Promise<Object>} { text, confidence, words }
+     */
+    async transcribeWav(wavData) {
+        const segments = this.endpoint
+            ? await this.transcribeWithEndpoint(wavData)
+            : await this.transcribeWithBinary(wavData);
+
+        return this.segmentsToResult(segments);
+    }
+
+    async transcribeWithEndpoint(wavData) {
+        const formData = new FormData();
+        formData.append('file', new Blob([wavData], { type: 'audio/wav' }), 'audio.wav');
+        formData.append('language', this.language);
+        formData.append('response_format', 'verbose_json');
+        formData.append('temperature', '0');
+
+        const response = await axios.post(this.endpoint, formData, { timeout: this.timeout });
+        const data = response.data;
+
+        if (Array.isArray(data.segments) && data.segments.length > 0) {
+            return data.segments;
+        }
+
+        return [{ text: data.text || '', start: 0, end: wavData.length / BYTES_PER_SECOND }];
+    }
+
+    async transcribeWithBinary(wavData) {
+        const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'local-transcription-'));
+        const inputFile = path.join(tempDir, 'audio.wav');
+        const outputBase = path.join(tempDir, 'result');
+
+        try {
+            await fs.writeFile(inputFile, wavData);
+
+            // Defaults match whisper.cpp's whisper-cli; override with LOCAL_TRANSCRIPTION_ARGS
+            const template = this.args || '-m {model} -f {file} -l {language} -oj -of {output} -np';
+            const args = template
+                .split(/\s+/)
+                .filter(Boolean)
+                .map(arg => arg
+                    .replace('{model}', this.model || '')
+                    .replace('{file}', inputFile)
+                    .replace('{language}', this.language)
+                    .replace('{output}', outputBase));
+
+            const stdout = await new Promise((resolve, reject) => {
+                execFile(this.binary, args, { timeout: this.timeout, maxBuffer: 10 * 1024 * 1024 }, (error, out) => {
+                    if (error) {
+                        reject(error);
+                    } else {
+                        resolve(out);
+                    }
+                });
+            });
+
+            // Prefer the JSON output file; fall back to plain text on stdout
+            try {
+                const json = JSON.parse(await fs.readFile(`${outputBase}.json`, 'utf8'));
+                return (json.transcription || []).map(segment => ({
+                    text: segment.text,
+                    start: (segment.offsets?.from || 0) / 1000,
+                    end: (segment.offsets?.to || 0) / 1000,
+                    speaker_turn_next: segment.speaker_turn_next
+                }));
+            } catch (parseError) {
+                return [{ text: stdout.trim(), start: 0, end: wavData.length / BYTES_PER_SECOND }];
+            }
+        } finally {
+            await fs.rm(tempDir, { recursive: true, force: true });
+        }
+    }
+
+    /**
+     * Convert engine segments to Deepgram-style text, confidence and words
+     * @param {Array} segments - Segments with text, start, end and optional words/speaker
+     * @returns {Object} { text, confidence, words }
+     */
+    segmentsToResult(segments) {
+        const words = [];
+        let speaker = 0;
+
+        segments.forEach(segment => {
+            const text = (segment.text || '').trim();
+            if (!text) {
+                return;
+            }
+
+            // Engines with diarization report a speaker per segment; tinydiarize marks turns instead
+            if (segment.speaker !== undefined) {
+                speaker = segment.speaker;
+            }
+
+            if (Array.isArray(segment.words) && segment.words.length > 0) {
+                segment.words.forEach(word => {
+                    words.push({
+                        word: (word.word || '').trim(),
+                        start: word.start,
+                        end: word.end,
+                        confidence: word.probability !== undefined ? word.probability : 0.9,
+                        speaker
+                    });
+                });
+            } else {
+                // No word timings - spread the segment's words evenly across it
+                const tokens = text.split(/\s+/);
+                const step = (segment.end - segment.start) / tokens.length;
+                tokens.forEach((token, index) => {
+                    words.push({
+                        word: token,
+                        start: segment.start + index * step,
+                        end: segment.start + (index + 1) * step,
+                        confidence: 0.9,
+                        speaker
+                    });
+                });
+            }
+
+            if (segment.speaker_turn_next) {
+                speaker++;
+            }
+        });
+
+        // Drop engine markers such as [BLANK_AUDIO] or [_BEG_]
+        const spoken = words.filter(w => w.word && !/^\[[^\]]*\]$/.test(w.word));
+        const text = spoken.map(w => w.word).join(' ');
+        const confidence = spoken.length > 0
+            ? spoken.reduce((sum, w) => sum + w.confidence, 0) / spoken.length
+            : 0;
+
+        return { text, confidence, words: spoken };
+    }
+
+    processSpeakerData(words) {
+        const speakers = new Set();
+        const segments = [];
+        const changes = [];
+
+        let current = null;
+
+        words.forEach((word, index) => {
+            speakers.add(word.speaker);
+
+            if (!current || current.speaker !== word.speaker) {
+                if (this.lastSpeaker !== word.speaker) {
+                    changes.push({
+                        fromSpeaker: this.lastSpeaker,
+                        toSpeaker: word.speaker,
+                        timestamp: word.start,
+                        wordIndex: index
+                    });
+                    this.lastSpeaker = word.speaker;
+                }
+
+                current = {
+                    speaker: word.speaker,
+                    startTime: word.start,
+                    endTime: word.end,
+                    words: []
+                };
+                segments.push(current);
+            }
+
+            current.words.push(word);
+            current.endTime = word.end;
+        });
+
+        return {
+            speakers: Array.from(speakers),
+            segments: segments.map(segment => ({
+                ...segment,
+                text: segment.words.map(w => w.word).join(' '),
+                confidence: segment.words.reduce((sum, w) => sum + w.confidence, 0) / segment.words.length
+            })),
+            changes
+        };
+    }
+
+    // Transcribe the utterance still in progress, then stop accepting audio.
+    // Resolves once every queued transcription has been emitted.
+    disconnect() {
+        this.flushUtterance(true);
+        this.inSpeech = false;
+        this.silenceMs = 0;
+        this.isConnected = false;
+        return this.queue;
+    }
+
+    getMetrics() {
+        return {
+            ...this.metrics,
+            ...this.usageTracking,
+            mode: this.mode,
+            isConnected: this.isConnected
+        };
+    }
+
+    getUsageForMeeting() {
+        return {
+            provider: 'local',
+            model: this.model ? path.basename(this.model) : this.mode,
+            durationSeconds: this.usageTracking.totalAudioSeconds,
+            totalCost: 0,
+            sessionStartTime: this.usageTracking.sessionStartTime,
+            lastAudioTime: this.usageTracking.lastAudioTime
+        };
+    }
+
+    resetMetrics() {
+        this.metrics = {
+            totalLatency: 0,
+            transcriptionCount: 0,
+            avgLatency: 0,
+            errors: 0
+        };
+        this.usageTracking = {
+            totalAudioSeconds: 0,
+            totalCost: 0,
+            sessionStartTime: null,
+            lastAudioTime: null
+        };
+        this.lastSpeaker = null;
+    }
+}
+
+module.exports = LocalTranscriptionService;
@@ -1,23 +1,45 @@
-const WebSocket = require('ws');
 const axios = require('axios');
 const { EventEmitter } = require('events');
+const TranscriptionSession = require('./session');
+const apiKeys = require('../services/api-keys');
+
+const REVAI_VOCABULARY_URL = 'https://api.rev.ai/speechtotext/v1/vocabularies';
+
+// What a vocabulary asks providers to listen for: its terms and what they sound
+// like. Usage counts only weight the terms, so they don't make it a new vocabulary.
+function vocabularyKey(vocabulary) {
+  return JSON.stringify(vocabulary
+    .map(entry => [entry.term.toLowerCase(), (entry.soundsLike || []).map(s => s.toLowerCase()).sort()])
+    .sort((a, b) => a[0].localeCompare(b[0])));
+}
+
+function parseProviderList(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return [...new Set(list.map(name => String(name).trim()).filter(Boolean))];
+}
 
 class TranscriptionProviderFactory extends EventEmitter {
   constructor() {
     super();
     this.providers = new Map();
     this.currentProvider = process.env.TRANSCRIPTION_PROVIDER || 'deepgram';
-    this.activeConnection = null;
-    this.activeService = null; // Track the active service instance
+    // Providers a live meeting moves to, in order, once its provider stops reconnecting
+    this.fallbackProviders = parseProviderList(process.env.TRANSCRIPTION_FALLBACK_PROVIDERS);
+    this.sessions = new Map(); // One streaming session per meeting
+    // Terms to listen for ({ term, usageCount, soundsLike }), e.g. from global corrections
+    this.vocabulary = [];
+    this.vocabularyVersion = 0;
+    this.revaiVocabularyId = null; // Rev.ai needs the vocabulary built ahead of time
     this.initializeProviders();
+    apiKeys.on('change', () => this.reloadProviders());
   }
 
   initializeProviders() {
     // Initialize Deepgram
-    if (process.env.DEEPGRAM_API_KEY) {
+    if (apiKeys.get('DEEPGRAM_API_KEY')) {
       this.providers.set('deepgram', {
         type: 'deepgram',
-        apiKey: process.env.DEEPGRAM_API_KEY,
+        apiKey: apiKeys.get('DEEPGRAM_API_KEY'),
         name: 'Deepgram',
         description: 'Real-time streaming transcription with Nova-2 model',
         features: {
@@ -26,16 +48,17 @@ class TranscriptionProviderFactory extends EventEmitter {
           punctuation: true,
           diarization: true,
           languages: ['en', 'es', 'fr', 'de', 'ja', 'ko', 'pt', 'ru', 'zh'],
-          maxAudioLength: 'unlimited'
+          maxAudioLength: 'unlimited',
+          keywordBoosting: true
         }
       });
     }
 
     // Initialize AssemblyAI
-    if (process.env.ASSEMBLYAI_API_KEY) {
+    if (apiKeys.get('ASSEMBLYAI_API_KEY')) {
       this.providers.set('assemblyai', {
         type: 'assemblyai',
-        apiKey: process.env.ASSEMBLYAI_API_KEY,
+        apiKey: apiKeys.get('ASSEMBLYAI_API_KEY'),
         name: 'AssemblyAI',
         description: 'Accurate transcription with speaker detection and summarization',
         features: {
@@ -46,16 +69,17 @@ class TranscriptionProviderFactory extends EventEmitter {
           summarization: true,
           sentimentAnalysis: true,
           languages: ['en', 'es', 'fr', 'de', 'it', 'pt', 'nl', 'hi', 'ja'],
-          maxAudioLength: 'unlimited'
+          maxAudioLength: 'unlimited',
+          wordBoost: true
         }
       });
     }
 
     // Initialize OpenAI Whisper
-    if (process.env.OPENAI_API_KEY) {
+    if (apiKeys.get('OPENAI_API_KEY')) {
       this.providers.set('whisper', {
         type: 'whisper',
-        apiKey: process.env.OPENAI_API_KEY,
+        apiKey: apiKeys.get('OPENAI_API_KEY'),
         name: 'OpenAI Whisper',
         description: 'High-accuracy transcription with Whisper large-v3 model',
         features: {
@@ -71,10 +95,10 @@ class TranscriptionProviderFactory extends EventEmitter {
     }
 
     // Initialize Google Speech-to-Text
-    if (process.env.GOOGLE_SPEECH_API_KEY) {
+    if (apiKeys.get('GOOGLE_SPEECH_API_KEY')) {
       this.providers.set('google', {
         type: 'google',
-        apiKey: process.env.GOOGLE_SPEECH_API_KEY,
+        apiKey: apiKeys.get('GOOGLE_SPEECH_API_KEY'),
         name: 'Google Speech-to-Text',
         description: 'Google Cloud Speech-to-Text with enhanced models',
         features: {
@@ -90,11 +114,11 @@ class TranscriptionProviderFactory extends EventEmitter {
     }
 
     // Initialize Azure Speech Services
-    if (process.env.AZURE_SPEECH_KEY && process.env.AZURE_SPEECH_REGION) {
+    if (apiKeys.get('AZURE_SPEECH_KEY') && apiKeys.get('AZURE_SPEECH_REGION')) {
       this.providers.set('azure', {
         type: 'azure',
-        apiKey: process.env.AZURE_SPEECH_KEY,
-        region: process.env.AZURE_SPEECH_REGION,
+        apiKey: apiKeys.get('AZURE_SPEECH_KEY'),
+        region: apiKeys.get('AZURE_SPEECH_REGION'),
         name: 'Azure Speech Services',
         description: 'Microsoft Azure Cognitive Services Speech-to-Text',
         features: {
@@ -110,10 +134,10 @@ class TranscriptionProviderFactory extends EventEmitter {
     }
 
     // Initialize Rev.ai
-    if (process.env.REVAI_API_KEY) {
+    if (apiKeys.get('REVAI_API_KEY')) {
       this.providers.set('revai', {
         type: 'revai',
-        apiKey: process.env.REVAI_API_KEY,
+        apiKey: apiKeys.get('REVAI_API_KEY'),
         name: 'Rev.ai',
         description: 'Professional-grade transcription with high accuracy',
         features: {
@@ -129,10 +153,10 @@ class TranscriptionProviderFactory extends EventEmitter {
     }
 
     // Initialize Speechmatics
-    if (process.env.SPEECHMATICS_API_KEY) {
+    if (apiKeys.get('SPEECHMATICS_API_KEY')) {
       this.providers.set('speechmatics', {
         type: 'speechmatics',
-        apiKey: process.env.SPEECHMATICS_API_KEY,
+        apiKey: apiKeys.get('SPEECHMATICS_API_KEY'),
         name: 'Speechmatics',
         description: 'Enterprise speech recognition with 48 languages',
         features: {
@@ -147,288 +171,339 @@ class TranscriptionProviderFactory extends EventEmitter {
       });
     }
 
+    // Initialize local engine (no API key or network access needed)
+    if (process.env.LOCAL_TRANSCRIPTION_URL || process.env.LOCAL_TRANSCRIPTION_BINARY) {
+      this.providers.set('local', {
+        type: 'local',
+        apiKey: null,
+        endpoint: process.env.LOCAL_TRANSCRIPTION_URL || null,
+        binary: process.env.LOCAL_TRANSCRIPTION_BINARY || null,
+        model: process.env.LOCAL_TRANSCRIPTION_MODEL || null,
+        args: process.env.LOCAL_TRANSCRIPTION_ARGS || null,
+        language: process.env.LOCAL_TRANSCRIPTION_LANGUAGE || 'en',
+        name: 'Local (Offline)',
+        description: 'On-premises transcription via a local engine such as whisper.cpp',
+        features: {
+          streaming: true,
+          realtime: false,
+          punctuation: true,
+          diarization: false,
+          languages: ['en', 'es', 'fr', 'de', 'it', 'pt', 'ru', 'ja', 'ko', 'zh', 'nl', 'pl'],
+          maxAudioLength: 'unlimited',
+          offline: true
+        }
+      });
+    }
+
     console.log(`[Transcription Provider] Initialized ${this.providers.size} providers`);
     console.log(`[Transcription Provider] Active provider: ${this.currentProvider}`);
   }
 
-  async connect() {
+  // Rebuild provider configs after API keys change and reconnect live meetings
+  // whose credentials changed. The session keeps its meeting, so the transcript
+  // carries on once the new connection is up.
+  reloadProviders() {
+    const previousRevAI = this.providers.get('revai');
+    this.providers.clear();
+    this.initializeProviders();
+
+    // A Rev.ai vocabulary belongs to the account that built it
+    const revai = this.providers.get('revai');
+    if (revai && (!previousRevAI || previousRevAI.apiKey !== revai.apiKey)) {
+      this.revaiVocabularyId = null;
+      this.updateRevAIVocabulary(this.vocabularyVersion);
+    }
+
+    for (const session of this.sessions.values()) {
+      const provider = this.providers.get(session.providerId);
+      if (!provider) {
+        console.warn(`[Transcription Provider] ${session.providerId} is no longer configured - meeting ${session.meetingId} keeps its current connection`);
+        continue;
+      }
+      if (provider.apiKey === session.provider.apiKey && provider.region === session.provider.region) {
+        session.provider = provider;
+        continue;
+      }
+
+      console.log(`[Transcription Provider] Reconnecting meeting ${session.meetingId} to ${session.providerId} with updated credentials`);
+      session.switchProvider(session.providerId, provider).catch(err => {
+        console.error(`[Transcription Provider] Failed to reconnect meeting ${session.meetingId}:`, err);
+      });
+    }
+  }
+  // Open a streaming session for a meeting with the current provider. The
+  // meeting's own vocabulary, if given, replaces the shared one.
+  async openSession(meetingId, vocabulary = null) {
+    if (this.sessions.has(meetingId)) {
+      return this.sessions.get(meetingId);
+    }
+
     const provider = this.providers.get(this.currentProvider);
     
     if (!provider) {
       throw new Error(`Provider ${this.currentProvider} not configured`);
     }
 
-    switch (provider.type) {
-      case 'deepgram':
-        return await this.connectDeepgram(provider);
-      case 'assemblyai':
-        return await this.connectAssemblyAI(provider);
-      case 'google':
-        return await this.connectGoogle(provider);
-      case 'azure':
-        return await this.connectAzure(provider);
-      case 'revai':
-        return await this.connectRevAI(provider);
-      case 'speechmatics':
-        return await this.connectSpeechmatics(provider);
-      case 'whisper':
-        // Whisper doesn't use WebSocket
-        console.log('[Transcription] Whisper API ready for batch processing');
-        return true;
-      default:
-        throw new Error(`Unknown provider type: ${provider.type}`);
+    const session = new TranscriptionSession(meetingId, this.currentProvider, provider);
+    session.customVocabulary = vocabulary;
+    session.vocabulary = this.getSessionVocabulary(session);
+    this.forwardSessionEvents(session);
+    this.sessions.set(meetingId, session);
+    
+    console.log(`[Transcription Provider] Opening ${this.currentProvider} session for meeting ${meetingId} (${this.sessions.size} open)`);
+    try {
+      await session.connect();
+    } catch (error) {
+      console.error(`[Transcription Provider] ${this.currentProvider} failed to connect for meeting ${meetingId}:`, error.message);
+      if (!(await this.failover(session, `${this.getProviderName(this.currentProvider)} failed to connect`))) {
+        // Nothing connected, so don't leave a dead session behind; starting the meeting again retries
+        this.closeSession(meetingId);
+        throw error;
+      }
+    }
+
+    // Closed while it was connecting: closeSession ran before there was a connection to close
+    if (this.sessions.get(meetingId) !== session) {
+      session.disconnect()
+        .catch(err => console.error(`[Transcription Provider] Error closing session for meeting ${meetingId}:`, err));
     }
+    return session;
   }
 
-  async connectDeepgram(provider) {
-    // Use the DeepgramService class if available
-    const DeepgramService = require('./deepgram');
-    this.activeService = new DeepgramService(provider.apiKey);
+  // Re-emit session events tagged with the session's meeting id
+  forwardSessionEvents(session) {
+    const { meetingId } = session;
     
-    // Forward events from the service to this factory
-    this.activeService.on('transcript', (data) => this.emit('transcript', data));
-    this.activeService.on('error', (error) => this.emit('error', error));
-    this.activeService.on('connected', () => this.emit('connected', { provider: 'deepgram' }));
-    this.activeService.on('disconnected', () => this.emit('disconnected', { provider: 'deepgram' }));
-    this.activeService.on('speechStarted', () => this.emit('speechStarted'));
-    this.activeService.on('utteranceEnd', () => this.emit('utteranceEnd'));
-    
-    await this.activeService.connect();
-    this.activeConnection = this.activeService.connection;
-    return this.activeConnection;
+    session.on('transcript', (data) => this.emit('transcript', { ...data, meetingId }));
+    session.on('error', (error) => this.emit('error', { meetingId, error }));
+    session.on('connected', (data) => this.emit('connected', { ...data, meetingId }));
+    session.on('disconnected', (data) => this.emit('disconnected', { ...data, meetingId }));
+    session.on('speechStarted', () => this.emit('speechStarted', { meetingId }));
+    session.on('utteranceEnd', (data) => this.emit('utteranceEnd', { meetingId, data }));
+    session.on('speakerChange', (data) => this.emit('speakerChange', { ...data, meetingId }));
+    session.on('maxReconnectAttemptsReached', (data) => {
+      this.emit('maxReconnectAttemptsReached', { ...data, meetingId });
+      this.failover(session, `${this.getProviderName(session.providerId)} stopped responding`);
+    });
   }
 
-  async connectAssemblyAI(provider) {
-    const url = 'wss://api.assemblyai.com/v2/realtime/ws?' + new URLSearchParams({
-      sample_rate: '16000'
-    });
+  // Rev.ai vocabularies are built ahead of time, so every meeting shares the one
+  // built from the shared vocabulary
+  getSessionVocabulary(session = null) {
+    const terms = (session && session.customVocabulary) || this.vocabulary;
+    return { terms, revaiVocabularyId: this.revaiVocabularyId };
+  }
 
-    this.activeConnection = new WebSocket(url, {
-      headers: {
-        'Authorization': provider.apiKey
-      }
-    });
+  // Replace one meeting's vocabulary. Like setVocabulary, it applies the next time
+  // the meeting connects. Returns true if the terms changed.
+  setSessionVocabulary(meetingId, vocabulary) {
+    const session = this.sessions.get(meetingId);
+    if (!session) {
+      return false;
+    }
 
-    this.activeConnection.on('open', () => {
-      console.log('[AssemblyAI] WebSocket connected');
-      this.emit('connected', { provider: 'assemblyai' });
-      
-      // Send session configuration
-      this.activeConnection.send(JSON.stringify({
-        audio_data: null,
-        word_boost: [],
-        encoding: 'pcm_s16le',
-        sample_rate: 16000
-      }));
-    });
+    const changed = vocabularyKey(vocabulary) !== vocabularyKey(session.vocabulary.terms);
+    session.customVocabulary = vocabulary;
+    session.vocabulary = this.getSessionVocabulary(session);
+    return changed;
+  }
 
-    this.activeConnection.on('message', (data) => {
-      const response = JSON.parse(data.toString());
-      
-      if (response.message_type === 'PartialTranscript') {
-        this.emit('transcript', {
-          text: response.text,
-          isFinal: false,
-          confidence: response.confidence || 0.9,
-          provider: 'assemblyai'
-        });
-      } else if (response.message_type === 'FinalTranscript') {
-        this.emit('transcript', {
-          text: response.text,
-          isFinal: true,
-          confidence: response.confidence || 0.95,
-          provider: 'assemblyai'
-        });
+  // Replace the custom vocabulary. Live meetings keep their connection and pick
+  // it up the next time they connect (a reconnect or provider switch), so no
+  // audio is lost to it. Resolves true if the terms changed.
+  async setVocabulary(vocabulary) {
+    const changed = vocabularyKey(vocabulary) !== vocabularyKey(this.vocabulary);
+    this.vocabulary = vocabulary;
+    if (changed) {
+      const version = ++this.vocabularyVersion;
+      console.log(`[Transcription Provider] Custom vocabulary: ${vocabulary.length} terms`);
+      if (!(await this.updateRevAIVocabulary(version))) {
+        return false; // A newer vocabulary arrived while this one was building
       }
-    });
+    }
 
-    this.activeConnection.on('error', (error) => {
-      console.error('[AssemblyAI] WebSocket error:', error);
-      this.emit('error', { provider: 'assemblyai', error });
-    });
+    for (const session of this.sessions.values()) {
+      session.vocabulary = this.getSessionVocabulary(session);
+    }
+    return changed;
+  }
 
-    return this.activeConnection;
+  getVocabulary() {
+    return [...this.vocabulary];
   }
 
-  async connectGoogle(provider) {
-    // Google Speech-to-Text implementation
-    // This would require the @google-cloud/speech package
-    console.log('[Google] Streaming transcription ready');
-    
-    // For Google, we'd typically use their Node.js client library
-    // This is a simplified example
-    const speech = require('@google-cloud/speech');
-    const client = new speech.SpeechClient({
-      apiKey: provider.apiKey
-    });
+  // Rebuild the Rev.ai vocabulary, if Rev.ai is configured. Resolves false if a
+  // newer vocabulary has been set in the meantime.
+  async updateRevAIVocabulary(version) {
+    const revai = this.providers.get('revai');
+    if (!revai) {
+      return true;
+    }
 
-    const request = {
-      config: {
-        encoding: 'LINEAR16',
-        sampleRateHertz: 16000,
-        languageCode: 'en-US',
-        enableAutomaticPunctuation: true,
-        enableSpeakerDiarization: true,
-        diarizationSpeakerCount: 2,
-        model: 'latest_long'
-      },
-      interimResults: true
-    };
+    try {
+      const vocabularyId = await this.buildRevAIVocabulary(revai, this.vocabulary);
+      if (version !== this.vocabularyVersion) {
+        return false;
+      }
+      this.revaiVocabularyId = vocabularyId;
+      for (const session of this.sessions.values()) {
+        session.vocabulary = this.getSessionVocabulary(session);
+      }
+    } catch (error) {
+      console.error('[Transcription Provider] Failed to build Rev.ai custom vocabulary:', error.message);
+    }
+    return true;
+  }
 
-    this.activeConnection = client
-      .streamingRecognize(request)
-      .on('data', (data) => {
-        if (data.results[0] && data.results[0].alternatives[0]) {
-          this.emit('transcript', {
-            text: data.results[0].alternatives[0].transcript,
-            isFinal: data.results[0].isFinal,
-            confidence: data.results[0].alternatives[0].confidence || 0.9,
-            provider: 'google'
-          });
-        }
-      })
-      .on('error', (error) => {
-        console.error('[Google] Stream error:', error);
-        this.emit('error', { provider: 'google', error });
-      });
+  // Create a Rev.ai custom vocabulary and wait until it can be used for streaming
+  async buildRevAIVocabulary(provider, vocabulary) {
+    if (vocabulary.length === 0) {
+      return null;
+    }
 
-    return this.activeConnection;
-  }
+    const headers = { 'Authorization': `Bearer ${provider.apiKey}` };
+    const created = await axios.post(REVAI_VOCABULARY_URL, {
+      custom_vocabularies: [{ phrases: vocabulary.map(entry => entry.term) }]
+    }, { headers });
 
-  async connectAzure(provider) {
-    // Azure Speech Services implementation
-    const sdk = require('microsoft-cognitiveservices-speech-sdk');
-    
-    const speechConfig = sdk.SpeechConfig.fromSubscription(
-      provider.apiKey,
-      provider.region
-    );
-    speechConfig.speechRecognitionLanguage = 'en-US';
-    speechConfig.enableDictation();
-    
-    const audioConfig = sdk.AudioConfig.fromDefaultMicrophoneInput();
-    this.recognizer = new sdk.SpeechRecognizer(speechConfig, audioConfig);
-    
-    this.recognizer.recognizing = (s, e) => {
-      this.emit('transcript', {
-        text: e.result.text,
-        isFinal: false,
-        confidence: 0.9,
-        provider: 'azure'
-      });
-    };
-    
-    this.recognizer.recognized = (s, e) => {
-      if (e.result.reason === sdk.ResultReason.RecognizedSpeech) {
-        this.emit('transcript', {
-          text: e.result.text,
-          isFinal: true,
-          confidence: 0.95,
-          provider: 'azure'
-        });
+    // Rev.ai processes vocabularies in the background, usually within seconds
+    for (let attempt = 0; attempt < 20; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 3000));
+      const response = await axios.get(`${REVAI_VOCABULARY_URL}/${created.data.id}`, { headers });
+
+      if (response.data.status === 'complete') {
+        console.log(`[Transcription Provider] Rev.ai custom vocabulary ${created.data.id} ready`);
+        return created.data.id;
+      } else if (response.data.status === 'failed') {
+        throw new Error(response.data.failure || 'Vocabulary processing failed');
       }
-    };
-    
-    await this.recognizer.startContinuousRecognitionAsync();
-    console.log('[Azure] Continuous recognition started');
-    
-    return this.recognizer;
+    }
+    throw new Error('Timed out waiting for the vocabulary to be processed');
   }
 
-  async connectRevAI(provider) {
-    const url = 'wss://api.rev.ai/speechtotext/v1/stream';
+  setFallbackProviders(providers) {
+    this.fallbackProviders = parseProviderList(providers);
+    console.log(`[Transcription Provider] Fallback chain: ${this.fallbackProviders.length > 0 ? this.fallbackProviders.join(' → ') : 'none'}`);
+  }
 
-    this.activeConnection = new WebSocket(url, {
-      headers: {
-        'Authorization': `Bearer ${provider.apiKey}`,
-        'Content-Type': 'audio/x-raw',
-        'Content-Type-Options': 'sample_rate=16000;encoding=pcm_s16le;channels=1'
-      }
-    });
+  getFallbackProviders() {
+    return [...this.fallbackProviders];
+  }
 
-    this.activeConnection.on('open', () => {
-      console.log('[Rev.ai] WebSocket connected');
-      this.emit('connected', { provider: 'revai' });
-    });
+  getProviderName(providerId) {
+    const provider = this.providers.get(providerId);
+    return provider ? provider.name : providerId;
+  }
 
-    this.activeConnection.on('message', (data) => {
-      const response = JSON.parse(data.toString());
-      
-      if (response.type === 'partial') {
-        this.emit('transcript', {
-          text: response.value,
-          isFinal: false,
-          confidence: 0.9,
-          provider: 'revai'
-        });
-      } else if (response.type === 'final') {
-        this.emit('transcript', {
-          text: response.value,
-          isFinal: true,
-          confidence: 0.95,
-          provider: 'revai'
+  // The next configured streaming provider this session hasn't given up on yet
+  getNextProvider(session) {
+    const chain = [this.currentProvider, ...this.fallbackProviders];
+    return chain.find(id => {
+      const provider = this.providers.get(id);
+      return provider && provider.features.streaming && id !== session.providerId && !session.failedProviders.has(id);
+    }) || null;
+  }
+
+  // Move a meeting's live audio to the next provider in the fallback chain. The
+  // session keeps its meeting timeline, so transcripts carry on where they stopped.
+  async failover(session, reason) {
+    if (session.isSwitching || this.sessions.get(session.meetingId) !== session) {
+      return false;
+    }
+
+    session.isSwitching = true;
+    try {
+      const from = session.providerId;
+      session.failedProviders.add(from);
+
+      let nextId;
+      while ((nextId = this.getNextProvider(session))) {
+        if (this.sessions.get(session.meetingId) !== session) {
+          return false; // The meeting ended while we were switching
+        }
+        console.warn(`[Transcription Provider] Switching meeting ${session.meetingId} from ${session.providerId} to ${nextId}: ${reason}`);
+
+        try {
+          await session.switchProvider(nextId, this.providers.get(nextId));
+        } catch (error) {
+          console.error(`[Transcription Provider] ${nextId} failed to connect for meeting ${session.meetingId}:`, error.message);
+          session.failedProviders.add(nextId);
+          continue;
+        }
+
+        this.emit('providerSwitched', {
+          meetingId: session.meetingId,
+          from,
+          to: nextId,
+          fromName: this.getProviderName(from),
+          toName: this.getProviderName(nextId),
+          reason,
+          meetingTime: session.getMeetingTime() // Seconds into the meeting audio
         });
+        return true;
       }
-    });
 
-    return this.activeConnection;
+      console.error(`[Transcription Provider] No fallback provider left for meeting ${session.meetingId}`);
+      this.emit('error', {
+        meetingId: session.meetingId,
+        error: new Error(`${reason} and no fallback transcription provider is available`)
+      });
+      return false;
+    } finally {
+      session.isSwitching = false;
+    }
+  }
+
+  getSession(meetingId) {
+    return this.sessions.get(meetingId) || null;
+  }
+
+  closeSession(meetingId) {
+    const session = this.sessions.get(meetingId);
+    if (!session) {
+      return false;
+    }
+
+    this.sessions.delete(meetingId);
+    // Transcripts the provider still had pending are delivered before the listeners go
+    session.disconnect()
+      .catch(err => console.error(`[Transcription Provider] Error closing session for meeting ${meetingId}:`, err))
+      .finally(() => session.removeAllListeners());
+    console.log(`[Transcription Provider] Closed session for meeting ${meetingId} (${this.sessions.size} open)`);
+    return true;
   }
 
-  async connectSpeechmatics(provider) {
-    const url = `wss://eu.rt.speechmatics.com/v2/en`;
+  sendAudio(meetingId, audioData) {
+    const session = this.sessions.get(meetingId);
     
-    this.activeConnection = new WebSocket(url);
-
-    this.activeConnection.on('open', () => {
-      // Send authentication
-      this.activeConnection.send(JSON.stringify({
-        message: 'StartRecognition',
-        audio_format: {
-          type: 'raw',
-          encoding: 'pcm_s16le',
-          sample_rate: 16000
-        },
-        transcription_config: {
-          language: 'en',
-          enable_partials: true,
-          enable_entities: true,
-          diarization: 'speaker'
-        },
-        jwt: provider.apiKey
-      }));
-      
-      console.log('[Speechmatics] WebSocket connected');
-      this.emit('connected', { provider: 'speechmatics' });
-    });
+    if (!session) {
+      console.error(`[Transcription] No open session for meeting ${meetingId}`);
+      return false;
+    }
 
-    this.activeConnection.on('message', (data) => {
-      const response = JSON.parse(data.toString());
-      
-      if (response.message === 'AddPartialTranscript') {
-        this.emit('transcript', {
-          text: response.metadata.transcript,
-          isFinal: false,
-          confidence: 0.9,
-          provider: 'speechmatics'
-        });
-      } else if (response.message === 'AddTranscript') {
-        this.emit('transcript', {
-          text: response.metadata.transcript,
-          isFinal: true,
-          confidence: response.metadata.confidence || 0.95,
-          provider: 'speechmatics'
-        });
-      }
-    });
+    return session.sendAudio(audioData);
+  }
+
+  // Record audio held back by the VAD so transcript timings stay aligned
+  skipAudio(meetingId, byteCount) {
+    const session = this.sessions.get(meetingId);
+    if (session && byteCount > 0) {
+      session.skipAudio(byteCount);
+    }
+  }
 
-    return this.activeConnection;
+  disconnect() {
+    for (const meetingId of Array.from(this.sessions.keys())) {
+      this.closeSession(meetingId);
+    }
   }
 
   async transcribeFile(audioBuffer, options = {}) {
-    const provider = this.providers.get(this.currentProvider);
+    const providerId = options.provider || this.currentProvider;
+    const provider = this.providers.get(providerId);
     
     if (!provider) {
-      throw new Error(`Provider ${this.currentProvider} not configured`);
+      throw new Error(`Provider ${providerId} not configured`);
     }
 
     // For file-based transcription (useful for Whisper and others)
@@ -439,6 +514,8 @@ class TranscriptionProviderFactory extends EventEmitter {
         return await this.transcribeWithDeepgramREST(provider, audioBuffer, options);
       case 'assemblyai':
         return await this.transcribeWithAssemblyAIREST(provider, audioBuffer, options);
+      case 'local':
+        return await this.transcribeWithLocal(provider, audioBuffer, options);
       default:
         throw new Error(`File transcription not implemented for ${provider.type}`);
     }
@@ -446,10 +523,11 @@ class TranscriptionProviderFactory extends EventEmitter {
 
   async transcribeWithWhisper(provider, audioBuffer, options) {
     const formData = new FormData();
-    formData.append('file', audioBuffer, 'audio.wav');
+    formData.append('file', new Blob([audioBuffer], { type: options.mimeType || 'audio/wav' }), options.filename || 'audio.wav');
     formData.append('model', 'whisper-1');
     formData.append('language', options.language || 'en');
-    formData.append('response_format', 'json');
+    formData.append('response_format', 'verbose_json');
+    formData.append('timestamp_granularities[]', 'word');
     
     if (options.prompt) {
       formData.append('prompt', options.prompt);
@@ -460,8 +538,7 @@ class TranscriptionProviderFactory extends EventEmitter {
       formData,
       {
         headers: {
-          'Authorization': `Bearer ${provider.apiKey}`,
-          ...formData.getHeaders()
+          'Authorization': `Bearer ${provider.apiKey}`
         }
       }
     );
@@ -470,7 +547,26 @@ class TranscriptionProviderFactory extends EventEmitter {
       text: response.data.text,
       provider: 'whisper',
       isFinal: true,
-      confidence: 0.95 // Whisper doesn't provide confidence scores
+      confidence: 0.95, // Whisper doesn't provide confidence scores
+      duration: response.data.duration,
+      words: response.data.words // Word-level timestamps, no speakers
+    };
+  }
+
+  async transcribeWithLocal(provider, audioBuffer, options) {
+    const LocalTranscriptionService = require('./local');
+    const service = new LocalTranscriptionService({
+      ...provider,
+      language: options.language || provider.language
+    });
+
+    const result = await service.transcribeWav(audioBuffer);
+    return {
+      text: result.text,
+      provider: 'local',
+      isFinal: true,
+      confidence: result.confidence,
+      words: result.words
     };
   }
 
@@ -481,7 +577,7 @@ class TranscriptionProviderFactory extends EventEmitter {
       {
         headers: {
           'Authorization': `Token ${provider.apiKey}`,
-          'Content-Type': 'audio/wav'
+          'Content-Type': options.mimeType || 'audio/wav'
         },
         params: {
           model: 'nova-2',
@@ -567,100 +663,21 @@ class TranscriptionProviderFactory extends EventEmitter {
       sentiment: transcript.sentiment_analysis_results
     };
   }
-
-  sendAudio(audioData) {
-    // If using DeepgramService, delegate to it
-    if (this.activeService && this.activeService.sendAudio) {
-      return this.activeService.sendAudio(audioData);
-    }
-    
-    if (!this.activeConnection) {
-      console.error('[Transcription] No active connection');
-      return false;
-    }
-
-    const provider = this.providers.get(this.currentProvider);
-    
-    switch (provider.type) {
-      case 'deepgram':
-      case 'revai':
-      case 'speechmatics':
-        // These providers accept raw audio directly
-        if (this.activeConnection.readyState === WebSocket.OPEN) {
-          this.activeConnection.send(audioData);
-          return true;
-        }
-        break;
-        
-      case 'assemblyai':
-        // AssemblyAI needs base64 encoded audio
-        if (this.activeConnection.readyState === WebSocket.OPEN) {
-          const base64Audio = audioData.toString('base64');
-          this.activeConnection.send(JSON.stringify({
-            audio_data: base64Audio
-          }));
-          return true;
-        }
-        break;
+  setProvider(providerName) {
+    if (this.providers.has(providerName)) {
+      if (providerName !== this.currentProvider) {
+        this.currentProvider = providerName;
+        console.log(`[Transcription Provider] Switched to ${providerName}`);
         
-      case 'google':
-      case 'azure':
-        // These use their own SDK methods
-        if (this.activeConnection) {
-          this.activeConnection.write(audioData);
-          return true;
+        // Move open meeting sessions over to the new provider
+        const provider = this.providers.get(providerName);
+        for (const session of this.sessions.values()) {
+          session.failedProviders.clear(); // A deliberate choice gets a fresh fallback chain
+          session.switchProvider(providerName, provider).catch(err => {
+            console.error(`[Transcription Provider] Failed to switch meeting ${session.meetingId} to ${providerName}:`, err);
+          });
         }
-        break;
-    }
-
-    return false;
-  }
-
-  startKeepAlive() {
-    this.keepAliveInterval = setInterval(() => {
-      if (this.activeConnection && this.activeConnection.readyState === WebSocket.OPEN) {
-        this.activeConnection.send(JSON.stringify({ type: 'KeepAlive' }));
-        console.log('[Transcription] Keepalive sent');
       }
-    }, 10000);
-  }
-
-  stopKeepAlive() {
-    if (this.keepAliveInterval) {
-      clearInterval(this.keepAliveInterval);
-      this.keepAliveInterval = null;
-    }
-  }
-
-  disconnect() {
-    this.stopKeepAlive();
-    
-    // If using a service instance, disconnect it
-    if (this.activeService && this.activeService.disconnect) {
-      this.activeService.disconnect();
-      this.activeService = null;
-    }
-    
-    if (this.activeConnection) {
-      if (this.activeConnection.close) {
-        this.activeConnection.close();
-      } else if (this.activeConnection.end) {
-        this.activeConnection.end();
-      }
-      this.activeConnection = null;
-    }
-
-    if (this.recognizer) {
-      this.recognizer.stopContinuousRecognitionAsync();
-      this.recognizer = null;
-    }
-  }
-
-  setProvider(providerName) {
-    if (this.providers.has(providerName)) {
-      this.disconnect();
-      this.currentProvider = providerName;
-      console.log(`[Transcription Provider] Switched to ${providerName}`);
       return true;
     }
     
@@ -690,46 +707,40 @@ class TranscriptionProviderFactory extends EventEmitter {
       this.setProvider(settings.transcriptionProvider);
     }
   }
-
+  // True if any meeting session is connected
   get isConnected() {
-    // If using a service instance, check its connection status
-    if (this.activeService && this.activeService.isConnected !== undefined) {
-      return this.activeService.isConnected;
-    }
-    
-    if (!this.activeConnection) return false;
-    
-    if (this.activeConnection.readyState !== undefined) {
-      return this.activeConnection.readyState === WebSocket.OPEN;
-    }
-    
-    return !!this.activeConnection;
+    return Array.from(this.sessions.values()).some(session => session.isConnected);
   }
 
-  getMetrics() {
-    // If using a service instance, get its metrics
-    if (this.activeService && this.activeService.getMetrics) {
-      return this.activeService.getMetrics();
+  getMetrics(meetingId = null) {
+    const session = meetingId && this.sessions.get(meetingId);
+    if (session) {
+      return session.getMetrics();
     }
     
     return {
       provider: this.currentProvider,
       connected: this.isConnected,
-      availableProviders: this.providers.size
+      availableProviders: this.providers.size,
+      openSessions: this.sessions.size
     };
   }
 
-  // New method to get the active provider service
-  getActiveProvider() {
+  // Get the provider service backing a meeting's session
+  getActiveProvider(meetingId) {
+    const session = this.sessions.get(meetingId);
+    
     // Return the active service if it exists (e.g., DeepgramService)
-    if (this.activeService) {
-      return this.activeService;
+    if (session && session.getActiveProvider()) {
+      return session.getActiveProvider();
     }
     
+    const providerId = session ? session.providerId : this.currentProvider;
+    
     // Otherwise return a mock object with the required methods
     return {
       getUsageForMeeting: () => ({
-        provider: this.currentProvider,
+        provider: providerId,
         model: 'streaming',
         durationSeconds: 0,
         totalCost: 0,
@@ -737,10 +748,10 @@ class TranscriptionProviderFactory extends EventEmitter {
         lastAudioTime: null
       }),
       resetMetrics: () => {
-        console.log(`[${this.currentProvider}] Metrics reset (no service instance)`);
+        console.log(`[${providerId}] Metrics reset (no service instance)`);
       }
     };
   }
 }
 
-module.exports = TranscriptionProviderFactory;
\ No newline at end of file
+module.exports = TranscriptionProviderFactory;
@@ -0,0 +1,162 @@
+const TranscriptionProviderFactory = require('./provider-factory');
+const TranscriptionSession = require('./session');
+
+const MEETING_ID = 'meeting-1';
+
+describe('TranscriptionProviderFactory failover', () => {
+    const env = { ...process.env };
+    let factory;
+    let failing;
+    let switched;
+    let errors;
+
+    // Deepgram first, then AssemblyAI and Speechmatics; Whisper can't stream
+    function createFactory(fallbacks = ['assemblyai', 'speechmatics']) {
+        factory = new TranscriptionProviderFactory();
+        factory.currentProvider = 'deepgram';
+        factory.setFallbackProviders(fallbacks);
+        factory.on('providerSwitched', event => switched.push(event));
+        factory.on('error', event => errors.push(event));
+        return factory;
+    }
+
+    beforeEach(() => {
+        process.env.DEEPGRAM_API_KEY = 'deepgram-test';
+        process.env.ASSEMBLYAI_API_KEY = 'assemblyai-test';
+        process.env.SPEECHMATICS_API_KEY = 'speechmatics-test';
+        process.env.OPENAI_API_KEY = 'sk-test';
+        failing = new Set();
+        switched = [];
+        errors = [];
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        // Connect without a network: providers in `failing` refuse the connection
+        jest.spyOn(TranscriptionSession.prototype, 'connectProvider').mockImplementation(async provider => {
+            if (failing.has(provider.type)) {
+                throw new Error(`${provider.type} refused the connection`);
+            }
+            return true;
+        });
+    });
+
+    afterEach(() => {
+        factory.disconnect();
+        process.env = { ...env };
+        jest.restoreAllMocks();
+    });
+
+    test('opens the session on the current provider when it connects', async () => {
+        createFactory();
+
+        const session = await factory.openSession(MEETING_ID);
+
+        expect(session.providerId).toBe('deepgram');
+        expect(factory.getSession(MEETING_ID)).toBe(session);
+        expect(switched).toEqual([]);
+    });
+
+    test('fails over when the first connect fails', async () => {
+        createFactory();
+        failing.add('deepgram');
+
+        const session = await factory.openSession(MEETING_ID);
+
+        expect(session.providerId).toBe('assemblyai');
+        expect(factory.getSession(MEETING_ID)).toBe(session);
+        expect(switched).toEqual([
+            expect.objectContaining({
+                meetingId: MEETING_ID,
+                from: 'deepgram',
+                to: 'assemblyai',
+                fromName: 'Deepgram',
+                toName: 'AssemblyAI',
+                reason: 'Deepgram failed to connect'
+            })
+        ]);
+    });
+
+    test('moves past fallbacks that fail to connect and ones that cannot stream', async () => {
+        createFactory(['whisper', 'assemblyai', 'speechmatics']);
+        failing.add('deepgram');
+        failing.add('assemblyai');
+
+        const session = await factory.openSession(MEETING_ID);
+
+        expect(session.providerId).toBe('speechmatics');
+        expect(TranscriptionSession.prototype.connectProvider.mock.calls.map(([provider]) => provider.type))
+            .toEqual(['deepgram', 'assemblyai', 'speechmatics']);
+        expect(switched).toEqual([expect.objectContaining({ from: 'deepgram', to: 'speechmatics' })]);
+    });
+
+    test('drops the session and rejects when no provider connects', async () => {
+        createFactory();
+        failing.add('deepgram');
+        failing.add('assemblyai');
+        failing.add('speechmatics');
+
+        await expect(factory.openSession(MEETING_ID)).rejects.toThrow('deepgram refused the connection');
+
+        expect(factory.getSession(MEETING_ID)).toBeNull();
+        expect(switched).toEqual([]);
+        expect(errors).toEqual([
+            expect.objectContaining({ meetingId: MEETING_ID, error: expect.objectContaining({ message: expect.stringContaining('no fallback') }) })
+        ]);
+    });
+
+    test('lets a later start retry once nothing connected', async () => {
+        createFactory([]);
+        failing.add('deepgram');
+        await expect(factory.openSession(MEETING_ID)).rejects.toThrow();
+
+        failing.clear();
+        const session = await factory.openSession(MEETING_ID);
+
+        expect(session.providerId).toBe('deepgram');
+        expect(TranscriptionSession.prototype.connectProvider).toHaveBeenCalledTimes(2);
+    });
+
+    test('fails over a live meeting whose provider stops reconnecting', async () => {
+        createFactory();
+        const session = await factory.openSession(MEETING_ID);
+        failing.add('deepgram');
+
+        session.emit('maxReconnectAttemptsReached', { provider: 'deepgram' });
+        await new Promise(resolve => factory.once('providerSwitched', resolve));
+
+        expect(session.providerId).toBe('assemblyai');
+        expect(switched).toEqual([
+            expect.objectContaining({ from: 'deepgram', to: 'assemblyai', reason: 'Deepgram stopped responding' })
+        ]);
+    });
+
+    test('closes a connection that opens after its meeting was closed', async () => {
+        createFactory();
+        let connected;
+        TranscriptionSession.prototype.connectProvider.mockImplementationOnce(() => new Promise(resolve => {
+            connected = resolve;
+        }));
+        const disconnect = jest.spyOn(TranscriptionSession.prototype, 'disconnect');
+
+        const opening = factory.openSession(MEETING_ID);
+        factory.closeSession(MEETING_ID);
+        expect(disconnect).toHaveBeenCalledTimes(1);
+
+        connected(true);
+        await opening;
+
+        expect(disconnect).toHaveBeenCalledTimes(2);
+        expect(factory.getSession(MEETING_ID)).toBeNull();
+    });
+
+    test('does not fail over a meeting that has been closed', async () => {
+        createFactory();
+        const session = await factory.openSession(MEETING_ID);
+        factory.closeSession(MEETING_ID);
+
+        expect(await factory.failover(session, 'Deepgram stopped responding')).toBe(false);
+        expect(session.providerId).toBe('deepgram');
+        expect(switched).toEqual([]);
+    });
+});
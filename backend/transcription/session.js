@@ -0,0 +1,662 @@
+const WebSocket = require('ws');
+const { EventEmitter } = require('events');
+const { SAMPLE_RATE, CHANNELS } = require('../utils/audio');
+
+const BYTES_PER_SECOND = SAMPLE_RATE * CHANNELS * 2; // 16-bit PCM
+
+// Deepgram keyword intensifier for a term: 1 for an unused term, rising with
+// how often its correction has been needed, up to 3
+function keywordBoost(usageCount) {
+  return Math.round(Math.min(3, 1 + Math.log10(1 + usageCount)) * 10) / 10;
+}
+
+// One streaming transcription connection for a single meeting. Owns its own
+// connection, keep-alive timer, reconnect state and metrics.
+class TranscriptionSession extends EventEmitter {
+  constructor(meetingId, providerId, provider) {
+    super();
+    this.meetingId = meetingId;
+    this.providerId = providerId;
+    this.provider = provider;
+    this.activeConnection = null;
+    this.activeService = null;
+    this.recognizer = null;
+    this.keepAliveInterval = null;
+    this.isClosing = false;
+    this.isSwitching = false;
+    this.failedProviders = new Set(); // Providers this meeting fell back from
+    this.vocabulary = { terms: [], revaiVocabularyId: null }; // Set by the factory
+    
+    this.reconnectState = {
+      attempts: 0,
+      maxAttempts: 5,
+      delay: 1000,
+      timer: null
+    };
+    
+    this.metrics = {
+      openedAt: Date.now(),
+      connectedAt: null,
+      chunksSent: 0,
+      chunksDropped: 0,
+      audioBytesSent: 0,
+      lastAudioTime: null,
+      transcriptsReceived: 0,
+      lastTranscriptTime: null,
+      errors: 0,
+      reconnects: 0,
+      audioBytesSkipped: 0
+    };
+    
+    // Providers time words from the start of their own connection and only see the
+    // audio the VAD lets through. Track both so timings line up with the recorded audio.
+    this.audioBytesReceived = 0;
+    this.streamOffset = 0;
+    this.streamBytesSent = 0;
+    this.streamGaps = []; // { at: provider seconds, total: seconds skipped up to there }
+  }
+
+  // Count transcripts and errors as they pass through to listeners
+  emit(event, ...args) {
+    if (event === 'transcript') {
+      this.metrics.transcriptsReceived++;
+      this.metrics.lastTranscriptTime = Date.now();
+      args[0] = this.shiftTimings(args[0]);
+    } else if (event === 'connected') {
+      this.streamOffset = this.audioBytesReceived / BYTES_PER_SECOND;
+      this.streamBytesSent = 0;
+      this.streamGaps = [];
+    } else if (event === 'error') {
+      this.metrics.errors++;
+    }
+    return super.emit(event, ...args);
+  }
+
+  // Seconds of meeting audio received so far, sent or held back by the VAD
+  getMeetingTime() {
+    return this.audioBytesReceived / BYTES_PER_SECOND;
+  }
+
+  // Map a time in the provider's stream onto the meeting timeline
+  toMeetingTime(streamTime) {
+    let skipped = 0;
+    // Transcripts are for recent audio, so search from the latest gap backwards
+    for (let i = this.streamGaps.length - 1; i >= 0; i--) {
+      if (this.streamGaps[i].at <= streamTime) {
+        skipped = this.streamGaps[i].total;
+        break;
+      }
+    }
+    return this.streamOffset + streamTime + skipped;
+  }
+
+  // Move word, segment and speaker change times onto the meeting timeline
+  shiftTimings(transcript) {
+    if (!transcript || (!this.streamOffset && this.streamGaps.length === 0)) {
+      return transcript;
+    }
+    
+    return {
+      ...transcript,
+      words: transcript.words && transcript.words.map(word => ({
+        ...word,
+        start: this.toMeetingTime(word.start),
+        end: this.toMeetingTime(word.end)
+      })),
+      speakerSegments: transcript.speakerSegments && transcript.speakerSegments.map(segment => ({
+        ...segment,
+        startTime: this.toMeetingTime(segment.startTime),
+        endTime: this.toMeetingTime(segment.endTime)
+      })),
+      speakerChanges: transcript.speakerChanges && transcript.speakerChanges.map(change => ({
+        ...change,
+        timestamp: this.toMeetingTime(change.timestamp)
+      }))
+    };
+  }
+
+  switchProvider(providerId, provider) {
+    this.disconnect();
+    this.providerId = providerId;
+    this.provider = provider;
+    this.reconnectState.attempts = 0;
+    return this.connect();
+  }
+
+  async connect() {
+    const provider = this.provider;
+    
+    if (!provider) {
+      throw new Error(`Provider ${this.providerId} not configured`);
+    }
+
+    this.isClosing = false;
+    const connection = await this.connectProvider(provider);
+    
+    // Raw WebSocket providers get keep-alive and reconnects from the session;
+    // DeepgramService manages both itself
+    if (this.activeConnection instanceof WebSocket) {
+      this.watchConnection(this.activeConnection);
+    }
+    
+    return connection;
+  }
+
+  async connectProvider(provider) {
+    switch (provider.type) {
+      case 'deepgram':
+        return await this.connectDeepgram(provider);
+      case 'assemblyai':
+        return await this.connectAssemblyAI(provider);
+      case 'google':
+        return await this.connectGoogle(provider);
+      case 'azure':
+        return await this.connectAzure(provider);
+      case 'revai':
+        return await this.connectRevAI(provider);
+      case 'speechmatics':
+        return await this.connectSpeechmatics(provider);
+      case 'local':
+        return await this.connectLocal(provider);
+      case 'whisper':
+        // Whisper doesn't use WebSocket
+        console.log('[Transcription] Whisper API ready for batch processing');
+        return true;
+      default:
+        throw new Error(`Unknown provider type: ${provider.type}`);
+    }
+  }
+
+  async connectDeepgram(provider) {
+    // Use the DeepgramService class if available
+    const DeepgramService = require('./deepgram');
+    this.activeService = new DeepgramService(provider.apiKey, {
+      keywords: this.vocabulary.terms.map(entry => `${entry.term}:${keywordBoost(entry.usageCount)}`)
+    });
+    
+    // Forward events from the service to this factory
+    this.activeService.on('transcript', (data) => this.emit('transcript', data));
+    this.activeService.on('error', (error) => this.emit('error', error));
+    this.activeService.on('connected', () => this.emit('connected', { provider: 'deepgram' }));
+    this.activeService.on('disconnected', () => this.emit('disconnected', { provider: 'deepgram' }));
+    this.activeService.on('speechStarted', () => this.emit('speechStarted'));
+    this.activeService.on('utteranceEnd', (data) => this.emit('utteranceEnd', data));
+    this.activeService.on('speakerChange', (data) => this.emit('speakerChange', data));
+    this.activeService.on('maxReconnectAttemptsReached', () => {
+      this.emit('maxReconnectAttemptsReached', { provider: 'deepgram' });
+    });
+    
+    await this.activeService.connect();
+    this.activeConnection = this.activeService.connection;
+    return this.activeConnection;
+  }
+
+  async connectLocal(provider) {
+    const LocalTranscriptionService = require('./local');
+    this.activeService = new LocalTranscriptionService(provider);
+    
+    // Same events as DeepgramService, so forward them the same way
+    this.activeService.on('transcript', (data) => this.emit('transcript', data));
+    this.activeService.on('error', (error) => this.emit('error', error));
+    this.activeService.on('connected', () => this.emit('connected', { provider: 'local' }));
+    this.activeService.on('speechStarted', () => this.emit('speechStarted'));
+    this.activeService.on('utteranceEnd', (data) => this.emit('utteranceEnd', data));
+    this.activeService.on('speakerChange', (data) => this.emit('speakerChange', data));
+    
+    await this.activeService.connect();
+    return this.activeService;
+  }
+
+  async connectAssemblyAI(provider) {
+    const wordBoost = this.vocabulary.terms.map(entry => entry.term);
+    const url = 'wss://api.assemblyai.com/v2/realtime/ws?' + new URLSearchParams({
+      sample_rate: '16000',
+      ...(wordBoost.length > 0 && { word_boost: JSON.stringify(wordBoost) })
+    });
+
+    this.activeConnection = new WebSocket(url, {
+      headers: {
+        'Authorization': provider.apiKey
+      }
+    });
+
+    this.activeConnection.on('open', () => {
+      console.log('[AssemblyAI] WebSocket connected');
+      this.emit('connected', { provider: 'assemblyai' });
+      
+      // Send session configuration
+      this.activeConnection.send(JSON.stringify({
+        audio_data: null,
+        word_boost: wordBoost,
+        encoding: 'pcm_s16le',
+        sample_rate: 16000
+      }));
+    });
+
+    this.activeConnection.on('message', (data) => {
+      const response = JSON.parse(data.toString());
+      
+      if (response.message_type === 'PartialTranscript') {
+        this.emit('transcript', {
+          text: response.text,
+          isFinal: false,
+          confidence: response.confidence || 0.9,
+          provider: 'assemblyai'
+        });
+      } else if (response.message_type === 'FinalTranscript') {
+        this.emit('transcript', {
+          text: response.text,
+          isFinal: true,
+          confidence: response.confidence || 0.95,
+          provider: 'assemblyai'
+        });
+      }
+    });
+
+    this.activeConnection.on('error', (error) => {
+      console.error('[AssemblyAI] WebSocket error:', error);
+      this.emit('error', { provider: 'assemblyai', error });
+    });
+
+    return this.activeConnection;
+  }
+
+  async connectGoogle(provider) {
+    // Google Speech-to-Text implementation
+    // This would require the @google-cloud/speech package
+    console.log('[Google] Streaming transcription ready');
+    
+    // For Google, we'd typically use their Node.js client library
+    // This is a simplified example
+    const speech = require('@google-cloud/speech');
+    const client = new speech.SpeechClient({
+      apiKey: provider.apiKey
+    });
+
+    const request = {
+      config: {
+        encoding: 'LINEAR16',
+        sampleRateHertz: 16000,
+        languageCode: 'en-US',
+        enableAutomaticPunctuation: true,
+        enableSpeakerDiarization: true,
+        diarizationSpeakerCount: 2,
+        model: 'latest_long'
+      },
+      interimResults: true
+    };
+
+    this.activeConnection = client
+      .streamingRecognize(request)
+      .on('data', (data) => {
+        if (data.results[0] && data.results[0].alternatives[0]) {
+          this.emit('transcript', {
+            text: data.results[0].alternatives[0].transcript,
+            isFinal: data.results[0].isFinal,
+            confidence: data.results[0].alternatives[0].confidence || 0.9,
+            provider: 'google'
+          });
+        }
+      })
+      .on('error', (error) => {
+        console.error('[Google] Stream error:', error);
+        this.emit('error', { provider: 'google', error });
+      });
+
+    return this.activeConnection;
+  }
+
+  async connectAzure(provider) {
+    // Azure Speech Services implementation
+    const sdk = require('microsoft-cognitiveservices-speech-sdk');
+    
+    const speechConfig = sdk.SpeechConfig.fromSubscription(
+      provider.apiKey,
+      provider.region
+    );
+    speechConfig.speechRecognitionLanguage = 'en-US';
+    speechConfig.enableDictation();
+    
+    const audioConfig = sdk.AudioConfig.fromDefaultMicrophoneInput();
+    this.recognizer = new sdk.SpeechRecognizer(speechConfig, audioConfig);
+    
+    this.recognizer.recognizing = (s, e) => {
+      this.emit('transcript', {
+        text: e.result.text,
+        isFinal: false,
+        confidence: 0.9,
+        provider: 'azure'
+      });
+    };
+    
+    this.recognizer.recognized = (s, e) => {
+      if (e.result.reason === sdk.ResultReason.RecognizedSpeech) {
+        this.emit('transcript', {
+          text: e.result.text,
+          isFinal: true,
+          confidence: 0.95,
+          provider: 'azure'
+        });
+      }
+    };
+    
+    await this.recognizer.startContinuousRecognitionAsync();
+    console.log('[Azure] Continuous recognition started');
+    
+    return this.recognizer;
+  }
+
+  async connectRevAI(provider) {
+    const { revaiVocabularyId } = this.vocabulary;
+    const url = 'wss://api.rev.ai/speechtotext/v1/stream' +
+      (revaiVocabularyId ? '?' + new URLSearchParams({ custom_vocabulary_id: revaiVocabularyId }) : '');
+
+    this.activeConnection = new WebSocket(url, {
+      headers: {
+        'Authorization': `Bearer ${provider.apiKey}`,
+        'Content-Type': 'audio/x-raw',
+        'Content-Type-Options': 'sample_rate=16000;encoding=pcm_s16le;channels=1'
+      }
+    });
+
+    this.activeConnection.on('open', () => {
+      console.log('[Rev.ai] WebSocket connected');
+      this.emit('connected', { provider: 'revai' });
+    });
+
+    this.activeConnection.on('message', (data) => {
+      const response = JSON.parse(data.toString());
+      
+      if (response.type === 'partial') {
+        this.emit('transcript', {
+          text: response.value,
+          isFinal: false,
+          confidence: 0.9,
+          provider: 'revai'
+        });
+      } else if (response.type === 'final') {
+        this.emit('transcript', {
+          text: response.value,
+          isFinal: true,
+          confidence: 0.95,
+          provider: 'revai'
+        });
+      }
+    });
+
+    return this.activeConnection;
+  }
+
+  async connectSpeechmatics(provider) {
+    const url = `wss://eu.rt.speechmatics.com/v2/en`;
+    
+    this.activeConnection = new WebSocket(url);
+
+    this.activeConnection.on('open', () => {
+      // Send authentication
+      this.activeConnection.send(JSON.stringify({
+        message: 'StartRecognition',
+        audio_format: {
+          type: 'raw',
+          encoding: 'pcm_s16le',
+          sample_rate: 16000
+        },
+        transcription_config: {
+          language: 'en',
+          enable_partials: true,
+          enable_entities: true,
+          diarization: 'speaker',
+          // Corrected terms, with what they have been misheard as
+          additional_vocab: this.vocabulary.terms.map(entry => ({
+            content: entry.term,
+            ...(entry.soundsLike.length > 0 && { sounds_like: entry.soundsLike })
+          }))
+        },
+        jwt: provider.apiKey
+      }));
+      
+      console.log('[Speechmatics] WebSocket connected');
+      this.emit('connected', { provider: 'speechmatics' });
+    });
+
+    this.activeConnection.on('message', (data) => {
+      const response = JSON.parse(data.toString());
+      
+      if (response.message === 'AddPartialTranscript') {
+        this.emit('transcript', {
+          text: response.metadata.transcript,
+          isFinal: false,
+          confidence: 0.9,
+          provider: 'speechmatics'
+        });
+      } else if (response.message === 'AddTranscript') {
+        this.emit('transcript', {
+          text: response.metadata.transcript,
+          isFinal: true,
+          confidence: response.metadata.confidence || 0.95,
+          provider: 'speechmatics'
+        });
+      }
+    });
+
+    return this.activeConnection;
+  }
+
+  sendAudio(audioData) {
+    this.audioBytesReceived += audioData.length;
+    const sent = this.writeAudio(audioData);
+    
+    if (sent) {
+      this.streamBytesSent += audioData.length;
+      this.metrics.chunksSent++;
+      this.metrics.audioBytesSent += audioData.length;
+      this.metrics.lastAudioTime = Date.now();
+    } else {
+      this.metrics.chunksDropped++;
+    }
+    
+    return sent;
+  }
+
+  // Account for meeting audio the VAD kept from the provider
+  skipAudio(byteCount) {
+    this.audioBytesReceived += byteCount;
+    this.metrics.audioBytesSkipped += byteCount;
+    
+    const at = this.streamBytesSent / BYTES_PER_SECOND;
+    const seconds = byteCount / BYTES_PER_SECOND;
+    const last = this.streamGaps[this.streamGaps.length - 1];
+    if (last && last.at === at) {
+      last.total += seconds; // Same silence, nothing was sent in between
+    } else {
+      this.streamGaps.push({ at, total: (last ? last.total : 0) + seconds });
+    }
+  }
+
+  writeAudio(audioData) {
+    // If using DeepgramService, delegate to it
+    if (this.activeService && this.activeService.sendAudio) {
+      return this.activeService.sendAudio(audioData);
+    }
+    
+    if (!this.activeConnection) {
+      console.error(`[Transcription] No active connection for meeting ${this.meetingId}`);
+      return false;
+    }
+
+    switch (this.provider.type) {
+      case 'deepgram':
+      case 'revai':
+      case 'speechmatics':
+        // These providers accept raw audio directly
+        if (this.activeConnection.readyState === WebSocket.OPEN) {
+          this.activeConnection.send(audioData);
+          return true;
+        }
+        break;
+        
+      case 'assemblyai':
+        // AssemblyAI needs base64 encoded audio
+        if (this.activeConnection.readyState === WebSocket.OPEN) {
+          const base64Audio = audioData.toString('base64');
+          this.activeConnection.send(JSON.stringify({
+            audio_data: base64Audio
+          }));
+          return true;
+        }
+        break;
+        
+      case 'google':
+      case 'azure':
+        // These use their own SDK methods
+        if (this.activeConnection) {
+          this.activeConnection.write(audioData);
+          return true;
+        }
+        break;
+    }
+
+    return false;
+  }
+
+  startKeepAlive() {
+    this.keepAliveInterval = setInterval(() => {
+      if (this.activeConnection && this.activeConnection.readyState === WebSocket.OPEN) {
+        this.activeConnection.send(JSON.stringify({ type: 'KeepAlive' }));
+        console.log(`[Transcription] Keepalive sent for meeting ${this.meetingId}`);
+      }
+    }, 10000);
+  }
+
+  stopKeepAlive() {
+    if (this.keepAliveInterval) {
+      clearInterval(this.keepAliveInterval);
+      this.keepAliveInterval = null;
+    }
+  }
+
+  // Reconnect with exponential backoff, mirroring DeepgramService
+  handleReconnect() {
+    if (this.isClosing || this.reconnectState.timer) {
+      return;
+    }
+
+    if (this.reconnectState.attempts >= this.reconnectState.maxAttempts) {
+      console.error(`[Transcription] Max reconnection attempts reached for meeting ${this.meetingId}`);
+      this.emit('maxReconnectAttemptsReached', { provider: this.provider.type });
+      return;
+    }
+
+    this.reconnectState.attempts++;
+    this.metrics.reconnects++;
+    const delay = this.reconnectState.delay * Math.pow(2, this.reconnectState.attempts - 1);
+
+    console.log(`[Transcription] Reconnecting meeting ${this.meetingId} to ${this.providerId} in ${delay}ms (attempt ${this.reconnectState.attempts}/${this.reconnectState.maxAttempts})`);
+
+    this.reconnectState.timer = setTimeout(() => {
+      this.reconnectState.timer = null;
+      this.closeConnection();
+      this.connect().catch(error => {
+        console.error(`[Transcription] Reconnect failed for meeting ${this.meetingId}:`, error.message);
+        this.handleReconnect();
+      });
+    }, delay);
+  }
+
+  watchConnection(connection) {
+    connection.on('open', () => {
+      this.reconnectState.attempts = 0;
+      this.metrics.connectedAt = Date.now();
+      this.startKeepAlive();
+    });
+
+    connection.on('close', () => {
+      // Ignore sockets we have already replaced or closed on purpose
+      if (connection !== this.activeConnection) {
+        return;
+      }
+      this.stopKeepAlive();
+      this.emit('disconnected', { provider: this.provider.type });
+      this.handleReconnect();
+    });
+  }
+
+  // Resolves once the provider has emitted what it still had pending
+  disconnect() {
+    this.isClosing = true;
+
+    if (this.reconnectState.timer) {
+      clearTimeout(this.reconnectState.timer);
+      this.reconnectState.timer = null;
+    }
+
+    return this.closeConnection();
+  }
+
+  closeConnection() {
+    this.stopKeepAlive();
+    
+    // If using a service instance, disconnect it. Local engines still have their
+    // last utterance to transcribe.
+    let pending = null;
+    if (this.activeService && this.activeService.disconnect) {
+      pending = this.activeService.disconnect();
+      this.activeService = null;
+    }
+    
+    if (this.activeConnection) {
+      const connection = this.activeConnection;
+      this.activeConnection = null;
+      if (connection.close) {
+        connection.close();
+      } else if (connection.end) {
+        connection.end();
+      }
+    }
+
+    if (this.recognizer) {
+      this.recognizer.stopContinuousRecognitionAsync();
+      this.recognizer = null;
+    }
+
+    return Promise.resolve(pending);
+  }
+
+  get isConnected() {
+    // If using a service instance, check its connection status
+    if (this.activeService && this.activeService.isConnected !== undefined) {
+      return this.activeService.isConnected;
+    }
+    
+    if (!this.activeConnection) return false;
+    
+    if (this.activeConnection.readyState !== undefined) {
+      return this.activeConnection.readyState === WebSocket.OPEN;
+    }
+    
+    return !!this.activeConnection;
+  }
+
+  getMetrics() {
+    // Include the service's own metrics (latency, usage) when there is one
+    const serviceMetrics = this.activeService && this.activeService.getMetrics
+      ? this.activeService.getMetrics()
+      : { reconnectAttempts: this.reconnectState.attempts };
+    
+    return {
+      ...serviceMetrics,
+      ...this.metrics,
+      silenceSecondsSkipped: this.metrics.audioBytesSkipped / BYTES_PER_SECOND,
+      meetingId: this.meetingId,
+      provider: this.providerId,
+      connected: this.isConnected
+    };
+  }
+
+  // The provider service backing this session (e.g. DeepgramService), if any
+  getActiveProvider() {
+    return this.activeService;
+  }
+}
+
+module.exports = TranscriptionSession;
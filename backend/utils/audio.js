@@ -1,16 +1,31 @@
 const SAMPLE_RATE = 16000;
 const CHANNELS = 1;
 const BIT_DEPTH = 16;
+const BYTES_PER_MS = (SAMPLE_RATE * CHANNELS * BIT_DEPTH / 8) / 1000;
 
 class AudioProcessor {
-    constructor() {
+    constructor(options = {}) {
         this.buffer = Buffer.alloc(0);
         this.bufferThreshold = 4096;
+
+        // Energy-based voice activity detection, applied to buffered 16 kHz chunks
+        this.vad = {
+            enabled: options.vadEnabled !== undefined ? options.vadEnabled : process.env.VAD_ENABLED !== 'false',
+            threshold: options.vadThreshold || parseFloat(process.env.VAD_THRESHOLD) || 0.01,
+            hangoverMs: options.vadHangoverMs || 1500, // Silence shorter than this is still sent
+            preRollMs: options.vadPreRollMs || 300, // Silence replayed before speech resumes
+            keepAliveMs: options.vadKeepAliveMs || 5000 // Send one chunk this often during silence
+        };
+        this.resetVad();
+        this.vadStats = {
+            bytesSkipped: 0,
+            keepAliveChunks: 0
+        };
     }
 
     /**
      * Convert audio data to format required by Deepgram
-     * @param {Buffer} audioData - Raw audio data
+     * @param {Buffer|Float32Array|Int16Array|Array} audioData - Interleaved audio samples
      * @param {Object} options - Audio format options
      * @returns {Buffer} Processed audio buffer
      */
@@ -18,29 +33,91 @@ class AudioProcessor {
         const {
             inputSampleRate = 48000,
             inputChannels = 2,
+            inputFormat = audioData instanceof Float32Array ? 'float32' : 'int16',
             outputSampleRate = SAMPLE_RATE,
             outputChannels = CHANNELS
         } = options;
 
-        // If the audio is already an array, convert it to Buffer with proper Int16 format
+        // Work in floating point so mixing and filtering don't accumulate rounding
+        let samples = this.toFloat32(audioData, inputFormat);
+        let channels = inputChannels;
+
+        // Mix any number of interleaved channels down to mono if needed
+        if (channels > 1 && outputChannels === 1) {
+            samples = this.downmix(samples, channels);
+            channels = 1;
+        }
+
+        // Resample if needed (Deepgram expects 16000 Hz)
+        if (inputSampleRate !== outputSampleRate) {
+            samples = this.getResampler(inputSampleRate, outputSampleRate, channels).process(samples);
+        }
+
+        return this.float32ToInt16(samples);
+    }
+
+    /**
+     * Decode incoming samples to Float32 in the range [-1, 1]
+     * @param {Buffer|Float32Array|Int16Array|Array} audioData - Audio samples
+     * @param {string} format - 'int16' or 'float32'
+     * @returns {Float32Array} Float samples
+     */
+    toFloat32(audioData, format = 'int16') {
+        if (audioData instanceof Float32Array) {
+            return audioData;
+        }
+
         if (Array.isArray(audioData)) {
-            const int16Array = new Int16Array(audioData);
-            audioData = Buffer.from(int16Array.buffer);
+            // Socket.IO delivers typed arrays from the browser as plain number arrays
+            return format === 'float32'
+                ? Float32Array.from(audioData)
+                : Float32Array.from(audioData, sample => sample / 32768);
         }
 
-        let processedData = audioData;
+        if (audioData instanceof Int16Array) {
+            return Float32Array.from(audioData, sample => sample / 32768);
+        }
+
+        const buffer = Buffer.isBuffer(audioData) ? audioData : Buffer.from(audioData);
 
-        // Convert stereo to mono if needed
-        if (inputChannels === 2 && outputChannels === 1) {
-            processedData = this.stereoToMono(processedData);
+        if (format === 'float32') {
+            const output = new Float32Array(Math.floor(buffer.length / 4));
+            for (let i = 0; i < output.length; i++) {
+                output[i] = buffer.readFloatLE(i * 4);
+            }
+            return output;
         }
 
-        // Resample if needed (Deepgram expects 16000 Hz)
-        if (inputSampleRate !== outputSampleRate) {
-            processedData = this.resample(processedData, inputSampleRate, outputSampleRate);
+        if (format !== 'int16') {
+            throw new Error(`Unsupported audio format: ${format}`);
+        }
+
+        const output = new Float32Array(Math.floor(buffer.length / 2));
+        for (let i = 0; i < output.length; i++) {
+            output[i] = buffer.readInt16LE(i * 2) / 32768;
+        }
+        return output;
+    }
+
+    /**
+     * Average interleaved channels into a single channel
+     * @param {Float32Array} samples - Interleaved float samples
+     * @param {number} channels - Number of interleaved channels
+     * @returns {Float32Array} Mono samples
+     */
+    downmix(samples, channels) {
+        const frames = Math.floor(samples.length / channels);
+        const output = new Float32Array(frames);
+
+        for (let i = 0; i < frames; i++) {
+            let sum = 0;
+            for (let c = 0; c < channels; c++) {
+                sum += samples[i * channels + c];
+            }
+            output[i] = sum / channels;
         }
 
-        return processedData;
+        return output;
     }
 
     /**
@@ -49,39 +126,36 @@ class AudioProcessor {
      * @returns {Buffer} Mono audio buffer
      */
     stereoToMono(stereoData) {
-        const monoData = Buffer.alloc(stereoData.length / 2);
-        
-        for (let i = 0; i < monoData.length / 2; i++) {
-            const leftSample = stereoData.readInt16LE(i * 4);
-            const rightSample = stereoData.readInt16LE(i * 4 + 2);
-            const monoSample = Math.floor((leftSample + rightSample) / 2);
-            monoData.writeInt16LE(monoSample, i * 2);
+        return this.float32ToInt16(this.downmix(this.toFloat32(stereoData), 2));
+    }
+
+    /**
+     * Get the streaming resampler for a rate conversion, keeping its filter
+     * history so consecutive chunks join up without clicks
+     * @param {number} fromRate - Original sample rate
+     * @param {number} toRate - Target sample rate
+     * @param {number} channels - Number of interleaved channels
+     * @returns {Resampler} Resampler instance
+     */
+    getResampler(fromRate, toRate, channels = 1) {
+        const key = `${fromRate}:${toRate}:${channels}`;
+        if (!this.resampler || this.resampler.key !== key) {
+            // The capture format changed - start a fresh stream
+            this.resampler = new Resampler(fromRate, toRate, { channels });
+            this.resampler.key = key;
         }
-        
-        return monoData;
+        return this.resampler;
     }
 
     /**
-     * Simple linear resampling
+     * Anti-aliased resampling of 16-bit PCM
      * @param {Buffer} audioData - Audio buffer to resample
      * @param {number} fromRate - Original sample rate
      * @param {number} toRate - Target sample rate
      * @returns {Buffer} Resampled audio buffer
      */
     resample(audioData, fromRate, toRate) {
-        const ratio = toRate / fromRate;
-        const outputLength = Math.floor(audioData.length * ratio);
-        const outputData = Buffer.alloc(outputLength);
-        
-        for (let i = 0; i < outputLength / 2; i++) {
-            const sourceIndex = Math.floor(i / ratio);
-            if (sourceIndex * 2 < audioData.length - 1) {
-                const sample = audioData.readInt16LE(sourceIndex * 2);
-                outputData.writeInt16LE(sample, i * 2);
-            }
-        }
-        
-        return outputData;
+        return this.float32ToInt16(this.getResampler(fromRate, toRate).process(this.toFloat32(audioData)));
     }
 
     /**
@@ -106,11 +180,103 @@ class AudioProcessor {
      * @returns {Buffer} Remaining buffered data
      */
     flush() {
-        const remainingData = this.buffer;
+        let remainingData = this.buffer;
         this.buffer = Buffer.alloc(0);
+
+        // Samples still waiting on the resampler's look-ahead
+        if (this.resampler) {
+            const tail = this.resampler.flush();
+            if (tail.length > 0) {
+                remainingData = Buffer.concat([remainingData, this.float32ToInt16(tail)]);
+            }
+        }
+
         return remainingData;
     }
 
+    /**
+     * Hold back sustained silence before it reaches the provider.
+     * Skipped audio always comes before any audio returned in the same call.
+     * @param {Buffer} chunk - Buffered 16 kHz mono PCM (output of bufferChunk)
+     * @returns {Object} { audio: Buffer|null, skippedBytes: number }
+     */
+    applyVad(chunk) {
+        if (!this.vad.enabled) {
+            return { audio: chunk, skippedBytes: 0 };
+        }
+
+        const state = this.vadState;
+
+        if (this.detectSpeech(chunk, this.vad.threshold)) {
+            // Speech resumed - send the held pre-roll first so word onsets aren't clipped
+            const audio = state.held.length > 0 ? Buffer.concat([...state.held, chunk]) : chunk;
+            this.resetVad();
+            return { audio, skippedBytes: 0 };
+        }
+
+        state.silentBytes += chunk.length;
+        if (state.silentBytes <= this.vad.hangoverMs * BYTES_PER_MS) {
+            // Short pauses go through untouched
+            state.sinceSentBytes = 0;
+            return { audio: chunk, skippedBytes: 0 };
+        }
+
+        // Sustained silence - hold it back, keeping only the most recent pre-roll
+        state.held.push(chunk);
+        state.heldBytes += chunk.length;
+
+        let skippedBytes = 0;
+        while (state.held.length > 1 && state.heldBytes - state.held[0].length >= this.vad.preRollMs * BYTES_PER_MS) {
+            const oldest = state.held.shift();
+            state.heldBytes -= oldest.length;
+            state.sinceSentBytes += oldest.length;
+
+            if (state.sinceSentBytes >= this.vad.keepAliveMs * BYTES_PER_MS) {
+                // Providers close idle streams, so let a chunk of silence through now and then
+                state.sinceSentBytes = 0;
+                this.vadStats.keepAliveChunks++;
+                this.vadStats.bytesSkipped += skippedBytes;
+                return { audio: oldest, skippedBytes };
+            }
+            skippedBytes += oldest.length;
+        }
+
+        this.vadStats.bytesSkipped += skippedBytes;
+        return { audio: null, skippedBytes };
+    }
+
+    /**
+     * Drop any silence held back by the VAD (e.g. when audio stops)
+     * @returns {number} Number of bytes discarded
+     */
+    flushVad() {
+        const skippedBytes = this.vadState.heldBytes;
+        this.vadStats.bytesSkipped += skippedBytes;
+        this.resetVad();
+        return skippedBytes;
+    }
+
+    resetVad() {
+        this.vadState = {
+            silentBytes: 0,
+            sinceSentBytes: 0,
+            held: [],
+            heldBytes: 0
+        };
+    }
+
+    /**
+     * Get how much silence the VAD has kept from the provider
+     * @returns {Object} { enabled, secondsSkipped, keepAliveChunks }
+     */
+    getVadStats() {
+        return {
+            enabled: this.vad.enabled,
+            secondsSkipped: this.vadStats.bytesSkipped / (BYTES_PER_MS * 1000),
+            keepAliveChunks: this.vadStats.keepAliveChunks
+        };
+    }
+
     /**
      * Convert Float32Array to Int16 PCM
      * @param {Float32Array} float32Array - Float32 audio data
@@ -121,7 +287,7 @@ class AudioProcessor {
         
         for (let i = 0; i < float32Array.length; i++) {
             const sample = Math.max(-1, Math.min(1, float32Array[i]));
-            const int16Sample = Math.floor(sample * 32767);
+            const int16Sample = Math.max(-32768, Math.min(32767, Math.round(sample * 32768)));
             int16Buffer.writeInt16LE(int16Sample, i * 2);
         }
         
@@ -143,6 +309,10 @@ class AudioProcessor {
      * @returns {number} RMS level (0-1)
      */
     calculateAudioLevel(audioData) {
+        if (audioData.length < 2) {
+            return 0;
+        }
+
         let sum = 0;
         const samples = audioData.length / 2;
         
@@ -167,8 +337,271 @@ class AudioProcessor {
     }
 }
 
+/**
+ * Streaming polyphase resampler using a Kaiser-windowed sinc low-pass filter.
+ * Output sample n sits at input position n * fromRate / toRate, so the output
+ * stays time-aligned with the input; the last few samples are held back until
+ * the filter has seen enough look-ahead (or flush() is called).
+ */
+class Resampler {
+    /**
+     * @param {number} fromRate - Input sample rate
+     * @param {number} toRate - Output sample rate
+     * @param {Object} options - Filter options
+     */
+    constructor(fromRate, toRate, options = {}) {
+        const {
+            channels = 1,
+            zeroCrossings = 24, // Filter half-length, in samples of the lower rate
+            rolloff = 0.88, // Cutoff as a fraction of the lower Nyquist frequency
+            kaiserBeta = 8, // ~80 dB stopband attenuation
+            maxPhases = 1024 // Cap on the filter table for awkward rate pairs
+        } = options;
+
+        if (!(fromRate > 0) || !(toRate > 0)) {
+            throw new Error(`Invalid resampling rates: ${fromRate} -> ${toRate}`);
+        }
+
+        const divisor = gcd(fromRate, toRate);
+        this.fromRate = fromRate;
+        this.toRate = toRate;
+        this.channels = channels;
+        this.up = toRate / divisor; // Output position advances in steps of down / up input samples
+        this.down = fromRate / divisor;
+        this.phases = Math.min(this.up, maxPhases);
+
+        // Downsampling needs the cutoff below the output Nyquist frequency
+        const scale = Math.min(1, toRate / fromRate);
+        const cutoff = rolloff * scale;
+        this.halfLength = Math.ceil(zeroCrossings / scale);
+        this.taps = this.halfLength * 2;
+        this.filters = buildFilterTable(this.phases, this.halfLength, cutoff, kaiserBeta);
+
+        this.reset();
+    }
+
+    reset() {
+        // Frames kept from earlier chunks, starting with the filter's history
+        this.history = new Float32Array(this.halfLength * this.channels);
+        this.historyStart = -this.halfLength; // Input frame index of history[0]
+        this.inputFrames = 0;
+        this.outputFrames = 0;
+    }
+
+    /**
+     * Resample the next chunk of interleaved float samples
+     * @param {Float32Array} input - Interleaved samples
+     * @returns {Float32Array} Resampled interleaved samples
+     */
+    process(input) {
+        const channels = this.channels;
+        const frames = Math.floor(input.length / channels);
+
+        const pending = new Float32Array(this.history.length + frames * channels);
+        pending.set(this.history);
+        pending.set(input.subarray(0, frames * channels), this.history.length);
+        this.inputFrames += frames;
+
+        return this.run(pending, this.inputFrames);
+    }
+
+    /**
+     * Emit the samples held back for look-ahead, padding the end with silence
+     * @returns {Float32Array} Remaining interleaved samples
+     */
+    flush() {
+        const channels = this.channels;
+        const pending = new Float32Array(this.history.length + (this.halfLength + 1) * channels);
+        pending.set(this.history);
+
+        // Stop where the real input ends, not at the padding
+        const output = this.run(pending, this.inputFrames, Math.ceil(this.inputFrames * this.up / this.down));
+        this.reset();
+        return output;
+    }
+
+    run(pending, availableFrames, outputLimit = Infinity) {
+        const channels = this.channels;
+        const halfLength = this.halfLength;
+        const output = [];
+
+        while (this.outputFrames < outputLimit) {
+            // Exact input position of the next output frame: index + phase / up
+            const position = this.outputFrames * this.down;
+            const index = Math.floor(position / this.up);
+            const fraction = position % this.up;
+
+            // Wait for a full window of look-ahead (plus one frame for phase rounding) unless flushing
+            if (outputLimit === Infinity && index + halfLength + 1 >= availableFrames) {
+                break;
+            }
+
+            let phase = Math.round(fraction * this.phases / this.up);
+            let base = index - halfLength + 1 - this.historyStart;
+            if (phase === this.phases) {
+                // Rounded up into the next input sample
+                phase = 0;
+                base++;
+            }
+
+            const filter = this.filters[phase];
+            for (let c = 0; c < channels; c++) {
+                let sum = 0;
+                for (let k = 0; k < this.taps; k++) {
+                    sum += filter[k] * pending[(base + k) * channels + c];
+                }
+                output.push(sum);
+            }
+            this.outputFrames++;
+        }
+
+        // Keep just enough input to serve as history for the next output frame
+        const nextIndex = Math.floor(this.outputFrames * this.down / this.up);
+        const keepFrom = Math.max(this.historyStart, nextIndex - halfLength + 1);
+        const dropFrames = Math.min(keepFrom - this.historyStart, Math.floor(pending.length / channels));
+        this.history = pending.slice(dropFrames * channels);
+        this.historyStart += dropFrames;
+
+        return Float32Array.from(output);
+    }
+}
+
+function gcd(a, b) {
+    while (b) {
+        [a, b] = [b, a % b];
+    }
+    return a;
+}
+
+// Zeroth-order modified Bessel function, used by the Kaiser window
+function besselI0(x) {
+    let sum = 1;
+    let term = 1;
+    for (let k = 1; k < 50; k++) {
+        term *= (x / (2 * k)) * (x / (2 * k));
+        sum += term;
+        if (term < sum * 1e-12) break;
+    }
+    return sum;
+}
+
+/**
+ * Precompute one windowed-sinc filter per fractional phase. Filter k of phase p
+ * weights input sample (index - halfLength + 1 + k) for an output at index + p / phases.
+ */
+function buildFilterTable(phases, halfLength, cutoff, beta) {
+    const taps = halfLength * 2;
+    const windowNorm = besselI0(beta);
+    const filters = [];
+
+    for (let p = 0; p < phases; p++) {
+        const filter = new Float32Array(taps);
+        const offset = p / phases;
+        let sum = 0;
+
+        for (let k = 0; k < taps; k++) {
+            const t = k - halfLength + 1 - offset; // Distance from the output position, in input samples
+            const x = t / halfLength;
+            const window = Math.abs(x) >= 1 ? 0 : besselI0(beta * Math.sqrt(1 - x * x)) / windowNorm;
+            const sinc = t === 0 ? 1 : Math.sin(Math.PI * cutoff * t) / (Math.PI * cutoff * t);
+            filter[k] = cutoff * sinc * window;
+            sum += filter[k];
+        }
+
+        // Unity gain at DC for every phase
+        for (let k = 0; k < taps; k++) {
+            filter[k] /= sum;
+        }
+        filters.push(filter);
+    }
+
+    return filters;
+}
+
+/**
+ * Wrap raw PCM in a WAV (RIFF) container
+ * @param {Buffer} pcmData - Little-endian PCM samples
+ * @param {Object} options - PCM format options
+ * @returns {Buffer} WAV file contents
+ */
+function pcmToWav(pcmData, options = {}) {
+    const {
+        sampleRate = SAMPLE_RATE,
+        channels = CHANNELS,
+        bitDepth = BIT_DEPTH
+    } = options;
+
+    const blockAlign = channels * (bitDepth / 8);
+    const header = Buffer.alloc(44);
+
+    header.write('RIFF', 0);
+    header.writeUInt32LE(36 + pcmData.length, 4);
+    header.write('WAVE', 8);
+    header.write('fmt ', 12);
+    header.writeUInt32LE(16, 16); // fmt chunk size
+    header.writeUInt16LE(1, 20); // PCM format
+    header.writeUInt16LE(channels, 22);
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate * blockAlign, 28);
+    header.writeUInt16LE(blockAlign, 32);
+    header.writeUInt16LE(bitDepth, 34);
+    header.write('data', 36);
+    header.writeUInt32LE(pcmData.length, 40);
+
+    return Buffer.concat([header, pcmData]);
+}
+
+/**
+ * Read the format and sample data from a WAV (RIFF) file
+ * @param {Buffer} wavData - WAV file contents
+ * @returns {Object} { audioFormat, sampleRate, channels, bitDepth, data }
+ */
+function parseWav(wavData) {
+    if (wavData.length < 12 || wavData.toString('ascii', 0, 4) !== 'RIFF' || wavData.toString('ascii', 8, 12) !== 'WAVE') {
+        throw new Error('Not a WAV file');
+    }
+
+    let format = null;
+    let data = null;
+    let offset = 12;
+
+    // Walk the chunks - fmt and data are not always adjacent
+    while (offset + 8 <= wavData.length) {
+        const chunkId = wavData.toString('ascii', offset, offset + 4);
+        const chunkSize = wavData.readUInt32LE(offset + 4);
+        const chunkStart = offset + 8;
+
+        if (chunkId === 'fmt ') {
+            format = {
+                audioFormat: wavData.readUInt16LE(chunkStart),
+                channels: wavData.readUInt16LE(chunkStart + 2),
+                sampleRate: wavData.readUInt32LE(chunkStart + 4),
+                bitDepth: wavData.readUInt16LE(chunkStart + 14)
+            };
+            // WAVE_FORMAT_EXTENSIBLE keeps the real format in the sub-format GUID
+            if (format.audioFormat === 0xFFFE && chunkSize >= 26) {
+                format.audioFormat = wavData.readUInt16LE(chunkStart + 24);
+            }
+        } else if (chunkId === 'data') {
+            // Streamed WAVs may leave the size unset; take whatever is there
+            data = wavData.subarray(chunkStart, Math.min(chunkStart + chunkSize, wavData.length));
+        }
+
+        offset = chunkStart + chunkSize + (chunkSize % 2);
+    }
+
+    if (!format || !data) {
+        throw new Error('WAV file is missing its fmt or data chunk');
+    }
+
+    return { ...format, data };
+}
+
 module.exports = {
     AudioProcessor,
+    Resampler,
+    parseWav,
+    pcmToWav,
     SAMPLE_RATE,
     CHANNELS,
     BIT_DEPTH
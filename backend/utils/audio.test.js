@@ -0,0 +1,183 @@
+const { AudioProcessor, Resampler } = require('./audio');
+
+function tone(frequency, sampleRate, seconds, amplitude = 0.5) {
+    const samples = new Float32Array(Math.round(sampleRate * seconds));
+    for (let i = 0; i < samples.length; i++) {
+        samples[i] = amplitude * Math.sin(2 * Math.PI * frequency * i / sampleRate);
+    }
+    return samples;
+}
+
+function rms(samples, from = 0, to = samples.length) {
+    let sum = 0;
+    for (let i = from; i < to; i++) {
+        sum += samples[i] * samples[i];
+    }
+    return Math.sqrt(sum / (to - from));
+}
+
+function decibels(ratio) {
+    return 20 * Math.log10(ratio);
+}
+
+// Feed the resampler in fixed-size chunks, the way live audio arrives
+function resampleStream(resampler, input, chunkSize = 4096) {
+    const chunks = [];
+    for (let i = 0; i < input.length; i += chunkSize) {
+        chunks.push(resampler.process(input.subarray(i, i + chunkSize)));
+    }
+    chunks.push(resampler.flush());
+
+    const output = new Float32Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+    let offset = 0;
+    for (const chunk of chunks) {
+        output.set(chunk, offset);
+        offset += chunk.length;
+    }
+    return output;
+}
+
+function maxError(actual, expected, margin) {
+    let error = 0;
+    for (let i = margin; i < Math.min(actual.length, expected.length) - margin; i++) {
+        error = Math.max(error, Math.abs(actual[i] - expected[i]));
+    }
+    return error;
+}
+
+// Skip the filter's ramp-up and ramp-down at either end of a clip
+const EDGE = 200;
+
+describe('Resampler', () => {
+    test.each([12000, 9000, 20000])('suppresses a %i Hz tone that would alias when downsampling 48 kHz to 16 kHz', frequency => {
+        const input = tone(frequency, 48000, 1);
+        const output = resampleStream(new Resampler(48000, 16000), input);
+
+        expect(output.length).toBe(16000);
+        expect(decibels(rms(output, EDGE, output.length - EDGE) / rms(input))).toBeLessThan(-60);
+    });
+
+    test('passes speech-band tones through unchanged', () => {
+        for (const frequency of [200, 1000, 3000, 6000]) {
+            const output = resampleStream(new Resampler(48000, 16000), tone(frequency, 48000, 1));
+            const expected = tone(frequency, 16000, 1);
+
+            expect(maxError(output, expected, EDGE)).toBeLessThan(1e-3);
+        }
+    });
+
+    test.each([44100, 22050, 32000, 8000, 47999])('converts %i Hz input to 16 kHz', sampleRate => {
+        const output = resampleStream(new Resampler(sampleRate, 16000), tone(440, sampleRate, 1), 1000);
+        const expected = tone(440, 16000, 1);
+
+        expect(Math.abs(output.length - 16000)).toBeLessThanOrEqual(1);
+        expect(maxError(output, expected, EDGE)).toBeLessThan(1e-3);
+    });
+
+    test('round-trips 16 kHz audio through 48 kHz with negligible error', () => {
+        const original = tone(3000, 16000, 1);
+        const upsampled = resampleStream(new Resampler(16000, 48000), original, 777);
+        const roundTrip = resampleStream(new Resampler(48000, 16000), upsampled);
+
+        expect(upsampled.length).toBe(48000);
+        expect(roundTrip.length).toBe(16000);
+        expect(decibels(maxError(roundTrip, original, EDGE) / 0.5)).toBeLessThan(-60);
+    });
+
+    test('gives the same output however the input is chunked', () => {
+        const input = tone(1000, 48000, 0.5);
+        const whole = resampleStream(new Resampler(48000, 16000), input, input.length);
+        const chunked = resampleStream(new Resampler(48000, 16000), input, 333);
+
+        expect(chunked.length).toBe(whole.length);
+        expect(maxError(chunked, whole, 0)).toBeLessThan(1e-6);
+    });
+
+    test('resamples each interleaved channel independently', () => {
+        const left = tone(500, 48000, 0.5);
+        const right = tone(2000, 48000, 0.5, 0.25);
+        const interleaved = new Float32Array(left.length * 2);
+        for (let i = 0; i < left.length; i++) {
+            interleaved[i * 2] = left[i];
+            interleaved[i * 2 + 1] = right[i];
+        }
+
+        const output = resampleStream(new Resampler(48000, 16000, { channels: 2 }), interleaved);
+        const outLeft = output.filter((_, i) => i % 2 === 0);
+        const outRight = output.filter((_, i) => i % 2 === 1);
+
+        expect(maxError(outLeft, tone(500, 16000, 0.5), EDGE)).toBeLessThan(1e-3);
+        expect(maxError(outRight, tone(2000, 16000, 0.5, 0.25), EDGE)).toBeLessThan(1e-3);
+    });
+});
+
+describe('AudioProcessor.processAudioChunk', () => {
+    function int16Buffer(samples) {
+        const buffer = Buffer.alloc(samples.length * 2);
+        samples.forEach((sample, i) => buffer.writeInt16LE(Math.round(sample * 32767), i * 2));
+        return buffer;
+    }
+
+    function readInt16(buffer) {
+        const samples = new Float32Array(buffer.length / 2);
+        for (let i = 0; i < samples.length; i++) {
+            samples[i] = buffer.readInt16LE(i * 2) / 32768;
+        }
+        return samples;
+    }
+
+    function processAll(processor, input, options, chunkSize) {
+        const outputs = [];
+        for (let i = 0; i < input.length; i += chunkSize) {
+            outputs.push(processor.processAudioChunk(input.subarray(i, i + chunkSize), options));
+        }
+        outputs.push(processor.flush());
+        return readInt16(Buffer.concat(outputs));
+    }
+
+    test('accepts Float32 input', () => {
+        const processor = new AudioProcessor({ vadEnabled: false });
+        const output = processAll(processor, tone(1000, 48000, 1), { inputSampleRate: 48000, inputChannels: 1 }, 4096);
+
+        expect(output.length).toBe(16000);
+        expect(maxError(output, tone(1000, 16000, 1), EDGE)).toBeLessThan(1e-3);
+    });
+
+    test('accepts Int16 input', () => {
+        const processor = new AudioProcessor({ vadEnabled: false });
+        const input = int16Buffer(tone(1000, 44100, 1));
+        const output = processAll(processor, input, { inputSampleRate: 44100, inputChannels: 1 }, 8192);
+
+        expect(output.length).toBe(16000);
+        expect(maxError(output, tone(1000, 16000, 1), EDGE)).toBeLessThan(1e-3);
+    });
+
+    test('mixes any number of channels down to mono', () => {
+        const channels = 6;
+        const mono = tone(700, 16000, 0.25);
+        const interleaved = new Float32Array(mono.length * channels);
+        for (let i = 0; i < mono.length; i++) {
+            for (let c = 0; c < channels; c++) {
+                interleaved[i * channels + c] = c < 3 ? mono[i] * 2 : 0;
+            }
+        }
+
+        const processor = new AudioProcessor({ vadEnabled: false });
+        const output = readInt16(processor.processAudioChunk(interleaved, {
+            inputSampleRate: 16000,
+            inputChannels: channels
+        }));
+
+        expect(output.length).toBe(mono.length);
+        expect(maxError(output, mono, 0)).toBeLessThan(1e-4);
+    });
+
+    test('no longer aliases high frequencies into the speech band', () => {
+        const processor = new AudioProcessor({ vadEnabled: false });
+        const input = tone(12000, 48000, 1);
+        const output = processAll(processor, input, { inputSampleRate: 48000, inputChannels: 1 }, 4096);
+
+        // Nearest-sample decimation folded this tone down to 4 kHz at full level
+        expect(decibels(rms(output, EDGE, output.length - EDGE) / rms(input))).toBeLessThan(-60);
+    });
+});
@@ -22,6 +22,9 @@ class ApiCostCalculator {
         gemini: {
           'gemini-1.5-flash': { input: 0.075 / 1000000, output: 0.30 / 1000000 },
           'gemini-1.5-pro': { input: 1.25 / 1000000, output: 5.00 / 1000000 }
+        },
+        local: {
+          '*': { input: 0, output: 0 } // Any self-hosted model runs on our own hardware
         }
       },
       
@@ -40,7 +43,8 @@ class ApiCostCalculator {
         google: 0.024 / 60, // $0.024 per minute for first 60 minutes
         azure: 1.00 / 3600, // $1.00 per hour
         revai: 0.022 / 60, // $0.022 per minute
-        speechmatics: 0.03 / 60 // $0.03 per minute
+        speechmatics: 0.03 / 60, // $0.03 per minute
+        local: 0 // Runs on our own hardware
       },
       
       // Knowledge/Search Providers
@@ -58,10 +62,16 @@ class ApiCostCalculator {
    * Calculate LLM cost based on token usage
    */
   calculateLLMCost(provider, model, inputTokens, outputTokens) {
-    const modelPricing = this.pricing.llm[provider]?.[model];
+    const modelPricing = this.pricing.llm[provider]?.[model] || this.pricing.llm[provider]?.['*'];
     if (!modelPricing) {
       console.warn(`[Cost Calculator] Unknown LLM model: ${provider}/${model}`);
-      return 0;
+      return {
+        inputCost: 0,
+        outputCost: 0,
+        totalCost: 0,
+        inputTokens: inputTokens || 0,
+        outputTokens: outputTokens || 0
+      };
     }
 
     const inputCost = (inputTokens || 0) * modelPricing.input;
@@ -86,7 +96,7 @@ class ApiCostCalculator {
       costPerSecond = this.pricing.transcription.deepgram[model] || this.pricing.transcription.deepgram['nova-2'];
     } else if (provider === 'whisper') {
       costPerSecond = this.pricing.transcription.whisper;
-    } else if (this.pricing.transcription[provider]) {
+    } else if (this.pricing.transcription[provider] !== undefined) {
       if (typeof this.pricing.transcription[provider] === 'object') {
         costPerSecond = this.pricing.transcription[provider][model] || Object.values(this.pricing.transcription[provider])[0];
       } else {
@@ -130,6 +140,8 @@ class ApiCostCalculator {
       transcription: 0,
       knowledge: 0,
       total: 0,
+      silenceSecondsSkipped: 0,
+      transcriptionSaved: 0,
       breakdown: {
         llm: [],
         transcription: [],
@@ -164,10 +176,19 @@ class ApiCostCalculator {
           usage.durationSeconds
         );
         costs.transcription += cost.totalCost;
+        
+        // Silence trimmed by the VAD would have been billed at the same rate
+        const silenceSecondsSkipped = usage.silenceSecondsSkipped || 0;
+        const savedCost = silenceSecondsSkipped * (cost.costPerSecond || 0);
+        costs.silenceSecondsSkipped += silenceSecondsSkipped;
+        costs.transcriptionSaved += savedCost;
+        
         costs.breakdown.transcription.push({
           provider: usage.provider,
           model: usage.model,
-          ...cost
+          ...cost,
+          silenceSecondsSkipped,
+          savedCost
         });
       }
     }
@@ -210,7 +231,8 @@ class ApiCostCalculator {
       llm: {
         openai: 'OpenAI',
         anthropic: 'Anthropic',
-        gemini: 'Google Gemini'
+        gemini: 'Google Gemini',
+        local: 'Local (Self-hosted)'
       },
       transcription: {
         deepgram: 'Deepgram',
@@ -219,7 +241,8 @@ class ApiCostCalculator {
         google: 'Google Speech-to-Text',
         azure: 'Azure Speech',
         revai: 'Rev.ai',
-        speechmatics: 'Speechmatics'
+        speechmatics: 'Speechmatics',
+        local: 'Local (Offline)'
       },
       knowledge: {
         tavily: 'Tavily',
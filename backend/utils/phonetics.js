@@ -0,0 +1,144 @@
+// Phonetic keys for matching transcription errors that sound like a known term
+// ("Clod", "Claud" and "Clawd" all encode to KLT). This is Lawrence Philips'
+// original Metaphone: one key per word, with '0' standing for "th".
+
+const VOWELS = 'AEIOU';
+const FRONT_VOWELS = 'EIY';
+const INITIAL_SILENT = ['GN', 'KN', 'PN', 'WR', 'AE'];
+
+function isVowel(char) {
+    return char !== undefined && VOWELS.includes(char);
+}
+
+/**
+ * Metaphone key for a single word, e.g. "Knight" -> "NT"
+ */
+function metaphone(word) {
+    let letters = (word || '').toUpperCase().replace(/[^A-Z]/g, '');
+    if (!letters) return '';
+
+    // Initial letter exceptions
+    if (INITIAL_SILENT.includes(letters.slice(0, 2))) {
+        letters = letters.slice(1);
+    } else if (letters[0] === 'X') {
+        letters = 'S' + letters.slice(1);
+    } else if (letters.startsWith('WH')) {
+        letters = 'W' + letters.slice(2);
+    }
+
+    let key = '';
+    for (let i = 0; i < letters.length; i++) {
+        const char = letters[i];
+        const prev = letters[i - 1];
+        const next = letters[i + 1];
+        const afterNext = letters[i + 2];
+
+        // Doubled letters sound once, except C ("accept")
+        if (char === prev && char !== 'C') continue;
+
+        switch (char) {
+            case 'A': case 'E': case 'I': case 'O': case 'U':
+                if (i === 0) key += char;
+                break;
+            case 'B':
+                // Silent in a final "MB" ("thumb")
+                if (!(prev === 'M' && i === letters.length - 1)) key += 'B';
+                break;
+            case 'C':
+                if (next === 'I' && afterNext === 'A') {
+                    key += 'X';
+                } else if (next === 'H') {
+                    key += prev === 'S' ? 'K' : 'X';
+                    i++;
+                } else if (FRONT_VOWELS.includes(next || '-')) {
+                    if (prev !== 'S') key += 'S';
+                } else {
+                    key += 'K';
+                }
+                break;
+            case 'D':
+                if (next === 'G' && FRONT_VOWELS.includes(afterNext || '-')) {
+                    key += 'J';
+                    i++;
+                } else {
+                    key += 'T';
+                }
+                break;
+            case 'G':
+                if (next === 'H' && !(i + 2 >= letters.length || isVowel(afterNext))) {
+                    // Silent "GH" before a consonant ("night")
+                    break;
+                }
+                if (next === 'N' && (i + 2 === letters.length || letters.slice(i + 1) === 'NED')) {
+                    // Silent in a final "GN" or "GNED" ("sign", "signed")
+                    break;
+                }
+                key += FRONT_VOWELS.includes(next || '-') && prev !== 'G' ? 'J' : 'K';
+                break;
+            case 'H':
+                // Only sounded before a vowel and not after a vowel or C, G, P, S, T
+                if (isVowel(next) && !isVowel(prev) && !'CGPST'.includes(prev || '-')) key += 'H';
+                break;
+            case 'K':
+                if (prev !== 'C') key += 'K';
+                break;
+            case 'P':
+                key += next === 'H' ? 'F' : 'P';
+                break;
+            case 'Q':
+                key += 'K';
+                break;
+            case 'S':
+                if (next === 'H') {
+                    key += 'X';
+                    i++;
+                } else if (next === 'I' && (afterNext === 'O' || afterNext === 'A')) {
+                    key += 'X';
+                } else {
+                    key += 'S';
+                }
+                break;
+            case 'T':
+                if (next === 'I' && (afterNext === 'O' || afterNext === 'A')) {
+                    key += 'X';
+                } else if (next === 'H') {
+                    key += '0';
+                    i++;
+                } else if (!(next === 'C' && afterNext === 'H')) {
+                    key += 'T';
+                }
+                break;
+            case 'V':
+                key += 'F';
+                break;
+            case 'W':
+            case 'Y':
+                if (isVowel(next)) key += char;
+                break;
+            case 'X':
+                key += 'KS';
+                break;
+            case 'Z':
+                key += 'S';
+                break;
+            default:
+                // F, J, L, M, N and R sound as written
+                key += char;
+        }
+    }
+
+    return key;
+}
+
+/**
+ * Phonetic key for a phrase: the Metaphone key of each word, space separated
+ */
+function phoneticKey(phrase) {
+    return (phrase || '')
+        .split(/\s+/)
+        .map(metaphone)
+        .filter(Boolean)
+        .join(' ');
+}
+
+module.exports = { metaphone, phoneticKey };
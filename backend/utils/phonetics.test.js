@@ -0,0 +1,37 @@
+const { metaphone, phoneticKey } = require('./phonetics');
+
+describe('metaphone', () => {
+    test.each(['Clawd', 'Clod', 'Claud', 'cloud', 'Claude'])('encodes %s to KLT', word => {
+        expect(metaphone(word)).toBe('KLT');
+    });
+
+    test.each([
+        ['Knight', 'NT'], // silent K and GH
+        ['Thumb', '0M'], // TH and a final silent B
+        ['Phone', 'FN'],
+        ['Sign', 'SN'], // silent final GN
+        ['Xavier', 'SFR'],
+        ['Wharf', 'WRF'],
+        ['Schedule', 'SKTL'],
+        ['nation', 'NXN'],
+        ['accept', 'AKSPT'] // doubled C still sounds twice
+    ])('encodes %s to %s', (word, key) => {
+        expect(metaphone(word)).toBe(key);
+    });
+
+    test('ignores case and anything but letters', () => {
+        expect(metaphone("CLAWD's")).toBe(metaphone('clawds'));
+        expect(metaphone('123')).toBe('');
+        expect(metaphone(null)).toBe('');
+    });
+});
+
+describe('phoneticKey', () => {
+    test('keys each word of a phrase', () => {
+        expect(phoneticKey('post  grass')).toBe('PST KRS');
+    });
+
+    test('is empty for an empty phrase', () => {
+        expect(phoneticKey('')).toBe('');
+    });
+});
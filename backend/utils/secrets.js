@@ -0,0 +1,80 @@
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const PREFIX = 'enc:v1:';
+
+// Derive the 256-bit key from SETTINGS_ENCRYPTION_KEY. A 64-character hex string
+// is used as-is, anything else is treated as a passphrase.
+function getMasterKey(secret = process.env.SETTINGS_ENCRYPTION_KEY) {
+  if (!secret) {
+    return null;
+  }
+  if (/^[0-9a-f]{64}$/i.test(secret)) {
+    return Buffer.from(secret, 'hex');
+  }
+  return crypto.scryptSync(secret, 'meeting-notation-settings', 32);
+}
+
+// The current key followed by any retired ones in SETTINGS_ENCRYPTION_KEY_PREVIOUS
+// (comma separated), so values written before a rotation can still be read
+function getMasterKeys() {
+  const previous = (process.env.SETTINGS_ENCRYPTION_KEY_PREVIOUS || '')
+    .split(',')
+    .map(secret => secret.trim())
+    .filter(Boolean);
+
+  return [process.env.SETTINGS_ENCRYPTION_KEY, ...previous]
+    .map(secret => getMasterKey(secret))
+    .filter(Boolean);
+}
+
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+// Encrypt a value for storage as enc:v1:<iv>:<auth tag>:<ciphertext>, all base64
+function encrypt(plaintext, key = getMasterKey()) {
+  if (!key) {
+    throw new Error('SETTINGS_ENCRYPTION_KEY is not set');
+  }
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return `${PREFIX}${iv.toString('base64')}:${tag.toString('base64')}:${ciphertext.toString('base64')}`;
+}
+
+// Decrypt with the first key that authenticates the value
+function decrypt(value, keys = getMasterKeys()) {
+  if (!isEncrypted(value)) {
+    throw new Error('Value is not encrypted');
+  }
+
+  const candidates = Array.isArray(keys) ? keys : [keys];
+  if (candidates.length === 0) {
+    throw new Error('SETTINGS_ENCRYPTION_KEY is not set');
+  }
+
+  const [iv, tag, ciphertext] = value.slice(PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+  for (const key of candidates) {
+    try {
+      const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+      decipher.setAuthTag(tag);
+      return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+    } catch {
+      // Wrong key - the auth tag doesn't match
+    }
+  }
+
+  throw new Error('Value could not be decrypted with any configured key');
+}
+
+module.exports = {
+  getMasterKey,
+  getMasterKeys,
+  isEncrypted,
+  encrypt,
+  decrypt
+};
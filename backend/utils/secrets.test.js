@@ -0,0 +1,71 @@
+const { encrypt, decrypt, isEncrypted, getMasterKey } = require('./secrets');
+
+const CURRENT = 'current passphrase';
+const PREVIOUS = 'a'.repeat(64);
+
+// Swap a base64 part of enc:v1:<iv>:<auth tag>:<ciphertext> for a tampered copy
+function tamper(value, index) {
+    const parts = value.split(':');
+    const bytes = Buffer.from(parts[index], 'base64');
+    bytes[0] ^= 0x01;
+    parts[index] = bytes.toString('base64');
+    return parts.join(':');
+}
+
+describe('secrets', () => {
+    const env = { ...process.env };
+
+    beforeEach(() => {
+        process.env.SETTINGS_ENCRYPTION_KEY = CURRENT;
+        delete process.env.SETTINGS_ENCRYPTION_KEY_PREVIOUS;
+    });
+
+    afterEach(() => {
+        process.env = { ...env };
+    });
+
+    test('round-trips a value through encrypt and decrypt', () => {
+        const value = encrypt('sk-test-1234');
+
+        expect(isEncrypted(value)).toBe(true);
+        expect(value).not.toContain('sk-test-1234');
+        expect(decrypt(value)).toBe('sk-test-1234');
+    });
+
+    test('uses a fresh IV for every value', () => {
+        expect(encrypt('same')).not.toBe(encrypt('same'));
+    });
+
+    test('uses a 64-character hex key as-is and derives one from a passphrase', () => {
+        expect(getMasterKey(PREVIOUS)).toEqual(Buffer.from(PREVIOUS, 'hex'));
+        expect(getMasterKey(CURRENT)).toHaveLength(32);
+        expect(getMasterKey('')).toBeNull();
+    });
+
+    test('decrypts values written with a key listed in SETTINGS_ENCRYPTION_KEY_PREVIOUS', () => {
+        const value = encrypt('sk-old', getMasterKey(PREVIOUS));
+
+        expect(() => decrypt(value)).toThrow('could not be decrypted');
+
+        process.env.SETTINGS_ENCRYPTION_KEY_PREVIOUS = `unrelated, ${PREVIOUS}`;
+        expect(decrypt(value)).toBe('sk-old');
+    });
+
+    test.each([
+        ['IV', 2],
+        ['auth tag', 3],
+        ['ciphertext', 4]
+    ])('rejects a value whose %s was tampered with', (part, index) => {
+        const value = encrypt('sk-test-1234');
+
+        expect(() => decrypt(tamper(value, index))).toThrow('could not be decrypted');
+    });
+
+    test('refuses to work without a key', () => {
+        delete process.env.SETTINGS_ENCRYPTION_KEY;
+
+        expect(() => encrypt('sk-test-1234')).toThrow('SETTINGS_ENCRYPTION_KEY is not set');
+        expect(() => decrypt(encrypt('x', getMasterKey(CURRENT)))).toThrow('SETTINGS_ENCRYPTION_KEY is not set');
+        expect(() => decrypt('plain text')).toThrow('not encrypted');
+    });
+});
@@ -46,6 +46,7 @@ function App() {
     const sourceRef = useRef(null);
     const streamRef = useRef(null);
     const transcriptEndRef = useRef(null);
+    const activeMeetingRef = useRef(null);
     
     const {
         isElectron,
@@ -106,6 +107,11 @@ function App() {
         }
     }, [transcript, intelligenceView]);
 
+    // Keep the socket handlers pointed at the meeting this client is in
+    useEffect(() => {
+        activeMeetingRef.current = activeMeeting;
+    }, [activeMeeting]);
+
     useEffect(() => {
         const wsUrl = 'http://localhost:9000';
         const socket = io(wsUrl);
@@ -114,6 +120,10 @@ function App() {
         socket.on('connect', () => {
             setIsConnected(true);
             console.log('Connected to backend');
+            // Rejoin our meeting's room after a reconnect
+            if (activeMeetingRef.current) {
+                socket.emit('meeting:setContext', activeMeetingRef.current.id);
+            }
         });
         
         socket.on('disconnect', () => {
@@ -123,12 +133,6 @@ function App() {
         
         socket.on('service:status', (status) => {
             setMetrics(status.metrics);
-            if (status.activeMeetingId) {
-                fetch(`http://localhost:9000/api/meetings/${status.activeMeetingId}`)
-                    .then(res => res.json())
-                    .then(meeting => setActiveMeeting(meeting))
-                    .catch(console.error);
-            }
         });
         
         socket.on('meeting:started', (meeting) => {
@@ -147,7 +151,7 @@ function App() {
         
         socket.on('meeting:deleted', (data) => {
             // If the deleted meeting is the active one, clear everything
-            if (activeMeeting && activeMeeting.id === data.meetingId) {
+            if (activeMeetingRef.current && activeMeetingRef.current.id === data.meetingId) {
                 setActiveMeeting(null);
                 setTranscript([]);
                 setExtractedTerms([]);
@@ -168,7 +172,11 @@ function App() {
                     isFinal: data.isFinal,
                     confidence: data.confidence,
                     timestamp: data.timestamp,
-                    latency: data.latency
+                    latency: data.latency,
+                    speaker: data.speakers && data.speakers.length > 0 ? data.speakers[0] : null,
+                    speakerName: data.speakerName || null,
+                    corrections: data.corrections || null,
+                    proposals: data.proposals || null
                 }]);
                 
                 if (data.latency) {
@@ -180,6 +188,27 @@ function App() {
             }
         });
         
+        socket.on('speaker:updated', (data) => {
+            // Relabel the open meeting's transcript when a speaker is (re)named
+            if (activeMeetingRef.current && activeMeetingRef.current.id === data.meetingId) {
+                setTranscript(prev => prev.map(item =>
+                    item.speaker !== null && item.speaker !== undefined && String(item.speaker) === String(data.speakerId)
+                        ? { ...item, speakerName: data.name }
+                        : item
+                ));
+            }
+        });
+        
+        socket.on('transcription:provider-switched', (data) => {
+            // Mark where the meeting moved to a fallback provider
+            setTranscript(prev => [...prev, {
+                text: data.text,
+                isFinal: true,
+                timestamp: data.timestamp,
+                marker: { type: 'provider-switch', from: data.from, to: data.to, reason: data.reason }
+            }]);
+        });
+        
         socket.on('transcription:error', (data) => {
             setError(data.message);
             setTimeout(() => setError(null), 5000);
@@ -231,9 +260,65 @@ function App() {
         }
     };
 
+    const handleReplayMeeting = async ({ title, project, file, speed }) => {
+        try {
+            const params = new URLSearchParams({ title, speed });
+            if (project) {
+                params.set('project', project);
+            }
+            const response = await fetch(`http://localhost:9000/api/replay?${params}`, {
+                method: 'POST',
+                headers: { 'Content-Type': file.type || 'application/octet-stream' },
+                body: file
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error || 'Failed to start replay');
+            }
+            
+            // Join the replayed meeting's room to follow it live
+            setTranscript([]);
+            setExtractedTerms([]);
+            setTermDefinitions({});
+            setActiveMeeting(result.meeting);
+            if (socketRef.current) {
+                socketRef.current.emit('meeting:setContext', result.meeting.id);
+            }
+        } catch (error) {
+            console.error('Error starting replay:', error);
+            setError(error.message);
+            setTimeout(() => setError(null), 5000);
+        }
+    };
+
+    const handleImportMeeting = async ({ title, project, file }) => {
+        try {
+            const params = new URLSearchParams({ title, filename: file.name });
+            if (project) {
+                params.set('project', project);
+            }
+            const response = await fetch(`http://localhost:9000/api/meetings/import?${params}`, {
+                method: 'POST',
+                headers: { 'Content-Type': file.type || 'application/octet-stream' },
+                body: file
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error || 'Failed to import meeting');
+            }
+            
+            // Imported meetings are already completed - open them like any past meeting
+            await handleSelectMeeting(result.meeting);
+        } catch (error) {
+            console.error('Error importing meeting:', error);
+            setError(error.message);
+            setTimeout(() => setError(null), 5000);
+        }
+    };
+
     const handleEndMeeting = () => {
         if (socketRef.current) {
-            socketRef.current.emit('meeting:end');
+            socketRef.current.emit('meeting:end', activeMeeting?.id);
         }
         setIsRecording(false);
         if (activeMeeting) {
@@ -271,7 +356,10 @@ function App() {
                 text: t.text,
                 isFinal: t.is_final,
                 confidence: t.confidence,
-                timestamp: t.timestamp
+                timestamp: t.timestamp,
+                speaker: t.speaker_id !== null ? t.speaker_id : t.speaker,
+                speakerName: t.speaker_name,
+                marker: t.marker
             })));
             
             setExtractedTerms(terms.map(t => t.term));
@@ -450,6 +538,8 @@ function App() {
                             onSelectMeeting={handleSelectMeeting}
                             activeMeetingId={activeMeeting?.id}
                             onNewMeeting={handleNewMeeting}
+                            onReplayMeeting={handleReplayMeeting}
+                            onImportMeeting={handleImportMeeting}
                             onGenerateReport={handleGenerateReport}
                             socket={socketRef.current}
                         />
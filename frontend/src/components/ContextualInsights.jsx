@@ -6,8 +6,9 @@ function ContextualInsights({ socket, currentTopic, view }) {
     const [rollingSummary, setRollingSummary] = useState('');
     const [glossary, setGlossary] = useState([]);
     const [activeTab, setActiveTab] = useState('insights');
-    const [showTalkingPointsModal, setShowTalkingPointsModal] = useState(false);
     const [talkingPointTopic, setTalkingPointTopic] = useState('');
+    const [generatingTalkingPoints, setGeneratingTalkingPoints] = useState(false);
+    const [generatingSummary, setGeneratingSummary] = useState(false);
     
     useEffect(() => {
         if (!socket) return;
@@ -18,15 +19,29 @@ function ContextualInsights({ socket, currentTopic, view }) {
             setInsights(data);
         });
         
-        // Listen for talking points response
+        // Talking points stream in as they're generated, then arrive complete
+        socket.on('intelligence:talking-points-delta', (data) => {
+            setTalkingPoints(data.points || []);
+        });
+        
         socket.on('intelligence:talking-points-response', (data) => {
             setTalkingPoints(data.points || []);
-            setShowTalkingPointsModal(true);
+            setGeneratingTalkingPoints(false);
+        });
+        
+        // Rolling summary, streamed the same way
+        socket.on('intelligence:summary-delta', (data) => {
+            setRollingSummary(data.summary || '');
         });
         
-        // Listen for rolling summary
         socket.on('intelligence:summary-response', (data) => {
             setRollingSummary(data.summary || '');
+            setGeneratingSummary(false);
+        });
+        
+        socket.on('intelligence:error', () => {
+            setGeneratingTalkingPoints(false);
+            setGeneratingSummary(false);
         });
         
         // Listen for glossary updates
@@ -36,20 +51,27 @@ function ContextualInsights({ socket, currentTopic, view }) {
         
         return () => {
             socket.off('contextual:insights');
+            socket.off('intelligence:talking-points-delta');
             socket.off('intelligence:talking-points-response');
+            socket.off('intelligence:summary-delta');
             socket.off('intelligence:summary-response');
+            socket.off('intelligence:error');
             socket.off('intelligence:glossary-response');
         };
     }, [socket]);
     
     const requestTalkingPoints = () => {
         if (socket && talkingPointTopic.trim()) {
+            setTalkingPoints([]);
+            setGeneratingTalkingPoints(true);
             socket.emit('intelligence:talking-points', talkingPointTopic);
         }
     };
     
     const requestRollingSummary = (duration = 120000) => {
         if (socket) {
+            setRollingSummary('');
+            setGeneratingSummary(true);
             socket.emit('intelligence:rolling-summary', duration);
         }
     };
@@ -214,6 +236,30 @@ function ContextualInsights({ socket, currentTopic, view }) {
                             Generate
                         </button>
                     </div>
+                    {(talkingPoints.length > 0 || generatingTalkingPoints) && (
+                        <div style={{
+                            marginTop: '10px',
+                            padding: '10px',
+                            background: '#f8f9fa',
+                            borderRadius: '5px',
+                            fontSize: '13px',
+                            lineHeight: '1.5'
+                        }}>
+                            {talkingPoints.length === 0 ? (
+                                <div style={{ color: '#6c757d', fontStyle: 'italic' }}>
+                                    Generating talking points...
+                                </div>
+                            ) : (
+                                <ul style={{ margin: 0, paddingLeft: '20px' }}>
+                                    {talkingPoints.map((point, idx) => (
+                                        <li key={idx} style={{ marginBottom: '5px' }}>
+                                            {point}
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                        </div>
+                    )}
                 </div>
                 
                 {/* Get Rolling Summary */}
@@ -268,7 +314,7 @@ function ContextualInsights({ socket, currentTopic, view }) {
                             Last 5 min
                         </button>
                     </div>
-                    {rollingSummary && (
+                    {(rollingSummary || generatingSummary) && (
                         <div style={{
                             padding: '10px',
                             background: '#f8f9fa',
@@ -276,7 +322,11 @@ function ContextualInsights({ socket, currentTopic, view }) {
                             fontSize: '13px',
                             lineHeight: '1.5'
                         }}>
-                            {rollingSummary}
+                            {rollingSummary || (
+                                <span style={{ color: '#6c757d', fontStyle: 'italic' }}>
+                                    Summarizing...
+                                </span>
+                            )}
                         </div>
                     )}
                 </div>
@@ -412,46 +462,6 @@ function ContextualInsights({ socket, currentTopic, view }) {
                 {activeTab === 'assistant' && renderAssistantTab()}
                 {activeTab === 'glossary' && renderGlossaryTab()}
             </div>
-            
-            {/* Talking Points Modal */}
-            {showTalkingPointsModal && talkingPoints.length > 0 && (
-                <div style={{
-                    position: 'fixed',
-                    top: '50%',
-                    left: '50%',
-                    transform: 'translate(-50%, -50%)',
-                    background: 'white',
-                    padding: '20px',
-                    borderRadius: '8px',
-                    boxShadow: '0 4px 20px rgba(0,0,0,0.2)',
-                    zIndex: 1000,
-                    maxWidth: '500px',
-                    width: '90%'
-                }}>
-                    <h3 style={{ marginTop: 0 }}>Talking Points</h3>
-                    <ul style={{ paddingLeft: '20px' }}>
-                        {talkingPoints.map((point, idx) => (
-                            <li key={idx} style={{ marginBottom: '10px' }}>
-                                {point}
-                            </li>
-                        ))}
-                    </ul>
-                    <button
-                        onClick={() => setShowTalkingPointsModal(false)}
-                        style={{
-                            padding: '8px 15px',
-                            background: '#6c757d',
-                            color: 'white',
-                            border: 'none',
-                            borderRadius: '4px',
-                            cursor: 'pointer',
-                            marginTop: '10px'
-                        }}
-                    >
-                        Close
-                    </button>
-                </div>
-            )}
         </div>
     );
 }
@@ -2,15 +2,27 @@ import React, { useState, useCallback } from 'react';
 import CorrectionModal from './CorrectionModal';
 import useCorrections from '../hooks/useCorrections';
 
+// The same near match can be proposed in several transcripts; resolving it once hides them all
+const proposalKey = (proposal) => `${proposal.correctionId}:${proposal.original.toLowerCase()}`;
+
 const CorrectableTranscript = ({ transcript, socket, className = "" }) => {
     const [selectedText, setSelectedText] = useState('');
+    const [selectedLine, setSelectedLine] = useState('');
     const [isModalOpen, setIsModalOpen] = useState(false);
     const [suggestions, setSuggestions] = useState([]);
     const [loadingSuggestions, setLoadingSuggestions] = useState(false);
+    const [resolvedProposals, setResolvedProposals] = useState(new Set());
 
-    const { addCorrection, getSuggestions, findCorrection, loading } = useCorrections(socket);
+    const {
+        addCorrection,
+        getSuggestions,
+        findCorrection,
+        approveProposal,
+        rejectProposal,
+        loading
+    } = useCorrections(socket);
 
-    const handleWordClick = useCallback(async (word, event) => {
+    const handleWordClick = useCallback(async (word, event, item) => {
         event.preventDefault();
         event.stopPropagation();
 
@@ -22,6 +34,7 @@ const CorrectableTranscript = ({ transcript, socket, className = "" }) => {
         }
 
         setSelectedText(cleanWord);
+        setSelectedLine(item.text);
         setIsModalOpen(true);
         
         // Get suggestions for this word
@@ -38,22 +51,41 @@ const CorrectableTranscript = ({ transcript, socket, className = "" }) => {
     }, [getSuggestions]);
 
     const handleCorrection = useCallback(async (original, corrected, options) => {
-        const success = await addCorrection(original, corrected, options);
+        const success = await addCorrection(original, corrected, options, { text: selectedLine });
         if (success) {
             console.log(`Added correction: "${original}" → "${corrected}"`);
         }
         return success;
-    }, [addCorrection]);
+    }, [addCorrection, selectedLine]);
+
+    const handleProposal = useCallback(async (proposal, approve) => {
+        const success = approve ? await approveProposal(proposal) : await rejectProposal(proposal);
+        if (success) {
+            setResolvedProposals(prev => new Set(prev).add(proposalKey(proposal)));
+        }
+    }, [approveProposal, rejectProposal]);
 
     const handleCloseModal = useCallback(() => {
         setIsModalOpen(false);
         setSelectedText('');
+        setSelectedLine('');
         setSuggestions([]);
     }, []);
 
     const renderTranscriptItem = useCallback((item, index) => {
         if (!item.text) return null;
 
+        // Events such as a switch to a fallback transcription provider aren't speech
+        if (item.marker) {
+            return (
+                <div key={index} className="my-3 flex items-center space-x-2 text-xs text-amber-700">
+                    <span className="flex-1 border-t border-dashed border-amber-300" />
+                    <span title={new Date(item.timestamp).toLocaleTimeString()}>{item.text}</span>
+                    <span className="flex-1 border-t border-dashed border-amber-300" />
+                </div>
+            );
+        }
+
         // Split text into words for individual correction
         const words = item.text.split(/(\s+)/);
         
@@ -64,6 +96,11 @@ const CorrectableTranscript = ({ transcript, socket, className = "" }) => {
                         {new Date(item.timestamp).toLocaleTimeString()}
                     </span>
                     <div className="flex-1">
+                        {(item.speakerName || (item.speaker !== null && item.speaker !== undefined)) && (
+                            <span className="text-xs font-semibold text-gray-600 mr-1">
+                                {item.speakerName || `Speaker ${item.speaker}`}:
+                            </span>
+                        )}
                         {words.map((word, wordIndex) => {
                             // Don't make whitespace clickable
                             if (/^\s+$/.test(word)) {
@@ -80,7 +117,7 @@ const CorrectableTranscript = ({ transcript, socket, className = "" }) => {
                                         cursor-pointer hover:bg-blue-100 rounded px-1 transition-colors
                                         ${existingCorrection ? 'border-b border-dotted border-green-500 bg-green-50' : ''}
                                     `}
-                                    onClick={(e) => handleWordClick(word, e)}
+                                    onClick={(e) => handleWordClick(word, e, item)}
                                     title={existingCorrection ? 
                                         `Corrected from: "${existingCorrection.original_term}"` : 
                                         'Click to correct this word'
@@ -106,6 +143,37 @@ const CorrectableTranscript = ({ transcript, socket, className = "" }) => {
                             </div>
                         )}
 
+                        {/* Near matches waiting for approval */}
+                        {item.proposals && item.proposals.some(p => !resolvedProposals.has(proposalKey(p))) && (
+                            <div className="mt-1 flex flex-wrap gap-1">
+                                {item.proposals
+                                    .filter(p => !resolvedProposals.has(proposalKey(p)))
+                                    .map((proposal, proposalIndex) => (
+                                        <span
+                                            key={proposalIndex}
+                                            className="text-xs bg-amber-100 text-amber-800 px-2 py-1 rounded-full flex items-center space-x-1"
+                                            title={`${proposal.matchType === 'phonetic' ? 'Sounds like' : 'Spelled like'} "${proposal.corrected}" (${Math.round(proposal.confidence * 100)}% match)`}
+                                        >
+                                            <span>? {proposal.original} → {proposal.corrected}</span>
+                                            <button
+                                                className="hover:text-green-700"
+                                                onClick={() => handleProposal(proposal, true)}
+                                                title="Approve: always correct this"
+                                            >
+                                                ✓
+                                            </button>
+                                            <button
+                                                className="hover:text-red-700"
+                                                onClick={() => handleProposal(proposal, false)}
+                                                title="Reject: don't propose this again"
+                                            >
+                                                ✕
+                                            </button>
+                                        </span>
+                                    ))}
+                            </div>
+                        )}
+
                         {/* Show metrics */}
                         <div className="flex items-center space-x-4 mt-1 text-xs text-gray-400">
                             {item.confidence && (
@@ -123,7 +191,7 @@ const CorrectableTranscript = ({ transcript, socket, className = "" }) => {
                 </div>
             </div>
         );
-    }, [handleWordClick, findCorrection]);
+    }, [handleWordClick, findCorrection, handleProposal, resolvedProposals]);
 
     return (
         <>
@@ -3,6 +3,14 @@ import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogFooter } from '
 import { Button } from './ui/button';
 import { Badge } from './ui/badge';
 
+// Where a correction made from the transcript applies; the server fills in the
+// current meeting and its project
+const SCOPE_DESCRIPTIONS = {
+    global: 'This correction will be applied to all future transcriptions automatically.',
+    project: 'This correction will be applied to future transcriptions in this meeting\'s project, before any global correction of the same term.',
+    meeting: 'This correction will be applied to the rest of this meeting only, before any project or global correction of the same term.'
+};
+
 const CorrectionModal = ({ 
     isOpen, 
     onClose, 
@@ -14,6 +22,7 @@ const CorrectionModal = ({
     const [correctedText, setCorrectedText] = useState('');
     const [category, setCategory] = useState('general');
     const [autoApply, setAutoApply] = useState(true);
+    const [scope, setScope] = useState('global');
 
     useEffect(() => {
         if (isOpen && selectedText) {
@@ -24,13 +33,14 @@ const CorrectionModal = ({
     const handleSubmit = async (e) => {
         e.preventDefault();
         
-        if (!correctedText.trim() || correctedText === selectedText) {
+        if (!correctedText.trim() || (correctedText === selectedText && scope === 'global')) {
             return;
         }
 
         const success = await onCorrect(selectedText, correctedText.trim(), {
             category,
             autoApply,
+            scope,
             caseSensitive: false,
             wholeWordOnly: true
         });
@@ -52,7 +62,7 @@ const CorrectionModal = ({
                 <DialogHeader>
                     <DialogTitle>Correct Transcription</DialogTitle>
                     <p className="text-sm text-gray-600">
-                        This correction will apply globally to all future meetings.
+                        Choose whether this correction applies to all meetings, this meeting's project or just this meeting.
                     </p>
                 </DialogHeader>
 
@@ -126,6 +136,22 @@ const CorrectionModal = ({
                             </select>
                         </div>
 
+                        <div>
+                            <label htmlFor="scope" className="block text-sm font-medium text-gray-700 mb-1">
+                                Applies To
+                            </label>
+                            <select
+                                id="scope"
+                                value={scope}
+                                onChange={(e) => setScope(e.target.value)}
+                                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                            >
+                                <option value="global">All meetings</option>
+                                <option value="project">This project</option>
+                                <option value="meeting">This meeting</option>
+                            </select>
+                        </div>
+
                         <div className="flex items-center">
                             <label className="flex items-center space-x-2">
                                 <input
@@ -148,8 +174,8 @@ const CorrectionModal = ({
                             </div>
                             <div className="ml-3">
                                 <p className="text-sm text-blue-800">
-                                    This correction will be applied to all future transcriptions automatically.
-                                    It will also improve knowledge retrieval for this term.
+                                    {SCOPE_DESCRIPTIONS[scope]}
+                                    {scope === 'global' && ' It will also improve knowledge retrieval for this term.'}
                                 </p>
                             </div>
                         </div>
@@ -162,7 +188,7 @@ const CorrectionModal = ({
                     </Button>
                     <Button 
                         onClick={handleSubmit}
-                        disabled={loading || !correctedText.trim() || correctedText === selectedText}
+                        disabled={loading || !correctedText.trim() || (correctedText === selectedText && scope === 'global')}
                     >
                         {loading ? 'Adding...' : 'Add Correction'}
                     </Button>
@@ -1,13 +1,30 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { Button } from './ui/button';
 import { Badge } from './ui/badge';
 import useCorrections from '../hooks/useCorrections';
 
+const API_URL = 'http://localhost:9000/api/corrections';
+
+const REASON_LABELS = {
+    low_confidence: 'low confidence',
+    glossary: 'glossary term',
+    correction: 'like a correction',
+    edit: 'like your edits',
+    phonetic: 'sounds alike',
+    fuzzy: 'spelled alike',
+    exact: 'misheard before'
+};
+
 const GlobalCorrections = ({ socket }) => {
     const [newOriginal, setNewOriginal] = useState('');
     const [newCorrected, setNewCorrected] = useState('');
     const [newCategory, setNewCategory] = useState('general');
+    const [newScope, setNewScope] = useState('global');
+    const [newProject, setNewProject] = useState('');
     const [stats, setStats] = useState(null);
+    const [suggested, setSuggested] = useState([]);
+    const [lastRun, setLastRun] = useState(null);
+    const [mining, setMining] = useState(false);
 
     const { 
         corrections, 
@@ -20,7 +37,7 @@ const GlobalCorrections = ({ socket }) => {
     useEffect(() => {
         const fetchStats = async () => {
             try {
-                const response = await fetch('http://localhost:9000/api/corrections/stats');
+                const response = await fetch(`${API_URL}/stats`);
                 if (response.ok) {
                     const statsData = await response.json();
                     setStats(statsData);
@@ -35,16 +52,61 @@ const GlobalCorrections = ({ socket }) => {
         }
     }, [socket, corrections]);
 
+    // Suggested corrections mined from stored meetings
+    const fetchSuggested = useCallback(async (refresh = false) => {
+        try {
+            const response = refresh
+                ? await fetch(`${API_URL}/suggested/refresh`, { method: 'POST' })
+                : await fetch(`${API_URL}/suggested`);
+            if (response.ok) {
+                const data = await response.json();
+                setSuggested(data.suggestions);
+                setLastRun(data.lastRun);
+            }
+        } catch (error) {
+            console.error('Error fetching suggested corrections:', error);
+        }
+    }, []);
+
+    useEffect(() => {
+        if (socket) {
+            fetchSuggested();
+        }
+    }, [socket, fetchSuggested]);
+
+    const handleRefreshSuggested = async () => {
+        setMining(true);
+        await fetchSuggested(true);
+        setMining(false);
+    };
+
+    const handleReviewSuggestion = async (suggestion, accept) => {
+        try {
+            const response = await fetch(`${API_URL}/suggested/${suggestion.id}/${accept ? 'accept' : 'reject'}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({})
+            });
+            if (response.ok || response.status === 404 || response.status === 409) {
+                setSuggested(prev => prev.filter(s => s.id !== suggestion.id));
+            }
+        } catch (error) {
+            console.error('Error reviewing suggested correction:', error);
+        }
+    };
+
     const handleAddCorrection = async (e) => {
         e.preventDefault();
         
-        if (!newOriginal.trim() || !newCorrected.trim()) {
+        if (!newOriginal.trim() || !newCorrected.trim() || (newScope === 'project' && !newProject.trim())) {
             return;
         }
 
         const success = await addCorrection(newOriginal.trim(), newCorrected.trim(), {
             category: newCategory,
-            autoApply: true
+            autoApply: true,
+            scope: newScope,
+            project: newScope === 'project' ? newProject.trim() : null
         });
 
         if (success) {
@@ -54,6 +116,17 @@ const GlobalCorrections = ({ socket }) => {
         }
     };
 
+    // Where a correction applies, for corrections that don't apply everywhere
+    const getScopeLabel = (correction) => {
+        if (correction.scope === 'project') {
+            return `Project: ${correction.project}`;
+        }
+        if (correction.scope === 'meeting') {
+            return `Meeting: ${correction.meeting_title || 'untitled'}`;
+        }
+        return null;
+    };
+
     const handleRemoveCorrection = async (correctionId) => {
         await removeCorrection(correctionId);
     };
@@ -78,7 +151,8 @@ const GlobalCorrections = ({ socket }) => {
                     Global Transcript Corrections
                 </h3>
                 <p className="text-sm text-gray-600 mb-3">
-                    Manage global corrections that automatically fix transcription errors across all meetings.
+                    Manage corrections that automatically fix transcription errors across all meetings, or only in one project or meeting.
+                    Project and meeting corrections take precedence over global ones; correct a term to itself to keep it as heard.
                 </p>
                 
                 {stats && (
@@ -154,10 +228,37 @@ const GlobalCorrections = ({ socket }) => {
                                 <option value="acronym">Acronym</option>
                             </select>
                         </div>
+                        <div className="flex-1">
+                            <label className="block text-sm font-medium text-gray-700 mb-1">
+                                Applies To
+                            </label>
+                            <select
+                                value={newScope}
+                                onChange={(e) => setNewScope(e.target.value)}
+                                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                            >
+                                <option value="global">All meetings</option>
+                                <option value="project">One project</option>
+                            </select>
+                        </div>
+                        {newScope === 'project' && (
+                            <div className="flex-1">
+                                <label className="block text-sm font-medium text-gray-700 mb-1">
+                                    Project
+                                </label>
+                                <input
+                                    type="text"
+                                    value={newProject}
+                                    onChange={(e) => setNewProject(e.target.value)}
+                                    placeholder="e.g., Acme"
+                                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                                />
+                            </div>
+                        )}
                         <div className="pt-6">
                             <Button 
                                 type="submit" 
-                                disabled={loading || !newOriginal.trim() || !newCorrected.trim()}
+                                disabled={loading || !newOriginal.trim() || !newCorrected.trim() || (newScope === 'project' && !newProject.trim())}
                                 className="min-w-[80px]"
                             >
                                 {loading ? 'Adding...' : 'Add'}
@@ -167,6 +268,82 @@ const GlobalCorrections = ({ socket }) => {
                 </form>
             </div>
 
+            {/* Suggested Corrections */}
+            <div>
+                <div className="flex items-center justify-between mb-3">
+                    <h4 className="font-medium text-gray-900">
+                        Suggested Corrections ({suggested.length})
+                    </h4>
+                    <Button
+                        variant="outline"
+                        size="sm"
+                        onClick={handleRefreshSuggested}
+                        disabled={mining}
+                    >
+                        {mining ? 'Searching...' : 'Find More'}
+                    </Button>
+                </div>
+                <p className="text-xs text-gray-500 mb-3">
+                    Words from past meetings that were transcribed with low confidence or look like known terms.
+                    {lastRun && ` Last checked ${new Date(lastRun.at).toLocaleString()}.`}
+                </p>
+
+                {suggested.length === 0 ? (
+                    <div className="text-center py-4 text-sm text-gray-500">
+                        No suggestions right now.
+                    </div>
+                ) : (
+                    <div className="space-y-2 max-h-64 overflow-y-auto">
+                        {suggested.map((suggestion) => (
+                            <div
+                                key={suggestion.id}
+                                className="flex items-center justify-between p-3 border border-amber-200 rounded-lg bg-amber-50"
+                            >
+                                <div className="flex-1 min-w-0">
+                                    <div className="flex items-center space-x-2">
+                                        <span className="text-red-600 text-sm">
+                                            {suggestion.original_term}
+                                        </span>
+                                        <span className="text-gray-400">→</span>
+                                        <span className="text-green-600 font-medium">
+                                            {suggestion.corrected_term}
+                                        </span>
+                                        <Badge variant="outline" className="text-xs">
+                                            {Math.round(suggestion.score * 100)}
+                                        </Badge>
+                                    </div>
+                                    <div className="text-xs text-gray-500 mt-1">
+                                        Heard {suggestion.occurrences} times
+                                        {suggestion.avg_confidence !== null && (
+                                            <span> at {Math.round(suggestion.avg_confidence * 100)}% confidence</span>
+                                        )}
+                                        {' • '}
+                                        {(suggestion.reasons || []).map(reason => REASON_LABELS[reason] || reason).join(', ')}
+                                    </div>
+                                </div>
+
+                                <div className="flex space-x-2 ml-3">
+                                    <Button
+                                        size="sm"
+                                        onClick={() => handleReviewSuggestion(suggestion, true)}
+                                    >
+                                        Accept
+                                    </Button>
+                                    <Button
+                                        variant="outline"
+                                        size="sm"
+                                        onClick={() => handleReviewSuggestion(suggestion, false)}
+                                        className="text-red-600 hover:text-red-700 hover:bg-red-50"
+                                    >
+                                        Reject
+                                    </Button>
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </div>
+
             {/* Existing Corrections List */}
             <div>
                 <h4 className="font-medium text-gray-900 mb-3">
@@ -202,6 +379,11 @@ const GlobalCorrections = ({ socket }) => {
                                                 >
                                                     {correction.category}
                                                 </Badge>
+                                                {getScopeLabel(correction) && (
+                                                    <Badge variant="outline" className="text-xs">
+                                                        {getScopeLabel(correction)}
+                                                    </Badge>
+                                                )}
                                             </div>
                                             <div className="text-xs text-gray-500 mt-1">
                                                 Used {correction.usage_count} times
@@ -0,0 +1,120 @@
+import React, { useState } from 'react';
+import { Volume2 } from 'lucide-react';
+
+const SPEAKER_COLORS = ['#007bff', '#28a745', '#fd7e14', '#6f42c1', '#e83e8c', '#17a2b8', '#ffc107', '#6c757d'];
+
+export const speakerColor = (speakerId) => {
+    const index = parseInt(speakerId, 10);
+    return SPEAKER_COLORS[(isNaN(index) ? 0 : index) % SPEAKER_COLORS.length];
+};
+
+const formatTime = (seconds) => {
+    if (!seconds || !isFinite(seconds)) return '0:00';
+    const minutes = Math.floor(seconds / 60);
+    const secs = Math.floor(seconds % 60);
+    return `${minutes}:${secs.toString().padStart(2, '0')}`;
+};
+
+// Audio player for a recorded meeting with a clickable speaker timeline
+function MeetingAudioPlayer({ audioRef, src, segments, currentTime, onTimeUpdate, onSeek }) {
+    const [duration, setDuration] = useState(0);
+    const [error, setError] = useState(null);
+
+    // Timeline blocks come from transcript segments that carry timings
+    const timedSegments = segments.filter(s => s.startTime !== null && s.endTime !== null);
+    const timelineLength = duration || (timedSegments.length > 0 ? timedSegments[timedSegments.length - 1].endTime : 0);
+    const currentSegment = timedSegments.find(s => currentTime >= s.startTime && currentTime < s.endTime);
+
+    const handleTimelineClick = (e) => {
+        if (!timelineLength) return;
+        const rect = e.currentTarget.getBoundingClientRect();
+        onSeek(((e.clientX - rect.left) / rect.width) * timelineLength);
+    };
+
+    return (
+        <div style={{ padding: '20px', borderBottom: '1px solid #dee2e6' }}>
+            <h3 style={{ marginTop: 0, marginBottom: '15px', fontSize: '16px' }}>
+                <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                    <Volume2 className="h-4 w-4" />
+                    Meeting Audio
+                </div>
+            </h3>
+
+            {error ? (
+                <div style={{ fontSize: '13px', color: '#dc3545' }}>{error}</div>
+            ) : (
+                <>
+                    <audio
+                        ref={audioRef}
+                        src={src}
+                        controls
+                        preload="metadata"
+                        onLoadedMetadata={(e) => setDuration(e.target.duration)}
+                        onTimeUpdate={(e) => onTimeUpdate(e.target.currentTime)}
+                        onSeeked={(e) => onTimeUpdate(e.target.currentTime)}
+                        onError={() => setError('Audio recording is not available for this meeting')}
+                        style={{ width: '100%' }}
+                    />
+
+                    {timedSegments.length > 0 && timelineLength > 0 && (
+                        <div style={{ marginTop: '12px' }}>
+                            <div
+                                onClick={handleTimelineClick}
+                                title="Click to jump to this point"
+                                style={{
+                                    position: 'relative',
+                                    height: '24px',
+                                    background: '#e9ecef',
+                                    borderRadius: '3px',
+                                    cursor: 'pointer',
+                                    overflow: 'hidden'
+                                }}
+                            >
+                                {timedSegments.map((segment, index) => (
+                                    <div
+                                        key={index}
+                                        style={{
+                                            position: 'absolute',
+                                            top: 0,
+                                            bottom: 0,
+                                            left: `${(segment.startTime / timelineLength) * 100}%`,
+                                            width: `${Math.max(((segment.endTime - segment.startTime) / timelineLength) * 100, 0.2)}%`,
+                                            background: speakerColor(segment.speakerId),
+                                            opacity: segment === currentSegment ? 1 : 0.55
+                                        }}
+                                    />
+                                ))}
+                                <div style={{
+                                    position: 'absolute',
+                                    top: 0,
+                                    bottom: 0,
+                                    left: `${Math.min((currentTime / timelineLength) * 100, 100)}%`,
+                                    width: '2px',
+                                    background: '#212529'
+                                }} />
+                            </div>
+                            <div style={{
+                                display: 'flex',
+                                justifyContent: 'space-between',
+                                marginTop: '5px',
+                                fontSize: '11px',
+                                color: '#6c757d',
+                                fontFamily: 'monospace'
+                            }}>
+                                <span>{formatTime(currentTime)}</span>
+                                <span>
+                                    {currentSegment && currentSegment.speakerId !== null && currentSegment.speakerId !== undefined
+                                        ? currentSegment.speakerName || `Speaker ${currentSegment.speakerId}`
+                                        : ''}
+                                </span>
+                                <span>{formatTime(timelineLength)}</span>
+                            </div>
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    );
+}
+
+export default MeetingAudioPlayer;
@@ -1,12 +1,15 @@
 import React, { useState, useEffect } from 'react';
 import { Home, Search, Check, Circle, FileText, Download, Trash2, Edit3, Target, Plus } from 'lucide-react';
 
-function MeetingSidebar({ onSelectMeeting, activeMeetingId, onNewMeeting, onGenerateReport, socket }) {
+function MeetingSidebar({ onSelectMeeting, activeMeetingId, onNewMeeting, onReplayMeeting, onImportMeeting, onGenerateReport, socket }) {
     const [meetings, setMeetings] = useState([]);
     const [loading, setLoading] = useState(true);
     const [searchTerm, setSearchTerm] = useState('');
     const [showNewMeetingModal, setShowNewMeetingModal] = useState(false);
     const [newMeetingTitle, setNewMeetingTitle] = useState('');
+    const [newMeetingProject, setNewMeetingProject] = useState('');
+    const [replayFile, setReplayFile] = useState(null);
+    const [replaySpeed, setReplaySpeed] = useState('1');
     const [editingMeetingId, setEditingMeetingId] = useState(null);
     const [editingTitle, setEditingTitle] = useState('');
     const [exportMenuOpen, setExportMenuOpen] = useState(null);
@@ -16,8 +19,8 @@ function MeetingSidebar({ onSelectMeeting, activeMeetingId, onNewMeeting, onGene
         
         // Listen for meeting events if socket is available
         if (socket) {
-            // When a meeting starts, refresh the list
-            socket.on('meeting:started', (meeting) => {
+            // When any client starts a meeting, refresh the list
+            socket.on('meeting:created', (meeting) => {
                 setMeetings(prevMeetings => {
                     // Check if meeting already exists
                     const exists = prevMeetings.some(m => m.id === meeting.id);
@@ -33,9 +36,9 @@ function MeetingSidebar({ onSelectMeeting, activeMeetingId, onNewMeeting, onGene
                 });
             });
             
-            // When a meeting ends, update its status
-            socket.on('meeting:ended', (meeting) => {
-                console.log('[MeetingSidebar] Received meeting:ended event:', meeting);
+            // When any client ends a meeting, update its status
+            socket.on('meeting:completed', (meeting) => {
+                console.log('[MeetingSidebar] Received meeting:completed event:', meeting);
                 setMeetings(prevMeetings => 
                     prevMeetings.map(m => 
                         m.id === meeting.id ? { ...m, status: 'completed' } : m
@@ -61,8 +64,8 @@ function MeetingSidebar({ onSelectMeeting, activeMeetingId, onNewMeeting, onGene
             
             // Cleanup listeners on unmount
             return () => {
-                socket.off('meeting:started');
-                socket.off('meeting:ended');
+                socket.off('meeting:created');
+                socket.off('meeting:completed');
                 socket.off('meeting:deleted');
                 socket.off('meeting:updated');
             };
@@ -95,9 +98,21 @@ function MeetingSidebar({ onSelectMeeting, activeMeetingId, onNewMeeting, onGene
 
     const handleNewMeeting = () => {
         const title = newMeetingTitle.trim() || `Meeting ${new Date().toLocaleString()}`;
-        onNewMeeting({ title });
+        // The project's corrections apply to the meeting along with global ones
+        const project = newMeetingProject.trim() || undefined;
+        if (replayFile && replaySpeed === 'import') {
+            // Transcribe the whole file in one go and store it as a completed meeting
+            onImportMeeting({ title, project, file: replayFile });
+        } else if (replayFile) {
+            // Stream the recording through the live pipeline instead of the microphone
+            onReplayMeeting({ title, project, file: replayFile, speed: replaySpeed });
+        } else {
+            onNewMeeting({ title, project });
+        }
         setShowNewMeetingModal(false);
         setNewMeetingTitle('');
+        setNewMeetingProject('');
+        setReplayFile(null);
         // Refresh sessions list
         setTimeout(fetchMeetings, 500);
     };
@@ -664,6 +679,45 @@ function MeetingSidebar({ onSelectMeeting, activeMeetingId, onNewMeeting, onGene
                             }}
                             autoFocus
                         />
+                        <input
+                            type="text"
+                            placeholder="Project (optional, for project corrections)"
+                            value={newMeetingProject}
+                            onChange={(e) => setNewMeetingProject(e.target.value)}
+                            onKeyPress={(e) => e.key === 'Enter' && handleNewMeeting()}
+                            style={{
+                                width: '100%',
+                                padding: '8px',
+                                marginBottom: '15px',
+                                border: '1px solid #ced4da',
+                                borderRadius: '4px'
+                            }}
+                        />
+                        <div style={{ marginBottom: '15px', fontSize: '13px', color: '#495057' }}>
+                            <label style={{ display: 'block', marginBottom: '6px' }}>
+                                Replay or import a recording (optional, replay needs WAV or 16 kHz PCM)
+                            </label>
+                            <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+                                <input
+                                    type="file"
+                                    accept=".wav,.pcm,.raw,.mp3,.m4a,.webm,audio/*"
+                                    onChange={(e) => setReplayFile(e.target.files[0] || null)}
+                                    style={{ flex: 1 }}
+                                />
+                                <select
+                                    value={replaySpeed}
+                                    onChange={(e) => setReplaySpeed(e.target.value)}
+                                    disabled={!replayFile}
+                                    style={{ padding: '4px', border: '1px solid #ced4da', borderRadius: '4px' }}
+                                >
+                                    <option value="1">1x</option>
+                                    <option value="2">2x</option>
+                                    <option value="4">4x</option>
+                                    <option value="8">8x</option>
+                                    <option value="import">Import</option>
+                                </select>
+                            </div>
+                        </div>
                         <div style={{ display: 'flex', gap: '10px', justifyContent: 'flex-end' }}>
                             <button
                                 onClick={() => setShowNewMeetingModal(false)}
@@ -690,7 +744,7 @@ function MeetingSidebar({ onSelectMeeting, activeMeetingId, onNewMeeting, onGene
                                     fontWeight: 'bold'
                                 }}
                             >
-                                Start Meeting
+                                {replayFile ? (replaySpeed === 'import' ? 'Import Meeting' : 'Start Replay') : 'Start Meeting'}
                             </button>
                         </div>
                     </div>
@@ -0,0 +1,384 @@
+import React, { useState, useEffect } from 'react';
+
+const API_URL = 'http://localhost:9000/api/prompts';
+
+const textareaStyle = {
+    width: '100%',
+    padding: '8px 12px',
+    border: '1px solid #d1d5db',
+    borderRadius: '6px',
+    fontSize: '13px',
+    fontFamily: 'monospace',
+    background: 'white',
+    outline: 'none',
+    resize: 'vertical'
+};
+
+const labelStyle = {
+    display: 'block',
+    marginBottom: '6px',
+    fontSize: '14px',
+    fontWeight: '500',
+    color: '#374151'
+};
+
+const buttonStyle = (background, disabled) => ({
+    padding: '6px 12px',
+    background: disabled ? '#9ca3af' : background,
+    color: 'white',
+    border: 'none',
+    borderRadius: '4px',
+    fontSize: '12px',
+    cursor: disabled ? 'not-allowed' : 'pointer'
+});
+
+const formatDate = (value) => value ? new Date(value).toLocaleString() : '';
+
+// Versioned prompts for each LLM feature, with preview against a stored meeting
+function PromptLibrary() {
+    const [features, setFeatures] = useState([]);
+    const [featureId, setFeatureId] = useState(null);
+    const [versions, setVersions] = useState([]);
+    const [draft, setDraft] = useState({ systemPrompt: '', userPrompt: '', notes: '' });
+    const [validation, setValidation] = useState({ valid: true, errors: [] });
+    const [meetings, setMeetings] = useState([]);
+    const [meetingId, setMeetingId] = useState('');
+    const [preview, setPreview] = useState(null);
+    const [busy, setBusy] = useState(null); // 'preview' | 'save' | 'activate'
+    const [message, setMessage] = useState({ type: '', text: '' });
+
+    const feature = features.find(f => f.id === featureId);
+
+    useEffect(() => {
+        loadFeatures();
+        fetch('http://localhost:9000/api/meetings?limit=50')
+            .then(response => response.ok ? response.json() : { meetings: [] })
+            .then(data => setMeetings(data.meetings))
+            .catch(err => console.error('Error loading meetings:', err));
+    }, []);
+
+    useEffect(() => {
+        if (featureId) {
+            loadVersions(featureId);
+        }
+    }, [featureId]);
+
+    // Check placeholders as the draft changes
+    useEffect(() => {
+        if (!featureId) return;
+        const timer = setTimeout(async () => {
+            try {
+                const response = await fetch(`${API_URL}/${featureId}/validate`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ systemPrompt: draft.systemPrompt || null, userPrompt: draft.userPrompt })
+                });
+                setValidation(await response.json());
+            } catch (err) {
+                console.error('Error validating prompt:', err);
+            }
+        }, 400);
+        return () => clearTimeout(timer);
+    }, [featureId, draft.systemPrompt, draft.userPrompt]);
+
+    const loadFeatures = async () => {
+        try {
+            const response = await fetch(API_URL);
+            if (!response.ok) {
+                throw new Error('Failed to load prompts');
+            }
+            const data = await response.json();
+            setFeatures(data.features);
+            setFeatureId(prev => prev || (data.features[0] && data.features[0].id));
+        } catch (err) {
+            console.error('Error loading prompts:', err);
+            setMessage({ type: 'error', text: err.message });
+        }
+    };
+
+    const loadVersions = async (id, selectVersion = null) => {
+        try {
+            const response = await fetch(`${API_URL}/${id}`);
+            if (!response.ok) {
+                throw new Error('Failed to load prompt versions');
+            }
+            const data = await response.json();
+            setVersions(data.versions);
+
+            const selected = data.versions.find(v => v.version === selectVersion) || data.versions.find(v => v.isActive);
+            if (selected) {
+                loadDraft(selected);
+            }
+        } catch (err) {
+            console.error('Error loading prompt versions:', err);
+            setMessage({ type: 'error', text: err.message });
+        }
+    };
+
+    const loadDraft = (version) => {
+        setDraft({ systemPrompt: version.systemPrompt || '', userPrompt: version.userPrompt, notes: '' });
+        setPreview(null);
+    };
+
+    const selectFeature = (id) => {
+        setFeatureId(id);
+        setPreview(null);
+        setMessage({ type: '', text: '' });
+    };
+
+    const runPreview = async () => {
+        setBusy('preview');
+        setMessage({ type: '', text: '' });
+        try {
+            const response = await fetch(`${API_URL}/${featureId}/preview`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    meetingId,
+                    systemPrompt: draft.systemPrompt || null,
+                    userPrompt: draft.userPrompt
+                })
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.errors ? data.errors.join('; ') : data.error);
+            }
+            setPreview(data);
+        } catch (err) {
+            console.error('Error previewing prompt:', err);
+            setMessage({ type: 'error', text: err.message || 'Failed to preview prompt' });
+        } finally {
+            setBusy(null);
+        }
+    };
+
+    const saveVersion = async (activate) => {
+        setBusy('save');
+        setMessage({ type: '', text: '' });
+        try {
+            const response = await fetch(`${API_URL}/${featureId}/versions`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    systemPrompt: draft.systemPrompt || null,
+                    userPrompt: draft.userPrompt,
+                    notes: draft.notes || null,
+                    activate
+                })
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.errors ? data.errors.join('; ') : data.error);
+            }
+            setMessage({ type: 'success', text: `Saved version ${data.version}${activate ? ' and made it active' : ''}` });
+            await loadVersions(featureId, data.version);
+            await loadFeatures();
+        } catch (err) {
+            console.error('Error saving prompt version:', err);
+            setMessage({ type: 'error', text: err.message || 'Failed to save prompt version' });
+        } finally {
+            setBusy(null);
+        }
+    };
+
+    const activateVersion = async (version) => {
+        setBusy('activate');
+        setMessage({ type: '', text: '' });
+        try {
+            const response = await fetch(`${API_URL}/${featureId}/active`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ version })
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error);
+            }
+            setMessage({ type: 'success', text: version === 0 ? 'Reverted to the built-in prompt' : `Version ${version} is now active` });
+            await loadVersions(featureId, version);
+            await loadFeatures();
+        } catch (err) {
+            console.error('Error activating prompt version:', err);
+            setMessage({ type: 'error', text: err.message || 'Failed to activate prompt version' });
+        } finally {
+            setBusy(null);
+        }
+    };
+
+    if (!feature) {
+        return message.text
+            ? <div style={{ fontSize: '13px', color: '#dc2626' }}>{message.text}</div>
+            : <div style={{ fontSize: '13px', color: '#6b7280' }}>Loading prompts...</div>;
+    }
+
+    return (
+        <div>
+            <div style={{ display: 'flex', gap: '12px', alignItems: 'center', marginBottom: '12px' }}>
+                <select
+                    value={featureId}
+                    onChange={(e) => selectFeature(e.target.value)}
+                    style={{ padding: '6px 10px', border: '1px solid #d1d5db', borderRadius: '6px', fontSize: '14px' }}
+                >
+                    {features.map(f => (
+                        <option key={f.id} value={f.id}>
+                            {f.name}{f.activeVersion > 0 ? ` (v${f.activeVersion})` : ''}
+                        </option>
+                    ))}
+                </select>
+                <span style={{ fontSize: '12px', color: '#6b7280' }}>{feature.description}</span>
+            </div>
+
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', marginBottom: '16px' }}>
+                {feature.variables.map(v => (
+                    <span
+                        key={v.name}
+                        title={v.description}
+                        style={{
+                            padding: '2px 8px',
+                            fontSize: '12px',
+                            fontFamily: 'monospace',
+                            background: v.required ? '#dbeafe' : '#f3f4f6',
+                            color: v.required ? '#1e40af' : '#374151',
+                            borderRadius: '12px'
+                        }}
+                    >
+                        {`{${v.name}}`}{v.required ? ' *' : ''}
+                    </span>
+                ))}
+            </div>
+
+            <label style={labelStyle}>System Prompt</label>
+            <textarea
+                value={draft.systemPrompt}
+                onChange={(e) => setDraft(prev => ({ ...prev, systemPrompt: e.target.value }))}
+                rows="4"
+                placeholder="Optional"
+                style={{ ...textareaStyle, marginBottom: '12px' }}
+            />
+
+            <label style={labelStyle}>Prompt</label>
+            <textarea
+                value={draft.userPrompt}
+                onChange={(e) => setDraft(prev => ({ ...prev, userPrompt: e.target.value }))}
+                rows="10"
+                style={textareaStyle}
+            />
+
+            {!validation.valid && (
+                <ul style={{ margin: '8px 0 0', paddingLeft: '20px', fontSize: '12px', color: '#dc2626' }}>
+                    {validation.errors.map(error => <li key={error}>{error}</li>)}
+                </ul>
+            )}
+
+            <input
+                type="text"
+                value={draft.notes}
+                onChange={(e) => setDraft(prev => ({ ...prev, notes: e.target.value }))}
+                placeholder="What changed in this version (optional)"
+                style={{ ...textareaStyle, fontFamily: 'inherit', marginTop: '12px' }}
+            />
+
+            <div style={{ display: 'flex', gap: '8px', alignItems: 'center', marginTop: '12px', flexWrap: 'wrap' }}>
+                <select
+                    value={meetingId}
+                    onChange={(e) => setMeetingId(e.target.value)}
+                    style={{ padding: '6px 10px', border: '1px solid #d1d5db', borderRadius: '6px', fontSize: '13px', maxWidth: '260px' }}
+                >
+                    <option value="">Preview against meeting...</option>
+                    {meetings.map(m => (
+                        <option key={m.id} value={m.id}>{m.title}</option>
+                    ))}
+                </select>
+                <button
+                    onClick={runPreview}
+                    disabled={!meetingId || !validation.valid || busy !== null}
+                    style={buttonStyle('#6b7280', !meetingId || !validation.valid || busy !== null)}
+                >
+                    {busy === 'preview' ? 'Running...' : 'Preview'}
+                </button>
+                <div style={{ flex: 1 }} />
+                <button
+                    onClick={() => saveVersion(false)}
+                    disabled={!validation.valid || busy !== null}
+                    style={buttonStyle('#6b7280', !validation.valid || busy !== null)}
+                >
+                    Save as New Version
+                </button>
+                <button
+                    onClick={() => saveVersion(true)}
+                    disabled={!validation.valid || busy !== null}
+                    style={buttonStyle('#3b82f6', !validation.valid || busy !== null)}
+                >
+                    Save & Activate
+                </button>
+            </div>
+
+            {message.text && (
+                <div style={{ marginTop: '10px', fontSize: '13px', color: message.type === 'error' ? '#dc2626' : '#059669' }}>
+                    {message.text}
+                </div>
+            )}
+
+            {preview && (
+                <div style={{ marginTop: '16px', padding: '12px', background: '#f9fafb', borderRadius: '6px' }}>
+                    <div style={{ fontSize: '12px', color: '#6b7280', marginBottom: '8px' }}>
+                        Preview output ({preview.latency}ms{preview.usage && preview.usage.total_tokens ? `, ${preview.usage.total_tokens} tokens` : ''})
+                    </div>
+                    {preview.validationErrors && preview.validationErrors.length > 0 && (
+                        <div style={{ marginBottom: '8px', fontSize: '12px', color: '#dc2626' }}>
+                            Output doesn't match the schema the app expects:
+                            <ul style={{ margin: '4px 0 0 16px', padding: 0 }}>
+                                {preview.validationErrors.map(error => <li key={error}>{error}</li>)}
+                            </ul>
+                        </div>
+                    )}
+                    <pre style={{ margin: 0, fontSize: '12px', whiteSpace: 'pre-wrap', maxHeight: '240px', overflow: 'auto' }}>
+                        {preview.parsed ? JSON.stringify(preview.parsed, null, 2) : preview.output}
+                    </pre>
+                    <details style={{ marginTop: '8px', fontSize: '12px' }}>
+                        <summary style={{ cursor: 'pointer', color: '#6b7280' }}>Rendered prompt</summary>
+                        <pre style={{ fontSize: '11px', whiteSpace: 'pre-wrap', maxHeight: '240px', overflow: 'auto' }}>
+                            {preview.prompt.system ? `${preview.prompt.system}\n\n---\n\n` : ''}{preview.prompt.user}
+                        </pre>
+                    </details>
+                </div>
+            )}
+
+            <h4 style={{ fontSize: '14px', fontWeight: '600', margin: '24px 0 8px', color: '#111827' }}>Version History</h4>
+            {versions.map(v => (
+                <div
+                    key={v.version}
+                    style={{
+                        display: 'flex',
+                        alignItems: 'center',
+                        gap: '10px',
+                        padding: '6px 10px',
+                        marginBottom: '4px',
+                        background: v.isActive ? '#eff6ff' : '#f9fafb',
+                        borderRadius: '4px',
+                        fontSize: '13px'
+                    }}
+                >
+                    <span style={{ fontFamily: 'monospace', width: '40px' }}>v{v.version}</span>
+                    <span style={{ flex: 1, color: '#374151' }}>
+                        {v.notes || ''}
+                        {v.createdAt && <span style={{ color: '#9ca3af', marginLeft: '8px' }}>{formatDate(v.createdAt)}</span>}
+                    </span>
+                    {v.isActive && <span style={{ fontSize: '11px', color: '#1e40af', fontWeight: '600' }}>ACTIVE</span>}
+                    <button onClick={() => loadDraft(v)} style={buttonStyle('#6b7280', false)}>Edit</button>
+                    {!v.isActive && (
+                        <button
+                            onClick={() => activateVersion(v.version)}
+                            disabled={busy !== null}
+                            style={buttonStyle('#3b82f6', busy !== null)}
+                        >
+                            Activate
+                        </button>
+                    )}
+                </div>
+            ))}
+        </div>
+    );
+}
+
+export default PromptLibrary;
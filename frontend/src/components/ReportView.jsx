@@ -1,5 +1,7 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { RefreshCw, Download, FileText, X, AlertTriangle, BarChart3, DollarSign, Bot, Sparkles, ClipboardList, KeyRound, FileSignature } from 'lucide-react';
+import MeetingAudioPlayer, { speakerColor } from './MeetingAudioPlayer';
+import SpeakerNames from './SpeakerNames';
 
 // Simple markdown renderer
 const renderMarkdown = (text) => {
@@ -116,6 +118,9 @@ function ReportView({ meetingId, onClose }) {
     const [costsExpanded, setCostsExpanded] = useState(false);
     const [abortController, setAbortController] = useState(null);
     const [exportMenuOpen, setExportMenuOpen] = useState(false);
+    const [currentTime, setCurrentTime] = useState(0);
+    const audioRef = useRef(null);
+    const segmentRefs = useRef({});
     
     useEffect(() => {
         if (meetingId) {
@@ -176,6 +181,78 @@ function ReportView({ meetingId, onClose }) {
         }
     };
     
+    // Index of the transcript segment under the playhead
+    const activeSegmentIndex = report && report.meeting.hasAudio
+        ? report.fullTranscript.findIndex(s => s.startTime !== null && currentTime >= s.startTime && currentTime < s.endTime)
+        : -1;
+    
+    // Keep the segment being played in view
+    useEffect(() => {
+        const audio = audioRef.current;
+        const element = segmentRefs.current[activeSegmentIndex];
+        if (element && audio && !audio.paused) {
+            element.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        }
+    }, [activeSegmentIndex]);
+    
+    const seekTo = (time) => {
+        const audio = audioRef.current;
+        if (!audio || time === null || time === undefined) return;
+        audio.currentTime = time;
+        setCurrentTime(time);
+        audio.play().catch(() => {});
+    };
+    
+    const renderSegmentText = (segment) => {
+        const tokens = segment.text.split(/\s+/).filter(Boolean);
+        
+        // Word timings are only usable when they line up with the (possibly corrected) text
+        if (!report.meeting.hasAudio || segment.words.length === 0 || segment.words.length !== tokens.length) {
+            return segment.text;
+        }
+        
+        return tokens.map((token, i) => {
+            const word = segment.words[i];
+            const isCurrent = currentTime >= word.start && currentTime < word.end;
+            return (
+                <React.Fragment key={i}>
+                    <span
+                        onClick={(e) => {
+                            e.stopPropagation();
+                            seekTo(word.start);
+                        }}
+                        style={{
+                            cursor: 'pointer',
+                            borderRadius: '2px',
+                            background: isCurrent ? '#ffe58f' : 'transparent'
+                        }}
+                    >
+                        {token}
+                    </span>
+                    {i < tokens.length - 1 ? ' ' : ''}
+                </React.Fragment>
+            );
+        });
+    };
+    
+    // Relabel the transcript as soon as a speaker is named
+    const handleSpeakerRenamed = (speakerId, name) => {
+        setReport(prev => prev && ({
+            ...prev,
+            speakers: (prev.speakers || []).map(s => String(s.speakerId) === String(speakerId) ? { ...s, name } : s),
+            fullTranscript: prev.fullTranscript.map(segment =>
+                segment.speakerId !== null && String(segment.speakerId) === String(speakerId)
+                    ? { ...segment, speakerName: name }
+                    : segment
+            )
+        }));
+    };
+    
+    const speakerLabel = (segment) => {
+        if (segment.speakerName) return segment.speakerName;
+        return segment.speakerId !== null && segment.speakerId !== undefined ? `Speaker ${segment.speakerId}` : null;
+    };
+    
     const handleRegenerate = () => {
         loadReport(true);
     };
@@ -211,6 +288,14 @@ function ReportView({ meetingId, onClose }) {
                 mdContent += `- **Total:** $${report.costs.total.toFixed(6)}\n\n`;
             }
             
+            if (report.speakers && report.speakers.length > 0) {
+                mdContent += `## Speakers\n\n`;
+                report.speakers.forEach(speaker => {
+                    mdContent += `- **${speaker.name || `Speaker ${speaker.speakerId}`}:** ${speaker.speakingPercentage}% of speaking time\n`;
+                });
+                mdContent += `\n`;
+            }
+            
             mdContent += `## Executive Summary\n\n${report.summary}\n\n`;
             
             if (report.keyTerms && report.keyTerms.length > 0) {
@@ -230,7 +315,8 @@ function ReportView({ meetingId, onClose }) {
             report.fullTranscript.forEach(segment => {
                 const time = new Date(segment.timestamp).toLocaleTimeString();
                 const confidence = segment.confidence ? ` (${Math.round(segment.confidence * 100)}%)` : '';
-                mdContent += `**[${time}]${confidence}** ${segment.text}\n\n`;
+                const speaker = speakerLabel(segment) ? ` ${speakerLabel(segment)}:` : '';
+                mdContent += `**[${time}]${confidence}${speaker}** ${segment.text}\n\n`;
             });
             
             mdContent += `---\n\n*Generated on ${new Date().toLocaleString()}*\n`;
@@ -338,7 +424,7 @@ function ReportView({ meetingId, onClose }) {
     <h2>Full Transcript</h2>
     ${report.fullTranscript.map(segment => `
         <div class="transcript">
-            <small>${new Date(segment.timestamp).toLocaleTimeString()}</small><br>
+            <small>${new Date(segment.timestamp).toLocaleTimeString()}${speakerLabel(segment) ? ` - ${speakerLabel(segment)}` : ''}</small><br>
             ${segment.text}
         </div>
     `).join('')}
@@ -959,6 +1045,11 @@ function ReportView({ meetingId, onClose }) {
                                 <div style={{ fontSize: '18px', fontWeight: 'bold', color: '#495057' }}>
                                     ${report.costs.transcription.toFixed(6)}
                                 </div>
+                                {report.costs.silenceSecondsSkipped > 0 && (
+                                    <div style={{ fontSize: '11px', color: '#6c757d', marginTop: '4px' }}>
+                                        {Math.round(report.costs.silenceSecondsSkipped)}s of silence not sent
+                                    </div>
+                                )}
                             </div>
                             <div style={{
                                 padding: '12px',
@@ -1105,6 +1196,23 @@ function ReportView({ meetingId, onClose }) {
                     </div>
                 )}
 
+                {/* Speakers Section */}
+                {report.speakers && report.speakers.length > 0 && (
+                    <SpeakerNames meetingId={report.meeting.id} onRename={handleSpeakerRenamed} />
+                )}
+
+                {/* Meeting Audio Section */}
+                {report.meeting.hasAudio && (
+                    <MeetingAudioPlayer
+                        audioRef={audioRef}
+                        src={`http://localhost:9000/api/meetings/${report.meeting.id}/audio`}
+                        segments={report.fullTranscript}
+                        currentTime={currentTime}
+                        onTimeUpdate={setCurrentTime}
+                        onSeek={seekTo}
+                    />
+                )}
+
                 {/* Full Transcript Section */}
                 <div style={{ padding: '20px' }}>
                     <h3 style={{ marginTop: 0, marginBottom: '15px', fontSize: '16px' }}>
@@ -1119,13 +1227,19 @@ function ReportView({ meetingId, onClose }) {
                     
                     <div>
                         {report.fullTranscript.map((segment, index) => (
-                            <div key={index} style={{
-                                marginBottom: '12px',
-                                padding: '12px',
-                                background: '#f8f9fa',
-                                borderLeft: '3px solid #007bff',
-                                borderRadius: '3px'
-                            }}>
+                            <div
+                                key={index}
+                                ref={(el) => { segmentRefs.current[index] = el; }}
+                                onClick={() => report.meeting.hasAudio && seekTo(segment.startTime)}
+                                style={{
+                                    marginBottom: '12px',
+                                    padding: '12px',
+                                    background: index === activeSegmentIndex ? '#e7f1ff' : '#f8f9fa',
+                                    borderLeft: `3px solid ${segment.speakerId !== null && segment.speakerId !== undefined ? speakerColor(segment.speakerId) : '#007bff'}`,
+                                    borderRadius: '3px',
+                                    cursor: report.meeting.hasAudio && segment.startTime !== null ? 'pointer' : 'default'
+                                }}
+                            >
                                 <div style={{
                                     display: 'flex',
                                     justifyContent: 'space-between',
@@ -1138,6 +1252,15 @@ function ReportView({ meetingId, onClose }) {
                                         fontFamily: 'monospace'
                                     }}>
                                         {new Date(segment.timestamp).toLocaleTimeString()}
+                                        {speakerLabel(segment) && (
+                                            <strong style={{
+                                                marginLeft: '8px',
+                                                fontFamily: 'inherit',
+                                                color: segment.speakerId !== null && segment.speakerId !== undefined ? speakerColor(segment.speakerId) : '#495057'
+                                            }}>
+                                                {speakerLabel(segment)}
+                                            </strong>
+                                        )}
                                     </span>
                                     {segment.confidence && (
                                         <span style={{
@@ -1156,7 +1279,7 @@ function ReportView({ meetingId, onClose }) {
                                     fontSize: '14px',
                                     lineHeight: '1.5'
                                 }}>
-                                    {segment.text}
+                                    {renderSegmentText(segment)}
                                 </span>
                             </div>
                         ))}
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { AlertTriangle, Key, Brain } from 'lucide-react';
 import GlobalCorrections from './GlobalCorrections';
+import PromptLibrary from './PromptLibrary';
 
 function Settings({ isOpen, onClose, socket }) {
     const [activeTab, setActiveTab] = useState('api');
@@ -28,8 +29,10 @@ function Settings({ isOpen, onClose, socket }) {
         
         // Provider selections
         transcriptionProvider: 'deepgram', // 'deepgram', 'assemblyai', 'whisper', 'google', 'azure', 'revai', 'speechmatics'
-        llmProvider: 'openai', // 'openai', 'anthropic', 'gemini'
+        transcriptionFallbackProviders: [], // Streaming providers to switch to, in order, during a meeting
+        llmProvider: 'openai', // 'openai', 'anthropic', 'gemini', 'local'
         llmModel: 'gpt-4o-mini', // Model name within the selected provider
+        llmFallbackProviders: [], // Tried in order when the selected provider fails
         knowledgeProvider: 'tavily', // 'tavily', 'exa', 'perplexity', 'serpapi', 'brave'
         
         // Other settings
@@ -40,17 +43,7 @@ function Settings({ isOpen, onClose, socket }) {
         enableContextualIntelligence: true,
         enableKnowledgeRetrieval: true,
         cacheExpiryHours: 24,
-        
-        // AI Prompts
-        talkingPointsPrompt: `Based on this meeting context, generate 3-5 intelligent talking points or questions about "{topic}".
-
-CONTEXT:
-{context}
-
-MEETING GLOSSARY:
-{glossary}
-
-Generate talking points that show understanding and move the conversation forward.`
+        recordAudio: false
     });
     
     const [isSaving, setIsSaving] = useState(false);
@@ -79,7 +72,8 @@ Generate talking points that show understanding and move the conversation forwar
     const [availableModels, setAvailableModels] = useState({
         openai: [],
         anthropic: [],
-        gemini: []
+        gemini: [],
+        local: []
     });
     
     const [loadingModels, setLoadingModels] = useState(false);
@@ -103,6 +97,7 @@ Generate talking points that show understanding and move the conversation forwar
             fetchModelsForProvider('openai');
             fetchModelsForProvider('anthropic');
             fetchModelsForProvider('gemini');
+            fetchModelsForProvider('local');
         }
     }, [isOpen, socket]);
 
@@ -118,12 +113,14 @@ Generate talking points that show understanding and move the conversation forwar
         const handleSettingsSaved = (data) => {
             setIsSaving(false);
             if (data.success) {
-                setMessage({ type: 'success', text: 'Settings saved successfully!' });
-                // Close modal after a brief delay to show success message
+                setMessage({ type: 'success', text: data.message || 'Settings saved successfully!' });
+                // API keys apply immediately, so refresh which providers are usable
+                socket.emit('providers:check');
+                // Close modal after a brief delay, longer if there are notes to read
                 setTimeout(() => {
                     setMessage({ type: '', text: '' });
                     onClose();
-                }, 500);
+                }, data.warnings && data.warnings.length > 0 ? 2500 : 500);
             } else {
                 setMessage({ type: 'error', text: data.error || 'Failed to save settings' });
             }
@@ -198,10 +195,136 @@ Generate talking points that show understanding and move the conversation forwar
         gemini: {
             name: 'Google Gemini',
             keyField: 'geminiApiKey'
+        },
+        local: {
+            name: 'Local / Self-hosted (OpenAI-compatible)',
+            keyField: null // Configured with LOCAL_LLM_URL on the server
         }
     };
 
     const getCurrentProvider = () => llmProviders[settings.llmProvider] || llmProviders.openai;
+
+    const toggleFallbackProvider = (field, provider) => {
+        const chain = settings[field] || [];
+        handleInputChange(field, chain.includes(provider)
+            ? chain.filter(p => p !== provider)
+            : [...chain, provider]);
+    };
+
+    const moveFallbackProvider = (field, index, offset) => {
+        const chain = [...settings[field]];
+        const target = index + offset;
+        if (target < 0 || target >= chain.length) return;
+        [chain[index], chain[target]] = [chain[target], chain[index]];
+        handleInputChange(field, chain);
+    };
+
+    // Ordered list of providers to fall back to, with buttons to add, reorder and remove them
+    const renderFallbackChain = ({ field, selected, names, status, description, getNote = () => null }) => {
+        const chain = settings[field] || [];
+        const smallButton = {
+            padding: '2px 8px',
+            fontSize: '12px',
+            background: 'none',
+            border: '1px solid #d1d5db',
+            borderRadius: '4px',
+            cursor: 'pointer',
+            color: '#6b7280'
+        };
+
+        return (
+            <div style={{ marginTop: '12px' }}>
+                <label style={{ 
+                    display: 'block', 
+                    marginBottom: '6px',
+                    fontSize: '13px',
+                    fontWeight: '500',
+                    color: '#4b5563'
+                }}>
+                    Fallback Providers
+                </label>
+                <div style={{ fontSize: '12px', color: '#6b7280', marginBottom: '8px' }}>
+                    {description}
+                </div>
+                {chain.map((key, index) => (
+                    <div key={key} style={{
+                        display: 'flex',
+                        alignItems: 'center',
+                        gap: '8px',
+                        padding: '6px 8px',
+                        marginBottom: '4px',
+                        background: 'white',
+                        border: '1px solid #e5e7eb',
+                        borderRadius: '6px',
+                        fontSize: '13px',
+                        opacity: key === selected ? 0.5 : 1
+                    }}>
+                        <span style={{ color: '#6b7280' }}>{index + 1}.</span>
+                        <span style={{ flex: 1 }}>
+                            {names[key] || key}
+                            {key === selected && ' (selected provider)'}
+                            {!status[key] && ' (Not Configured)'}
+                            {getNote(key) && (
+                                <span style={{ marginLeft: '6px', color: '#b91c1c' }}>
+                                    {getNote(key)}
+                                </span>
+                            )}
+                        </span>
+                        <button
+                            type="button"
+                            onClick={() => moveFallbackProvider(field, index, -1)}
+                            disabled={index === 0}
+                            style={smallButton}
+                            title="Move up"
+                        >
+                            ↑
+                        </button>
+                        <button
+                            type="button"
+                            onClick={() => moveFallbackProvider(field, index, 1)}
+                            disabled={index === chain.length - 1}
+                            style={smallButton}
+                            title="Move down"
+                        >
+                            ↓
+                        </button>
+                        <button
+                            type="button"
+                            onClick={() => toggleFallbackProvider(field, key)}
+                            style={smallButton}
+                            title="Remove from fallback chain"
+                        >
+                            ✕
+                        </button>
+                    </div>
+                ))}
+                <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', marginTop: '6px' }}>
+                    {Object.entries(names)
+                        .filter(([key]) => key !== selected && !chain.includes(key))
+                        .map(([key, name]) => (
+                            <button
+                                key={key}
+                                type="button"
+                                onClick={() => toggleFallbackProvider(field, key)}
+                                disabled={!status[key]}
+                                style={{
+                                    padding: '4px 10px',
+                                    fontSize: '12px',
+                                    background: 'white',
+                                    border: '1px dashed #d1d5db',
+                                    borderRadius: '4px',
+                                    cursor: status[key] ? 'pointer' : 'not-allowed',
+                                    color: '#4b5563',
+                                    opacity: status[key] ? 1 : 0.5
+                                }}
+                            >
+                                + {name}
+                            </button>
+                        ))}
+                </div>
+            </div>
+        );
+    };
     
     const getKnowledgeProviderLabel = (provider) => {
         const labels = {
@@ -233,7 +356,8 @@ Generate talking points that show understanding and move the conversation forwar
             google: 'Google Speech',
             azure: 'Azure Speech',
             revai: 'Rev.ai',
-            speechmatics: 'Speechmatics'
+            speechmatics: 'Speechmatics',
+            local: 'Local (Offline)'
         };
         return labels[provider] || 'Transcription Provider';
     };
@@ -511,60 +635,69 @@ Generate talking points that show understanding and move the conversation forwar
                                         <option value="speechmatics" disabled={!providerStatus.transcription?.speechmatics}>
                                             Speechmatics (48 Languages) {!providerStatus.transcription?.speechmatics && '(No API Key)'}
                                         </option>
+                                        <option value="local" disabled={!providerStatus.transcription?.local}>
+                                            Local / Offline (whisper.cpp) {!providerStatus.transcription?.local && '(Not Configured)'}
+                                        </option>
                                     </select>
                                 </div>
 
                                 {/* API Key for selected transcription provider */}
-                                <div>
-                                    <label style={{ 
-                                        display: 'block', 
-                                        marginBottom: '6px',
-                                        fontSize: '13px',
-                                        fontWeight: '500',
-                                        color: '#4b5563'
-                                    }}>
-                                        {getTranscriptionProviderLabel(settings.transcriptionProvider || 'deepgram')} API Key
-                                    </label>
-                                    <div style={{ position: 'relative' }}>
-                                        <input
-                                            type={showApiKeys[settings.transcriptionProvider || 'deepgram'] ? 'text' : 'password'}
-                                            value={settings[getTranscriptionProviderKeyField(settings.transcriptionProvider || 'deepgram')]}
-                                            onChange={(e) => handleInputChange(getTranscriptionProviderKeyField(settings.transcriptionProvider || 'deepgram'), e.target.value)}
-                                            placeholder={`Enter your ${getTranscriptionProviderLabel(settings.transcriptionProvider || 'deepgram')} API key`}
-                                            style={{
-                                                width: '100%',
-                                                padding: '8px 40px 8px 12px',
-                                                border: '1px solid #d1d5db',
-                                                borderRadius: '6px',
-                                                fontSize: '14px',
-                                                fontFamily: showApiKeys[settings.transcriptionProvider || 'deepgram'] ? 'monospace' : 'inherit',
-                                                transition: 'border-color 0.2s',
-                                                outline: 'none'
-                                            }}
-                                            onFocus={(e) => e.target.style.borderColor = '#3b82f6'}
-                                            onBlur={(e) => e.target.style.borderColor = '#d1d5db'}
-                                        />
-                                        <button
-                                            type="button"
-                                            onClick={() => toggleKeyVisibility(settings.transcriptionProvider || 'deepgram')}
-                                            style={{
-                                                position: 'absolute',
-                                                right: '8px',
-                                                top: '50%',
-                                                transform: 'translateY(-50%)',
-                                                background: 'none',
-                                                border: 'none',
-                                                cursor: 'pointer',
-                                                padding: '4px',
-                                                color: '#6b7280',
-                                                fontSize: '18px'
-                                            }}
-                                            title={showApiKeys[settings.transcriptionProvider || 'deepgram'] ? 'Hide API key' : 'Show API key'}
-                                        >
-                                            {showApiKeys[settings.transcriptionProvider || 'deepgram'] ? '👁️' : '👁️‍🗨️'}
-                                        </button>
+                                {settings.transcriptionProvider === 'local' ? (
+                                    <div style={{ fontSize: '13px', color: '#4b5563' }}>
+                                        Runs on this machine with no API key or network access. Configure the engine with LOCAL_TRANSCRIPTION_URL or LOCAL_TRANSCRIPTION_BINARY in the server environment.
                                     </div>
-                                </div>
+                                ) : (
+                                    <div>
+                                        <label style={{ 
+                                            display: 'block', 
+                                            marginBottom: '6px',
+                                            fontSize: '13px',
+                                            fontWeight: '500',
+                                            color: '#4b5563'
+                                        }}>
+                                            {getTranscriptionProviderLabel(settings.transcriptionProvider || 'deepgram')} API Key
+                                        </label>
+                                        <div style={{ position: 'relative' }}>
+                                            <input
+                                                type={showApiKeys[settings.transcriptionProvider || 'deepgram'] ? 'text' : 'password'}
+                                                value={settings[getTranscriptionProviderKeyField(settings.transcriptionProvider || 'deepgram')]}
+                                                onChange={(e) => handleInputChange(getTranscriptionProviderKeyField(settings.transcriptionProvider || 'deepgram'), e.target.value)}
+                                                placeholder={`Enter your ${getTranscriptionProviderLabel(settings.transcriptionProvider || 'deepgram')} API key`}
+                                                style={{
+                                                    width: '100%',
+                                                    padding: '8px 40px 8px 12px',
+                                                    border: '1px solid #d1d5db',
+                                                    borderRadius: '6px',
+                                                    fontSize: '14px',
+                                                    fontFamily: showApiKeys[settings.transcriptionProvider || 'deepgram'] ? 'monospace' : 'inherit',
+                                                    transition: 'border-color 0.2s',
+                                                    outline: 'none'
+                                                }}
+                                                onFocus={(e) => e.target.style.borderColor = '#3b82f6'}
+                                                onBlur={(e) => e.target.style.borderColor = '#d1d5db'}
+                                            />
+                                            <button
+                                                type="button"
+                                                onClick={() => toggleKeyVisibility(settings.transcriptionProvider || 'deepgram')}
+                                                style={{
+                                                    position: 'absolute',
+                                                    right: '8px',
+                                                    top: '50%',
+                                                    transform: 'translateY(-50%)',
+                                                    background: 'none',
+                                                    border: 'none',
+                                                    cursor: 'pointer',
+                                                    padding: '4px',
+                                                    color: '#6b7280',
+                                                    fontSize: '18px'
+                                                }}
+                                                title={showApiKeys[settings.transcriptionProvider || 'deepgram'] ? 'Hide API key' : 'Show API key'}
+                                            >
+                                                {showApiKeys[settings.transcriptionProvider || 'deepgram'] ? '👁️' : '👁️‍🗨️'}
+                                            </button>
+                                        </div>
+                                    </div>
+                                )}
                                 
                                 {/* Warning if selected transcription provider has no API key */}
                                 {settings.transcriptionProvider && !providerStatus.transcription?.[settings.transcriptionProvider] && (
@@ -583,6 +716,19 @@ Generate talking points that show understanding and move the conversation forwar
                                         </div>
                                     </div>
                                 )}
+
+                                {/* Streaming providers a live meeting moves to once its provider stops reconnecting */}
+                                {renderFallbackChain({
+                                    field: 'transcriptionFallbackProviders',
+                                    selected: settings.transcriptionProvider,
+                                    // Whisper only transcribes files, so it can't take over a live stream
+                                    names: Object.fromEntries(
+                                        ['deepgram', 'assemblyai', 'google', 'azure', 'revai', 'speechmatics', 'local']
+                                            .map(key => [key, getTranscriptionProviderLabel(key)])
+                                    ),
+                                    status: providerStatus.transcription || {},
+                                    description: `If ${getTranscriptionProviderLabel(settings.transcriptionProvider || 'deepgram')} can't reconnect during a meeting, live audio switches to the next provider in this list. The switch is marked in the transcript.`
+                                })}
                             </div>
 
                             {/* LLM Provider Selection */}
@@ -643,7 +789,7 @@ Generate talking points that show understanding and move the conversation forwar
                                                 value={key}
                                                 disabled={!providerStatus.llm[key]}
                                             >
-                                                {provider.name} {!providerStatus.llm[key] && '(No API Key)'}
+                                                {provider.name} {!providerStatus.llm[key] && (provider.keyField ? '(No API Key)' : '(Not Configured)')}
                                             </option>
                                         ))}
                                     </select>
@@ -714,56 +860,62 @@ Generate talking points that show understanding and move the conversation forwar
                                 </div>
 
                                 {/* API Key for selected provider */}
-                                <div>
-                                    <label style={{ 
-                                        display: 'block', 
-                                        marginBottom: '6px',
-                                        fontSize: '13px',
-                                        fontWeight: '500',
-                                        color: '#4b5563'
-                                    }}>
-                                        {getCurrentProvider().name} API Key
-                                    </label>
-                                    <div style={{ position: 'relative' }}>
-                                        <input
-                                            type={showApiKeys[settings.llmProvider] ? 'text' : 'password'}
-                                            value={settings[getCurrentProvider().keyField]}
-                                            onChange={(e) => handleInputChange(getCurrentProvider().keyField, e.target.value)}
-                                            placeholder={`Enter your ${getCurrentProvider().name} API key`}
-                                            style={{
-                                                width: '100%',
-                                                padding: '8px 40px 8px 12px',
-                                                border: '1px solid #d1d5db',
-                                                borderRadius: '6px',
-                                                fontSize: '14px',
-                                                fontFamily: showApiKeys[settings.llmProvider] ? 'monospace' : 'inherit',
-                                                transition: 'border-color 0.2s',
-                                                outline: 'none'
-                                            }}
-                                            onFocus={(e) => e.target.style.borderColor = '#3b82f6'}
-                                            onBlur={(e) => e.target.style.borderColor = '#d1d5db'}
-                                        />
-                                        <button
-                                            type="button"
-                                            onClick={() => toggleKeyVisibility(settings.llmProvider)}
-                                            style={{
-                                                position: 'absolute',
-                                                right: '8px',
-                                                top: '50%',
-                                                transform: 'translateY(-50%)',
-                                                background: 'none',
-                                                border: 'none',
-                                                cursor: 'pointer',
-                                                padding: '4px',
-                                                color: '#6b7280',
-                                                fontSize: '18px'
-                                            }}
-                                            title={showApiKeys[settings.llmProvider] ? 'Hide API key' : 'Show API key'}
-                                        >
-                                            {showApiKeys[settings.llmProvider] ? '👁️' : '👁️‍🗨️'}
-                                        </button>
+                                {!getCurrentProvider().keyField ? (
+                                    <div style={{ fontSize: '13px', color: '#4b5563' }}>
+                                        Uses an OpenAI-compatible server such as Ollama, vLLM or llama.cpp, at no API cost. Configure it with LOCAL_LLM_URL (and optionally LOCAL_LLM_MODEL and LOCAL_LLM_API_KEY) in the server environment.
                                     </div>
-                                </div>
+                                ) : (
+                                    <div>
+                                        <label style={{ 
+                                            display: 'block', 
+                                            marginBottom: '6px',
+                                            fontSize: '13px',
+                                            fontWeight: '500',
+                                            color: '#4b5563'
+                                        }}>
+                                            {getCurrentProvider().name} API Key
+                                        </label>
+                                        <div style={{ position: 'relative' }}>
+                                            <input
+                                                type={showApiKeys[settings.llmProvider] ? 'text' : 'password'}
+                                                value={settings[getCurrentProvider().keyField]}
+                                                onChange={(e) => handleInputChange(getCurrentProvider().keyField, e.target.value)}
+                                                placeholder={`Enter your ${getCurrentProvider().name} API key`}
+                                                style={{
+                                                    width: '100%',
+                                                    padding: '8px 40px 8px 12px',
+                                                    border: '1px solid #d1d5db',
+                                                    borderRadius: '6px',
+                                                    fontSize: '14px',
+                                                    fontFamily: showApiKeys[settings.llmProvider] ? 'monospace' : 'inherit',
+                                                    transition: 'border-color 0.2s',
+                                                    outline: 'none'
+                                                }}
+                                                onFocus={(e) => e.target.style.borderColor = '#3b82f6'}
+                                                onBlur={(e) => e.target.style.borderColor = '#d1d5db'}
+                                            />
+                                            <button
+                                                type="button"
+                                                onClick={() => toggleKeyVisibility(settings.llmProvider)}
+                                                style={{
+                                                    position: 'absolute',
+                                                    right: '8px',
+                                                    top: '50%',
+                                                    transform: 'translateY(-50%)',
+                                                    background: 'none',
+                                                    border: 'none',
+                                                    cursor: 'pointer',
+                                                    padding: '4px',
+                                                    color: '#6b7280',
+                                                    fontSize: '18px'
+                                                }}
+                                                title={showApiKeys[settings.llmProvider] ? 'Hide API key' : 'Show API key'}
+                                            >
+                                                {showApiKeys[settings.llmProvider] ? '👁️' : '👁️‍🗨️'}
+                                            </button>
+                                        </div>
+                                    </div>
+                                )}
                                 
                                 {/* Warning if selected LLM provider has no API key */}
                                 {settings.llmProvider && !providerStatus.llm?.[settings.llmProvider] && (
@@ -778,10 +930,24 @@ Generate talking points that show understanding and move the conversation forwar
                                     }}>
                                         <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
                                             <AlertTriangle className="h-4 w-4" />
-                                            The selected LLM provider is not configured. Please add a valid API key or select a different provider.
+                                            {getCurrentProvider().keyField
+                                                ? 'The selected LLM provider is not configured. Please add a valid API key or select a different provider.'
+                                                : 'No local LLM server is configured. Set LOCAL_LLM_URL on the server or select a different provider.'}
                                         </div>
                                     </div>
                                 )}
+
+                                {renderFallbackChain({
+                                    field: 'llmFallbackProviders',
+                                    selected: settings.llmProvider,
+                                    names: Object.fromEntries(Object.entries(llmProviders).map(([key, provider]) => [key, provider.name])),
+                                    status: providerStatus.llm || {},
+                                    description: `Tried in this order, with their default models, when ${getCurrentProvider().name} errors or is rate-limited. Providers that keep failing are skipped for a minute.`,
+                                    getNote: (key) => {
+                                        const state = (providerStatus.llmCircuits || []).find(circuit => circuit.provider === key)?.state;
+                                        return state && state !== 'closed' ? `circuit ${state}` : null;
+                                    }
+                                })}
                             </div>
 
                             {/* Knowledge Provider Selection */}
@@ -1113,6 +1279,34 @@ Generate talking points that show understanding and move the conversation forwar
                                     onBlur={(e) => e.target.style.borderColor = '#d1d5db'}
                                 />
                             </div>
+
+                            <div style={{ 
+                                display: 'flex', 
+                                alignItems: 'center', 
+                                justifyContent: 'space-between',
+                                padding: '12px',
+                                background: '#f9fafb',
+                                borderRadius: '6px'
+                            }}>
+                                <div>
+                                    <label style={{ fontSize: '14px', fontWeight: '500', color: '#374151' }}>
+                                        Record Meeting Audio
+                                    </label>
+                                    <div style={{ fontSize: '12px', color: '#6b7280', marginTop: '4px' }}>
+                                        Saves each meeting's audio as a WAV file for playback in reports
+                                    </div>
+                                </div>
+                                <input
+                                    type="checkbox"
+                                    checked={settings.recordAudio}
+                                    onChange={(e) => handleInputChange('recordAudio', e.target.checked)}
+                                    style={{ 
+                                        width: '20px', 
+                                        height: '20px',
+                                        cursor: 'pointer'
+                                    }}
+                                />
+                            </div>
                         </div>
                     </div>
                     </>
@@ -1129,69 +1323,14 @@ Generate talking points that show understanding and move the conversation forwar
                         }}>
                             AI Prompts Customization
                         </h3>
-                        <div>
-                            <label style={{
-                                display: 'block',
-                                marginBottom: '6px',
-                                fontSize: '14px',
-                                fontWeight: '500',
-                                color: '#374151'
-                            }}>
-                                Talking Points Generation Prompt
-                            </label>
-                            <p style={{
-                                fontSize: '12px',
-                                color: '#6b7280',
-                                marginBottom: '8px'
-                            }}>
-                                Customize the prompt used to generate talking points. Use {'{topic}'} for the user's topic, {'{context}'} for meeting context, and {'{glossary}'} for terms.
-                            </p>
-                            <textarea
-                                value={settings.talkingPointsPrompt}
-                                onChange={(e) => handleInputChange('talkingPointsPrompt', e.target.value)}
-                                rows="8"
-                                style={{
-                                    width: '100%',
-                                    padding: '8px 12px',
-                                    border: '1px solid #d1d5db',
-                                    borderRadius: '6px',
-                                    fontSize: '13px',
-                                    fontFamily: 'monospace',
-                                    background: 'white',
-                                    outline: 'none',
-                                    resize: 'vertical'
-                                }}
-                                onFocus={(e) => e.target.style.borderColor = '#3b82f6'}
-                                onBlur={(e) => e.target.style.borderColor = '#d1d5db'}
-                            />
-                            <button
-                                onClick={() => {
-                                    const defaultPrompt = `Based on this meeting context, generate 3-5 intelligent talking points or questions about "{topic}".
-
-CONTEXT:
-{context}
-
-MEETING GLOSSARY:
-{glossary}
-
-Generate talking points that show understanding and move the conversation forward.`;
-                                    handleInputChange('talkingPointsPrompt', defaultPrompt);
-                                    setMessage({ type: 'info', text: 'Restored default talking points prompt' });
-                                }}
-                                style={{
-                                    marginTop: '8px',
-                                    padding: '6px 12px',
-                                    background: '#6b7280',
-                                    color: 'white',
-                                    border: 'none',
-                                    borderRadius: '4px',
-                                    fontSize: '12px',
-                                    cursor: 'pointer'
-                                }}
-                            >
-                                Restore Default
-                            </button>
-                        </div>
+                        <p style={{
+                            fontSize: '12px',
+                            color: '#6b7280',
+                            marginBottom: '16px'
+                        }}>
+                            Every AI feature keeps a version history of its prompt. Use {'{variable}'} placeholders to insert meeting data, and preview a draft against a stored meeting before activating it.
+                        </p>
+                        <PromptLibrary />
                     </div>
                     )}
 
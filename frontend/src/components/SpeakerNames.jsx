@@ -0,0 +1,163 @@
+import React, { useState, useEffect } from 'react';
+import { Users } from 'lucide-react';
+import { speakerColor } from './MeetingAudioPlayer';
+
+const formatSpeakingTime = (seconds) => {
+    const minutes = Math.floor(seconds / 60);
+    const secs = Math.round(seconds % 60);
+    return minutes > 0 ? `${minutes}m ${secs}s` : `${secs}s`;
+};
+
+// Assign real names to the diarized speakers of a meeting
+function SpeakerNames({ meetingId, onRename }) {
+    const [speakers, setSpeakers] = useState([]);
+    const [knownNames, setKnownNames] = useState([]);
+    const [drafts, setDrafts] = useState({});
+    const [savingId, setSavingId] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        loadSpeakers();
+    }, [meetingId]);
+
+    const loadSpeakers = async () => {
+        try {
+            const response = await fetch(`http://localhost:9000/api/meetings/${meetingId}/speakers`);
+            if (!response.ok) {
+                throw new Error('Failed to load speakers');
+            }
+            const data = await response.json();
+            setSpeakers(data.speakers);
+            setKnownNames(data.knownNames);
+            setDrafts(Object.fromEntries(data.speakers.map(s => [s.speakerId, s.name || ''])));
+        } catch (err) {
+            console.error('Error loading speakers:', err);
+            setError(err.message);
+        }
+    };
+
+    const saveName = async (speaker, name) => {
+        const trimmed = name.trim();
+        if (trimmed === (speaker.name || '')) return;
+
+        setSavingId(speaker.speakerId);
+        setError(null);
+        try {
+            const response = await fetch(`http://localhost:9000/api/meetings/${meetingId}/speakers/${encodeURIComponent(speaker.speakerId)}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ name: trimmed, email: speaker.email, role: speaker.role })
+            });
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.error || 'Failed to save speaker name');
+            }
+            const saved = await response.json();
+
+            setSpeakers(prev => prev.map(s => s.speakerId === speaker.speakerId ? { ...s, name: saved.name } : s));
+            setDrafts(prev => ({ ...prev, [speaker.speakerId]: saved.name || '' }));
+            if (onRename) {
+                onRename(speaker.speakerId, saved.name);
+            }
+        } catch (err) {
+            console.error('Error saving speaker name:', err);
+            setError(err.message);
+            setDrafts(prev => ({ ...prev, [speaker.speakerId]: speaker.name || '' }));
+        } finally {
+            setSavingId(null);
+        }
+    };
+
+    if (speakers.length === 0 && !error) {
+        return null;
+    }
+
+    return (
+        <div style={{ padding: '20px', borderBottom: '1px solid #dee2e6' }}>
+            <h3 style={{ marginTop: 0, marginBottom: '15px', fontSize: '16px' }}>
+                <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                    <Users className="h-4 w-4" />
+                    Speakers ({speakers.length})
+                </div>
+            </h3>
+            <div style={{ fontSize: '13px', color: '#6c757d', marginBottom: '15px' }}>
+                Name each speaker - names are used in the transcript and exports, and suggested again in later meetings
+            </div>
+
+            {error && (
+                <div style={{ fontSize: '13px', color: '#dc3545', marginBottom: '10px' }}>{error}</div>
+            )}
+
+            <datalist id={`speaker-names-${meetingId}`}>
+                {knownNames.map(name => <option key={name} value={name} />)}
+            </datalist>
+
+            {speakers.map(speaker => (
+                <div
+                    key={speaker.speakerId}
+                    style={{
+                        display: 'flex',
+                        alignItems: 'center',
+                        gap: '12px',
+                        marginBottom: '10px',
+                        padding: '8px 12px',
+                        background: '#f8f9fa',
+                        borderLeft: `3px solid ${speakerColor(speaker.speakerId)}`,
+                        borderRadius: '3px'
+                    }}
+                >
+                    <span style={{ width: '80px', fontSize: '12px', color: '#6c757d', fontFamily: 'monospace' }}>
+                        Speaker {speaker.speakerId}
+                    </span>
+                    <input
+                        type="text"
+                        list={`speaker-names-${meetingId}`}
+                        value={drafts[speaker.speakerId] || ''}
+                        placeholder={speaker.suggestions.length > 0 ? speaker.suggestions[0] : 'Enter a name'}
+                        maxLength={100}
+                        disabled={savingId === speaker.speakerId}
+                        onChange={(e) => setDrafts(prev => ({ ...prev, [speaker.speakerId]: e.target.value }))}
+                        onBlur={(e) => saveName(speaker, e.target.value)}
+                        onKeyDown={(e) => {
+                            if (e.key === 'Enter') e.target.blur();
+                            if (e.key === 'Escape') setDrafts(prev => ({ ...prev, [speaker.speakerId]: speaker.name || '' }));
+                        }}
+                        style={{
+                            flex: 1,
+                            padding: '4px 8px',
+                            fontSize: '13px',
+                            border: '1px solid #ced4da',
+                            borderRadius: '3px'
+                        }}
+                    />
+                    {!speaker.name && speaker.suggestions.length > 0 && (
+                        <div style={{ display: 'flex', gap: '4px' }}>
+                            {speaker.suggestions.map(name => (
+                                <button
+                                    key={name}
+                                    onClick={() => saveName(speaker, name)}
+                                    title="Use this name"
+                                    style={{
+                                        padding: '2px 8px',
+                                        fontSize: '11px',
+                                        background: 'white',
+                                        border: '1px solid #ced4da',
+                                        borderRadius: '12px',
+                                        cursor: 'pointer'
+                                    }}
+                                >
+                                    {name}
+                                </button>
+                            ))}
+                        </div>
+                    )}
+                    <span style={{ fontSize: '12px', color: '#6c757d', whiteSpace: 'nowrap' }}>
+                        {formatSpeakingTime(speaker.totalSpeakingTime)} ({speaker.speakingPercentage}%)
+                    </span>
+                </div>
+            ))}
+        </div>
+    );
+}
+
+export default SpeakerNames;
@@ -47,7 +47,8 @@ export function useCorrections(socket) {
         }
     }, [socket]);
 
-    const addCorrection = useCallback(async (original, corrected, options = {}) => {
+    // context is the transcript line the correction was made from, if any
+    const addCorrection = useCallback(async (original, corrected, options = {}, context = null) => {
         if (!socket) return false;
 
         setLoading(true);
@@ -65,7 +66,7 @@ export function useCorrections(socket) {
             };
 
             socket.on('corrections:add-response', handleResponse);
-            socket.emit('corrections:add', { original, corrected, options });
+            socket.emit('corrections:add', { original, corrected, options, context });
         });
     }, [socket]);
 
@@ -91,6 +92,40 @@ export function useCorrections(socket) {
         });
     }, [socket]);
 
+    // Approve or reject a near match proposed with a transcript
+    const resolveProposal = useCallback((event, proposal) => {
+        if (!socket) return Promise.resolve(false);
+
+        return new Promise((resolve) => {
+            const timeout = setTimeout(() => {
+                socket.off(`${event}-response`, handleResponse);
+                resolve(false);
+            }, 5000);
+
+            const handleResponse = (response) => {
+                clearTimeout(timeout);
+                socket.off(`${event}-response`, handleResponse);
+                if (!response.success) {
+                    console.error(`Failed to ${event.split(':')[1]}:`, response.error);
+                }
+                resolve(response.success);
+            };
+
+            socket.on(`${event}-response`, handleResponse);
+            socket.emit(event, { correctionId: proposal.correctionId, original: proposal.original });
+        });
+    }, [socket]);
+
+    const approveProposal = useCallback(
+        (proposal) => resolveProposal('corrections:approve-proposal', proposal),
+        [resolveProposal]
+    );
+
+    const rejectProposal = useCallback(
+        (proposal) => resolveProposal('corrections:reject-proposal', proposal),
+        [resolveProposal]
+    );
+
     const getSuggestions = useCallback((term) => {
         if (!socket) return Promise.resolve([]);
 
@@ -124,7 +159,9 @@ export function useCorrections(socket) {
         addCorrection,
         removeCorrection,
         getSuggestions,
-        findCorrection
+        findCorrection,
+        approveProposal,
+        rejectProposal
     };
 }
 
@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+
+// Compare two prompt/model configurations over stored meetings.
+//
+//   npm run prompts:evaluate -- evaluation.json [--output results.json]
+//
+// evaluation.json has the same shape as POST /api/prompts/evaluate:
+//
+//   {
+//     "target": "summary",                 // or "insights"
+//     "meetingIds": ["..."],
+//     "samples": 5,                        // insights only: points per meeting
+//     "a": { "label": "current" },
+//     "b": {
+//       "label": "v3 on gpt-4o",
+//       "llmModel": "gpt-4o",
+//       "prompts": { "topics": 3, "decisions": { "userPrompt": "... {transcript}" } }
+//     }
+//   }
+//
+// Configurations default to the LLM provider and model saved in Settings and the
+// active prompt versions. Prompts are a version number (0 = built-in) or a draft.
+
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const db = require('../backend/db/postgres');
+const SettingsService = require('../backend/services/settings');
+const StorageService = require('../backend/services/storage');
+const ContextualIntelligenceService = require('../backend/llm/contextual-intelligence');
+const PromptEvaluationService = require('../backend/services/prompt-evaluation');
+const apiKeys = require('../backend/services/api-keys');
+const { API_KEY_SETTINGS } = apiKeys;
+
+function printRun(label, run) {
+  const status = run.error ? `❌ ${run.error}` : '✅';
+  console.log(`  ${label}: ${status} ${run.latency}ms, ${run.usage.calls} calls, ${run.usage.inputTokens} in / ${run.usage.outputTokens} out tokens, ` +
+    `${run.validation.repaired} repaired / ${run.validation.failed} invalid responses, ` +
+    `term coverage ${run.scores.termCoverage ? 'yes' : 'no'}, possible hallucination ${run.scores.potentialHallucination ? 'yes' : 'no'}`);
+}
+
+async function main() {
+  const [specPath, ...args] = process.argv.slice(2);
+  if (!specPath) {
+    console.error('Usage: npm run prompts:evaluate -- <evaluation.json> [--output results.json]');
+    return 1;
+  }
+  const outputIndex = args.indexOf('--output');
+  const outputPath = outputIndex !== -1 ? args[outputIndex + 1] : null;
+
+  const spec = JSON.parse(fs.readFileSync(specPath, 'utf8'));
+
+  const settingsService = new SettingsService(db, { secretKeys: Object.keys(API_KEY_SETTINGS) });
+  await apiKeys.load(settingsService);
+  const settings = await settingsService.getAllSettings();
+
+  const contextualIntelligence = new ContextualIntelligenceService();
+  contextualIntelligence.updateLLMSettings({ llmProvider: settings.llmProvider, llmModel: settings.llmModel });
+
+  const evaluationService = new PromptEvaluationService(new StorageService(db), contextualIntelligence);
+  const errors = await evaluationService.validate(spec);
+  if (errors.length > 0) {
+    errors.forEach(error => console.error(`❌ ${error}`));
+    return 1;
+  }
+
+  const evaluation = await evaluationService.evaluate(spec);
+  const { a, b } = evaluation.configs;
+
+  console.log(`\n🔍 ${evaluation.target}: A = ${a.label} (${a.llmProvider}/${a.llmModel}), B = ${b.label} (${b.llmProvider}/${b.llmModel})\n`);
+  for (const meeting of evaluation.meetings) {
+    if (meeting.skipped) {
+      console.log(`${meeting.meetingId}: skipped - ${meeting.skipped}`);
+      continue;
+    }
+    const added = meeting.diff.filter(line => line.type === 'added').length;
+    const removed = meeting.diff.filter(line => line.type === 'removed').length;
+    console.log(`${meeting.meetingId}: ${meeting.changed ? `+${added} -${removed} lines` : 'no change'}`);
+    printRun('A', meeting.a);
+    printRun('B', meeting.b);
+  }
+
+  console.log('\nTotals:');
+  for (const [label, totals] of [['A', evaluation.totals.a], ['B', evaluation.totals.b]]) {
+    console.log(`  ${label}: ${totals.meetings} meetings, ${totals.errors} errors, avg ${totals.averageLatency}ms, ` +
+      `${totals.usage.inputTokens} in / ${totals.usage.outputTokens} out tokens, ` +
+      `term coverage ${totals.termCoverage}/${totals.meetings}, possible hallucination ${totals.potentialHallucination}/${totals.meetings}`);
+  }
+
+  if (outputPath) {
+    fs.writeFileSync(outputPath, JSON.stringify(evaluation, null, 2));
+    console.log(`\n✅ Full results written to ${outputPath}`);
+  }
+  return 0;
+}
+
+main()
+  .then(code => db.end().then(() => process.exit(code)))
+  .catch(error => {
+    console.error('❌ Evaluation failed:', error.message);
+    process.exit(1);
+  });
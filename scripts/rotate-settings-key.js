@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+
+// Re-encrypt secret settings (API keys) under a new master key.
+//
+//   1. Generate a new key: openssl rand -hex 32
+//   2. Move the current SETTINGS_ENCRYPTION_KEY to SETTINGS_ENCRYPTION_KEY_PREVIOUS
+//   3. Set SETTINGS_ENCRYPTION_KEY to the new key
+//   4. Run: npm run settings:rotate-key
+//   5. Once it reports no failures, remove SETTINGS_ENCRYPTION_KEY_PREVIOUS
+//
+// The backend also does this on startup, so step 4 is only needed to rotate
+// without a restart or to check the result.
+
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const db = require('../backend/db/postgres');
+const SettingsService = require('../backend/services/settings');
+const { API_KEY_SETTINGS } = require('../backend/services/api-keys');
+
+async function main() {
+  const settingsService = new SettingsService(db, { secretKeys: Object.keys(API_KEY_SETTINGS) });
+
+  if (!settingsService.canStoreSecrets()) {
+    console.error('❌ SETTINGS_ENCRYPTION_KEY is not set');
+    return 1;
+  }
+
+  const { reencrypted, failed } = await settingsService.reencryptSecrets();
+
+  console.log(`✅ Re-encrypted ${reencrypted.length} secret settings${reencrypted.length > 0 ? `: ${reencrypted.join(', ')}` : ''}`);
+  if (failed.length > 0) {
+    console.log(`❌ Could not decrypt ${failed.join(', ')} - add the key they were saved with to SETTINGS_ENCRYPTION_KEY_PREVIOUS`);
+    return 1;
+  }
+  return 0;
+}
+
+main()
+  .then(code => db.end().then(() => process.exit(code)))
+  .catch(error => {
+    console.error('❌ Key rotation failed:', error.message);
+    process.exit(1);
+  });